@@ -0,0 +1,231 @@
+/**
+ * Unit tests for the Gitea/Forgejo and GitLab storage adapters
+ */
+
+import { jest } from '@jest/globals';
+import { GiteaAdapter } from '../adapters/GiteaAdapter.js';
+import { GitLabAdapter } from '../adapters/GitLabAdapter.js';
+import { RecipeConflictError } from '../utils/recipeMerge.js';
+import { encodeBase64 } from '../utils/base64.js';
+import { recipeModeManager, RecipeMode } from '../adapters/RecipeModeManager.js';
+import { repositorySettings } from '../config/repositorySettings.js';
+import { AuthError, NotFoundError } from '../utils/errors.js';
+
+const jsonResponse = (body, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: async () => body,
+  text: async () => JSON.stringify(body)
+});
+
+const recipe = { name: 'Guláš', ingredients: ['maso', 'cibule'], instructions: ['Uvařit'] };
+const encodedRecipe = encodeBase64(JSON.stringify(recipe));
+
+describe('GiteaAdapter', () => {
+  let adapter;
+
+  beforeEach(() => {
+    global.fetch = jest.fn();
+    adapter = new GiteaAdapter({ apiBase: 'https://git.example.org/api/v1/', owner: 'family', repo: 'recipes', token: 'secret' });
+  });
+
+  test('should list recipe files with the token header', async () => {
+    global.fetch.mockResolvedValueOnce(jsonResponse([
+      { name: 'gulas.json', type: 'file' },
+      { name: 'README.md', type: 'file' },
+      { name: 'images', type: 'dir' }
+    ]));
+
+    expect(await adapter.getFileList()).toEqual(['gulas.json']);
+
+    const [url, options] = global.fetch.mock.calls[0];
+    expect(url).toBe('https://git.example.org/api/v1/repos/family/recipes/contents/recipes?ref=main');
+    expect(options.headers.Authorization).toBe('token secret');
+  });
+
+  test('should decode UTF-8 recipe content', async () => {
+    global.fetch.mockResolvedValueOnce(jsonResponse({ content: encodedRecipe, sha: 'blob-sha' }));
+
+    const loaded = await adapter.getFile('gulas.json');
+
+    expect(loaded.name).toBe('Guláš');
+    expect(loaded.metadata).toMatchObject({ id: 'gulas', sha: 'blob-sha' });
+  });
+
+  test('should update against the current sha', async () => {
+    global.fetch
+      .mockResolvedValueOnce(jsonResponse({ content: encodedRecipe, sha: 'base-sha' }))
+      .mockResolvedValueOnce(jsonResponse({ content: { sha: 'new-sha' } }));
+
+    const result = await adapter.updateFile('gulas.json', { ...recipe, servings: 4 }, { baseSha: 'base-sha' });
+
+    const [url, options] = global.fetch.mock.calls[1];
+    expect(url).toBe('https://git.example.org/api/v1/repos/family/recipes/contents/recipes/gulas.json');
+    expect(options.method).toBe('PUT');
+    expect(JSON.parse(options.body)).toMatchObject({ branch: 'main', sha: 'base-sha', message: 'Guláš: servings – → 4' });
+    expect(result.sha).toBe('new-sha');
+  });
+
+  test('should raise a conflict when the file changed since the edit started', async () => {
+    global.fetch.mockResolvedValueOnce(jsonResponse({ content: encodedRecipe, sha: 'remote-sha' }));
+
+    await expect(adapter.updateFile('gulas.json', recipe, { baseSha: 'base-sha' }))
+      .rejects.toBeInstanceOf(RecipeConflictError);
+  });
+
+  test('should refuse to write without a token', async () => {
+    adapter.configure({ apiBase: 'https://git.example.org/api/v1', owner: 'family', repo: 'recipes' });
+
+    await expect(adapter.createFile('gulas.json', recipe)).rejects.toThrow(AuthError);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test('should report failed requests with the shared error types', async () => {
+    global.fetch
+      .mockResolvedValueOnce(jsonResponse({ message: 'token is required' }, 401))
+      .mockResolvedValueOnce(jsonResponse({ message: 'Not Found' }, 404));
+
+    await expect(adapter.getFileList()).rejects.toBeInstanceOf(AuthError);
+    await expect(adapter.updateFile('gulas.json', recipe)).rejects.toBeInstanceOf(NotFoundError);
+  });
+
+  test('should keep its branch and recipes folder when the GitHub settings change', async () => {
+    adapter.configure({ apiBase: 'https://git.example.org/api/v1', owner: 'family', repo: 'recipes', branch: 'kucharka', recipesPath: 'jidla' });
+    repositorySettings.save({ branch: 'jina-vetev', recipesPath: 'recepty' });
+    global.fetch.mockResolvedValueOnce(jsonResponse([]));
+
+    try {
+      await adapter.getFileList();
+    } finally {
+      repositorySettings.reset();
+    }
+
+    expect(global.fetch.mock.calls[0][0]).toBe('https://git.example.org/api/v1/repos/family/recipes/contents/jidla?ref=kucharka');
+  });
+});
+
+describe('GitLabAdapter', () => {
+  let adapter;
+
+  beforeEach(() => {
+    global.fetch = jest.fn();
+    adapter = new GitLabAdapter({ apiBase: 'https://gitlab.example.org/api/v4', owner: 'family/kitchen', repo: 'recipes', token: 'secret' });
+  });
+
+  test('should list recipe files across pages', async () => {
+    const fullPage = Array.from({ length: 100 }, (_, index) => ({ name: `recipe-${index}.json`, type: 'blob' }));
+    global.fetch
+      .mockResolvedValueOnce(jsonResponse(fullPage))
+      .mockResolvedValueOnce(jsonResponse([{ name: 'gulas.json', type: 'blob' }, { name: 'images', type: 'tree' }]));
+
+    const files = await adapter.getFileList();
+
+    expect(files).toHaveLength(101);
+    const [url, options] = global.fetch.mock.calls[0];
+    expect(url).toBe('https://gitlab.example.org/api/v4/projects/family%2Fkitchen%2Frecipes/repository/tree?path=recipes&ref=main&per_page=100&page=1');
+    expect(options.headers['PRIVATE-TOKEN']).toBe('secret');
+  });
+
+  test('should read files by encoded path and use the blob id as sha', async () => {
+    global.fetch.mockResolvedValueOnce(jsonResponse({ content: encodedRecipe, blob_id: 'blob-sha', last_commit_id: 'commit-sha' }));
+
+    const loaded = await adapter.getFile('gulas.json');
+
+    expect(global.fetch.mock.calls[0][0]).toBe('https://gitlab.example.org/api/v4/projects/family%2Fkitchen%2Frecipes/repository/files/recipes%2Fgulas.json?ref=main');
+    expect(loaded.name).toBe('Guláš');
+    expect(loaded.metadata).toMatchObject({ id: 'gulas', sha: 'blob-sha' });
+  });
+
+  test('should update with last_commit_id and return the new blob id', async () => {
+    global.fetch
+      .mockResolvedValueOnce(jsonResponse({ content: encodedRecipe, blob_id: 'base-sha', last_commit_id: 'commit-1' }))
+      .mockResolvedValueOnce(jsonResponse({ file_path: 'recipes/gulas.json', branch: 'main' }))
+      .mockResolvedValueOnce(jsonResponse({ content: encodedRecipe, blob_id: 'new-sha', last_commit_id: 'commit-2' }));
+
+    const result = await adapter.updateFile('gulas.json', recipe, { baseSha: 'base-sha' });
+
+    const [, options] = global.fetch.mock.calls[1];
+    expect(JSON.parse(options.body)).toMatchObject({ branch: 'main', encoding: 'base64', last_commit_id: 'commit-1' });
+    expect(result.sha).toBe('new-sha');
+  });
+
+  test('should turn a stale last_commit_id rejection into a conflict', async () => {
+    global.fetch
+      .mockResolvedValueOnce(jsonResponse({ content: encodedRecipe, blob_id: 'base-sha', last_commit_id: 'commit-1' }))
+      .mockResolvedValueOnce(jsonResponse({ message: 'You are attempting to update a file that has changed since you started editing it.' }, 400))
+      .mockResolvedValueOnce(jsonResponse({ content: encodedRecipe, blob_id: 'remote-sha', last_commit_id: 'commit-2' }));
+
+    await expect(adapter.updateFile('gulas.json', recipe, { baseSha: 'base-sha' }))
+      .rejects.toMatchObject({ name: 'RecipeConflictError', remoteSha: 'remote-sha' });
+  });
+
+  test('should map commit history', async () => {
+    global.fetch.mockResolvedValueOnce(jsonResponse([
+      { id: 'commit-1', message: 'Add recipe: Guláš', author_name: 'Cook', authored_date: '2024-01-01T10:00:00Z' }
+    ]));
+
+    expect(await adapter.getFileHistory('gulas.json')).toEqual([
+      { sha: 'commit-1', message: 'Add recipe: Guláš', author: 'Cook', login: null, date: '2024-01-01T10:00:00Z' }
+    ]);
+  });
+});
+
+describe('RecipeModeManager forge selection', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    global.fetch = jest.fn().mockResolvedValue(jsonResponse({ login: 'cook', full_name: 'Cook' }));
+  });
+
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  test('should select, persist and restore a Gitea repository', async () => {
+    await recipeModeManager.switchToForge(RecipeMode.GITEA, { apiBase: 'https://git.example.org/api/v1', owner: 'family', repo: 'recipes', token: 'secret' });
+
+    expect(recipeModeManager.getMode()).toBe(RecipeMode.GITEA);
+    expect(recipeModeManager.getAdapter().getCurrentUser()).toMatchObject({ login: 'cook' });
+    expect(recipeModeManager.canEdit()).toBe(true);
+
+    recipeModeManager.setMode(RecipeMode.PUBLIC);
+    await recipeModeManager.autoDetectMode();
+    expect(recipeModeManager.getMode()).toBe(RecipeMode.GITEA);
+
+    await recipeModeManager.leaveForge();
+    expect(recipeModeManager.getMode()).not.toBe(RecipeMode.GITEA);
+  });
+
+  test('should keep a separate cache per forge repository, branch and folder', async () => {
+    const connection = { apiBase: 'https://git.example.org/api/v1', owner: 'family', repo: 'recipes' };
+
+    await recipeModeManager.switchToForge(RecipeMode.GITEA, connection);
+    expect(recipeModeManager.getCacheName()).toBe('kuchtik:gitea:https://git.example.org/api/v1/family/recipes');
+
+    await recipeModeManager.switchToForge(RecipeMode.GITEA, { ...connection, branch: 'kucharka', recipesPath: 'jidla' });
+    expect(recipeModeManager.getCacheName()).toBe('kuchtik:gitea:https://git.example.org/api/v1/family/recipes@kucharka:jidla');
+
+    await recipeModeManager.leaveForge();
+  });
+
+  test('should be read-only without a token', async () => {
+    await recipeModeManager.switchToForge(RecipeMode.GITLAB, { owner: 'family', repo: 'recipes' });
+
+    expect(recipeModeManager.canEdit()).toBe(false);
+    expect(global.fetch).not.toHaveBeenCalled();
+    await recipeModeManager.leaveForge();
+  });
+
+  test('should check a forge repository without touching the forge in use', async () => {
+    await recipeModeManager.switchToForge(RecipeMode.GITLAB, { owner: 'family', repo: 'recipes' });
+    global.fetch.mockResolvedValueOnce(jsonResponse({ message: '404 Project Not Found' }, 404));
+
+    const invalid = await recipeModeManager.verifyForgeRepository(RecipeMode.GITLAB, {
+      apiBase: 'https://gitlab.example.org/api/v4', owner: 'family', repo: 'missing', branch: 'main', recipesPath: 'recipes'
+    });
+
+    expect(invalid).toEqual({ field: 'repo', code: 'notFound' });
+    expect(global.fetch.mock.calls[0][0]).toBe('https://gitlab.example.org/api/v4/projects/family%2Fmissing');
+    expect(recipeModeManager.getCacheName()).toBe('kuchtik:gitlab:https://gitlab.com/api/v4/family/recipes');
+    await recipeModeManager.leaveForge();
+  });
+});
@@ -0,0 +1,909 @@
+/**
+ * Unit tests for GitHubAPIAdapter batch commits, conflict detection, file history, push access, suggestions and drafts
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock dependencies
+const mockGithubAuth = {
+  isAuthenticated: jest.fn(),
+  makeAuthenticatedRequest: jest.fn(),
+  getUserInfo: jest.fn()
+};
+
+const mockConfig = {
+  REPO_OWNER: 'testowner',
+  REPO_NAME: 'testrepo',
+  REPO_BRANCH: 'main',
+  RECIPES_PATH: 'recipes',
+  GITHUB_API_BASE: 'https://api.github.com',
+  GITEA_API_BASE: 'https://codeberg.org/api/v1',
+  GITLAB_API_BASE: 'https://gitlab.com/api/v4'
+};
+
+jest.unstable_mockModule('../services/githubAuth.js', () => ({
+  githubAuth: mockGithubAuth
+}));
+
+jest.unstable_mockModule('../config/github.js', () => ({
+  CONFIG: mockConfig
+}));
+
+// Import after mocking
+const { gitHubAPIAdapter, LoadStrategy } = await import('../adapters/GitHubAPIAdapter.js');
+const { RecipeConflictError } = await import('../utils/recipeMerge.js');
+const { AuthError, NotFoundError, ValidationError } = await import('../utils/errors.js');
+const { recipeModeManager, RecipeMode } = await import('../adapters/RecipeModeManager.js');
+
+const jsonResponse = (body, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: async () => body,
+  text: async () => JSON.stringify(body)
+});
+
+describe('GitHubAPIAdapter', () => {
+  const recipe = {
+    name: 'Guláš',
+    ingredients: ['maso', 'cibule'],
+    instructions: ['Uvařit']
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockGithubAuth.isAuthenticated.mockReturnValue(true);
+    mockGithubAuth.getUserInfo.mockReturnValue({ login: 'cook', name: 'Cook' });
+  });
+
+  // Answer every step of a Git Data API commit on top of head-sha, whose tree has babovka.json
+  // (and the recipe index when one is given)
+  const babovka = { ...recipe, name: 'Bábovka', servings: 4 };
+  const mockSuccessfulCommit = ({ index = null } = {}) => {
+    mockGithubAuth.makeAuthenticatedRequest.mockImplementation(async (endpoint, options = {}) => {
+      const method = options.method || 'GET';
+      if (method === 'GET' && endpoint.endsWith('/git/ref/heads/main')) return jsonResponse({ object: { sha: 'head-sha' } });
+      if (method === 'GET' && endpoint.endsWith('/git/commits/head-sha')) return jsonResponse({ tree: { sha: 'base-tree' } });
+      if (method === 'GET' && endpoint.endsWith('/git/trees/base-tree?recursive=1')) {
+        return jsonResponse({ tree: [{ path: 'recipes/babovka.json', type: 'blob', sha: 'babovka-sha' }] });
+      }
+      if (method === 'GET' && endpoint.endsWith('/git/blobs/babovka-sha')) {
+        return jsonResponse({ content: window.btoa(unescape(encodeURIComponent(JSON.stringify(babovka)))) });
+      }
+      if (method === 'GET' && endpoint.endsWith('/contents/recipes/index.json?ref=head-sha')) {
+        return index
+          ? jsonResponse({ content: window.btoa(unescape(encodeURIComponent(JSON.stringify(index)))), sha: 'index-sha' })
+          : jsonResponse({ message: 'Not Found' }, 404);
+      }
+      if (method === 'POST' && endpoint.endsWith('/git/blobs')) return jsonResponse({ sha: 'blob-sha' }, 201);
+      if (method === 'POST' && endpoint.endsWith('/git/trees')) return jsonResponse({ sha: 'new-tree' }, 201);
+      if (method === 'POST' && endpoint.endsWith('/git/commits')) return jsonResponse({ sha: 'new-commit-sha' }, 201);
+      if (method === 'PATCH' && endpoint.endsWith('/git/refs/heads/main')) return jsonResponse({ object: { sha: 'new-commit-sha' } });
+      throw new Error(`Unexpected request: ${method} ${endpoint}`);
+    });
+  };
+
+  const requestsTo = (suffix, method) => mockGithubAuth.makeAuthenticatedRequest.mock.calls
+    .filter(([endpoint, options = {}]) => endpoint.endsWith(suffix) && (options.method || 'GET') === method);
+
+  describe('updateRecipe conflict detection', () => {
+    const contentResponse = (data, sha) => jsonResponse({
+      content: window.btoa(unescape(encodeURIComponent(JSON.stringify(data)))),
+      sha
+    });
+
+    test('should write against the sha the edit was based on', async () => {
+      mockGithubAuth.makeAuthenticatedRequest
+        .mockResolvedValueOnce(contentResponse(recipe, 'base-sha'))
+        .mockResolvedValueOnce(jsonResponse({ content: { sha: 'new-sha' }, commit: { sha: 'commit-sha' } }));
+
+      const result = await gitHubAPIAdapter.updateRecipe('gulas', recipe, { baseSha: 'base-sha' });
+
+      const [, putRequest] = mockGithubAuth.makeAuthenticatedRequest.mock.calls[1];
+      expect(JSON.parse(putRequest.body).sha).toBe('base-sha');
+      expect(result.sha).toBe('new-sha');
+    });
+
+    test('should raise a conflict when GitHub has a newer version', async () => {
+      const remote = { ...recipe, servings: 8 };
+      mockGithubAuth.makeAuthenticatedRequest.mockResolvedValueOnce(contentResponse(remote, 'remote-sha'));
+
+      const error = await gitHubAPIAdapter.updateRecipe('gulas', recipe, { baseSha: 'base-sha' }).catch(e => e);
+
+      expect(error).toBeInstanceOf(RecipeConflictError);
+      expect(error.remoteSha).toBe('remote-sha');
+      expect(error.remote.servings).toBe(8);
+      expect(mockGithubAuth.makeAuthenticatedRequest).toHaveBeenCalledTimes(1);
+    });
+
+    test('should raise a conflict when the write loses a race (409)', async () => {
+      mockGithubAuth.makeAuthenticatedRequest
+        .mockResolvedValueOnce(contentResponse(recipe, 'base-sha'))
+        .mockResolvedValueOnce(jsonResponse({ message: 'is at remote-sha but expected base-sha' }, 409))
+        .mockResolvedValueOnce(contentResponse({ ...recipe, servings: 8 }, 'remote-sha'));
+
+      await expect(gitHubAPIAdapter.updateRecipe('gulas', recipe, { baseSha: 'base-sha' }))
+        .rejects.toMatchObject({ name: 'RecipeConflictError', remoteSha: 'remote-sha' });
+    });
+
+    test('should summarize the change and credit co-authors in the commit message', async () => {
+      mockGithubAuth.makeAuthenticatedRequest
+        .mockResolvedValueOnce(contentResponse(recipe, 'base-sha'))
+        .mockResolvedValueOnce(jsonResponse({ content: { sha: 'new-sha' }, commit: { sha: 'commit-sha' } }));
+      const updated = { ...recipe, ingredients: [...recipe.ingredients, 'paprika', 'kmín'], tags: ['hlavní jídlo'] };
+
+      await gitHubAPIAdapter.updateRecipe('gulas', updated, { commit: { coAuthors: ['@babicka'] } });
+
+      const [, putRequest] = mockGithubAuth.makeAuthenticatedRequest.mock.calls[1];
+      expect(JSON.parse(putRequest.body).message).toBe(
+        'Guláš: +2 ingredients, tags: hlavní jídlo\n\nCo-authored-by: babicka <babicka@users.noreply.github.com>'
+      );
+    });
+  });
+
+  describe('typed errors', () => {
+    test('should raise AuthError when signed out', async () => {
+      mockGithubAuth.isAuthenticated.mockReturnValue(false);
+
+      await expect(gitHubAPIAdapter.getRecipe('gulas')).rejects.toBeInstanceOf(AuthError);
+    });
+
+    test('should raise ValidationError for incomplete recipes', async () => {
+      const error = await gitHubAPIAdapter.createRecipe({ name: 'Guláš' }).catch(e => e);
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.errors).toEqual(['ingredients: is required', 'instructions: is required']);
+      expect(error.issues.map(issue => issue.path)).toEqual(['/ingredients', '/instructions']);
+    });
+
+    test('should map rejected tokens and missing recipes', async () => {
+      mockGithubAuth.makeAuthenticatedRequest.mockResolvedValueOnce(jsonResponse({ message: 'Bad credentials' }, 401));
+      await expect(gitHubAPIAdapter.getFileHistory('gulas.json')).rejects.toMatchObject({ name: 'AuthError', status: 401 });
+
+      mockGithubAuth.makeAuthenticatedRequest.mockResolvedValueOnce(jsonResponse({ message: 'Not Found' }, 404));
+      await expect(gitHubAPIAdapter.updateRecipe('gulas', recipe)).rejects.toBeInstanceOf(NotFoundError);
+    });
+  });
+
+  describe('write access', () => {
+    const repoResponse = ({ push = true, isPrivate = true, scopes = null } = {}) => ({
+      ...jsonResponse({
+        owner: { login: 'testowner' },
+        name: 'testrepo',
+        full_name: 'testowner/testrepo',
+        private: isPrivate,
+        permissions: { admin: false, push, pull: true }
+      }),
+      headers: { get: name => (name === 'X-OAuth-Scopes' ? scopes : null) }
+    });
+
+    afterEach(() => {
+      gitHubAPIAdapter.writeAccess = null;
+      gitHubAPIAdapter.isPrivate = null;
+      recipeModeManager.readOnlyReason = null;
+      recipeModeManager.setMode(RecipeMode.PUBLIC);
+    });
+
+    test('should require push permission on the repository', async () => {
+      mockGithubAuth.makeAuthenticatedRequest.mockResolvedValueOnce(repoResponse({ push: false, scopes: 'repo, user' }));
+
+      expect(await gitHubAPIAdapter.checkWriteAccess()).toMatchObject({ canPush: false, reason: 'permission' });
+      expect(gitHubAPIAdapter.isReadOnly()).toBe(true);
+    });
+
+    test('should require the repo scope for classic tokens', async () => {
+      mockGithubAuth.makeAuthenticatedRequest
+        .mockResolvedValueOnce(repoResponse({ scopes: 'public_repo, user' }))
+        .mockResolvedValueOnce(repoResponse({ scopes: 'public_repo', isPrivate: false }));
+
+      expect((await gitHubAPIAdapter.checkWriteAccess()).reason).toBe('scope');
+      expect((await gitHubAPIAdapter.checkWriteAccess()).canPush).toBe(true);
+    });
+
+    test('should trust the repository permissions for fine-grained tokens', async () => {
+      mockGithubAuth.makeAuthenticatedRequest.mockResolvedValueOnce(repoResponse());
+
+      expect(await gitHubAPIAdapter.checkWriteAccess()).toEqual({ canPush: true, reason: null, scopes: null });
+      expect(gitHubAPIAdapter.isReadOnly()).toBe(false);
+    });
+
+    test('should switch to the signed-in read-only state', async () => {
+      mockGithubAuth.makeAuthenticatedRequest.mockResolvedValueOnce(repoResponse({ push: false }));
+      const listener = jest.fn();
+      const unsubscribe = recipeModeManager.onModeChange(listener);
+
+      await recipeModeManager.switchToAuthenticated();
+      unsubscribe();
+
+      expect(recipeModeManager.getMode()).toBe(RecipeMode.AUTHENTICATED);
+      expect(recipeModeManager.isReadOnly()).toBe(true);
+      expect(recipeModeManager.canEdit()).toBe(false);
+      expect(recipeModeManager.getReadOnlyReason()).toBe('permission');
+      expect(recipeModeManager.canSuggest()).toBe(true);
+      expect(listener).toHaveBeenLastCalledWith(expect.objectContaining({ readOnly: true }));
+    });
+
+    test('should keep editing enabled when push access cannot be checked', async () => {
+      mockGithubAuth.makeAuthenticatedRequest.mockRejectedValueOnce(new Error('Network error'));
+
+      await recipeModeManager.switchToAuthenticated();
+
+      expect(recipeModeManager.canEdit()).toBe(true);
+      expect(gitHubAPIAdapter.isReadOnly()).toBe(false);
+    });
+  });
+
+  describe('file history', () => {
+    test('should list the commits that touched a recipe', async () => {
+      mockGithubAuth.makeAuthenticatedRequest.mockResolvedValueOnce(jsonResponse([
+        {
+          sha: 'commit-2',
+          author: { login: 'cook' },
+          commit: { message: 'Update recipe: Guláš\n\nMore onions', author: { name: 'Cook', date: '2024-02-01T10:00:00Z' } }
+        },
+        {
+          sha: 'commit-1',
+          author: null,
+          commit: { message: 'Add recipe: Guláš', author: { name: 'Someone', date: '2024-01-01T10:00:00Z' } }
+        }
+      ]));
+
+      const history = await gitHubAPIAdapter.getFileHistory('gulas.json');
+
+      expect(mockGithubAuth.makeAuthenticatedRequest.mock.calls[0][0])
+        .toBe('repos/testowner/testrepo/commits?sha=main&path=recipes/gulas.json&per_page=30');
+      expect(history).toEqual([
+        { sha: 'commit-2', message: 'Update recipe: Guláš\n\nMore onions', author: 'Cook', login: 'cook', date: '2024-02-01T10:00:00Z' },
+        { sha: 'commit-1', message: 'Add recipe: Guláš', author: 'Someone', login: null, date: '2024-01-01T10:00:00Z' }
+      ]);
+    });
+
+    test('should read a recipe as it was at a commit', async () => {
+      mockGithubAuth.makeAuthenticatedRequest.mockResolvedValueOnce(jsonResponse({
+        content: window.btoa(unescape(encodeURIComponent(JSON.stringify(recipe)))),
+        sha: 'blob-sha'
+      }));
+
+      const version = await gitHubAPIAdapter.getFileAtCommit('gulas.json', 'commit-1');
+
+      expect(mockGithubAuth.makeAuthenticatedRequest.mock.calls[0][0])
+        .toBe('repos/testowner/testrepo/contents/recipes/gulas.json?ref=commit-1');
+      expect(version.name).toBe('Guláš');
+      expect(version.metadata.sha).toBe('blob-sha');
+    });
+
+    test('should return null when the recipe did not exist at a commit', async () => {
+      mockGithubAuth.makeAuthenticatedRequest.mockResolvedValueOnce(jsonResponse({ message: 'Not Found' }, 404));
+
+      expect(await gitHubAPIAdapter.getFileAtCommit('gulas.json', 'commit-0')).toBeNull();
+    });
+  });
+
+  describe('getAllFiles caching', () => {
+    const cachedResponse = (body, etag) => ({
+      ...jsonResponse(body),
+      headers: { get: name => (name === 'ETag' ? etag : null) }
+    });
+    const notModified = { ok: false, status: 304, headers: { get: () => null }, json: async () => null };
+
+    const blobRequests = () => mockGithubAuth.makeAuthenticatedRequest.mock.calls
+      .filter(([endpoint]) => endpoint.includes('/git/blobs/'));
+
+    beforeEach(() => {
+      localStorage.clear();
+      gitHubAPIAdapter.httpCache.clear();
+      gitHubAPIAdapter.loadStrategy = LoadStrategy.REST;
+    });
+
+    afterEach(() => {
+      gitHubAPIAdapter.loadStrategy = LoadStrategy.GRAPHQL;
+    });
+
+    test('should revalidate with If-None-Match and reuse unchanged blobs', async () => {
+      const tree = {
+        tree: [
+          { type: 'blob', path: 'recipes/gulas.json', sha: 'blob-1' },
+          { type: 'blob', path: 'README.md', sha: 'readme' }
+        ]
+      };
+      mockGithubAuth.makeAuthenticatedRequest
+        .mockResolvedValueOnce(cachedResponse({ commit: { sha: 'commit-1' } }, '"branch-v1"'))
+        .mockResolvedValueOnce(cachedResponse(tree, '"tree-v1"'))
+        .mockResolvedValueOnce(jsonResponse({ content: window.btoa(unescape(encodeURIComponent(JSON.stringify(recipe)))) }))
+        .mockResolvedValueOnce(notModified)
+        .mockResolvedValueOnce(notModified);
+
+      const first = await gitHubAPIAdapter.getAllFiles();
+      const second = await gitHubAPIAdapter.getAllFiles();
+
+      expect(first[0]).toMatchObject({ name: 'Guláš', metadata: { id: 'gulas', sha: 'blob-1' } });
+      expect(second).toEqual(first.map(loaded => ({ ...loaded, metadata: { ...loaded.metadata, lastModified: expect.any(String) } })));
+      expect(blobRequests()).toHaveLength(1);
+
+      const [branchUrl, branchOptions] = mockGithubAuth.makeAuthenticatedRequest.mock.calls[3];
+      expect(branchUrl).toBe('repos/testowner/testrepo/branches/main');
+      expect(branchOptions.headers).toEqual({ 'If-None-Match': '"branch-v1"' });
+      expect(gitHubAPIAdapter.httpCache.getStats().hits).toBeGreaterThanOrEqual(2);
+    });
+
+    test('should list recipe blobs with the sha of the recipes/ tree', async () => {
+      mockGithubAuth.makeAuthenticatedRequest
+        .mockResolvedValueOnce(jsonResponse({ commit: { sha: 'commit-2' } }))
+        .mockResolvedValueOnce(jsonResponse({
+          tree: [
+            { type: 'tree', path: 'recipes', sha: 'recipes-tree' },
+            { type: 'blob', path: 'recipes/gulas.json', sha: 'blob-1' },
+            { type: 'blob', path: 'recipes/images/gulas.jpg', sha: 'image' },
+            { type: 'blob', path: 'src/main.js', sha: 'code' }
+          ]
+        }));
+
+      expect(await gitHubAPIAdapter.getRecipeTree()).toEqual({
+        sha: 'recipes-tree',
+        files: [{ filename: 'gulas.json', sha: 'blob-1' }]
+      });
+    });
+  });
+
+  describe('GraphQL loading', () => {
+    const encode = data => window.btoa(unescape(encodeURIComponent(JSON.stringify(data))));
+    const graphqlResponse = entries => jsonResponse({
+      data: { repository: { object: { oid: 'recipes-tree', entries } } }
+    });
+    const blobEntry = (name, oid, data, extra = {}) => ({
+      name,
+      type: 'blob',
+      oid,
+      object: { text: JSON.stringify(data), isTruncated: false, ...extra }
+    });
+
+    test('should load every recipe with a single query', async () => {
+      mockGithubAuth.makeAuthenticatedRequest.mockResolvedValueOnce(graphqlResponse([
+        blobEntry('gulas.json', 'gql-1', recipe),
+        blobEntry('svickova.json', 'gql-2', { ...recipe, name: 'Svíčková' }),
+        { name: 'images', type: 'tree', oid: 'images-tree', object: {} }
+      ]));
+      const onRecipe = jest.fn();
+
+      const recipes = await gitHubAPIAdapter.getAllFiles({ onRecipe });
+
+      expect(mockGithubAuth.makeAuthenticatedRequest).toHaveBeenCalledTimes(1);
+      const [endpoint, options] = mockGithubAuth.makeAuthenticatedRequest.mock.calls[0];
+      expect(endpoint).toBe('graphql');
+      expect(JSON.parse(options.body).variables).toEqual({ owner: 'testowner', name: 'testrepo', expression: 'main:recipes' });
+      expect(recipes.map(loaded => loaded.metadata)).toEqual([
+        expect.objectContaining({ id: 'gulas', sha: 'gql-1' }),
+        expect.objectContaining({ id: 'svickova', sha: 'gql-2' })
+      ]);
+      expect(onRecipe).toHaveBeenCalledTimes(2);
+      expect(onRecipe).toHaveBeenCalledWith(recipes[0], 2);
+      expect(gitHubAPIAdapter.lastLoadStrategy).toBe(LoadStrategy.GRAPHQL);
+    });
+
+    test('should load blobs too large for GraphQL over REST', async () => {
+      mockGithubAuth.makeAuthenticatedRequest
+        .mockResolvedValueOnce(graphqlResponse([blobEntry('velky.json', 'gql-big', {}, { text: '{"na', isTruncated: true })]))
+        .mockResolvedValueOnce(jsonResponse({ content: encode({ ...recipe, name: 'Velký recept' }) }));
+
+      const recipes = await gitHubAPIAdapter.getAllFiles();
+
+      expect(mockGithubAuth.makeAuthenticatedRequest.mock.calls[1][0]).toBe('repos/testowner/testrepo/git/blobs/gql-big');
+      expect(recipes[0]).toMatchObject({ name: 'Velký recept', metadata: { id: 'velky', sha: 'gql-big' } });
+    });
+
+    test('should fall back to REST when the query fails', async () => {
+      mockGithubAuth.makeAuthenticatedRequest
+        .mockResolvedValueOnce(jsonResponse({ errors: [{ message: 'Something went wrong' }] }))
+        .mockResolvedValueOnce(jsonResponse({ commit: { sha: 'commit-3' } }))
+        .mockResolvedValueOnce(jsonResponse({ tree: [{ type: 'blob', path: 'recipes/gulas.json', sha: 'rest-1' }] }))
+        .mockResolvedValueOnce(jsonResponse({ content: encode(recipe) }));
+
+      const recipes = await gitHubAPIAdapter.getAllFiles();
+
+      expect(recipes[0]).toMatchObject({ name: 'Guláš', metadata: { sha: 'rest-1' } });
+      expect(gitHubAPIAdapter.lastLoadStrategy).toBe(LoadStrategy.REST);
+    });
+  });
+
+  describe('recipe index', () => {
+    test('should write the index in the same commit as a single save', async () => {
+      mockSuccessfulCommit({ index: { version: 1, recipes: [] } });
+
+      const created = await gitHubAPIAdapter.createFile('gulas.json', { ...recipe, name: 'Gulas' });
+
+      expect(created).toMatchObject({ id: 'gulas', sha: 'blob-sha' });
+      expect(requestsTo('/git/commits', 'POST')).toHaveLength(1);
+      expect(mockGithubAuth.makeAuthenticatedRequest.mock.calls.filter(([, options = {}]) => options.method === 'PUT')).toHaveLength(0);
+      const [[, treeRequest]] = requestsTo('/git/trees', 'POST');
+      expect(JSON.parse(treeRequest.body).tree.map(entry => entry.path)).toEqual(['recipes/gulas.json', 'recipes/index.json']);
+    });
+
+    test('should rebuild a missing index from the commit it is written on top of', async () => {
+      mockSuccessfulCommit();
+
+      await gitHubAPIAdapter.createFile('gulas.json', { ...recipe, name: 'Gulas' });
+
+      const indexBlob = requestsTo('/git/blobs', 'POST')
+        .map(([, request]) => JSON.parse(decodeURIComponent(escape(window.atob(JSON.parse(request.body).content)))))
+        .find(content => Array.isArray(content.recipes));
+      expect(indexBlob.recipes.map(entry => [entry.filename, entry.sha])).toEqual([
+        ['babovka.json', 'babovka-sha'],
+        ['gulas.json', 'blob-sha']
+      ]);
+      // Not the recipes at the branch head
+      expect(mockGithubAuth.makeAuthenticatedRequest.mock.calls.filter(([endpoint]) => endpoint.includes('/branches/'))).toHaveLength(0);
+    });
+
+    test('should keep the recipe write when the index cannot be updated', async () => {
+      mockSuccessfulCommit();
+      const succeed = mockGithubAuth.makeAuthenticatedRequest.getMockImplementation();
+      mockGithubAuth.makeAuthenticatedRequest.mockImplementation(async (endpoint, options = {}) => {
+        if (endpoint.includes('/contents/recipes/index.json')) return jsonResponse({ message: 'Server Error' }, 500);
+        return succeed(endpoint, options);
+      });
+
+      const created = await gitHubAPIAdapter.createFile('gulas.json', { ...recipe, name: 'Gulas' });
+
+      expect(created.sha).toBe('blob-sha');
+      const [[, treeRequest]] = requestsTo('/git/trees', 'POST');
+      expect(JSON.parse(treeRequest.body).tree.map(entry => entry.path)).toEqual(['recipes/gulas.json']);
+    });
+
+    test('should refuse to create a recipe that already exists', async () => {
+      mockSuccessfulCommit();
+
+      await expect(gitHubAPIAdapter.createFile('babovka.json', { ...babovka, name: 'Babovka' })).rejects.toBeInstanceOf(ValidationError);
+      expect(requestsTo('/git/refs/heads/main', 'PATCH')).toHaveLength(0);
+    });
+
+    test('should never name a recipe like the index', () => {
+      expect(gitHubAPIAdapter.generateFilename('Index')).toBe('index-recipe.json');
+    });
+  });
+
+  describe('commitBatch', () => {
+    test('should create blobs, one tree, one commit and move the branch', async () => {
+      mockSuccessfulCommit();
+
+      const result = await gitHubAPIAdapter.commitBatch([
+        { type: 'create', filename: 'gulas.json', data: recipe },
+        { type: 'delete', filename: 'babovka.json' }
+      ]);
+
+      expect(result).toEqual({ commitSha: 'new-commit-sha', files: { 'gulas.json': 'blob-sha', 'babovka.json': null } });
+      // The recipe and the recipe index
+      expect(requestsTo('/git/blobs', 'POST')).toHaveLength(2);
+
+      const [[, treeRequest]] = requestsTo('/git/trees', 'POST');
+      expect(JSON.parse(treeRequest.body)).toEqual({
+        base_tree: 'base-tree',
+        tree: [
+          { path: 'recipes/gulas.json', mode: '100644', type: 'blob', sha: 'blob-sha' },
+          { path: 'recipes/babovka.json', mode: '100644', type: 'blob', sha: null },
+          { path: 'recipes/index.json', mode: '100644', type: 'blob', sha: 'blob-sha' }
+        ]
+      });
+
+      const [[, commitRequest]] = requestsTo('/git/commits', 'POST');
+      const commitBody = JSON.parse(commitRequest.body);
+      expect(commitBody.parents).toEqual(['head-sha']);
+      expect(commitBody.tree).toBe('new-tree');
+      expect(commitBody.message).toBe('Update 2 recipes\n\n- Add recipe: Guláš\n- Delete recipe: babovka');
+
+      const [[endpoint, refRequest]] = requestsTo('/git/refs/heads/main', 'PATCH');
+      expect(endpoint).toBe('repos/testowner/testrepo/git/refs/heads/main');
+      expect(JSON.parse(refRequest.body)).toEqual({ sha: 'new-commit-sha', force: false });
+    });
+
+    test('should commit again on the new head when the branch moved meanwhile', async () => {
+      mockSuccessfulCommit({ index: { version: 1, recipes: [] } });
+      const succeed = mockGithubAuth.makeAuthenticatedRequest.getMockImplementation();
+      let refUpdates = 0;
+      mockGithubAuth.makeAuthenticatedRequest.mockImplementation(async (endpoint, options = {}) => {
+        if (options.method === 'PATCH' && ++refUpdates === 1) {
+          return jsonResponse({ message: 'Update is not a fast forward' }, 422);
+        }
+        return succeed(endpoint, options);
+      });
+
+      const result = await gitHubAPIAdapter.commitBatch([{ type: 'update', filename: 'babovka.json', data: { ...babovka, servings: 6 } }]);
+
+      expect(result.commitSha).toBe('new-commit-sha');
+      expect(requestsTo('/git/ref/heads/main', 'GET')).toHaveLength(2);
+      expect(requestsTo('/git/trees/base-tree?recursive=1', 'GET')).toHaveLength(2);
+      expect(requestsTo('/git/refs/heads/main', 'PATCH')).toHaveLength(2);
+    });
+
+    test('should give up when the branch keeps moving', async () => {
+      mockSuccessfulCommit({ index: { version: 1, recipes: [] } });
+      const succeed = mockGithubAuth.makeAuthenticatedRequest.getMockImplementation();
+      mockGithubAuth.makeAuthenticatedRequest.mockImplementation(async (endpoint, options = {}) => (options.method === 'PATCH'
+        ? jsonResponse({ message: 'Update is not a fast forward' }, 422)
+        : succeed(endpoint, options)));
+
+      await expect(gitHubAPIAdapter.commitBatch([{ type: 'delete', filename: 'babovka.json' }])).rejects.toThrow('Failed to update branch: 422');
+      expect(requestsTo('/git/refs/heads/main', 'PATCH')).toHaveLength(3);
+    });
+
+    test('should use the single change as the commit message', async () => {
+      mockSuccessfulCommit();
+
+      await gitHubAPIAdapter.commitBatch([{ type: 'update', filename: 'babovka.json', data: { ...babovka, servings: 6 } }]);
+
+      const [[, commitRequest]] = requestsTo('/git/commits', 'POST');
+      expect(JSON.parse(commitRequest.body).message).toBe('Bábovka: servings 4 → 6');
+    });
+
+    test('should refuse to update a recipe that does not exist', async () => {
+      mockSuccessfulCommit();
+
+      await expect(gitHubAPIAdapter.commitBatch([{ type: 'update', filename: 'gulas.json', data: recipe }]))
+        .rejects.toBeInstanceOf(NotFoundError);
+      expect(requestsTo('/git/refs/heads/main', 'PATCH')).toHaveLength(0);
+    });
+
+    test('should leave out recipes and photos that are already deleted', async () => {
+      mockSuccessfulCommit();
+
+      const result = await gitHubAPIAdapter.commitBatch([
+        { type: 'delete', filename: 'gulas.json', images: [{ path: 'images/gulas-k0.jpg', content: null }] },
+        { type: 'delete', filename: 'babovka.json' }
+      ]);
+
+      expect(result.files).toEqual({ 'babovka.json': null });
+      const [[, treeRequest]] = requestsTo('/git/trees', 'POST');
+      expect(JSON.parse(treeRequest.body).tree.map(entry => [entry.path, entry.sha])).toEqual([
+        ['recipes/babovka.json', null],
+        ['recipes/index.json', 'blob-sha']
+      ]);
+
+      mockGithubAuth.makeAuthenticatedRequest.mockClear();
+      expect(await gitHubAPIAdapter.deleteFile('gulas.json')).toBe(false);
+      expect(requestsTo('/git/commits', 'POST')).toHaveLength(0);
+    });
+
+    test('should list change notes and collect the co-authors of all changes', async () => {
+      mockSuccessfulCommit();
+
+      await gitHubAPIAdapter.commitBatch([
+        { type: 'update', filename: 'babovka.json', data: { ...babovka, servings: 6 }, previous: babovka, commit: { coAuthors: ['@babicka'] } },
+        { type: 'create', filename: 'knedliky.json', data: { ...recipe, name: 'Knedlíky' }, commit: { note: 'Knedlíky od babičky', coAuthors: ['@babicka'] } }
+      ]);
+
+      const [[, commitRequest]] = requestsTo('/git/commits', 'POST');
+      expect(JSON.parse(commitRequest.body).message).toBe([
+        'Update 2 recipes',
+        '',
+        '- Bábovka: servings 4 → 6',
+        '- Knedlíky od babičky',
+        '',
+        'Co-authored-by: babicka <babicka@users.noreply.github.com>'
+      ].join('\n'));
+    });
+
+    test('should update the recipe index in the same commit', async () => {
+      mockSuccessfulCommit();
+      const succeed = mockGithubAuth.makeAuthenticatedRequest.getMockImplementation();
+      const index = { version: 1, recipes: [{ filename: 'babovka.json', name: 'Bábovka', sha: 'old-sha' }] };
+      mockGithubAuth.makeAuthenticatedRequest.mockImplementation(async (endpoint, options = {}) => {
+        if (endpoint.endsWith('/contents/recipes/index.json?ref=head-sha')) {
+          return jsonResponse({ content: window.btoa(unescape(encodeURIComponent(JSON.stringify(index)))), sha: 'index-sha' });
+        }
+        return succeed(endpoint, options);
+      });
+
+      await gitHubAPIAdapter.commitBatch([
+        { type: 'create', filename: 'gulas.json', data: recipe },
+        { type: 'delete', filename: 'babovka.json' }
+      ]);
+
+      const blobBodies = requestsTo('/git/blobs', 'POST').map(([, options]) => JSON.parse(options.body));
+      const writtenIndex = JSON.parse(decodeURIComponent(escape(window.atob(blobBodies[1].content))));
+      expect(writtenIndex.recipes).toEqual([
+        expect.objectContaining({ filename: 'gulas.json', name: 'Guláš', sha: 'blob-sha', recipe })
+      ]);
+
+      const [[, treeRequest]] = requestsTo('/git/trees', 'POST');
+      expect(JSON.parse(treeRequest.body).tree).toContainEqual({ path: 'recipes/index.json', mode: '100644', type: 'blob', sha: 'blob-sha' });
+    });
+
+    test('should fail when the branch moved in the meantime', async () => {
+      mockSuccessfulCommit();
+      const succeed = mockGithubAuth.makeAuthenticatedRequest.getMockImplementation();
+      mockGithubAuth.makeAuthenticatedRequest.mockImplementation(async (endpoint, options = {}) => {
+        if (options.method === 'PATCH') return jsonResponse({ message: 'Update is not a fast forward' }, 422);
+        return succeed(endpoint, options);
+      });
+
+      await expect(gitHubAPIAdapter.commitBatch([{ type: 'create', filename: 'gulas.json', data: recipe }]))
+        .rejects.toThrow('Failed to update branch: 422');
+    });
+
+    test('should check created and updated recipes against the tree of the parent commit', async () => {
+      mockSuccessfulCommit();
+
+      await gitHubAPIAdapter.commitBatch([
+        { type: 'create', filename: 'gulas.json', data: recipe },
+        { type: 'update', filename: 'babovka.json', data: { ...recipe, name: 'Bábovka' }, baseSha: 'babovka-sha' }
+      ]);
+
+      expect(requestsTo('/git/trees/base-tree?recursive=1', 'GET')).toHaveLength(1);
+      expect(requestsTo('/git/refs/heads/main', 'PATCH')).toHaveLength(1);
+    });
+
+    test('should not overwrite a recipe changed on GitHub since the edit', async () => {
+      mockSuccessfulCommit();
+      const succeed = mockGithubAuth.makeAuthenticatedRequest.getMockImplementation();
+      const remote = { ...recipe, name: 'Bábovka', servings: 12 };
+      mockGithubAuth.makeAuthenticatedRequest.mockImplementation(async (endpoint, options = {}) => {
+        if (endpoint.endsWith('/git/blobs/babovka-sha')) {
+          return jsonResponse({ content: window.btoa(unescape(encodeURIComponent(JSON.stringify(remote)))) });
+        }
+        return succeed(endpoint, options);
+      });
+
+      const error = await gitHubAPIAdapter.commitBatch([
+        { type: 'update', filename: 'babovka.json', data: { ...recipe, name: 'Bábovka' }, baseSha: 'old-sha' }
+      ]).catch(caught => caught);
+
+      expect(error).toBeInstanceOf(RecipeConflictError);
+      expect(error).toMatchObject({ recipeName: 'babovka', baseSha: 'old-sha', remoteSha: 'babovka-sha' });
+      expect(error.remote).toEqual({ ...remote, metadata: { sha: 'babovka-sha' } });
+      expect(requestsTo('/git/blobs', 'POST')).toHaveLength(0);
+      expect(requestsTo('/git/refs/heads/main', 'PATCH')).toHaveLength(0);
+    });
+
+    test('should not overwrite a recipe created on GitHub in the meantime', async () => {
+      mockSuccessfulCommit();
+      const succeed = mockGithubAuth.makeAuthenticatedRequest.getMockImplementation();
+      mockGithubAuth.makeAuthenticatedRequest.mockImplementation(async (endpoint, options = {}) => {
+        if (endpoint.endsWith('/git/blobs/babovka-sha')) {
+          return jsonResponse({ content: window.btoa(JSON.stringify({ name: 'Babovka' })) });
+        }
+        return succeed(endpoint, options);
+      });
+
+      await expect(gitHubAPIAdapter.commitBatch([{ type: 'create', filename: 'babovka.json', data: recipe }]))
+        .rejects.toMatchObject({ name: 'RecipeConflictError', baseSha: null, remoteSha: 'babovka-sha' });
+      expect(requestsTo('/git/refs/heads/main', 'PATCH')).toHaveLength(0);
+    });
+
+    test('should validate recipes before touching the API', async () => {
+      await expect(gitHubAPIAdapter.commitBatch([{ type: 'create', filename: 'bad.json', data: { name: 'Bad' } }]))
+        .rejects.toThrow('Invalid recipe data in bad.json');
+      expect(mockGithubAuth.makeAuthenticatedRequest).not.toHaveBeenCalled();
+    });
+
+    test('should require authentication and at least one change', async () => {
+      await expect(gitHubAPIAdapter.commitBatch([])).rejects.toThrow('No changes to commit');
+
+      mockGithubAuth.isAuthenticated.mockReturnValue(false);
+      await expect(gitHubAPIAdapter.commitBatch([{ type: 'delete', filename: 'gulas.json' }]))
+        .rejects.toThrow('Authentication required');
+    });
+  });
+
+  describe('photos', () => {
+    const photo = { path: 'images/gulas-m1.jpg', content: '/9j/4AAQ' };
+    const oldPhoto = { path: 'images/gulas-k0.jpg', content: null };
+
+    afterEach(() => {
+      gitHubAPIAdapter.isPrivate = null;
+      gitHubAPIAdapter.imageUrls.clear();
+    });
+
+    // A commit on top of a tree with babovka.json and its old photo; photo blobs get their own sha
+    const mockPhotoCommit = () => {
+      mockSuccessfulCommit({ index: { version: 1, recipes: [] } });
+      const succeed = mockGithubAuth.makeAuthenticatedRequest.getMockImplementation();
+      mockGithubAuth.makeAuthenticatedRequest.mockImplementation(async (endpoint, options = {}) => {
+        if (endpoint.endsWith('/git/trees/base-tree?recursive=1')) {
+          return jsonResponse({ tree: [
+            { path: 'recipes/babovka.json', type: 'blob', sha: 'babovka-sha' },
+            { path: 'recipes/images/gulas-k0.jpg', type: 'blob', sha: 'old-photo-sha' }
+          ] });
+        }
+        if (options.method === 'POST' && endpoint.endsWith('/git/blobs') && JSON.parse(options.body).content === photo.content) {
+          return jsonResponse({ sha: 'photo-sha' }, 201);
+        }
+        return succeed(endpoint, options);
+      });
+    };
+
+    test('should download photos of public repositories from the configured branch', () => {
+      expect(gitHubAPIAdapter.getImageUrl(photo.path))
+        .toBe('https://raw.githubusercontent.com/testowner/testrepo/main/recipes/images/gulas-m1.jpg');
+    });
+
+    test('should download photos of private repositories with the token', async () => {
+      const createObjectURL = jest.fn(() => 'blob:photo');
+      window.URL.createObjectURL = createObjectURL;
+      gitHubAPIAdapter.isPrivate = true;
+      mockGithubAuth.makeAuthenticatedRequest.mockResolvedValue({ ok: true, status: 200, blob: async () => 'jpeg' });
+
+      expect(gitHubAPIAdapter.getImageUrl(photo.path)).toBeNull();
+      expect(await gitHubAPIAdapter.loadImages([photo.path, photo.path])).toEqual([photo.path]);
+      expect(await gitHubAPIAdapter.loadImages([photo.path])).toEqual([]);
+
+      expect(gitHubAPIAdapter.getImageUrl(photo.path)).toBe('blob:photo');
+      expect(mockGithubAuth.makeAuthenticatedRequest).toHaveBeenCalledTimes(1);
+      expect(mockGithubAuth.makeAuthenticatedRequest).toHaveBeenCalledWith(
+        'repos/testowner/testrepo/contents/recipes/images/gulas-m1.jpg?ref=main',
+        { headers: { Accept: 'application/vnd.github.raw' } }
+      );
+      expect(createObjectURL).toHaveBeenCalledWith('jpeg');
+      delete window.URL.createObjectURL;
+    });
+
+    test('should add and delete photos in the batch commit of their recipe', async () => {
+      mockPhotoCommit();
+
+      await gitHubAPIAdapter.commitBatch([
+        { type: 'update', filename: 'babovka.json', data: { ...babovka, image: photo.path }, images: [photo, oldPhoto] }
+      ]);
+
+      const [[, treeRequest]] = requestsTo('/git/trees', 'POST');
+      const tree = JSON.parse(treeRequest.body).tree;
+      expect(tree).toContainEqual({ path: 'recipes/images/gulas-m1.jpg', mode: '100644', type: 'blob', sha: 'photo-sha' });
+      expect(tree).toContainEqual({ path: 'recipes/images/gulas-k0.jpg', mode: '100644', type: 'blob', sha: null });
+    });
+
+    test('should commit a saved recipe together with its photos', async () => {
+      mockPhotoCommit();
+
+      const updated = await gitHubAPIAdapter.updateFile('babovka.json', { ...babovka, image: photo.path }, {
+        baseSha: 'babovka-sha',
+        images: [photo, oldPhoto]
+      });
+
+      expect(updated.sha).toBe('blob-sha');
+      expect(requestsTo('/git/commits', 'POST')).toHaveLength(1);
+      expect(mockGithubAuth.makeAuthenticatedRequest.mock.calls.filter(([endpoint]) => endpoint.includes('/contents/recipes/images/'))).toHaveLength(0);
+      const [[, treeRequest]] = requestsTo('/git/trees', 'POST');
+      expect(JSON.parse(treeRequest.body).tree.map(entry => [entry.path, entry.sha])).toEqual([
+        ['recipes/babovka.json', 'blob-sha'],
+        ['recipes/images/gulas-m1.jpg', 'photo-sha'],
+        ['recipes/images/gulas-k0.jpg', null],
+        ['recipes/index.json', 'blob-sha']
+      ]);
+    });
+
+    test('should leave no photo behind when the recipe cannot be written', async () => {
+      mockPhotoCommit();
+
+      await expect(gitHubAPIAdapter.updateFile('babovka.json', { ...babovka, image: photo.path }, {
+        baseSha: 'old-sha',
+        images: [photo, oldPhoto]
+      })).rejects.toBeInstanceOf(RecipeConflictError);
+
+      expect(requestsTo('/git/blobs', 'POST')).toHaveLength(0);
+      expect(requestsTo('/git/refs/heads/main', 'PATCH')).toHaveLength(0);
+    });
+  });
+
+  describe('pull request suggestions', () => {
+    const change = { type: 'update', filename: 'gulas.json', data: recipe };
+    const text = { title: 'Update recipe: Guláš', body: 'Suggested with Kuchtik by @cook.' };
+
+    // Answer every step of the fork-and-pull-request flow
+    const mockSuggestionFlow = ({ forkReadyAfter = 0 } = {}) => {
+      let forkChecks = 0;
+      mockGithubAuth.makeAuthenticatedRequest.mockImplementation(async (endpoint, options = {}) => {
+        if (endpoint === 'repos/testowner/testrepo/forks') return jsonResponse({ full_name: 'cook/testrepo', owner: { login: 'cook' } }, 202);
+        if (endpoint === 'repos/cook/testrepo/branches/main') return jsonResponse({}, forkChecks++ < forkReadyAfter ? 404 : 200);
+        if (endpoint === 'repos/testowner/testrepo/git/ref/heads/main') return jsonResponse({ object: { sha: 'head-sha' } });
+        if (endpoint === 'repos/cook/testrepo/git/refs') return jsonResponse({}, 201);
+        if (endpoint.startsWith('repos/cook/testrepo/contents/recipes/gulas.json?ref=')) return jsonResponse({ sha: 'old-sha' });
+        if (options.method === 'PUT') return jsonResponse({ content: { sha: 'new-sha' } }, 201);
+        if (endpoint === 'repos/testowner/testrepo/pulls') return jsonResponse({ number: 12, html_url: 'https://github.com/testowner/testrepo/pull/12' }, 201);
+        throw new Error(`Unexpected request: ${endpoint}`);
+      });
+    };
+
+    const requestTo = endpoint => mockGithubAuth.makeAuthenticatedRequest.mock.calls
+      .find(([url]) => url === endpoint)?.[1];
+
+    test('should commit to a branch of the fork and open a pull request', async () => {
+      mockSuggestionFlow();
+
+      const pull = await gitHubAPIAdapter.suggestChange(change, text);
+
+      expect(pull).toMatchObject({ number: 12, url: 'https://github.com/testowner/testrepo/pull/12', fork: 'cook/testrepo' });
+      expect(pull.branch).toMatch(/^suggestion\/gulas-/);
+      expect(JSON.parse(requestTo('repos/cook/testrepo/git/refs').body)).toEqual({ ref: `refs/heads/${pull.branch}`, sha: 'head-sha' });
+      expect(JSON.parse(requestTo('repos/cook/testrepo/contents/recipes/gulas.json').body))
+        .toMatchObject({ message: 'Update recipe: Guláš', branch: pull.branch, sha: 'old-sha' });
+      expect(JSON.parse(requestTo('repos/testowner/testrepo/pulls').body)).toEqual({
+        title: 'Update recipe: Guláš',
+        body: 'Suggested with Kuchtik by @cook.',
+        head: `cook:${pull.branch}`,
+        base: 'main',
+        maintainer_can_modify: true
+      });
+    });
+
+    test('should wait until a new fork has the branch', async () => {
+      mockSuggestionFlow({ forkReadyAfter: 2 });
+      gitHubAPIAdapter.forkPollInterval = 0;
+
+      await gitHubAPIAdapter.suggestChange(change, text);
+      gitHubAPIAdapter.forkPollInterval = 2000;
+
+      const forkChecks = mockGithubAuth.makeAuthenticatedRequest.mock.calls
+        .filter(([url]) => url === 'repos/cook/testrepo/branches/main');
+      expect(forkChecks).toHaveLength(3);
+    });
+
+    test('should report merged and closed pull requests', async () => {
+      mockGithubAuth.makeAuthenticatedRequest
+        .mockResolvedValueOnce(jsonResponse({ state: 'closed', merged: true, html_url: 'https://github.com/testowner/testrepo/pull/12' }))
+        .mockResolvedValueOnce(jsonResponse({ message: 'Not Found' }, 404));
+
+      expect(await gitHubAPIAdapter.getPullRequest(12)).toMatchObject({ state: 'closed', merged: true });
+      expect(await gitHubAPIAdapter.getPullRequest(13)).toBeNull();
+    });
+  });
+
+  describe('draft branches', () => {
+    test('should name the drafts branch after the signed-in user', () => {
+      expect(gitHubAPIAdapter.getDraftBranch()).toBe('drafts/cook');
+
+      mockGithubAuth.isAuthenticated.mockReturnValue(false);
+      expect(gitHubAPIAdapter.getDraftBranch()).toBeNull();
+    });
+
+    test('should create a missing branch from the recipes branch', async () => {
+      mockGithubAuth.makeAuthenticatedRequest
+        .mockResolvedValueOnce(jsonResponse({ message: 'Not Found' }, 404))
+        .mockResolvedValueOnce(jsonResponse({ object: { sha: 'head-sha' } }))
+        .mockResolvedValueOnce(jsonResponse({}, 201));
+
+      expect(await gitHubAPIAdapter.ensureBranch('drafts/cook')).toBe(true);
+
+      const [endpoint, request] = mockGithubAuth.makeAuthenticatedRequest.mock.calls[2];
+      expect(endpoint).toBe('repos/testowner/testrepo/git/refs');
+      expect(JSON.parse(request.body)).toEqual({ ref: 'refs/heads/drafts/cook', sha: 'head-sha' });
+    });
+
+    test('should write a recipe to another branch', async () => {
+      mockGithubAuth.makeAuthenticatedRequest
+        .mockResolvedValueOnce(jsonResponse({ content: window.btoa(JSON.stringify({ name: 'Gulas' })), sha: 'draft-sha' }))
+        .mockResolvedValueOnce(jsonResponse({ content: { sha: 'new-sha' } }));
+
+      await gitHubAPIAdapter.updateRecipe('gulas', recipe, { branch: 'drafts/cook' });
+
+      const [readEndpoint] = mockGithubAuth.makeAuthenticatedRequest.mock.calls[0];
+      const [, putRequest] = mockGithubAuth.makeAuthenticatedRequest.mock.calls[1];
+      expect(readEndpoint).toBe('repos/testowner/testrepo/contents/recipes/gulas.json?ref=drafts%2Fcook');
+      expect(JSON.parse(putRequest.body)).toMatchObject({ branch: 'drafts/cook', sha: 'draft-sha' });
+    });
+
+    test('should list recipes that differ from the recipes branch', async () => {
+      gitHubAPIAdapter.httpCache.clear();
+      mockGithubAuth.makeAuthenticatedRequest.mockImplementation(async endpoint => {
+        if (endpoint === 'repos/testowner/testrepo/compare/main...drafts/cook') {
+          return jsonResponse({ files: [
+            { filename: 'recipes/gulas.json', sha: 'draft-sha', status: 'modified' },
+            { filename: 'recipes/knedliky.json', sha: 'k-sha', status: 'added' },
+            { filename: 'recipes/publikovano.json', sha: 'same-sha', status: 'added' },
+            { filename: 'recipes/smazano.json', sha: 'x-sha', status: 'removed' },
+            { filename: 'README.md', sha: 'r-sha', status: 'modified' }
+          ] });
+        }
+        if (endpoint === 'repos/testowner/testrepo/branches/main') return jsonResponse({ commit: { sha: 'head-sha' } });
+        if (endpoint.startsWith('repos/testowner/testrepo/git/trees/head-sha')) {
+          return jsonResponse({ tree: [
+            { path: 'recipes', type: 'tree', sha: 'tree-sha' },
+            { path: 'recipes/gulas.json', type: 'blob', sha: 'main-sha' },
+            { path: 'recipes/publikovano.json', type: 'blob', sha: 'same-sha' }
+          ] });
+        }
+        throw new Error(`Unexpected request: ${endpoint}`);
+      });
+
+      expect(await gitHubAPIAdapter.listBranchChanges('drafts/cook')).toEqual([
+        { filename: 'gulas.json', sha: 'draft-sha', status: 'modified' },
+        { filename: 'knedliky.json', sha: 'k-sha', status: 'added' }
+      ]);
+    });
+  });
+});
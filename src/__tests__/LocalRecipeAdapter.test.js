@@ -0,0 +1,96 @@
+/**
+ * Tests for the browser-only recipe adapter used in local mode
+ */
+
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import v8 from 'node:v8';
+import { IDBFactory } from 'fake-indexeddb';
+import { RecipeCacheStore } from '../repositories/RecipeCacheStore.js';
+import { LocalRecipeAdapter } from '../adapters/LocalRecipeAdapter.js';
+import RecipeRepository from '../repositories/RecipeRepository.js';
+
+// jsdom does not provide structuredClone, which fake-indexeddb relies on
+if (typeof global.structuredClone !== 'function') {
+  global.structuredClone = (value) => v8.deserialize(v8.serialize(value));
+}
+
+describe('LocalRecipeAdapter', () => {
+  let store;
+  let adapter;
+
+  const gulas = { name: 'Guláš', ingredients: ['maso'], instructions: ['Dusit'], tags: [] };
+
+  beforeEach(() => {
+    store = new RecipeCacheStore({ indexedDB: new IDBFactory(), dbName: 'kuchtik-local' });
+    adapter = new LocalRecipeAdapter({ store });
+  });
+
+  afterEach(async () => {
+    await store.close();
+  });
+
+  test('should create, read, update and delete recipe files', async () => {
+    const created = await adapter.createFile('gulas.json', gulas);
+
+    expect(created.metadata).toMatchObject({ id: 'gulas', filename: 'gulas.json' });
+    expect(await adapter.getFileList()).toEqual(['gulas.json']);
+    expect(await adapter.checkFileExists('Guláš')).toBe(true);
+
+    await adapter.updateFile('gulas.json', { ...created, servings: 6 });
+    expect((await adapter.getFile('gulas.json')).servings).toBe(6);
+    expect(await adapter.getAllFiles()).toHaveLength(1);
+
+    await adapter.deleteFile('gulas.json');
+    expect(await adapter.getFile('gulas.json')).toBeNull();
+  });
+
+  test('should refuse to create a file that already exists', async () => {
+    await adapter.createFile('gulas.json', gulas);
+
+    await expect(adapter.createFile('gulas.json', gulas)).rejects.toThrow('already exists');
+  });
+
+  test('should upload recipes missing in the target as one batch', async () => {
+    await adapter.createFile('gulas.json', { ...gulas, metadata: { sha: 'stale' } });
+    await adapter.createFile('babovka.json', { ...gulas, name: 'Bábovka' });
+    const target = {
+      getFileList: jest.fn(async () => ['babovka.json']),
+      commitBatch: jest.fn(async () => ({ commitSha: 'commit-sha' }))
+    };
+
+    const result = await adapter.uploadTo(target, { removeUploaded: true });
+
+    expect(result).toEqual({ uploaded: ['gulas.json'], skipped: ['babovka.json'] });
+    const [[changes]] = target.commitBatch.mock.calls;
+    expect(changes).toEqual([{ type: 'create', filename: 'gulas.json', data: expect.objectContaining({ name: 'Guláš' }) }]);
+    expect(changes[0].data.metadata.sha).toBeUndefined();
+    expect(await adapter.getFileList()).toEqual(['babovka.json']);
+  });
+
+  test('should upload file by file when the target cannot batch', async () => {
+    await adapter.createFile('gulas.json', gulas);
+    const target = { getFileList: jest.fn(async () => []), createFile: jest.fn(async () => ({})) };
+
+    await adapter.uploadTo(target);
+
+    expect(target.createFile).toHaveBeenCalledWith('gulas.json', expect.objectContaining({ name: 'Guláš' }));
+    expect(await adapter.getFileList()).toEqual(['gulas.json']);
+  });
+
+  test('should let the repository write while the browser is offline', async () => {
+    const repository = new RecipeRepository({ persistentCache: false, enableLogging: false, syncStrategy: 'immediate' });
+    repository.setGitHubAPI(adapter);
+    const onLine = jest.spyOn(window.navigator, 'onLine', 'get').mockReturnValue(false);
+
+    try {
+      await repository.create(gulas);
+
+      expect(repository.isOffline()).toBe(false);
+      expect(await adapter.getFileList()).toEqual(['gulas.json']);
+      expect(repository.getSyncStatus().pendingCount).toBe(0);
+    } finally {
+      onLine.mockRestore();
+      repository.cleanup();
+    }
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Tests for the IndexedDB-backed recipe cache store
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import v8 from 'node:v8';
+import { IDBFactory } from 'fake-indexeddb';
+import { RecipeCacheStore } from '../repositories/RecipeCacheStore.js';
+
+// jsdom does not provide structuredClone, which fake-indexeddb relies on
+if (typeof global.structuredClone !== 'function') {
+  global.structuredClone = (value) => v8.deserialize(v8.serialize(value));
+}
+
+describe('RecipeCacheStore', () => {
+  let store;
+
+  beforeEach(() => {
+    // Fresh in-memory IndexedDB for every test
+    store = new RecipeCacheStore({ indexedDB: new IDBFactory() });
+  });
+
+  afterEach(async () => {
+    await store.close();
+  });
+
+  test('should report availability based on IndexedDB presence', () => {
+    expect(store.isAvailable()).toBe(true);
+    expect(new RecipeCacheStore({ indexedDB: null }).isAvailable()).toBe(Boolean(globalThis.indexedDB));
+  });
+
+  test('should persist and load cache entries', async () => {
+    await store.put('gulas', { data: { name: 'Guláš' }, timestamp: 1000 });
+    await store.put('babovka', { data: { name: 'Bábovka' }, timestamp: 2000 });
+
+    const entries = await store.loadAll();
+
+    expect(entries).toHaveLength(2);
+    expect(entries).toContainEqual({ key: 'gulas', data: { name: 'Guláš' }, timestamp: 1000 });
+    expect(entries).toContainEqual({ key: 'babovka', data: { name: 'Bábovka' }, timestamp: 2000 });
+  });
+
+  test('should load a single entry by key', async () => {
+    await store.put('gulas', { data: { name: 'Guláš' }, timestamp: 1000 });
+
+    expect(await store.get('gulas')).toEqual({ key: 'gulas', data: { name: 'Guláš' }, timestamp: 1000 });
+    expect(await store.get('babovka')).toBeNull();
+  });
+
+  test('should overwrite an entry stored under the same key', async () => {
+    await store.put('gulas', { data: { name: 'Guláš' }, timestamp: 1000 });
+    await store.put('gulas', { data: { name: 'Guláš', servings: 6 }, timestamp: 3000 });
+
+    const entries = await store.loadAll();
+
+    expect(entries).toEqual([{ key: 'gulas', data: { name: 'Guláš', servings: 6 }, timestamp: 3000 }]);
+  });
+
+  test('should delete and clear entries', async () => {
+    await store.put('gulas', { data: { name: 'Guláš' }, timestamp: 1000 });
+    await store.put('babovka', { data: { name: 'Bábovka' }, timestamp: 2000 });
+
+    await store.delete('gulas');
+    expect((await store.loadAll()).map(entry => entry.key)).toEqual(['babovka']);
+
+    await store.clear();
+    expect(await store.loadAll()).toEqual([]);
+  });
+
+  test('should survive reopening the database', async () => {
+    const factory = new IDBFactory();
+    const first = new RecipeCacheStore({ indexedDB: factory });
+    await first.put('gulas', { data: { name: 'Guláš' }, timestamp: 1000 });
+    await first.close();
+
+    const second = new RecipeCacheStore({ indexedDB: factory });
+    const entries = await second.loadAll();
+    await second.close();
+
+    expect(entries).toHaveLength(1);
+    expect(entries[0].data.name).toBe('Guláš');
+  });
+
+  test('should store metadata values', async () => {
+    await store.setMeta('lastSync', 12345);
+    expect(await store.getMeta('lastSync')).toBe(12345);
+    expect(await store.getMeta('missing')).toBeUndefined();
+  });
+
+  test('should persist queued operations oldest first', async () => {
+    await store.putOperation('update-gulas', { type: 'update', recipeName: 'Guláš', timestamp: 2000, attempts: 0 });
+    await store.putOperation('create-gulas', { type: 'create', recipeName: 'Guláš', timestamp: 1000, attempts: 0 });
+
+    const operations = await store.loadOperations();
+
+    expect(operations.map(op => op.id)).toEqual(['create-gulas', 'update-gulas']);
+    expect(operations[0]).toEqual({ id: 'create-gulas', type: 'create', recipeName: 'Guláš', timestamp: 1000, attempts: 0 });
+  });
+
+  test('should delete queued operations and keep them when the recipe cache is cleared', async () => {
+    await store.putOperation('create-gulas', { type: 'create', recipeName: 'Guláš', timestamp: 1000, attempts: 0 });
+    await store.putOperation('delete-babovka', { type: 'delete', recipeName: 'Bábovka', timestamp: 2000, attempts: 0 });
+
+    await store.clear();
+    await store.deleteOperation('create-gulas');
+
+    expect((await store.loadOperations()).map(op => op.id)).toEqual(['delete-babovka']);
+  });
+
+  test('should reject when IndexedDB is unavailable', async () => {
+    const unavailable = new RecipeCacheStore();
+    unavailable.indexedDB = null;
+
+    await expect(unavailable.loadAll()).rejects.toThrow('IndexedDB is not available');
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Unit tests for the recipe mode manager: push access, read-only state and cache names
+ */
+
+import { jest } from '@jest/globals';
+import { RecipeModeManager, RecipeMode } from '../adapters/RecipeModeManager.js';
+import { gitHubAPIAdapter } from '../adapters/GitHubAPIAdapter.js';
+import { repositorySettings } from '../config/repositorySettings.js';
+
+describe('RecipeModeManager', () => {
+  let manager;
+  let checkWriteAccess;
+
+  beforeEach(() => {
+    localStorage.clear();
+    manager = new RecipeModeManager();
+    manager.setMode(RecipeMode.AUTHENTICATED);
+    checkWriteAccess = jest.spyOn(gitHubAPIAdapter, 'checkWriteAccess');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    localStorage.clear();
+  });
+
+  describe('verifyWriteAccess()', () => {
+    test('should allow editing with push access', async () => {
+      checkWriteAccess.mockResolvedValue({ canPush: true, reason: null, scopes: ['repo'] });
+
+      expect(await manager.verifyWriteAccess()).toBe(true);
+      expect(manager.isReadOnly()).toBe(false);
+      expect(manager.getReadOnlyReason()).toBeNull();
+      expect(manager.canEdit()).toBe(true);
+      expect(manager.canDraft()).toBe(true);
+      expect(manager.canSuggest()).toBe(false);
+    });
+
+    test('should offer suggestions to users without push permission', async () => {
+      checkWriteAccess.mockResolvedValue({ canPush: false, reason: 'permission', scopes: ['repo'] });
+
+      expect(await manager.verifyWriteAccess()).toBe(false);
+      expect(manager.isReadOnly()).toBe(true);
+      expect(manager.getReadOnlyReason()).toBe('permission');
+      expect(manager.canEdit()).toBe(false);
+      expect(manager.canDraft()).toBe(false);
+      expect(manager.canSuggest()).toBe(true);
+    });
+
+    test('should not offer suggestions when the token lacks the repo scope', async () => {
+      checkWriteAccess.mockResolvedValue({ canPush: false, reason: 'scope', scopes: ['read:user'] });
+
+      expect(await manager.verifyWriteAccess()).toBe(false);
+      expect(manager.getReadOnlyReason()).toBe('scope');
+      expect(manager.canEdit()).toBe(false);
+      expect(manager.canSuggest()).toBe(false);
+    });
+
+    test('should clear the read-only state when the check fails', async () => {
+      checkWriteAccess.mockResolvedValueOnce({ canPush: false, reason: 'permission', scopes: ['repo'] });
+      await manager.verifyWriteAccess();
+
+      checkWriteAccess.mockRejectedValueOnce(new Error('Network is unavailable'));
+
+      expect(await manager.verifyWriteAccess()).toBe(true);
+      expect(manager.isReadOnly()).toBe(false);
+      expect(manager.canEdit()).toBe(true);
+    });
+
+    test('should notify listeners only when the read-only state changes', async () => {
+      const listener = jest.fn();
+      const unsubscribe = manager.onModeChange(listener);
+      checkWriteAccess.mockResolvedValue({ canPush: false, reason: 'permission', scopes: ['repo'] });
+
+      await manager.verifyWriteAccess();
+      await manager.verifyWriteAccess();
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener).toHaveBeenCalledWith({
+        previousMode: RecipeMode.AUTHENTICATED,
+        currentMode: RecipeMode.AUTHENTICATED,
+        readOnly: true
+      });
+
+      unsubscribe();
+      checkWriteAccess.mockResolvedValue({ canPush: true, reason: null, scopes: ['repo'] });
+      await manager.verifyWriteAccess();
+      expect(listener).toHaveBeenCalledTimes(1);
+    });
+
+    test('should only be read-only while signed in to GitHub', async () => {
+      checkWriteAccess.mockResolvedValue({ canPush: false, reason: 'permission', scopes: ['repo'] });
+      await manager.verifyWriteAccess();
+
+      manager.setMode(RecipeMode.LOCAL);
+
+      expect(manager.isReadOnly()).toBe(false);
+      expect(manager.getReadOnlyReason()).toBeNull();
+      expect(manager.canEdit()).toBe(true);
+    });
+  });
+
+  describe('getCacheName()', () => {
+    test('should use the default cache for the default GitHub repository', () => {
+      expect(manager.getCacheName()).toBeNull();
+
+      manager.setMode(RecipeMode.PUBLIC);
+      expect(manager.getCacheName()).toBeNull();
+    });
+
+    test('should keep other repositories and local mode apart', () => {
+      repositorySettings.save({ owner: 'babicka', repo: 'recepty' });
+      expect(manager.getCacheName()).toBe(`kuchtik:babicka/recepty@${repositorySettings.branch}:${repositorySettings.recipesPath}`);
+
+      manager.setMode(RecipeMode.LOCAL);
+      expect(manager.getCacheName()).toBe('kuchtik:local');
+    });
+  });
+});
@@ -10,6 +10,10 @@ import RecipeRepository, {
   SyncStrategy, 
   RepositoryEvents 
 } from '../repositories/RecipeRepository.js';
+import { RecipeConflictError } from '../utils/recipeMerge.js';
+import { RateLimitError } from '../utils/rateLimit.js';
+import { AuthError, NotFoundError, ReadOnlyError, ValidationError } from '../utils/errors.js';
+import { CURRENT_SCHEMA_VERSION } from '../utils/recipeMigrations.js';
 
 // Mock GitHub API integration
 class MockGitHubAPI {
@@ -92,6 +96,53 @@ class MockGitHubAPI {
   }
 }
 
+// In-memory stand-in for the IndexedDB-backed RecipeCacheStore
+class MockCacheStore {
+  constructor(entries = [], operations = []) {
+    this.entries = new Map(entries.map(({ key, ...entry }) => [key, entry]));
+    this.operations = new Map(operations.map(({ id, ...operation }) => [id, operation]));
+  }
+
+  async loadAll() {
+    return Array.from(this.entries.entries()).map(([key, entry]) => ({ key, ...entry }));
+  }
+
+  async put(key, entry) {
+    this.entries.set(key, { data: entry.data, timestamp: entry.timestamp });
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+
+  async getMeta(key) {
+    return this.meta?.get(key);
+  }
+
+  async setMeta(key, value) {
+    this.meta = this.meta || new Map();
+    this.meta.set(key, value);
+  }
+
+  async loadOperations() {
+    return Array.from(this.operations.entries())
+      .map(([id, operation]) => ({ id, ...operation }))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  async putOperation(id, operation) {
+    this.operations.set(id, { ...operation });
+  }
+
+  async deleteOperation(id) {
+    this.operations.delete(id);
+  }
+}
+
 describe('RecipeRepository', () => {
   let repository;
   let mockGitHubAPI;
@@ -99,11 +150,12 @@ describe('RecipeRepository', () => {
 
   // Sample recipe data
   const sampleRecipe = {
+    schemaVersion: CURRENT_SCHEMA_VERSION,
     name: 'Test Recipe',
     description: 'A test recipe',
     ingredients: [
-      { name: 'ingredient1', amount: '1 cup', unit: 'cup' },
-      { name: 'ingredient2', amount: '2 tbsp', unit: 'tbsp' }
+      { text: '1 cup ingredient1', exportDefault: true },
+      { text: '2 tbsp ingredient2', exportDefault: true }
     ],
     instructions: ['Step 1', 'Step 2'],
     prepTime: 10,
@@ -112,9 +164,10 @@ describe('RecipeRepository', () => {
   };
 
   const sampleRecipe2 = {
+    schemaVersion: CURRENT_SCHEMA_VERSION,
     name: 'Another Recipe',
     description: 'Another test recipe',
-    ingredients: [{ name: 'flour', amount: '2 cups' }],
+    ingredients: [{ text: '2 cups flour', exportDefault: true }],
     instructions: ['Mix everything'],
     servings: 2
   };
@@ -382,6 +435,17 @@ describe('RecipeRepository', () => {
       expect(syncStatus.pendingOperations[0].type).toBe(OperationType.CREATE);
       expect(syncStatus.pendingOperations[0].recipeName).toBe(sampleRecipe.name);
     });
+
+    test('should reject recipes that do not match the schema before queueing them', async () => {
+      const invalid = { ...sampleRecipe, instructions: [], ingredients: [{ text: ' ' }] };
+
+      const error = await repository.create(invalid, { syncStrategy: SyncStrategy.DELAYED }).catch(caught => caught);
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.issues.map(issue => issue.path)).toEqual(['/ingredients/0/text', '/instructions']);
+      expect(repository.getSyncStatus().pendingCount).toBe(0);
+      expect(eventCallbacks[RepositoryEvents.RECIPE_CREATED]).not.toHaveBeenCalled();
+    });
   });
 
   describe('update()', () => {
@@ -606,6 +670,1189 @@ describe('RecipeRepository', () => {
     });
   });
 
+  // ============================================================================
+  // PERSISTENT CACHE AND OFFLINE MODE TESTS
+  // ============================================================================
+
+  describe('Persistent Cache', () => {
+    let cacheStore;
+    let persistentRepo;
+
+    const flushPromises = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    beforeEach(() => {
+      cacheStore = new MockCacheStore();
+      persistentRepo = new RecipeRepository({
+        cacheTimeout: 1000,
+        syncStrategy: SyncStrategy.IMMEDIATE,
+        enableLogging: false,
+        cacheStore
+      });
+      persistentRepo.setGitHubAPI(mockGitHubAPI);
+    });
+
+    afterEach(() => {
+      persistentRepo.cleanup();
+    });
+
+    test('should write loaded recipes through to the persistent store', async () => {
+      mockGitHubAPI.addMockFile('test-recipe.json', sampleRecipe);
+
+      await persistentRepo.getAll();
+      await flushPromises();
+
+      const entries = await cacheStore.loadAll();
+      expect(entries).toHaveLength(1);
+      expect(entries[0].key).toBe('test-recipe');
+      expect(entries[0].data).toEqual(sampleRecipe);
+    });
+
+    test('should hydrate the in-memory cache from the persistent store', async () => {
+      cacheStore = new MockCacheStore([{ key: 'test-recipe', data: sampleRecipe, timestamp: Date.now() }]);
+      const repo = new RecipeRepository({ enableLogging: false, cacheStore });
+      repo.setGitHubAPI(mockGitHubAPI);
+      mockGitHubAPI.setNetworkFailure(true);
+
+      const restored = await repo.hydrate();
+      const recipes = await repo.getAll();
+
+      expect(restored).toBe(1);
+      expect(recipes).toEqual([sampleRecipe]);
+      repo.cleanup();
+    });
+
+    test('should keep the cache and upload queue of each recipe source apart', async () => {
+      const stores = { 'kuchtik:local': new MockCacheStore([{ key: 'babovka', data: sampleRecipe2, timestamp: Date.now() }]) };
+      const repo = new RecipeRepository({
+        syncStrategy: SyncStrategy.MANUAL,
+        enableLogging: false,
+        cacheStore,
+        openCacheStore: name => (name ? stores[name] : cacheStore)
+      });
+      repo.setGitHubAPI(mockGitHubAPI);
+      repo.setCachedRecipe('test-recipe', sampleRecipe);
+      await repo.create(sampleRecipe2);
+
+      expect(repo.setCacheName('kuchtik:local')).toBe(true);
+      await repo.hydrate();
+
+      expect(repo.getCachedRecipes()).toEqual([sampleRecipe2]);
+      expect(repo.getSyncStatus().pendingCount).toBe(0);
+      expect(await repo.replayPendingOperations()).toBe(0);
+
+      repo.setCacheName(null);
+      await repo.hydrate();
+
+      expect(repo.getSyncStatus().pendingCount).toBe(1);
+      expect(repo.setCacheName(null)).toBe(false);
+      repo.cleanup();
+    });
+
+    test('should leave changes queued while the source is read-only', async () => {
+      await persistentRepo.create(sampleRecipe, { syncStrategy: SyncStrategy.MANUAL });
+      mockGitHubAPI.isReadOnly = () => true;
+
+      expect(await persistentRepo.replayPendingOperations()).toBe(0);
+      expect(persistentRepo.getSyncStatus().pendingCount).toBe(1);
+    });
+
+    test('should remove deleted recipes from the persistent store', async () => {
+      mockGitHubAPI.addMockFile('test-recipe.json', sampleRecipe);
+      await persistentRepo.getAll();
+
+      await persistentRepo.delete('test-recipe.json');
+      await flushPromises();
+
+      expect(await cacheStore.loadAll()).toEqual([]);
+    });
+
+    test('should serve stale recipes instantly and revalidate in the background', async () => {
+      cacheStore = new MockCacheStore([{ key: 'test-recipe', data: sampleRecipe, timestamp: Date.now() - 5000 }]);
+      const repo = new RecipeRepository({ cacheTimeout: 1000, enableLogging: false, cacheStore });
+      repo.setGitHubAPI(mockGitHubAPI);
+      await repo.hydrate();
+
+      const updatedRecipe = { ...sampleRecipe, description: 'Fresh from GitHub' };
+      mockGitHubAPI.addMockFile('test-recipe.json', updatedRecipe);
+      const recipesUpdated = jest.fn();
+      repo.on(RepositoryEvents.RECIPES_UPDATED, recipesUpdated);
+
+      const recipes = await repo.getAll();
+      expect(recipes[0].description).toBe('A test recipe');
+
+      await repo.revalidation;
+      expect(recipesUpdated).toHaveBeenCalledWith([updatedRecipe]);
+      expect((await repo.getAll())[0].description).toBe('Fresh from GitHub');
+      repo.cleanup();
+    });
+
+    test('should drop recipes deleted at the source on a full reload, but not unsent ones', async () => {
+      const stale = Date.now() - 5000;
+      cacheStore = new MockCacheStore([
+        { key: 'test-recipe', data: sampleRecipe, timestamp: stale },
+        { key: 'another-recipe', data: sampleRecipe2, timestamp: stale }
+      ]);
+      const repo = new RecipeRepository({ cacheTimeout: 1000, syncStrategy: SyncStrategy.MANUAL, enableLogging: false, cacheStore });
+      repo.setGitHubAPI(mockGitHubAPI);
+      await repo.hydrate();
+      mockGitHubAPI.addMockFile('test-recipe.json', sampleRecipe);
+      const unsent = { ...sampleRecipe2, name: 'Unsent Recipe' };
+      await repo.create(unsent);
+
+      await repo.revalidate();
+      await flushPromises();
+
+      expect(repo.getCachedRecipes().map(recipe => recipe.name).sort()).toEqual(['Test Recipe', 'Unsent Recipe']);
+      expect((await cacheStore.loadAll()).map(entry => entry.key).sort()).toEqual(['test-recipe', 'unsent-recipe']);
+      repo.cleanup();
+    });
+
+    test('should drop recipes deleted at the source on a forced progressive load', async () => {
+      cacheStore = new MockCacheStore([
+        { key: 'test-recipe', data: sampleRecipe, timestamp: Date.now() },
+        { key: 'another-recipe', data: sampleRecipe2, timestamp: Date.now() }
+      ]);
+      const repo = new RecipeRepository({ enableLogging: false, cacheStore });
+      repo.setGitHubAPI(mockGitHubAPI);
+      await repo.hydrate();
+      mockGitHubAPI.addMockFile('test-recipe.json', sampleRecipe);
+
+      const recipes = await repo.getAllProgressive({ forceRefresh: true });
+      await flushPromises();
+
+      expect(recipes).toEqual([sampleRecipe]);
+      expect(repo.getCachedRecipes()).toEqual([sampleRecipe]);
+      expect((await cacheStore.loadAll()).map(entry => entry.key)).toEqual(['test-recipe']);
+      repo.cleanup();
+    });
+
+    test('should revalidate stale recipes after progressive loading', async () => {
+      cacheStore = new MockCacheStore([{ key: 'test-recipe', data: sampleRecipe, timestamp: Date.now() - 5000 }]);
+      const repo = new RecipeRepository({ cacheTimeout: 1000, enableLogging: false, cacheStore });
+      repo.setGitHubAPI(mockGitHubAPI);
+      await repo.hydrate();
+      mockGitHubAPI.addMockFile('test-recipe.json', { ...sampleRecipe, servings: 8 });
+
+      const onRecipeLoaded = jest.fn();
+      const recipes = await repo.getAllProgressive({ onRecipeLoaded });
+
+      expect(recipes).toEqual([sampleRecipe]);
+      expect(onRecipeLoaded).toHaveBeenCalledWith(sampleRecipe, 0);
+      expect(repo.revalidation).not.toBeNull();
+
+      await repo.revalidation;
+      expect(repo.getCachedRecipes()[0].servings).toBe(8);
+      repo.cleanup();
+    });
+
+    test('should fall back to stale recipes when the source fails', async () => {
+      cacheStore = new MockCacheStore([{ key: 'test-recipe', data: sampleRecipe, timestamp: Date.now() - 5000 }]);
+      const repo = new RecipeRepository({ cacheTimeout: 1000, enableLogging: false, cacheStore });
+      repo.setGitHubAPI(mockGitHubAPI);
+      await repo.hydrate();
+      mockGitHubAPI.setNetworkFailure(true);
+
+      const recipes = await repo.getAll({ forceRefresh: true });
+
+      expect(recipes).toEqual([sampleRecipe]);
+      expect(repo.getState()).toBe(RepositoryState.IDLE);
+      repo.cleanup();
+    });
+
+    test('should never hit the network in offline mode', async () => {
+      cacheStore = new MockCacheStore([{ key: 'test-recipe', data: sampleRecipe, timestamp: Date.now() - 5000 }]);
+      const repo = new RecipeRepository({ cacheTimeout: 1000, enableLogging: false, offlineMode: true, cacheStore });
+      repo.setGitHubAPI(mockGitHubAPI);
+      await repo.hydrate();
+      const getFileListSpy = jest.spyOn(mockGitHubAPI, 'getFileList');
+
+      const recipes = await repo.getAll({ forceRefresh: true });
+      const single = await repo.getByName('test-recipe.json');
+
+      expect(recipes).toEqual([sampleRecipe]);
+      expect(single).toEqual(sampleRecipe);
+      expect(getFileListSpy).not.toHaveBeenCalled();
+      expect(repo.revalidation).toBeNull();
+      repo.cleanup();
+    });
+
+    test('should return an empty list offline when nothing is cached', async () => {
+      const repo = new RecipeRepository({ enableLogging: false, offlineMode: true, cacheStore });
+      repo.setGitHubAPI(mockGitHubAPI);
+
+      await expect(repo.getAll()).resolves.toEqual([]);
+      repo.cleanup();
+    });
+  });
+
+  describe('Incremental Sync', () => {
+    let treeAPI;
+    let syncRepo;
+
+    const withSha = (recipe, id, sha) => ({ schemaVersion: CURRENT_SCHEMA_VERSION, ...recipe, metadata: { id, sha } });
+    const gulas = withSha({ name: 'Guláš', tags: [] }, 'gulas', 'sha-gulas-1');
+    const bramboraky = withSha({ name: 'Bramboráky', tags: [] }, 'bramboraky', 'sha-bramboraky-1');
+    const svickova = withSha({ name: 'Svíčková', tags: [] }, 'svickova', 'sha-svickova-1');
+
+    // Adapter exposing blob shas like the GitHub adapters
+    const createTreeAPI = () => {
+      const api = {
+        treeSha: 'tree-1',
+        blobs: new Map([['gulas.json', gulas], ['bramboraky.json', bramboraky]]),
+        getRecipeTree: jest.fn(async () => ({
+          sha: api.treeSha,
+          files: Array.from(api.blobs.entries()).map(([filename, recipe]) => ({ filename, sha: recipe.metadata.sha }))
+        })),
+        getFiles: jest.fn(async files => files.map(({ filename }) => ({ ...api.blobs.get(filename) }))),
+        getAllFiles: jest.fn(async () => Array.from(api.blobs.values()).map(recipe => ({ ...recipe }))),
+        createFile: jest.fn(async () => ({}))
+      };
+      return api;
+    };
+
+    beforeEach(async () => {
+      treeAPI = createTreeAPI();
+      syncRepo = new RecipeRepository({ syncStrategy: SyncStrategy.MANUAL, persistentCache: false, enableLogging: false });
+      syncRepo.setGitHubAPI(treeAPI);
+      await syncRepo.getAll();
+    });
+
+    afterEach(() => {
+      syncRepo.cleanup();
+    });
+
+    test('should download only added and changed recipes and drop deleted ones', async () => {
+      const recipesChanged = jest.fn();
+      syncRepo.on(RepositoryEvents.RECIPES_CHANGED, recipesChanged);
+      const updatedGulas = withSha({ name: 'Guláš', tags: ['maso'] }, 'gulas', 'sha-gulas-2');
+      treeAPI.treeSha = 'tree-2';
+      treeAPI.blobs.set('gulas.json', updatedGulas);
+      treeAPI.blobs.delete('bramboraky.json');
+      treeAPI.blobs.set('svickova.json', svickova);
+
+      const diff = await syncRepo.syncChanges();
+
+      expect(treeAPI.getFiles).toHaveBeenCalledWith([
+        { filename: 'gulas.json', sha: 'sha-gulas-2' },
+        { filename: 'svickova.json', sha: 'sha-svickova-1' }
+      ]);
+      expect(diff).toEqual({ added: [svickova], changed: [updatedGulas], removed: [bramboraky] });
+      expect(recipesChanged).toHaveBeenCalledWith(diff);
+      expect(syncRepo.getCachedRecipes().map(recipe => recipe.name).sort()).toEqual(['Guláš', 'Svíčková']);
+    });
+
+    test('should skip downloads when the tree sha did not change', async () => {
+      await syncRepo.syncChanges();
+      treeAPI.getFiles.mockClear();
+      const recipesChanged = jest.fn();
+      syncRepo.on(RepositoryEvents.RECIPES_CHANGED, recipesChanged);
+
+      const diff = await syncRepo.syncChanges();
+
+      expect(diff).toEqual({ added: [], changed: [], removed: [] });
+      expect(treeAPI.getFiles).not.toHaveBeenCalled();
+      expect(recipesChanged).not.toHaveBeenCalled();
+    });
+
+    test('should leave recipes with queued local changes alone', async () => {
+      await syncRepo.delete('gulas.json');
+      treeAPI.treeSha = 'tree-2';
+      treeAPI.blobs.set('gulas.json', withSha({ name: 'Guláš', tags: ['remote'] }, 'gulas', 'sha-gulas-2'));
+
+      const diff = await syncRepo.syncChanges();
+
+      expect(diff.changed).toEqual([]);
+      expect(syncRepo.getCachedRecipes().map(recipe => recipe.name)).toEqual(['Bramboráky']);
+    });
+
+    test('should revalidate incrementally once the cache is filled', async () => {
+      treeAPI.treeSha = 'tree-2';
+      treeAPI.blobs.set('svickova.json', svickova);
+
+      await syncRepo.revalidate();
+
+      expect(treeAPI.getAllFiles).toHaveBeenCalledTimes(1); // Initial load only
+      expect(treeAPI.getFiles).toHaveBeenCalledWith([{ filename: 'svickova.json', sha: 'sha-svickova-1' }]);
+      expect(syncRepo.getCachedRecipes()).toHaveLength(3);
+    });
+
+    test('should stream progressive loading from the adapter batch loader', async () => {
+      const repo = new RecipeRepository({ persistentCache: false, enableLogging: false });
+      repo.setGitHubAPI(treeAPI);
+      treeAPI.getAllFiles.mockImplementation(async ({ onRecipe }) => {
+        const recipes = [{ ...gulas }, { ...bramboraky }];
+        await onRecipe(recipes[0], 2);
+        return recipes; // Second recipe only handed over at the end
+      });
+      const onRecipeLoaded = jest.fn();
+      const onProgress = jest.fn();
+
+      const recipes = await repo.getAllProgressive({ forceRefresh: true, onRecipeLoaded, onProgress });
+
+      expect(recipes.map(recipe => recipe.name)).toEqual(['Guláš', 'Bramboráky']);
+      expect(onRecipeLoaded.mock.calls.map(([recipe, index]) => [recipe.name, index])).toEqual([['Guláš', 0], ['Bramboráky', 1]]);
+      expect(onProgress.mock.calls).toEqual([[1, 2], [2, 2]]);
+      expect(treeAPI.getFiles).not.toHaveBeenCalled();
+      repo.cleanup();
+    });
+
+    test('should persist the tree sha and forget it when the cache is cleared', async () => {
+      const cacheStore = new MockCacheStore();
+      const repo = new RecipeRepository({ enableLogging: false, cacheStore });
+      repo.setGitHubAPI(treeAPI);
+      await repo.getAll();
+      await repo.syncChanges();
+
+      expect(await cacheStore.getMeta('treeSha')).toBe('tree-1');
+
+      repo.clearCache();
+      expect(repo.treeSha).toBeNull();
+      expect(await cacheStore.getMeta('treeSha')).toBeNull();
+      repo.cleanup();
+    });
+  });
+
+  describe('Durable Operation Queue', () => {
+    let cacheStore;
+    let queueRepo;
+
+    const flushPromises = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    const createQueueRepo = (options = {}) => {
+      const repo = new RecipeRepository({
+        maxRetries: 3,
+        retryDelay: 50,
+        syncStrategy: SyncStrategy.MANUAL,
+        enableLogging: false,
+        cacheStore,
+        ...options
+      });
+      repo.setGitHubAPI(mockGitHubAPI);
+      return repo;
+    };
+
+    beforeEach(() => {
+      cacheStore = new MockCacheStore();
+      mockGitHubAPI.networkDelay = 10;
+      queueRepo = createQueueRepo();
+    });
+
+    afterEach(() => {
+      queueRepo.cleanup();
+    });
+
+    test('should persist queued operations without their errors', async () => {
+      await queueRepo.create(sampleRecipe);
+      await flushPromises();
+
+      const operations = await cacheStore.loadOperations();
+      expect(operations).toHaveLength(1);
+      expect(operations[0]).toMatchObject({
+        type: OperationType.CREATE,
+        recipeName: sampleRecipe.name,
+        data: sampleRecipe,
+        attempts: 0
+      });
+      expect(operations[0].lastError).toBeUndefined();
+    });
+
+    test('should emit queue changes', async () => {
+      const queueChanged = jest.fn();
+      queueRepo.on(RepositoryEvents.QUEUE_CHANGED, queueChanged);
+
+      await queueRepo.create(sampleRecipe);
+      await queueRepo.replayPendingOperations();
+
+      expect(queueChanged).toHaveBeenNthCalledWith(1, { pendingCount: 1 });
+      expect(queueChanged).toHaveBeenLastCalledWith({ pendingCount: 0 });
+    });
+
+    test('should restore and replay operations from a previous session in order', async () => {
+      await queueRepo.create(sampleRecipe);
+      await queueRepo.update('test-recipe.json', { ...sampleRecipe, servings: 6 });
+      await queueRepo.create(sampleRecipe2);
+      await flushPromises();
+      queueRepo.cleanup();
+
+      // Simulate a reload: fresh repository over the same store
+      const reloaded = createQueueRepo();
+      await reloaded.hydrate();
+      expect(reloaded.getSyncStatus().pendingCount).toBe(3);
+
+      const calls = [];
+      for (const method of ['createFile', 'updateFile']) {
+        const original = mockGitHubAPI[method].bind(mockGitHubAPI);
+        jest.spyOn(mockGitHubAPI, method).mockImplementation(async (filename, data) => {
+          calls.push(`${method}:${filename}`);
+          return original(filename, data);
+        });
+      }
+
+      const synced = await reloaded.replayPendingOperations();
+      await flushPromises();
+
+      expect(synced).toBe(3);
+      expect(calls).toEqual([
+        'createFile:test-recipe.json',
+        'updateFile:test-recipe.json',
+        'createFile:another-recipe.json'
+      ]);
+      expect(mockGitHubAPI.files.get('test-recipe.json').servings).toBe(6);
+      expect(reloaded.getSyncStatus().pendingCount).toBe(0);
+      expect(await cacheStore.loadOperations()).toEqual([]);
+      reloaded.cleanup();
+    });
+
+    test('should stop replaying at the first failure and keep the rest queued', async () => {
+      await queueRepo.create(sampleRecipe);
+      await queueRepo.create(sampleRecipe2);
+      mockGitHubAPI.setNetworkFailure(true);
+      const syncFailed = jest.fn();
+      queueRepo.on(RepositoryEvents.SYNC_FAILED, syncFailed);
+
+      const synced = await queueRepo.replayPendingOperations();
+      await flushPromises();
+
+      expect(synced).toBe(0);
+      expect(syncFailed).toHaveBeenCalledWith(expect.objectContaining({ remaining: 2 }));
+      expect(queueRepo.getSyncStatus().pendingOperations.map(op => op.recipeName))
+        .toEqual([sampleRecipe.name, sampleRecipe2.name]);
+
+      // Attempt count survives a reload
+      const operations = await cacheStore.loadOperations();
+      expect(operations[0].attempts).toBe(1);
+    });
+
+    test('should keep immediate changes queued while offline', async () => {
+      const offlineRepo = createQueueRepo({ syncStrategy: SyncStrategy.IMMEDIATE, offlineMode: true });
+      const createSpy = jest.spyOn(mockGitHubAPI, 'createFile');
+
+      await offlineRepo.create(sampleRecipe);
+      const status = offlineRepo.getSyncStatus();
+
+      expect(createSpy).not.toHaveBeenCalled();
+      expect(status.pendingCount).toBe(1);
+      expect(status.offline).toBe(true);
+      expect(await offlineRepo.replayPendingOperations()).toBe(0);
+      offlineRepo.cleanup();
+    });
+
+    test('should replay queued operations when the browser comes back online', async () => {
+      await queueRepo.create(sampleRecipe);
+
+      window.dispatchEvent(new window.Event('online'));
+      await queueRepo.replaying;
+
+      expect(mockGitHubAPI.files.has('test-recipe.json')).toBe(true);
+      expect(queueRepo.getSyncStatus().pendingCount).toBe(0);
+    });
+
+    test('should stop listening for reconnects after cleanup', async () => {
+      await queueRepo.create(sampleRecipe);
+      const replaySpy = jest.spyOn(queueRepo, 'replayPendingOperations');
+      queueRepo.cleanup();
+
+      window.dispatchEvent(new window.Event('online'));
+
+      expect(replaySpy).not.toHaveBeenCalled();
+    });
+
+    test('should keep rate-limited operations queued and replay them after the reset', async () => {
+      await queueRepo.create(sampleRecipe);
+      jest.spyOn(mockGitHubAPI, 'createFile').mockRejectedValueOnce(new RateLimitError(Date.now() + 30));
+
+      expect(await queueRepo.replayPendingOperations()).toBe(0);
+      const [operation] = queueRepo.getSyncStatus().pendingOperations;
+      expect(operation.attempts).toBe(0); // The limit is not the operation's fault
+
+      await new Promise(resolve => setTimeout(resolve, 80));
+      await queueRepo.replaying;
+
+      expect(mockGitHubAPI.files.has('test-recipe.json')).toBe(true);
+      expect(queueRepo.getSyncStatus().pendingCount).toBe(0);
+    });
+
+    test('should not replay an immediate operation that failed and was rolled back', async () => {
+      const immediateRepo = createQueueRepo({ syncStrategy: SyncStrategy.IMMEDIATE });
+      mockGitHubAPI.setNetworkFailure(true);
+
+      await expect(immediateRepo.create(sampleRecipe)).rejects.toThrow('Network error');
+      await flushPromises();
+
+      expect(immediateRepo.getSyncStatus().pendingCount).toBe(0);
+      expect(await cacheStore.loadOperations()).toEqual([]);
+      immediateRepo.cleanup();
+    });
+
+    test('should pause and keep changes when the token is rejected', async () => {
+      const immediateRepo = createQueueRepo({ syncStrategy: SyncStrategy.IMMEDIATE });
+      const syncPaused = jest.fn();
+      immediateRepo.on(RepositoryEvents.SYNC_PAUSED, syncPaused);
+      const createSpy = jest.spyOn(mockGitHubAPI, 'createFile')
+        .mockRejectedValueOnce(new AuthError('Failed to create file: 401', { status: 401 }));
+
+      // The caller sees a normal save; the change waits for a new token
+      await expect(immediateRepo.create(sampleRecipe)).resolves.toEqual(sampleRecipe);
+      await immediateRepo.update('test-recipe.json', { ...sampleRecipe, servings: 6 });
+
+      expect(syncPaused).toHaveBeenCalledTimes(1);
+      expect(createSpy).toHaveBeenCalledTimes(1);
+      expect(immediateRepo.getSyncStatus()).toMatchObject({ paused: true, pendingCount: 2 });
+      expect(immediateRepo.getCachedRecipe('test-recipe.json').servings).toBe(6);
+      expect(await immediateRepo.replayPendingOperations()).toBe(0);
+      expect((await cacheStore.loadOperations())[0].attempts).toBe(0);
+      immediateRepo.cleanup();
+    });
+
+    test('should fail the save without pausing when GitHub refuses a write the token may not make', async () => {
+      const immediateRepo = createQueueRepo({ syncStrategy: SyncStrategy.IMMEDIATE });
+      const syncPaused = jest.fn();
+      immediateRepo.on(RepositoryEvents.SYNC_PAUSED, syncPaused);
+      mockGitHubAPI.isTokenExpired = () => false;
+      jest.spyOn(mockGitHubAPI, 'createFile')
+        .mockRejectedValueOnce(new AuthError('Failed to create recipe: 403 Resource not accessible by integration', { status: 403 }));
+
+      await expect(immediateRepo.create(sampleRecipe)).rejects.toBeInstanceOf(AuthError);
+      await flushPromises();
+
+      expect(syncPaused).not.toHaveBeenCalled();
+      expect(immediateRepo.getSyncStatus()).toMatchObject({ paused: false, pendingCount: 0 });
+      expect(immediateRepo.getCachedRecipes()).toEqual([]);
+      expect(await cacheStore.loadOperations()).toEqual([]);
+      immediateRepo.cleanup();
+    });
+
+    test('should pause on a 403 when the adapter reports the token as rejected', async () => {
+      const immediateRepo = createQueueRepo({ syncStrategy: SyncStrategy.IMMEDIATE });
+      mockGitHubAPI.isTokenExpired = () => true;
+      jest.spyOn(mockGitHubAPI, 'updateFile')
+        .mockRejectedValueOnce(new AuthError('Failed to update recipe: 403 Bad credentials', { status: 403 }));
+      immediateRepo.setCachedRecipe('test-recipe', sampleRecipe);
+
+      await expect(immediateRepo.update('test-recipe.json', { ...sampleRecipe, servings: 6 })).resolves.toBeTruthy();
+
+      expect(immediateRepo.getSyncStatus()).toMatchObject({ paused: true, pendingCount: 1 });
+      immediateRepo.cleanup();
+    });
+
+    test('should upload changes queued while paused after resuming', async () => {
+      const immediateRepo = createQueueRepo({ syncStrategy: SyncStrategy.IMMEDIATE });
+      const syncResumed = jest.fn();
+      immediateRepo.on(RepositoryEvents.SYNC_RESUMED, syncResumed);
+      immediateRepo.pauseSync();
+      await immediateRepo.create(sampleRecipe);
+      await immediateRepo.create(sampleRecipe2);
+
+      const synced = await immediateRepo.resumeSync();
+
+      expect(synced).toBe(2);
+      expect(syncResumed).toHaveBeenCalledWith({ pendingCount: 2 });
+      expect(mockGitHubAPI.files.has('another-recipe.json')).toBe(true);
+      expect(immediateRepo.getSyncStatus()).toMatchObject({ paused: false, pendingCount: 0 });
+      immediateRepo.cleanup();
+    });
+  });
+
+  describe('Batch Commits', () => {
+    let batchRepo;
+
+    beforeEach(() => {
+      mockGitHubAPI.networkDelay = 10;
+      mockGitHubAPI.commitBatch = jest.fn(async () => {
+        if (mockGitHubAPI.shouldFail) throw new Error('Failed to update branch: 422');
+        return { commitSha: 'abc1234', files: {} };
+      });
+      batchRepo = new RecipeRepository({
+        syncStrategy: SyncStrategy.BATCH,
+        batchDelay: 50,
+        persistentCache: false,
+        enableLogging: false
+      });
+      batchRepo.setGitHubAPI(mockGitHubAPI);
+    });
+
+    afterEach(() => {
+      batchRepo.cleanup();
+      delete mockGitHubAPI.commitBatch;
+    });
+
+    test('should write queued operations as a single commit', async () => {
+      mockGitHubAPI.addMockFile('another-recipe.json', sampleRecipe2);
+      batchRepo.setCachedRecipe('another-recipe', sampleRecipe2);
+
+      await batchRepo.create(sampleRecipe);
+      await batchRepo.delete('another-recipe.json');
+      const committed = await batchRepo.flushBatch();
+
+      expect(committed).toBe(2);
+      expect(mockGitHubAPI.commitBatch).toHaveBeenCalledTimes(1);
+      expect(mockGitHubAPI.commitBatch).toHaveBeenCalledWith([
+        { type: OperationType.CREATE, filename: 'test-recipe.json', data: sampleRecipe },
+        { type: OperationType.DELETE, filename: 'another-recipe.json' }
+      ]);
+      expect(batchRepo.getSyncStatus().pendingCount).toBe(0);
+    });
+
+    test('should commit the collected operations when batching is turned off', async () => {
+      await batchRepo.create(sampleRecipe);
+      await batchRepo.create(sampleRecipe2);
+
+      expect(await batchRepo.setSyncStrategy(SyncStrategy.IMMEDIATE)).toBe(2);
+      expect(mockGitHubAPI.commitBatch).toHaveBeenCalledTimes(1);
+      expect(batchRepo.config.syncStrategy).toBe(SyncStrategy.IMMEDIATE);
+
+      await batchRepo.create({ ...sampleRecipe, name: 'Third Recipe' });
+      expect(mockGitHubAPI.commitBatch).toHaveBeenCalledTimes(1);
+      expect(batchRepo.getSyncStatus().pendingCount).toBe(0);
+      await expect(batchRepo.setSyncStrategy('whenever')).rejects.toBeInstanceOf(ValidationError);
+    });
+
+    test('should commit automatically after the batch delay', async () => {
+      const syncCompleted = jest.fn();
+      batchRepo.on(RepositoryEvents.SYNC_COMPLETED, syncCompleted);
+
+      await batchRepo.create(sampleRecipe);
+      await batchRepo.create(sampleRecipe2);
+      expect(mockGitHubAPI.commitBatch).not.toHaveBeenCalled();
+
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      expect(mockGitHubAPI.commitBatch).toHaveBeenCalledTimes(1);
+      expect(mockGitHubAPI.commitBatch.mock.calls[0][0]).toHaveLength(2);
+      expect(syncCompleted).toHaveBeenCalledWith({ operationCount: 2, commitSha: 'abc1234' });
+    });
+
+    test('should collapse several edits of the same recipe into its final state', async () => {
+      await batchRepo.create(sampleRecipe);
+      await batchRepo.update('test-recipe.json', { ...sampleRecipe, servings: 8 });
+      await batchRepo.create(sampleRecipe2);
+      await batchRepo.delete('another-recipe.json');
+
+      await batchRepo.flushBatch();
+
+      expect(mockGitHubAPI.commitBatch).toHaveBeenCalledWith([
+        { type: OperationType.CREATE, filename: 'test-recipe.json', data: { ...sampleRecipe, servings: 8 } }
+      ]);
+    });
+
+    test('should keep the version before the batch and the commit options of each change', async () => {
+      batchRepo.setCachedRecipe('test-recipe', sampleRecipe);
+      const commit = { note: 'Pro osm', coAuthors: ['@babicka'] };
+
+      await batchRepo.update('test-recipe.json', { ...sampleRecipe, servings: 6 });
+      await batchRepo.update('test-recipe.json', { ...sampleRecipe, servings: 8 }, { commit });
+      await batchRepo.flushBatch();
+
+      expect(mockGitHubAPI.commitBatch).toHaveBeenCalledWith([
+        { type: OperationType.UPDATE, filename: 'test-recipe.json', data: { ...sampleRecipe, servings: 8 }, previous: sampleRecipe, commit }
+      ]);
+    });
+
+    test('should route syncAll through a single batch commit', async () => {
+      await batchRepo.create(sampleRecipe, { syncStrategy: SyncStrategy.MANUAL });
+      await batchRepo.create(sampleRecipe2, { syncStrategy: SyncStrategy.MANUAL });
+
+      await batchRepo.syncAll();
+
+      expect(mockGitHubAPI.commitBatch).toHaveBeenCalledTimes(1);
+      expect(batchRepo.getSyncStatus().pendingCount).toBe(0);
+    });
+
+    test('should keep the batch queued when the branch kept moving', async () => {
+      batchRepo.setCachedRecipe('another-recipe', sampleRecipe2);
+      await batchRepo.create(sampleRecipe);
+      await batchRepo.update('another-recipe.json', { ...sampleRecipe2, servings: 12 });
+      mockGitHubAPI.setNetworkFailure(true);
+      const syncFailed = jest.fn();
+      batchRepo.on(RepositoryEvents.SYNC_FAILED, syncFailed);
+
+      await expect(batchRepo.flushBatch()).rejects.toThrow('Failed to update branch: 422');
+
+      expect(batchRepo.getSyncStatus().pendingCount).toBe(2);
+      expect(batchRepo.getCachedRecipes()).toHaveLength(2);
+      expect(syncFailed).toHaveBeenCalledWith(expect.objectContaining({ batch: true, rolledBack: false }));
+
+      mockGitHubAPI.setNetworkFailure(false);
+      await batchRepo.flushBatch();
+      expect(batchRepo.getSyncStatus().pendingCount).toBe(0);
+    });
+
+    test('should roll back every optimistic change when GitHub cannot take the batch', async () => {
+      batchRepo.setCachedRecipe('another-recipe', sampleRecipe2);
+      await batchRepo.create(sampleRecipe);
+      await batchRepo.update('another-recipe.json', { ...sampleRecipe2, servings: 12 });
+      mockGitHubAPI.commitBatch.mockRejectedValueOnce(new NotFoundError('another-recipe', 'Recipe not found: another-recipe'));
+      const syncFailed = jest.fn();
+      batchRepo.on(RepositoryEvents.SYNC_FAILED, syncFailed);
+
+      await expect(batchRepo.flushBatch()).rejects.toBeInstanceOf(NotFoundError);
+
+      const cached = batchRepo.getCachedRecipes();
+      expect(cached).toHaveLength(1);
+      expect(cached[0]).toEqual(sampleRecipe2);
+      expect(batchRepo.getSyncStatus().pendingCount).toBe(0);
+      expect(syncFailed).toHaveBeenCalledWith(expect.objectContaining({ batch: true, rolledBack: true }));
+    });
+
+    test('should keep operations queued when the connection drops during the commit', async () => {
+      await batchRepo.create(sampleRecipe);
+      mockGitHubAPI.commitBatch.mockImplementationOnce(async () => {
+        batchRepo.config.offlineMode = true;
+        throw new Error('Failed to fetch');
+      });
+
+      await expect(batchRepo.flushBatch()).rejects.toThrow('Failed to fetch');
+
+      expect(batchRepo.getSyncStatus().pendingCount).toBe(1);
+      expect(batchRepo.getCachedRecipes()).toEqual([sampleRecipe]);
+    });
+
+    test('should keep operations queued when the rate limit is exhausted', async () => {
+      await batchRepo.create(sampleRecipe);
+      mockGitHubAPI.commitBatch.mockRejectedValueOnce(new RateLimitError(Date.now() + 60 * 60 * 1000));
+      const syncFailed = jest.fn();
+      batchRepo.on(RepositoryEvents.SYNC_FAILED, syncFailed);
+
+      await expect(batchRepo.flushBatch()).rejects.toBeInstanceOf(RateLimitError);
+
+      expect(batchRepo.getSyncStatus().pendingCount).toBe(1);
+      expect(batchRepo.getCachedRecipes()).toEqual([sampleRecipe]);
+      expect(syncFailed).toHaveBeenCalledWith(expect.objectContaining({ rolledBack: false }));
+      expect(batchRepo.rateLimitTimeoutId).not.toBeNull();
+    });
+
+    test('should merge a recipe changed on GitHub and commit the rest of the batch', async () => {
+      const base = { ...sampleRecipe, metadata: { id: 'test-recipe', sha: 'base-sha' } };
+      const remote = { ...base, description: 'Changed on GitHub', metadata: { id: 'test-recipe', sha: 'remote-sha' } };
+      batchRepo.setCachedRecipe('test-recipe', base);
+      mockGitHubAPI.addMockFile('test-recipe.json', remote);
+      mockGitHubAPI.commitBatch.mockRejectedValueOnce(
+        new RecipeConflictError('test-recipe', { baseSha: 'base-sha', remoteSha: 'remote-sha', remote })
+      );
+      const updateFile = jest.spyOn(mockGitHubAPI, 'updateFile');
+
+      await batchRepo.update('test-recipe.json', { ...base, servings: 6 });
+      await batchRepo.update('test-recipe.json', { ...base, servings: 8 });
+      await batchRepo.create(sampleRecipe2);
+      await batchRepo.flushBatch();
+
+      expect(mockGitHubAPI.commitBatch.mock.calls[0][0][0]).toEqual(
+        expect.objectContaining({ type: OperationType.UPDATE, filename: 'test-recipe.json', baseSha: 'base-sha' })
+      );
+      expect(updateFile).toHaveBeenCalledTimes(1);
+      expect(updateFile.mock.calls[0][1]).toEqual(expect.objectContaining({ description: 'Changed on GitHub', servings: 8 }));
+      expect(updateFile.mock.calls[0][2]).toEqual(expect.objectContaining({ baseSha: 'remote-sha' }));
+      expect(mockGitHubAPI.commitBatch).toHaveBeenCalledTimes(2);
+      expect(mockGitHubAPI.commitBatch.mock.calls[1][0]).toEqual([
+        { type: OperationType.CREATE, filename: 'another-recipe.json', data: sampleRecipe2 }
+      ]);
+      expect(batchRepo.getSyncStatus().pendingCount).toBe(0);
+    });
+
+    test('should report conflicting fields of a batched edit after committing the rest', async () => {
+      const base = { ...sampleRecipe, metadata: { id: 'test-recipe', sha: 'base-sha' } };
+      const remote = { ...base, servings: 2, metadata: { id: 'test-recipe', sha: 'remote-sha' } };
+      batchRepo.setCachedRecipe('test-recipe', base);
+      mockGitHubAPI.commitBatch.mockRejectedValueOnce(
+        new RecipeConflictError('test-recipe', { baseSha: 'base-sha', remoteSha: 'remote-sha', remote })
+      );
+      const recipeConflict = jest.fn();
+      batchRepo.on(RepositoryEvents.RECIPE_CONFLICT, recipeConflict);
+
+      await batchRepo.update('test-recipe.json', { ...base, servings: 8 });
+      await batchRepo.create(sampleRecipe2);
+
+      await expect(batchRepo.flushBatch()).rejects.toBeInstanceOf(RecipeConflictError);
+
+      expect(recipeConflict).toHaveBeenCalledWith(expect.objectContaining({ remoteSha: 'remote-sha' }));
+      expect(mockGitHubAPI.commitBatch).toHaveBeenCalledTimes(2);
+      expect(batchRepo.getCachedRecipe('test-recipe').servings).toBe(2);
+      expect(batchRepo.getSyncStatus().pendingCount).toBe(0);
+    });
+
+    test('should commit the photos of all collapsed edits with the recipe', async () => {
+      const photo = { path: 'images/test-recipe-a.jpg', content: 'AAAA' };
+      const replaced = { path: 'images/test-recipe-a.jpg', content: null };
+      const newPhoto = { path: 'images/test-recipe-b.jpg', content: 'BBBB' };
+
+      await batchRepo.create({ ...sampleRecipe, image: photo.path }, { images: [photo] });
+      await batchRepo.update('test-recipe.json', { ...sampleRecipe, image: newPhoto.path }, { images: [newPhoto, replaced] });
+      await batchRepo.flushBatch();
+
+      expect(mockGitHubAPI.commitBatch.mock.calls[0][0]).toEqual([{
+        type: OperationType.CREATE,
+        filename: 'test-recipe.json',
+        data: { ...sampleRecipe, image: newPhoto.path },
+        images: [photo, newPhoto, replaced]
+      }]);
+    });
+
+    test('should fall back to one-by-one sync for adapters without batch support', async () => {
+      delete mockGitHubAPI.commitBatch;
+
+      await batchRepo.create(sampleRecipe);
+      const synced = await batchRepo.flushBatch();
+
+      expect(synced).toBe(1);
+      expect(mockGitHubAPI.files.has('test-recipe.json')).toBe(true);
+    });
+  });
+
+  describe('Conflict Detection', () => {
+    const baseRecipe = { ...sampleRecipe, tags: ['test'], metadata: { id: 'test-recipe', sha: 'base-sha' } };
+
+    beforeEach(() => {
+      mockGitHubAPI.networkDelay = 10;
+      mockGitHubAPI.addMockFile('test-recipe.json', baseRecipe);
+      repository.setCachedRecipe('test-recipe', baseRecipe);
+    });
+
+    const mockRemoteChange = (remote) => {
+      const updateFile = jest.spyOn(mockGitHubAPI, 'updateFile');
+      updateFile.mockImplementation(async (filename, data, { baseSha } = {}) => {
+        if (baseSha !== 'remote-sha') {
+          throw new RecipeConflictError('test-recipe', { baseSha, remoteSha: 'remote-sha', remote });
+        }
+        mockGitHubAPI.files.set(filename, { ...data });
+        return { ...data, sha: 'merged-sha' };
+      });
+      return updateFile;
+    };
+
+    test('should send the sha the edit was based on', async () => {
+      const updateFile = jest.spyOn(mockGitHubAPI, 'updateFile');
+
+      await repository.update('test-recipe', { ...baseRecipe, servings: 6 });
+
+      expect(updateFile).toHaveBeenCalledWith('test-recipe.json', expect.any(Object), { baseSha: 'base-sha' });
+    });
+
+    test('should pass the change note and co-authors on to the adapter', async () => {
+      const updateFile = jest.spyOn(mockGitHubAPI, 'updateFile');
+      const commit = { note: 'Víc papriky', coAuthors: ['@babicka'] };
+
+      await repository.update('test-recipe', { ...baseRecipe, servings: 6 }, { commit });
+
+      expect(updateFile).toHaveBeenCalledWith('test-recipe.json', expect.any(Object), { baseSha: 'base-sha', commit });
+    });
+
+    test('should remember the new sha after a successful write', async () => {
+      jest.spyOn(mockGitHubAPI, 'updateFile').mockResolvedValue({ sha: 'new-sha' });
+
+      await repository.update('test-recipe', { ...baseRecipe, servings: 6 });
+      const cached = await repository.getByName('test-recipe');
+
+      expect(cached.metadata.sha).toBe('new-sha');
+    });
+
+    test('should merge non-overlapping changes automatically', async () => {
+      const remote = { ...baseRecipe, instructions: ['Step 1', 'Step 2', 'Step 3'], metadata: { id: 'test-recipe', sha: 'remote-sha' } };
+      const updateFile = mockRemoteChange(remote);
+      const merged = jest.fn();
+      repository.on(RepositoryEvents.RECIPE_MERGED, merged);
+
+      await repository.update('test-recipe', { ...baseRecipe, notes: ['Local note'] });
+
+      expect(updateFile).toHaveBeenCalledTimes(2);
+      expect(updateFile).toHaveBeenLastCalledWith('test-recipe.json', expect.objectContaining({
+        notes: ['Local note'],
+        instructions: ['Step 1', 'Step 2', 'Step 3']
+      }), { baseSha: 'remote-sha' });
+      expect(merged).toHaveBeenCalled();
+
+      const cached = await repository.getByName('test-recipe');
+      expect(cached.notes).toEqual(['Local note']);
+      expect(cached.instructions).toHaveLength(3);
+      expect(cached.metadata.sha).toBe('merged-sha');
+    });
+
+    test('should report overlapping changes and show the GitHub version', async () => {
+      const remote = { ...baseRecipe, servings: 8, metadata: { id: 'test-recipe', sha: 'remote-sha' } };
+      mockRemoteChange(remote);
+      const conflictListener = jest.fn();
+      repository.on(RepositoryEvents.RECIPE_CONFLICT, conflictListener);
+
+      await expect(repository.update('test-recipe', { ...baseRecipe, servings: 2 }))
+        .rejects.toBeInstanceOf(RecipeConflictError);
+
+      expect(conflictListener).toHaveBeenCalledWith(expect.objectContaining({
+        recipeName: 'test-recipe',
+        remoteSha: 'remote-sha',
+        conflicts: [expect.objectContaining({ field: 'servings', local: 2, remote: 8 })]
+      }));
+      expect((await repository.getByName('test-recipe')).servings).toBe(8);
+      expect(repository.getSyncStatus().pendingCount).toBe(0);
+    });
+
+    test('should write a merge with the commit options and photos of the edit', async () => {
+      const remote = { ...baseRecipe, instructions: ['Step 1', 'Step 2', 'Step 3'], metadata: { id: 'test-recipe', sha: 'remote-sha' } };
+      const updateFile = mockRemoteChange(remote);
+      const commit = { note: 'Fotka', coAuthors: [] };
+      const images = [{ path: 'images/test-recipe-m1.jpg', content: 'AAAA' }];
+
+      await repository.update('test-recipe', { ...baseRecipe, image: 'images/test-recipe-m1.jpg' }, { commit, images });
+
+      expect(updateFile).toHaveBeenLastCalledWith('test-recipe.json', expect.objectContaining({
+        image: 'images/test-recipe-m1.jpg',
+        instructions: ['Step 1', 'Step 2', 'Step 3']
+      }), { baseSha: 'remote-sha', commit, images });
+    });
+
+    test('should show the GitHub version of a conflict in the current format', async () => {
+      const remote = { ...baseRecipe, servings: 8, metadata: { id: 'test-recipe', sha: 'remote-sha' } };
+      delete remote.schemaVersion;
+      mockRemoteChange(remote);
+      const conflictListener = jest.fn();
+      repository.on(RepositoryEvents.RECIPE_CONFLICT, conflictListener);
+
+      await expect(repository.update('test-recipe', { ...baseRecipe, servings: 2 }))
+        .rejects.toBeInstanceOf(RecipeConflictError);
+
+      expect((await repository.getByName('test-recipe')).schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+      expect(conflictListener.mock.calls[0][0].remote.schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+    });
+
+    test('should save a resolution based on the GitHub version', async () => {
+      const remote = { ...baseRecipe, servings: 8, metadata: { id: 'test-recipe', sha: 'remote-sha' } };
+      const updateFile = mockRemoteChange(remote);
+
+      await repository.update('test-recipe', { ...baseRecipe, servings: 2 }, { baseSha: 'remote-sha' });
+
+      expect(updateFile).toHaveBeenCalledTimes(1);
+      expect(mockGitHubAPI.files.get('test-recipe.json').servings).toBe(2);
+    });
+  });
+
+  describe('Version History', () => {
+    const oldVersion = { ...sampleRecipe, servings: 2, metadata: { id: 'test-recipe', sha: 'old-blob' } };
+
+    beforeEach(() => {
+      mockGitHubAPI.networkDelay = 10;
+      mockGitHubAPI.getFileHistory = jest.fn(async () => [
+        { sha: 'commit-2', message: 'Update recipe: Test Recipe', author: 'Cook', login: 'cook', date: '2024-02-01T10:00:00Z' },
+        { sha: 'commit-1', message: 'Add recipe: Test Recipe', author: 'Cook', login: 'cook', date: '2024-01-01T10:00:00Z' }
+      ]);
+      mockGitHubAPI.getFileAtCommit = jest.fn(async (filename, commitSha) => (commitSha === 'commit-1' ? { ...oldVersion } : null));
+      mockGitHubAPI.addMockFile('test-recipe.json', sampleRecipe);
+      repository.setCachedRecipe('test-recipe', { ...sampleRecipe, metadata: { id: 'test-recipe', sha: 'current-blob' } });
+    });
+
+    test('should load history and versions by filename', async () => {
+      const history = await repository.getHistory('test-recipe');
+      const version = await repository.getVersion('test-recipe', 'commit-1');
+
+      expect(history.map(commit => commit.sha)).toEqual(['commit-2', 'commit-1']);
+      expect(mockGitHubAPI.getFileHistory).toHaveBeenCalledWith('test-recipe.json');
+      expect(mockGitHubAPI.getFileAtCommit).toHaveBeenCalledWith('test-recipe.json', 'commit-1');
+      expect(version.servings).toBe(2);
+    });
+
+    test('should restore an older version as an update of the current file', async () => {
+      const updateFile = jest.spyOn(mockGitHubAPI, 'updateFile');
+
+      const restored = await repository.restoreVersion('test-recipe', 'commit-1');
+
+      expect(restored.servings).toBe(2);
+      expect(restored.metadata.sha).toBe('current-blob');
+      expect(updateFile).toHaveBeenCalledWith('test-recipe.json', expect.objectContaining({ servings: 2 }), { baseSha: 'current-blob' });
+      expect(mockGitHubAPI.files.get('test-recipe.json').servings).toBe(2);
+    });
+
+    test('should refuse to restore a version where the recipe did not exist', async () => {
+      await expect(repository.restoreVersion('test-recipe', 'commit-0')).rejects.toThrow('does not exist at commit');
+    });
+
+    test('should reject history requests the data source cannot answer', async () => {
+      delete mockGitHubAPI.getFileHistory;
+
+      await expect(repository.getHistory('test-recipe')).rejects.toThrow('not supported');
+    });
+  });
+
+  describe('Schema Migration', () => {
+    const legacyRecipe = {
+      name: 'Guláš',
+      ingredients: [{ text: 'maso', exportDefault: true }],
+      instructions: ['Dusit'],
+      servings: '4',
+      cookingTime: '90min',
+      metadata: { createdDate: '2025-09-12T22:01:00Z', filename: null }
+    };
+
+    beforeEach(() => {
+      mockGitHubAPI.networkDelay = 10;
+      mockGitHubAPI.addMockFile('gulas.json', legacyRecipe);
+      mockGitHubAPI.addMockFile('test-recipe.json', sampleRecipe);
+      mockGitHubAPI.commitBatch = jest.fn(async changes => ({
+        commitSha: 'abc1234',
+        files: Object.fromEntries(changes.map(change => [change.filename, `${change.filename}-sha`]))
+      }));
+    });
+
+    afterEach(() => {
+      delete mockGitHubAPI.commitBatch;
+    });
+
+    test('should upgrade older recipe files when reading them', async () => {
+      const recipes = await repository.getAll();
+
+      expect(recipes.find(recipe => recipe.name === 'Guláš')).toEqual({
+        schemaVersion: CURRENT_SCHEMA_VERSION,
+        name: 'Guláš',
+        ingredients: legacyRecipe.ingredients,
+        instructions: legacyRecipe.instructions,
+        servings: 4,
+        cookTime: 90,
+        metadata: { createdAt: '2025-09-12T22:01:00Z' }
+      });
+      expect(mockGitHubAPI.files.get('gulas.json')).toEqual(legacyRecipe);
+    });
+
+    test('should rewrite only outdated files in one commit', async () => {
+      const result = await repository.migrateAll();
+
+      expect(result).toEqual({ migrated: ['gulas.json'], commitSha: 'abc1234' });
+      expect(mockGitHubAPI.commitBatch).toHaveBeenCalledTimes(1);
+      const [changes, message] = mockGitHubAPI.commitBatch.mock.calls[0];
+      expect(changes).toEqual([{
+        type: OperationType.UPDATE,
+        filename: 'gulas.json',
+        data: expect.objectContaining({ schemaVersion: CURRENT_SCHEMA_VERSION, servings: 4 })
+      }]);
+      expect(message).toMatch(/^Migrate 1 recipe to schema version \d+\n\n- v2: /);
+      expect((await repository.getByName('Guláš')).metadata.sha).toBe('gulas.json-sha');
+    });
+
+    test('should not commit when every file is current', async () => {
+      mockGitHubAPI.files.delete('gulas.json');
+
+      expect(await repository.migrateAll()).toEqual({ migrated: [], commitSha: null });
+      expect(mockGitHubAPI.commitBatch).not.toHaveBeenCalled();
+    });
+
+    test('should only migrate writable data sources that commit batches', async () => {
+      expect(repository.canMigrateAll()).toBe(true);
+
+      mockGitHubAPI.isReadOnly = () => true;
+      expect(repository.canMigrateAll()).toBe(false);
+      await expect(repository.migrateAll()).rejects.toThrow(ReadOnlyError);
+      delete mockGitHubAPI.isReadOnly;
+    });
+  });
+
+  describe('Additional Sources', () => {
+    let grandma;
+
+    beforeEach(() => {
+      mockGitHubAPI.networkDelay = 10;
+      mockGitHubAPI.addMockFile('test-recipe.json', sampleRecipe);
+      grandma = new MockGitHubAPI();
+      grandma.networkDelay = 10;
+      grandma.addMockFile('test-recipe.json', { ...sampleRecipe, servings: 6 });
+      grandma.addMockFile('another-recipe.json', sampleRecipe2);
+      repository.setSources([{ id: 'grandma', label: 'babicka', adapter: grandma }]);
+    });
+
+    test('should merge tagged recipes of other sources after the own ones', async () => {
+      const recipes = await repository.getAll();
+
+      expect(recipes.map(recipe => recipe.metadata?.id)).toEqual([undefined, 'grandma--test-recipe', 'grandma--another-recipe']);
+      expect(repository.getRecipeSource(recipes[0])).toMatchObject({ id: 'primary', writable: true });
+      expect(repository.getRecipeSource(recipes[1])).toEqual({ id: 'grandma', label: 'babicka', writable: false, primary: false });
+
+      // Cached like the own recipes; a failing source keeps the last result
+      grandma.setNetworkFailure(true);
+      expect(await repository.getAll({ forceRefresh: true })).toHaveLength(3);
+      expect(repository.getSources().map(source => source.id)).toEqual(['primary', 'grandma']);
+    });
+
+    test('should copy a recipe into the own ones under a free name', async () => {
+      const [, grandmasRecipe] = await repository.getAll();
+
+      const copy = await repository.copyFromSource(grandmasRecipe);
+
+      expect(copy.name).toBe('Test Recipe (babicka)');
+      expect(copy.metadata).toEqual({ copiedFrom: { source: 'babicka', id: 'test-recipe' } });
+      const [filename, saved] = Array.from(mockGitHubAPI.files.entries()).find(([, data]) => data.name === copy.name);
+      expect(filename).not.toBe('test-recipe.json');
+      expect(saved.servings).toBe(6);
+      expect(grandma.files.size).toBe(2);
+    });
+  });
+
+  describe('Photos', () => {
+    const photo = { path: 'images/test-recipe-m1.jpg', content: 'AAAA' };
+
+    test('should hand the photos of a save to the adapter', async () => {
+      const createFile = jest.spyOn(mockGitHubAPI, 'createFile');
+
+      await repository.create({ ...sampleRecipe, image: photo.path }, { images: [photo] });
+
+      expect(createFile).toHaveBeenCalledWith('test-recipe.json', { ...sampleRecipe, image: photo.path }, { commit: undefined, images: [photo] });
+    });
+
+    test('should delete the photo of a deleted recipe with it', async () => {
+      mockGitHubAPI.addMockFile('test-recipe.json', { ...sampleRecipe, image: photo.path });
+      repository.setCachedRecipe('test-recipe', { ...sampleRecipe, image: photo.path });
+      const deleteFile = jest.spyOn(mockGitHubAPI, 'deleteFile');
+
+      await repository.delete('test-recipe.json');
+
+      expect(deleteFile).toHaveBeenCalledWith('test-recipe.json', { commit: undefined, images: [{ path: photo.path, content: null }] });
+    });
+
+    test('should resolve photo paths with the adapter of the recipe source', async () => {
+      const grandma = new MockGitHubAPI();
+      grandma.getImageUrl = path => `https://grandma.example/${path}`;
+      grandma.addMockFile('test-recipe.json', { ...sampleRecipe, image: photo.path });
+      grandma.addMockFile('another-recipe.json', { ...sampleRecipe2, image: 'https://example.com/buchty.jpg' });
+      const forge = new MockGitHubAPI();
+      forge.addMockFile('test-recipe.json', { ...sampleRecipe, image: photo.path });
+      repository.setSources([
+        { id: 'grandma', label: 'babicka', adapter: grandma },
+        { id: 'forge', label: 'forge', adapter: forge }
+      ]);
+
+      const [fromGrandma, urlFromGrandma, fromForge] = await repository.getAll();
+
+      expect(fromGrandma.image).toBe(`https://grandma.example/${photo.path}`);
+      expect(urlFromGrandma.image).toBe('https://example.com/buchty.jpg');
+      expect(fromForge).not.toHaveProperty('image');
+    });
+
+    test('should store photos only with adapters that serve image files', () => {
+      const recipe = { ...sampleRecipe, image: photo.path };
+      expect(repository.canStoreImages()).toBe(false);
+      expect(repository.getImageUrl(recipe)).toBeNull();
+
+      mockGitHubAPI.getImageUrl = path => `https://raw.example/${path}`;
+      expect(repository.canStoreImages()).toBe(true);
+      expect(repository.getImageUrl(recipe)).toBe(`https://raw.example/${photo.path}`);
+      expect(repository.getImageUrl(sampleRecipe)).toBeNull();
+
+      mockGitHubAPI.isReadOnly = () => true;
+      expect(repository.canStoreImages()).toBe(false);
+    });
+
+    test('should download photos the adapter cannot link directly', async () => {
+      const downloaded = new Map();
+      mockGitHubAPI.getImageUrl = path => downloaded.get(path) || null;
+      mockGitHubAPI.loadImages = jest.fn(async paths => {
+        paths.forEach(path => downloaded.set(path, `blob:${path}`));
+        return paths;
+      });
+      const recipe = { ...sampleRecipe, image: photo.path };
+      const linked = { ...sampleRecipe2, image: 'https://example.com/buchty.jpg' };
+
+      expect(await repository.loadImages([recipe, linked, sampleRecipe])).toEqual([recipe]);
+      expect(mockGitHubAPI.loadImages).toHaveBeenCalledWith([photo.path]);
+      expect(repository.getImageUrl(recipe)).toBe(`blob:${photo.path}`);
+
+      expect(await repository.loadImages([recipe])).toEqual([]);
+      expect(mockGitHubAPI.loadImages).toHaveBeenCalledTimes(1);
+    });
+  });
+
   // ============================================================================
   // UTILITY METHODS TESTS
   // ============================================================================
@@ -29,6 +29,33 @@ jest.unstable_mockModule('../adapters/GitHubAPIAdapter.js', () => ({
   default: {}
 }));
 
+const mockModeManager = {
+  getReadOnlyReason: jest.fn(() => null),
+  canSuggest: jest.fn(() => false),
+  canDraft: jest.fn(() => false)
+};
+
+jest.unstable_mockModule('../adapters/RecipeModeManager.js', () => ({
+  recipeModeManager: mockModeManager
+}));
+
+const mockSuggestions = {
+  submit: jest.fn()
+};
+
+jest.unstable_mockModule('../services/recipeSuggestions.js', () => ({
+  recipeSuggestions: mockSuggestions
+}));
+
+const mockDrafts = {
+  save: jest.fn(),
+  publish: jest.fn()
+};
+
+jest.unstable_mockModule('../services/recipeDrafts.js', () => ({
+  recipeDrafts: mockDrafts
+}));
+
 // Mock i18n system
 jest.unstable_mockModule('../i18n/i18n.js', () => ({
 t: jest.fn((key, params = {}) => {
@@ -100,7 +127,7 @@ describe('RecipeUI Repository Integration Tests', () => {
     });
 
     test('should update recipe through repository when editing', async () => {
-      const testRecipe = { name: 'Test Recipe', ingredients: ['ingredient1'] };
+      const testRecipe = { name: 'Test Recipe', ingredients: ['ingredient1'], instructions: ['step1'] };
       mockRepository.update.mockResolvedValue({ success: true });
       recipeUI.editingRecipe = { id: 'original-name', name: 'original-name' }; // Include id field
       recipeUI.isEditing = true;
@@ -116,12 +143,12 @@ describe('RecipeUI Repository Integration Tests', () => {
 
       await recipeUI.handleFormSubmit(mockEvent);
 
-      expect(mockRepository.update).toHaveBeenCalledWith('original-name', testRecipe);
+      expect(mockRepository.update).toHaveBeenCalledWith('original-name', testRecipe, { commit: { note: '', coAuthors: [] } });
       expect(recipeUI.modal.hide).toHaveBeenCalled();
     });
 
     test('should create recipe through repository when not editing', async () => {
-      const testRecipe = { name: 'New Recipe', ingredients: ['ingredient1'] };
+      const testRecipe = { name: 'New Recipe', ingredients: ['ingredient1'], instructions: ['step1'] };
       mockRepository.create.mockResolvedValue({ success: true });
       recipeUI.isEditing = false;
       recipeUI.modal = { hide: jest.fn() };
@@ -136,9 +163,267 @@ describe('RecipeUI Repository Integration Tests', () => {
 
       await recipeUI.handleFormSubmit(mockEvent);
 
-      expect(mockRepository.create).toHaveBeenCalledWith(testRecipe);
+      expect(mockRepository.create).toHaveBeenCalledWith(testRecipe, { commit: { note: '', coAuthors: [] } });
+      expect(recipeUI.modal.hide).toHaveBeenCalled();
+    });
+
+    test('should pass the change note and co-authors on to the commit', async () => {
+      const testRecipe = { name: 'Test Recipe', ingredients: ['ingredient1'], instructions: ['step1'] };
+      mockRepository.update.mockResolvedValue({ success: true });
+      recipeUI.editingRecipe = { id: 'test-recipe', name: 'Test Recipe' };
+      recipeUI.isEditing = true;
+      recipeUI.modal = { hide: jest.fn() };
+      recipeUI.collectFormData = jest.fn().mockReturnValue(testRecipe);
+      const fields = {
+        'recipe-change-note': { value: ' Less salt ' },
+        'recipe-co-authors': { value: '@babicka, Jana <jana@example.com>' }
+      };
+      global.document.getElementById = jest.fn(id => fields[id] || { disabled: false, innerHTML: 'Submit' });
+
+      await recipeUI.handleFormSubmit({ preventDefault: jest.fn() });
+
+      expect(mockRepository.update).toHaveBeenCalledWith('test-recipe', testRecipe, {
+        commit: { note: 'Less salt', coAuthors: ['@babicka', 'Jana <jana@example.com>'] }
+      });
+    });
+
+    test('should refuse co-authors that cannot be credited', async () => {
+      recipeUI.isEditing = false;
+      recipeUI.showErrorMessage = jest.fn();
+      const fields = { 'recipe-co-authors': { value: 'grandma from next door' } };
+      global.document.getElementById = jest.fn(id => fields[id] || { disabled: false, innerHTML: 'Submit' });
+
+      await recipeUI.handleFormSubmit({ preventDefault: jest.fn() });
+
+      expect(recipeUI.showErrorMessage).toHaveBeenCalledWith('recipeForm.invalidCoAuthors');
+      expect(mockRepository.create).not.toHaveBeenCalled();
+    });
+
+    test('should mark the inputs the recipe schema rejects instead of saving', async () => {
+      const ingredientInputs = [{ classList: { add: jest.fn() } }, { classList: { add: jest.fn() } }];
+      const modal = {
+        querySelectorAll: jest.fn(selector => (selector === '.ingredient-input' ? ingredientInputs : []))
+      };
+      const submitBtn = { disabled: false, innerHTML: 'Submit' };
+      recipeUI.isEditing = false;
+      recipeUI.showErrorMessage = jest.fn();
+      recipeUI.collectFormData = jest.fn().mockReturnValue({
+        name: 'New Recipe',
+        ingredients: [{ text: 'flour' }, { text: ' ' }],
+        instructions: ['step1']
+      });
+      global.document.getElementById = jest.fn(id => (id === 'recipe-modal' ? modal : submitBtn));
+
+      await recipeUI.handleFormSubmit({ preventDefault: jest.fn() });
+
+      expect(ingredientInputs[1].classList.add).toHaveBeenCalledWith('is-invalid');
+      expect(ingredientInputs[0].classList.add).not.toHaveBeenCalled();
+      expect(recipeUI.showErrorMessage).toHaveBeenCalledWith('errors.validation.message');
+      expect(mockRepository.create).not.toHaveBeenCalled();
+      expect(submitBtn.disabled).toBe(false);
+    });
+
+    test('should open a pull request instead of saving without push access', async () => {
+      const testRecipe = { name: 'Test Recipe', ingredients: ['ingredient1'], instructions: ['step1'] };
+      const original = { id: 'test-recipe', name: 'Test Recipe' };
+      mockSuggestions.submit.mockResolvedValue({ number: 7, url: 'https://github.com/o/r/pull/7' });
+      recipeUI.suggesting = true;
+      recipeUI.isEditing = true;
+      recipeUI.editingRecipe = original;
+      recipeUI.modal = { hide: jest.fn() };
+      recipeUI.collectFormData = jest.fn().mockReturnValue(testRecipe);
+      recipeUI.showSuccessMessage = jest.fn();
+      global.document.getElementById = jest.fn().mockReturnValue({
+        disabled: false,
+        innerHTML: 'Submit'
+      });
+
+      await recipeUI.handleFormSubmit({ preventDefault: jest.fn() });
+      recipeUI.suggesting = false;
+
+      expect(mockSuggestions.submit).toHaveBeenCalledWith(testRecipe, original);
+      expect(mockRepository.update).not.toHaveBeenCalled();
+      expect(recipeUI.showSuccessMessage).toHaveBeenCalledWith('suggestions.submitted');
       expect(recipeUI.modal.hide).toHaveBeenCalled();
     });
+
+    test('should save a draft when submitted with the draft button', async () => {
+      const testRecipe = { name: 'New Recipe', ingredients: ['ingredient1'], instructions: ['step1'] };
+      mockDrafts.save.mockResolvedValue(testRecipe);
+      recipeUI.isEditing = false;
+      recipeUI.modal = { hide: jest.fn() };
+      recipeUI.collectFormData = jest.fn().mockReturnValue(testRecipe);
+      recipeUI.showSuccessMessage = jest.fn();
+      global.document.getElementById = jest.fn().mockReturnValue({
+        disabled: false,
+        innerHTML: 'Submit'
+      });
+
+      await recipeUI.handleFormSubmit({ preventDefault: jest.fn(), submitter: { id: 'recipe-draft-btn' } });
+
+      expect(mockDrafts.save).toHaveBeenCalledWith(testRecipe, null, { commit: { note: '', coAuthors: [] } });
+      expect(mockRepository.create).not.toHaveBeenCalled();
+      expect(global.document.getElementById).toHaveBeenCalledWith('recipe-draft-btn');
+    });
+
+    test('should publish a draft when it is edited and submitted', async () => {
+      const testRecipe = { name: 'Draft Recipe', ingredients: ['ingredient1'], instructions: ['step1'] };
+      const metadata = { id: 'draft-recipe', draft: true, draftStatus: 'added' };
+      mockDrafts.publish.mockResolvedValue(testRecipe);
+      recipeUI.isEditing = true;
+      recipeUI.editingRecipe = { ...testRecipe, metadata };
+      recipeUI.modal = { hide: jest.fn() };
+      recipeUI.collectFormData = jest.fn().mockReturnValue(testRecipe);
+      recipeUI.showSuccessMessage = jest.fn();
+      global.document.getElementById = jest.fn().mockReturnValue({
+        disabled: false,
+        innerHTML: 'Submit'
+      });
+
+      await recipeUI.handleFormSubmit({ preventDefault: jest.fn() });
+
+      expect(mockDrafts.publish).toHaveBeenCalledWith({ ...testRecipe, metadata }, mockRepository, { commit: { note: '', coAuthors: [] } });
+      expect(mockRepository.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Conflict resolution', () => {
+    const conflict = {
+      recipeName: 'gulas',
+      remoteSha: 'remote-sha',
+      merged: { name: 'Guláš', servings: 2, notes: ['Local note'] },
+      conflicts: [
+        { field: 'servings', local: 2, remote: 8 },
+        { field: 'cookingTime', local: '2 h', remote: undefined }
+      ]
+    };
+
+    beforeEach(() => {
+      recipeUI.conflictModal = { hide: jest.fn(), show: jest.fn() };
+      recipeUI.activeConflict = conflict;
+    });
+
+    test('should save the picked versions based on the GitHub sha', async () => {
+      mockRepository.update.mockResolvedValue({});
+      global.document.querySelector = jest.fn(selector => ({
+        value: selector.includes('conflict-0') ? 'remote' : 'local'
+      }));
+
+      await recipeUI.handleConflictSave();
+
+      expect(mockRepository.update).toHaveBeenCalledWith(
+        'gulas',
+        { name: 'Guláš', servings: 8, notes: ['Local note'] },
+        { baseSha: 'remote-sha' }
+      );
+      expect(recipeUI.conflictModal.hide).toHaveBeenCalled();
+      expect(recipeUI.activeConflict).toBeNull();
+    });
+
+    test('should drop a field when the GitHub version removed it', async () => {
+      mockRepository.update.mockResolvedValue({});
+      global.document.querySelector = jest.fn(() => ({ value: 'remote' }));
+
+      await recipeUI.handleConflictSave();
+
+      const [, resolved] = mockRepository.update.mock.calls[0];
+      expect(resolved).not.toHaveProperty('cookingTime');
+    });
+
+    test('should close the edit form instead of showing an error on conflict', async () => {
+      const conflictError = new Error('Recipe "gulas" was changed on GitHub since it was opened');
+      conflictError.name = 'RecipeConflictError';
+      mockRepository.update.mockRejectedValue(conflictError);
+      recipeUI.editingRecipe = { id: 'gulas', name: 'Guláš' };
+      recipeUI.isEditing = true;
+      recipeUI.modal = { hide: jest.fn() };
+      recipeUI.collectFormData = jest.fn().mockReturnValue({ name: 'Guláš', ingredients: ['maso'], instructions: ['Dusit'] });
+      recipeUI.showErrorMessage = jest.fn();
+      global.document.getElementById = jest.fn().mockReturnValue({ disabled: false, innerHTML: 'Submit' });
+
+      await recipeUI.handleFormSubmit({ preventDefault: jest.fn() });
+
+      expect(recipeUI.modal.hide).toHaveBeenCalled();
+      expect(recipeUI.showErrorMessage).not.toHaveBeenCalled();
+    });
+
+    test('should format list values one item per line', () => {
+      expect(recipeUI.formatConflictValue([{ text: '500 g hovězí' }, 'sůl'])).toBe('500 g hovězí\nsůl');
+      expect(recipeUI.formatConflictValue(undefined)).toBe('—');
+    });
+  });
+
+  describe('Ingredient sections', () => {
+    const row = (text, checked = true) => `
+      <div class="ingredient-edit-item"><input class="ingredient-added-checkbox" type="checkbox" ${checked ? 'checked' : ''}><input class="ingredient-input" value="${text}"></div>`;
+    const heading = name => `<div class="ingredient-section-item"><input class="ingredient-section-input" value="${name}"><button></button></div>`;
+    const renderContainer = html => {
+      const parsed = new window.DOMParser().parseFromString(`<div id="ingredients-container">${html}</div>`, 'text/html');
+      const container = parsed.getElementById('ingredients-container');
+      global.document.getElementById = jest.fn(() => container);
+      return container;
+    };
+
+    test('should collect lines under the section heading above them', () => {
+      renderContainer(row('máslo', false) + heading(' Na těsto ') + row('mouka') + row('') + heading('Na polevu') + row('čokoláda') + heading(''));
+
+      expect(recipeUI.collectIngredients()).toEqual([
+        { text: 'máslo', exportDefault: false },
+        { section: 'Na těsto', items: [{ text: 'mouka', exportDefault: true }] },
+        { section: 'Na polevu', items: [{ text: 'čokoláda', exportDefault: true }] }
+      ]);
+    });
+
+    test('should move a section with its lines past its neighbour', () => {
+      const container = renderContainer(row('máslo') + heading('Na těsto') + row('mouka') + heading('Na polevu') + row('čokoláda'));
+      const sectionNames = () => recipeUI.collectIngredients().map(entry => entry.section ?? entry.text);
+
+      recipeUI.moveIngredientSection(container.querySelectorAll('.ingredient-section-item button')[1], -1);
+      expect(sectionNames()).toEqual(['máslo', 'Na polevu', 'Na těsto']);
+
+      // Ungrouped lines stay on top
+      recipeUI.moveIngredientSection(container.querySelectorAll('.ingredient-section-item button')[0], -1);
+      expect(sectionNames()).toEqual(['máslo', 'Na polevu', 'Na těsto']);
+
+      recipeUI.moveIngredientSection(container.querySelectorAll('.ingredient-section-item button')[0], 1);
+      expect(recipeUI.collectIngredients()[1]).toEqual({ section: 'Na těsto', items: [{ text: 'mouka', exportDefault: true }] });
+    });
+
+    test('should mark the input of a line inside a section', () => {
+      const inputs = [0, 1, 2].map(() => ({ classList: { add: jest.fn() } }));
+      const modal = { querySelectorAll: jest.fn(selector => (selector === '.ingredient-input' ? inputs : [])) };
+      const ingredients = [{ text: 'máslo' }, { section: 'Na těsto', items: [{ text: 'mouka' }, { text: ' ' }] }];
+
+      expect(recipeUI.getIngredientErrorInput(modal, ingredients, 1, ['items', '1', 'text'])).toBe(inputs[2]);
+    });
+  });
+
+  describe('Cooking times', () => {
+    test('should read the time inputs as minutes', () => {
+      const inputs = {
+        'recipe-prep-time': { value: ' 15 min ' },
+        'recipe-cook-time': { value: '1,5 hodiny' },
+        'recipe-rest-time': { value: '' }
+      };
+      global.document.getElementById = jest.fn(id => inputs[id]);
+
+      expect(recipeUI.collectTimes()).toEqual({ prepTime: 15, cookTime: 90 });
+    });
+
+    test('should keep text it cannot read so validation marks it', () => {
+      const inputs = {
+        'recipe-prep-time': { value: 'chvilku' },
+        'recipe-cook-time': { value: 'podle chuti' },
+        'recipe-rest-time': { value: '' }
+      };
+      global.document.getElementById = jest.fn(id => inputs[id]);
+
+      expect(recipeUI.collectTimes()).toEqual({ prepTime: 'chvilku', cookTime: 'podle chuti' });
+
+      // Unless it is the free-text cooking time the recipe already had
+      recipeUI.editingRecipe = { name: 'Guláš', cookingTime: 'podle chuti' };
+      expect(recipeUI.collectTimes()).toEqual({ prepTime: 'chvilku', cookingTime: 'podle chuti' });
+    });
   });
 
   describe('Confirmation logic', () => {
@@ -162,6 +447,19 @@ describe('RecipeUI Repository Integration Tests', () => {
 
       expect(recipeUI.handleDeleteRecipe).not.toHaveBeenCalled();
     });
+
+    test('should explain instead of asking when signed in read-only', async () => {
+      mockModeManager.getReadOnlyReason.mockReturnValueOnce('permission');
+      global.confirm = jest.fn();
+      global.alert = jest.fn();
+      recipeUI.handleDeleteRecipe = jest.fn();
+
+      await recipeUI.showDeleteConfirmation('test-recipe', 'Test Recipe');
+
+      expect(global.alert).toHaveBeenCalledWith('auth.readOnlyReasons.permission');
+      expect(global.confirm).not.toHaveBeenCalled();
+      expect(recipeUI.handleDeleteRecipe).not.toHaveBeenCalled();
+    });
   });
 
   describe('Event Handling', () => {
@@ -134,6 +134,8 @@ describe('Cache Clearing Bug Investigation', () => {
     
     const updatedData = {
       name: 'Guláš',
+      ingredients: ['beef', 'onion'],
+      instructions: ['Cook'],
       servings: 10 // Changed from 4 to 10
     };
     
@@ -0,0 +1,133 @@
+/**
+ * Tests for recipe commit messages and the commit settings
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { buildCommitMessage, parseCoAuthor, summarizeRecipeChange } from '../utils/commitMessage.js';
+import { CommitSettings } from '../config/commitSettings.js';
+import { ValidationError } from '../utils/errors.js';
+
+describe('commit messages', () => {
+  const before = {
+    name: 'Guláš',
+    servings: 4,
+    ingredients: [{ text: '500 g masa' }, { text: '2 cibule' }],
+    instructions: ['Osmahnout', 'Dusit'],
+    tags: ['maso']
+  };
+  const after = {
+    ...before,
+    ingredients: [...before.ingredients, { text: 'paprika' }, { text: 'kmín' }],
+    tags: ['maso', 'hlavní jídlo']
+  };
+
+  describe('summarizeRecipeChange()', () => {
+    test('should count added ingredients and list new tags', () => {
+      expect(summarizeRecipeChange('update', after, before)).toBe('Guláš: +2 ingredients, tags: hlavní jídlo');
+    });
+
+    test('should mention renames, removed steps and changed values', () => {
+      const changed = { ...before, name: 'Segedínský guláš', instructions: ['Dusit'], servings: 6, notes: ['Se zelím'] };
+
+      expect(summarizeRecipeChange('update', changed, before))
+        .toBe('Segedínský guláš: renamed from Guláš, -1 step, servings 4 → 6, notes');
+    });
+
+    test('should count ingredients across sections', () => {
+      const sectioned = { ...before, ingredients: [{ section: 'Na guláš', items: before.ingredients }] };
+
+      expect(summarizeRecipeChange('update', sectioned, before)).toBe('Guláš: ingredient sections changed');
+      expect(summarizeRecipeChange('update', { ...sectioned, ingredients: [...sectioned.ingredients, { section: 'Na knedlík', items: ['mouka'] }] }, sectioned))
+        .toBe('Guláš: +1 ingredient');
+    });
+
+    test('should write changed times as durations', () => {
+      expect(summarizeRecipeChange('update', { ...before, cookTime: 90 }, { ...before, cookTime: 60 }))
+        .toBe('Guláš: cookTime 1 h → 1 h 30 min');
+    });
+
+    test('should fall back to the action without the previous version', () => {
+      expect(summarizeRecipeChange('create', before)).toBe('Add recipe: Guláš');
+      expect(summarizeRecipeChange('delete', before)).toBe('Delete recipe: Guláš');
+      expect(summarizeRecipeChange('update', before, before)).toBe('Update recipe: Guláš');
+    });
+  });
+
+  describe('parseCoAuthor()', () => {
+    test('should accept "Name <email>" and GitHub logins', () => {
+      expect(parseCoAuthor(' Jana Nováková <jana@example.com> ')).toBe('Jana Nováková <jana@example.com>');
+      expect(parseCoAuthor('@babicka')).toBe('babicka <babicka@users.noreply.github.com>');
+    });
+
+    test('should reject anything else', () => {
+      expect(parseCoAuthor('babička od vedle')).toBeNull();
+      expect(parseCoAuthor('Jana <not an email>')).toBeNull();
+    });
+  });
+
+  describe('buildCommitMessage()', () => {
+    test('should prefer the change note and append co-author trailers', () => {
+      expect(buildCommitMessage({
+        type: 'update',
+        recipe: after,
+        previous: before,
+        note: 'Podle babičky',
+        coAuthors: ['@babicka', 'babicka', 'Jana <jana@example.com>']
+      })).toBe([
+        'Podle babičky',
+        '',
+        'Co-authored-by: babicka <babicka@users.noreply.github.com>',
+        'Co-authored-by: Jana <jana@example.com>'
+      ].join('\n'));
+    });
+
+    test('should fill the template placeholders', () => {
+      expect(buildCommitMessage({ type: 'update', recipe: after, previous: before, template: 'recipes({{name}}): {{message}}' }))
+        .toBe('recipes(Guláš): Guláš: +2 ingredients, tags: hlavní jídlo');
+      expect(buildCommitMessage({ type: 'create', recipe: before, note: 'Nový', template: '{{action}}: {{note}} [{{unknown}}]' }))
+        .toBe('Add: Nový [{{unknown}}]');
+    });
+  });
+
+  describe('CommitSettings', () => {
+    beforeEach(() => {
+      localStorage.clear();
+    });
+
+    afterEach(() => {
+      localStorage.clear();
+    });
+
+    test('should use the saved template and co-authors unless the save overrides them', () => {
+      const settings = new CommitSettings();
+      settings.save({ template: '🍲 {{message}}', coAuthors: '@babicka, Jana <jana@example.com>' });
+
+      expect(settings.get()).toEqual({ template: '🍲 {{message}}', coAuthors: ['@babicka', 'Jana <jana@example.com>'] });
+      expect(settings.formatMessage('create', before)).toBe([
+        '🍲 Add recipe: Guláš',
+        '',
+        'Co-authored-by: babicka <babicka@users.noreply.github.com>',
+        'Co-authored-by: Jana <jana@example.com>'
+      ].join('\n'));
+      expect(settings.formatMessage('create', before, { commit: { note: 'Sólo', coAuthors: [] } })).toBe('🍲 Sólo');
+    });
+
+    test('should refuse co-authors it cannot credit', () => {
+      expect(() => new CommitSettings().save({ coAuthors: ['babička od vedle'] })).toThrow(ValidationError);
+      expect(new CommitSettings().get()).toEqual({ template: '{{message}}', coAuthors: [] });
+    });
+
+    test('should commit each save unless batch commits were chosen', () => {
+      const settings = new CommitSettings();
+      expect(settings.getSyncStrategy()).toBe('immediate');
+
+      settings.saveSyncStrategy('batch');
+      expect(settings.getSyncStrategy()).toBe('batch');
+      expect(() => settings.saveSyncStrategy('whenever')).toThrow(ValidationError);
+      expect(settings.getSyncStrategy()).toBe('batch');
+
+      settings.reset();
+      expect(settings.getSyncStrategy()).toBe('immediate');
+    });
+  });
+});
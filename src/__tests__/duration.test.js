@@ -0,0 +1,95 @@
+/**
+ * Unit tests for parsing and formatting cooking times
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  parseDuration,
+  formatDuration,
+  getRecipeTimes,
+  formatRecipeTime,
+  isReadyWithin
+} from '../utils/duration.js';
+
+describe('durations', () => {
+  describe('parseDuration()', () => {
+    test('should read Czech and English units', () => {
+      expect(parseDuration('90 min')).toBe(90);
+      expect(parseDuration('90min')).toBe(90);
+      expect(parseDuration('15 minut')).toBe(15);
+      expect(parseDuration('3 hodiny')).toBe(180);
+      expect(parseDuration('2 hours')).toBe(120);
+      expect(parseDuration('2 dní')).toBe(2880);
+      expect(parseDuration('1 den')).toBe(1440);
+    });
+
+    test('should add up hours and minutes in any notation', () => {
+      expect(parseDuration('1 h 30 min')).toBe(90);
+      expect(parseDuration('1h30')).toBe(90);
+      expect(parseDuration('1:30')).toBe(90);
+      expect(parseDuration('1,5 h')).toBe(90);
+      expect(parseDuration('1.5 hodiny')).toBe(90);
+    });
+
+    test('should understand phrases and ranges', () => {
+      expect(parseDuration('půl hodiny')).toBe(30);
+      expect(parseDuration('čtvrt hodiny')).toBe(15);
+      expect(parseDuration('1 hodina')).toBe(60);
+      expect(parseDuration('an hour')).toBe(60);
+      expect(parseDuration('přes noc')).toBe(480);
+      expect(parseDuration('30-40 min')).toBe(40);
+      expect(parseDuration('1 až 2 h')).toBe(120);
+    });
+
+    test('should treat bare numbers as minutes', () => {
+      expect(parseDuration('45')).toBe(45);
+      expect(parseDuration(45)).toBe(45);
+    });
+
+    test('should return null for anything that is not a duration', () => {
+      expect(parseDuration('4 porce')).toBeNull();
+      expect(parseDuration('podle chuti')).toBeNull();
+      expect(parseDuration('')).toBeNull();
+      expect(parseDuration(-5)).toBeNull();
+      expect(parseDuration(undefined)).toBeNull();
+    });
+  });
+
+  describe('formatDuration()', () => {
+    test('should write minutes, hours and days', () => {
+      expect(formatDuration(45)).toBe('45 min');
+      expect(formatDuration(60)).toBe('1 h');
+      expect(formatDuration(90)).toBe('1 h 30 min');
+      expect(formatDuration(1530)).toBe('1 d 1 h');
+      expect(formatDuration(null)).toBe('');
+    });
+
+    test('should read back what it writes', () => {
+      for (const minutes of [5, 45, 90, 135, 2880]) {
+        expect(parseDuration(formatDuration(minutes))).toBe(minutes);
+      }
+    });
+  });
+
+  describe('recipe times', () => {
+    test('should sum preparation, cooking and resting', () => {
+      const recipe = { prepTime: 20, cookTime: 60, restTime: 10, cookingTime: '5 min' };
+
+      expect(getRecipeTimes(recipe)).toEqual({ prepTime: 20, cookTime: 60, restTime: 10, total: 90 });
+      expect(formatRecipeTime(recipe)).toBe('1 h 30 min');
+    });
+
+    test('should fall back to the free-text cooking time of older recipes', () => {
+      expect(getRecipeTimes({ cookingTime: '2 hodiny' }).total).toBe(120);
+      expect(formatRecipeTime({ cookingTime: '2 hodiny' })).toBe('2 hodiny');
+      expect(formatRecipeTime({ cookingTime: 'podle chuti' })).toBe('podle chuti');
+      expect(formatRecipeTime({})).toBe('');
+    });
+
+    test('should only count recipes with a known time as ready within a limit', () => {
+      expect(isReadyWithin({ prepTime: 10, cookTime: 20 }, 30)).toBe(true);
+      expect(isReadyWithin({ cookTime: 45 }, 30)).toBe(false);
+      expect(isReadyWithin({ cookingTime: 'podle chuti' }, 30)).toBe(false);
+    });
+  });
+});
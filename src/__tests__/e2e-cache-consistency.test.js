@@ -288,9 +288,9 @@ describe('E2E Cache Consistency Test', () => {
     
     // Perform multiple concurrent updates
     const updatePromises = [
-      repository.update('gulas.json', { name: 'Guláš', servings: 6 }),
-      repository.update('palacinky.json', { name: 'Palačinky', servings: 8 }),
-      repository.update('stava-z-aronie.json', { name: 'Šťáva z arónie', servings: 4 })
+      repository.update('gulas.json', { name: 'Guláš', ingredients: ['beef', 'onion'], instructions: ['Cook'], servings: 6 }),
+      repository.update('palacinky.json', { name: 'Palačinky', ingredients: ['flour', 'milk'], instructions: ['Mix'], servings: 8 }),
+      repository.update('stava-z-aronie.json', { name: 'Šťáva z arónie', ingredients: ['berries'], instructions: ['Juice'], servings: 4 })
     ];
     
     await Promise.all(updatePromises);
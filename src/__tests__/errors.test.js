@@ -0,0 +1,114 @@
+/**
+ * Unit tests for the typed error taxonomy
+ */
+
+import { readFileSync } from 'fs';
+import { jest } from '@jest/globals';
+import {
+  ErrorCode,
+  RecoveryAction,
+  RecipeError,
+  AuthError,
+  NotFoundError,
+  RecipeConflictError,
+  RateLimitError,
+  ValidationError,
+  OfflineError,
+  ReadOnlyError,
+  errorFromResponse,
+  describeError,
+  formatError
+} from '../utils/errors.js';
+import { i18n } from '../i18n/i18n.js';
+import { RecipeConflictError as MergeConflictError } from '../utils/recipeMerge.js';
+import { RateLimitError as LimiterRateLimitError } from '../utils/rateLimit.js';
+import { PublicGitHubAdapter } from '../adapters/PublicGitHubAdapter.js';
+import RecipeRepository from '../repositories/RecipeRepository.js';
+
+const locales = {
+  en: JSON.parse(readFileSync('src/i18n/locales/en.json', 'utf8')),
+  cs: JSON.parse(readFileSync('src/i18n/locales/cs.json', 'utf8'))
+};
+
+describe('error taxonomy', () => {
+  beforeEach(() => {
+    i18n.translations = { en: locales.en };
+    i18n.currentLanguage = 'en';
+  });
+
+  test('should give every error code a message and a recovery hint in all languages', () => {
+    for (const locale of Object.values(locales)) {
+      for (const code of Object.values(ErrorCode)) {
+        expect(locale.errors[code]).toEqual({ message: expect.any(String), recovery: expect.any(String) });
+      }
+    }
+  });
+
+  test('should keep the existing conflict and rate limit errors part of the taxonomy', () => {
+    expect(MergeConflictError).toBe(RecipeConflictError);
+    expect(LimiterRateLimitError).toBe(RateLimitError);
+
+    const conflict = new RecipeConflictError('gulas', { remoteSha: 'remote' });
+    expect(conflict).toBeInstanceOf(RecipeError);
+    expect(conflict).toMatchObject({ name: 'RecipeConflictError', code: ErrorCode.CONFLICT, recovery: RecoveryAction.RESOLVE });
+    expect(new RateLimitError(Date.now())).toMatchObject({ code: ErrorCode.RATE_LIMITED, recovery: RecoveryAction.WAIT });
+  });
+
+  test('should map failed responses by status', () => {
+    const response = status => ({ status });
+
+    const auth = errorFromResponse(response(401), 'Failed to fetch recipe');
+    expect(auth).toBeInstanceOf(AuthError);
+    expect(auth.status).toBe(401);
+    expect(auth.message).toBe('Failed to fetch recipe: 401');
+
+    const missing = errorFromResponse(response(404), 'Failed to fetch history', { resource: 'gulas.json' });
+    expect(missing).toBeInstanceOf(NotFoundError);
+    expect(missing.resource).toBe('gulas.json');
+
+    const other = errorFromResponse(response(500), 'Failed to create tree', { details: 'oops' });
+    expect(other).not.toBeInstanceOf(RecipeError);
+    expect(other.message).toBe('Failed to create tree: 500 oops');
+  });
+
+  test('should describe typed errors with their translations', () => {
+    expect(describeError(new ValidationError(['Recipe name is required']))).toEqual({
+      message: 'The recipe is not valid: Recipe name is required.',
+      recovery: 'Fix the recipe form and save again.',
+      action: RecoveryAction.FIX_INPUT
+    });
+    expect(formatError(new OfflineError())).toBe(
+      'You are offline. Your changes are kept and will upload when the connection returns.'
+    );
+  });
+
+  test('should fall back to the message of plain errors', () => {
+    expect(describeError(new Error('Boom'))).toEqual({ message: 'Boom', recovery: null, action: null });
+    expect(formatError(new Error('Boom'))).toBe('Boom');
+  });
+});
+
+describe('read-only data sources', () => {
+  test('should reject writes in public mode', () => {
+    const adapter = new PublicGitHubAdapter();
+
+    expect(() => adapter.createFile('gulas.json', {})).toThrow(ReadOnlyError);
+    expect(adapter.isReadOnly()).toBe(true);
+  });
+
+  test('should reject changes before touching the cache', async () => {
+    const repo = new RecipeRepository({ persistentCache: false, enableLogging: false });
+    const adapter = { isReadOnly: () => true, createFile: jest.fn(), deleteFile: jest.fn() };
+    repo.setGitHubAPI(adapter);
+    const listener = jest.fn();
+    repo.on('recipesUpdated', listener);
+
+    await expect(repo.create({ name: 'Guláš', ingredients: ['maso'], instructions: ['Uvařit'] }))
+      .rejects.toBeInstanceOf(ReadOnlyError);
+    await expect(repo.delete('gulas')).rejects.toMatchObject({ code: ErrorCode.READ_ONLY });
+
+    expect(listener).not.toHaveBeenCalled();
+    expect(adapter.createFile).not.toHaveBeenCalled();
+    repo.cleanup();
+  });
+});
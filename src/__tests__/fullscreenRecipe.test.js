@@ -139,6 +139,21 @@ describe('Fullscreen Recipe', () => {
     expect(window.bootstrap.Modal).toHaveBeenCalled();
   });
 
+  test('should show ingredient sections with their names', async () => {
+    await showFullscreenRecipe({
+      name: 'Bábovka',
+      ingredients: [
+        { section: 'Na těsto', items: [{ text: '250 g mouky' }] },
+        { section: 'Na polevu', items: [{ text: '100 g čokolády' }] }
+      ],
+      instructions: ['Upéct']
+    });
+
+    const sections = [...document.querySelectorAll('#fullscreenRecipeModal .fullscreen-ingredient-section')];
+    expect(sections.map(section => section.textContent)).toEqual(['Na těsto', 'Na polevu']);
+    expect(document.getElementById('fullscreenRecipeModal').innerHTML).toContain('100 g čokolády');
+  });
+
   test('should handle recipe with minimal data', async () => {
     const mockRecipe = {
       name: 'Simple Recipe'
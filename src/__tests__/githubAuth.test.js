@@ -0,0 +1,120 @@
+/**
+ * Unit tests for the GitHub token service: expired tokens, re-authentication and failed requests
+ */
+
+import { readFileSync } from 'fs';
+import { jest } from '@jest/globals';
+import { i18n } from '../i18n/i18n.js';
+import { githubAuth } from '../services/githubAuth.js';
+import { OfflineError } from '../utils/errors.js';
+
+const locales = {
+  en: JSON.parse(readFileSync('src/i18n/locales/en.json', 'utf8'))
+};
+
+describe('expired tokens', () => {
+  const response = (status, body = {}) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: () => null, entries: () => [] },
+    json: async () => body,
+    clone() {
+      return this;
+    }
+  });
+
+  let expired;
+  let unsubscribe;
+
+  beforeEach(() => {
+    i18n.translations = { en: locales.en };
+    i18n.currentLanguage = 'en';
+    githubAuth.accessToken = 'ghp_old';
+    githubAuth.tokenExpired = false;
+    expired = jest.fn();
+    unsubscribe = githubAuth.onTokenExpired(expired);
+  });
+
+  afterEach(() => {
+    unsubscribe();
+    githubAuth.signOut();
+    jest.restoreAllMocks();
+  });
+
+  test('should report a rejected token once and keep it until a new one is supplied', async () => {
+    fetch.mockResolvedValue(response(401, { message: 'Bad credentials' }));
+
+    await githubAuth.makeAuthenticatedRequest('user');
+    await githubAuth.makeAuthenticatedRequest('user');
+
+    expect(expired).toHaveBeenCalledTimes(1);
+    expect(githubAuth.isTokenExpired()).toBe(true);
+    expect(githubAuth.isAuthenticated()).toBe(true);
+  });
+
+  test('should only treat 403 as expiry when GitHub reports bad credentials', async () => {
+    fetch.mockResolvedValueOnce(response(403, { message: 'Resource not accessible by personal access token' }));
+    await githubAuth.makeAuthenticatedRequest('repos/owner/repo/contents/recipes/gulas.json');
+    expect(expired).not.toHaveBeenCalled();
+
+    fetch.mockResolvedValueOnce(response(403, { message: 'Bad credentials' }));
+    await githubAuth.makeAuthenticatedRequest('repos/owner/repo/contents/recipes/gulas.json');
+    expect(expired).toHaveBeenCalledTimes(1);
+  });
+
+  test('should ask again until GitHub accepts the new token', async () => {
+    githubAuth.tokenExpired = true;
+    const prompt = jest.spyOn(githubAuth, 'showManualTokenInstructions')
+      .mockResolvedValueOnce('ghp_typo')
+      .mockResolvedValueOnce('ghp_new');
+    fetch
+      .mockResolvedValueOnce(response(401))
+      .mockResolvedValueOnce(response(200, { login: 'kuchtik' }));
+
+    // Concurrent callers share one prompt
+    const [renewed, again] = await Promise.all([githubAuth.reauthenticate(), githubAuth.reauthenticate()]);
+
+    expect(renewed).toBe(true);
+    expect(again).toBe(true);
+    expect(prompt).toHaveBeenCalledTimes(2);
+    expect(prompt.mock.calls[1][0].notice).toBe(locales.en.auth.tokenRejected);
+    expect(githubAuth.accessToken).toBe('ghp_new');
+    expect(githubAuth.isTokenExpired()).toBe(false);
+    expect(localStorage.getItem('github_access_token')).toBe('ghp_new');
+  });
+
+  test('should keep the old token when re-authentication is cancelled', async () => {
+    githubAuth.tokenExpired = true;
+    jest.spyOn(githubAuth, 'showManualTokenInstructions').mockResolvedValue(null);
+
+    expect(await githubAuth.reauthenticate()).toBe(false);
+    expect(githubAuth.accessToken).toBe('ghp_old');
+    expect(githubAuth.isTokenExpired()).toBe(true);
+  });
+});
+
+describe('failed requests', () => {
+  beforeEach(() => {
+    githubAuth.accessToken = 'ghp_token';
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    githubAuth.signOut();
+    jest.restoreAllMocks();
+  });
+
+  test('should report the device being offline', async () => {
+    jest.spyOn(window.navigator, 'onLine', 'get').mockReturnValue(false);
+    fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+
+    await expect(githubAuth.makeAuthenticatedRequest('user')).rejects.toThrow(OfflineError);
+  });
+
+  test('should pass other network failures on while online', async () => {
+    const failure = new TypeError('Failed to fetch');
+    fetch.mockRejectedValueOnce(failure);
+
+    await expect(githubAuth.makeAuthenticatedRequest('user')).rejects.toBe(failure);
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Unit tests for the conditional request cache and the blob cache
+ */
+
+import { jest } from '@jest/globals';
+import { HttpCache, BlobCache, getBlobCache, clearHttpCaches } from '../utils/httpCache.js';
+
+const response = (body, status = 200, headers = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: name => headers[name] ?? null },
+  json: async () => body
+});
+
+describe('HttpCache', () => {
+  let cache;
+
+  beforeEach(() => {
+    localStorage.clear();
+    cache = new HttpCache({ namespace: 'test' });
+  });
+
+  test('should send If-None-Match once an ETag is known', async () => {
+    const request = jest.fn()
+      .mockResolvedValueOnce(response({ sha: 'abc' }, 200, { ETag: '"v1"' }))
+      .mockResolvedValueOnce(response(null, 304));
+
+    const first = await cache.fetch('branches/main', request);
+    const second = await cache.fetch('branches/main', request);
+
+    expect(request.mock.calls[0][0]).toEqual({});
+    expect(request.mock.calls[1][0]).toEqual({ 'If-None-Match': '"v1"' });
+    expect(first.fromCache).toBe(false);
+    expect(second.fromCache).toBe(true);
+    expect(second.status).toBe(200);
+    expect(await second.json()).toEqual({ sha: 'abc' });
+    expect(cache.getStats()).toEqual({ hits: 1, misses: 1 });
+  });
+
+  test('should fall back to If-Modified-Since without an ETag', async () => {
+    const request = jest.fn()
+      .mockResolvedValueOnce(response([], 200, { 'Last-Modified': 'Mon, 01 Jan 2024 10:00:00 GMT' }))
+      .mockResolvedValueOnce(response(null, 304));
+
+    await cache.fetch('contents/recipes', request);
+    await cache.fetch('contents/recipes', request);
+
+    expect(request.mock.calls[1][0]).toEqual({ 'If-Modified-Since': 'Mon, 01 Jan 2024 10:00:00 GMT' });
+  });
+
+  test('should persist validators across instances', async () => {
+    await cache.fetch('branches/main', async () => response({ sha: 'abc' }, 200, { ETag: '"v1"' }));
+    cache.flush();
+
+    const request = jest.fn().mockResolvedValue(response(null, 304));
+    const restored = new HttpCache({ namespace: 'test' });
+    const result = await restored.fetch('branches/main', request);
+
+    expect(request).toHaveBeenCalledWith({ 'If-None-Match': '"v1"' });
+    expect(await result.json()).toEqual({ sha: 'abc' });
+  });
+
+  test('should pass through errors and responses without validators', async () => {
+    const failed = response({ message: 'Not Found' }, 404, { ETag: '"x"' });
+    expect(await cache.fetch('missing', async () => failed)).toBe(failed);
+
+    const plain = response({ ok: true });
+    expect(await cache.fetch('plain', async () => plain)).toBe(plain);
+
+    const request = jest.fn().mockResolvedValue(plain);
+    await cache.fetch('plain', request);
+    expect(request).toHaveBeenCalledWith({});
+  });
+
+  test('should keep only the most recent responses', async () => {
+    for (let i = 0; i <= 100; i++) {
+      await cache.fetch(`trees/${i}`, async () => response({ i }, 200, { ETag: `"${i}"` }));
+    }
+
+    const request = jest.fn().mockResolvedValue(response({ i: 0 }));
+    await cache.fetch('trees/0', request);
+    expect(request).toHaveBeenCalledWith({});
+
+    await cache.fetch('trees/100', request);
+    expect(request).toHaveBeenLastCalledWith({ 'If-None-Match': '"100"' });
+  });
+});
+
+describe('BlobCache', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  test('should return copies so callers cannot change cached blobs', () => {
+    const cache = new BlobCache();
+    cache.set('sha-1', { name: 'Guláš', metadata: {} });
+
+    const copy = cache.get('sha-1');
+    copy.metadata.id = 'gulas';
+    cache.flush();
+
+    expect(cache.get('sha-1')).toEqual({ name: 'Guláš', metadata: {} });
+    expect(new BlobCache().get('sha-1')).toEqual({ name: 'Guláš', metadata: {} });
+  });
+
+  test('should drop blobs that are no longer referenced', () => {
+    const cache = new BlobCache();
+    cache.set('sha-1', { name: 'A' });
+    cache.set('sha-2', { name: 'B' });
+
+    cache.retain(['sha-2']);
+
+    expect(cache.get('sha-1')).toBeUndefined();
+    expect(cache.get('sha-2')).toEqual({ name: 'B' });
+  });
+
+  test('should keep the blobs of each recipe source apart', () => {
+    const own = getBlobCache('babicka/recepty@main:recipes');
+    const other = getBlobCache('deda/recepty@main:recipes');
+    own.set('sha-1', { name: 'Guláš' });
+    other.set('sha-2', { name: 'Bábovka' });
+
+    // Loading the other source prunes only its own blobs
+    other.retain(['sha-2']);
+    other.flush();
+
+    expect(own.get('sha-1')).toEqual({ name: 'Guláš' });
+    expect(getBlobCache('babicka/recepty@main:recipes')).toBe(own);
+    expect(new BlobCache({ namespace: 'deda/recepty@main:recipes' }).get('sha-2')).toEqual({ name: 'Bábovka' });
+  });
+
+  test('should write to storage once for a whole load', () => {
+    jest.useFakeTimers();
+    const setItem = jest.spyOn(window.Storage.prototype, 'setItem');
+    try {
+      const cache = new BlobCache({ namespace: 'babicka/recepty@main:recipes' });
+      for (let i = 0; i < 50; i++) {
+        cache.set(`sha-${i}`, { name: `Recept ${i}` });
+      }
+      expect(setItem).not.toHaveBeenCalled();
+
+      jest.runAllTimers();
+      cache.flush();
+
+      expect(setItem).toHaveBeenCalledTimes(1);
+      expect(Object.keys(JSON.parse(localStorage.getItem('kuchtik-blob-cache:babicka/recepty@main:recipes')))).toHaveLength(50);
+    } finally {
+      setItem.mockRestore();
+      jest.useRealTimers();
+    }
+  });
+});
+
+describe('clearHttpCaches()', () => {
+  test('should forget responses and blobs, including ones stored by earlier sessions', async () => {
+    localStorage.setItem('kuchtik-blob-cache:deda/tajne@main:recipes', '{"sha-9":{"name":"Tajný recept"}}');
+    localStorage.setItem('github_access_token', 'token');
+    const http = new HttpCache({ namespace: 'test' });
+    await http.fetch('branches/main', async () => response({ sha: 'abc' }, 200, { ETag: '"v1"' }));
+    http.flush();
+    const blobs = getBlobCache('babicka/tajne@main:recipes');
+    blobs.set('sha-1', { name: 'Guláš' });
+
+    clearHttpCaches();
+
+    const request = jest.fn().mockResolvedValue(response({ sha: 'abc' }));
+    await http.fetch('branches/main', request);
+    expect(request).toHaveBeenCalledWith({});
+    expect(blobs.get('sha-1')).toBeUndefined();
+    expect(Object.keys(localStorage).filter(key => key.startsWith('kuchtik-'))).toEqual([]);
+    expect(localStorage.getItem('github_access_token')).toBe('token');
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Unit tests for GitHub rate limit tracking
+ */
+
+import { jest } from '@jest/globals';
+import { RateLimiter, RateLimitError } from '../utils/rateLimit.js';
+
+const response = (status, headers = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: name => (headers[name] === undefined ? null : String(headers[name])) }
+});
+
+describe('RateLimiter', () => {
+  let now;
+  let sleep;
+  let limiter;
+
+  beforeEach(() => {
+    now = 1700000000000;
+    sleep = jest.fn(async ms => {
+      now += ms;
+    });
+    limiter = new RateLimiter({ now: () => now, sleep, maxWait: 60 * 1000 });
+  });
+
+  test('should track the quota from response headers', () => {
+    const listener = jest.fn();
+    limiter.subscribe(listener);
+
+    limiter.record(response(200, { 'X-RateLimit-Limit': 5000, 'X-RateLimit-Remaining': 4999, 'X-RateLimit-Reset': 1700003600 }));
+
+    expect(limiter.getStatus()).toEqual({ limit: 5000, remaining: 4999, resetAt: 1700003600000, pausedUntil: null });
+    expect(listener).toHaveBeenCalledWith(limiter.getStatus());
+  });
+
+  test('should retry after Retry-After on secondary limits', async () => {
+    const request = jest.fn()
+      .mockResolvedValueOnce(response(403, { 'Retry-After': 5 }))
+      .mockResolvedValueOnce(response(200));
+
+    const result = await limiter.schedule(request);
+
+    expect(result.status).toBe(200);
+    expect(sleep).toHaveBeenCalledWith(5000);
+    expect(request).toHaveBeenCalledTimes(2);
+  });
+
+  test('should back off exponentially when no delay is given', async () => {
+    const request = jest.fn()
+      .mockResolvedValueOnce(response(429))
+      .mockResolvedValueOnce(response(429))
+      .mockResolvedValueOnce(response(200));
+
+    await limiter.schedule(request);
+
+    expect(sleep.mock.calls.map(([ms]) => ms)).toEqual([1000, 2000]);
+  });
+
+  test('should report long pauses instead of waiting them out', async () => {
+    const request = jest.fn().mockResolvedValue(response(403, {
+      'X-RateLimit-Limit': 60,
+      'X-RateLimit-Remaining': 0,
+      'X-RateLimit-Reset': 1700001800
+    }));
+
+    await expect(limiter.schedule(request)).rejects.toBeInstanceOf(RateLimitError);
+    expect(limiter.isPaused()).toBe(true);
+
+    // Further requests are not even sent until the reset
+    request.mockClear();
+    const error = await limiter.schedule(request).catch(caught => caught);
+    expect(request).not.toHaveBeenCalled();
+    expect(error).toMatchObject({ name: 'RateLimitError', limit: 60, remaining: 0 });
+    expect(error.resetAt).toBeGreaterThanOrEqual(1700001800000);
+
+    now = 1700001802000;
+    expect(limiter.isPaused()).toBe(false);
+  });
+
+  test('should not pause REST requests for GraphQL limits', async () => {
+    const request = jest.fn()
+      .mockResolvedValueOnce(response(403, { 'X-RateLimit-Resource': 'graphql', 'X-RateLimit-Remaining': 0, 'Retry-After': 5 }))
+      .mockResolvedValueOnce(response(200));
+
+    await limiter.schedule(request);
+
+    expect(sleep).toHaveBeenCalledWith(5000);
+    expect(limiter.getStatus()).toEqual({ limit: null, remaining: null, resetAt: null, pausedUntil: null });
+  });
+
+  test('should not treat other 403 responses as rate limits', async () => {
+    const forbidden = response(403, { 'X-RateLimit-Remaining': 4000 });
+
+    expect(await limiter.schedule(async () => forbidden)).toBe(forbidden);
+    expect(sleep).not.toHaveBeenCalled();
+  });
+});
@@ -1,105 +1,142 @@
 /**
- * Unit test for recipe validation fix in GitHubAPIAdapter
+ * Unit tests for the shared recipe schema and its validator
  */
 
-import { GitHubAPIAdapter } from '../adapters/GitHubAPIAdapter.js';
+import { RECIPE_SCHEMA, validateRecipe, formatValidationErrors, assertValidRecipe } from '../utils/recipeSchema.js';
+import { ValidationError } from '../utils/errors.js';
 
-describe('GitHubAPIAdapter Recipe Validation', () => {
-  let adapter;
+describe('Recipe schema validation', () => {
+  const validRecipe = {
+    name: 'Guláš',
+    ingredients: [
+      { text: '500 g hovězí kližky', exportDefault: true },
+      { text: '2 cibule', exportDefault: false },
+      '2 stroužky česneku'
+    ],
+    instructions: [
+      'Nakrájej maso na kostky.',
+      'Orestuj cibuli do zlatova.',
+      'Přidej maso a koření.'
+    ],
+    cookingTime: '90 min',
+    servings: 4,
+    tags: ['Czech', 'meat'],
+    notes: ['Traditional recipe'],
+    metadata: { author: 'cook', createdAt: '2025-01-01T00:00:00.000Z' }
+  };
 
-  beforeEach(() => {
-    adapter = new GitHubAPIAdapter();
-  });
+  describe('validateRecipe()', () => {
+    test('should accept a complete recipe with object and plain string ingredients', () => {
+      expect(validateRecipe(validRecipe)).toEqual({ isValid: true, errors: [] });
+    });
 
-  describe('validateRecipe', () => {
-    test('should accept valid recipe with instructions as array', () => {
-      const validRecipe = {
-        name: 'Test Recipe',
-        ingredients: ['ingredient 1', 'ingredient 2'],
-        instructions: ['step 1', 'step 2', 'step 3']
-      };
+    test('should accept descriptive servings and keep unknown properties', () => {
+      const recipe = { ...validRecipe, servings: '1 láhev (cca 500 ml)', source: 'babička' };
 
-      const validation = adapter.validateRecipe(validRecipe);
-      
-      expect(validation.isValid).toBe(true);
-      expect(validation.errors).toHaveLength(0);
+      expect(validateRecipe(recipe).isValid).toBe(true);
     });
 
-    test('should reject recipe with empty instructions array', () => {
-      const invalidRecipe = {
-        name: 'Test Recipe',
-        ingredients: ['ingredient 1'],
-        instructions: [] // Empty array should be invalid
-      };
+    test('should require a name, ingredients and instructions', () => {
+      const { isValid, errors } = validateRecipe({});
 
-      const validation = adapter.validateRecipe(invalidRecipe);
-      
-      expect(validation.isValid).toBe(false);
-      expect(validation.errors).toContain('Instructions are required');
+      expect(isValid).toBe(false);
+      expect(errors).toEqual([
+        { path: '/name', message: 'is required' },
+        { path: '/ingredients', message: 'is required' },
+        { path: '/instructions', message: 'is required' }
+      ]);
     });
 
-    test('should reject recipe with missing instructions', () => {
-      const invalidRecipe = {
-        name: 'Test Recipe',
-        ingredients: ['ingredient 1']
-        // No instructions property
+    test('should reject empty and old string instructions', () => {
+      expect(validateRecipe({ ...validRecipe, instructions: [] }).errors)
+        .toEqual([{ path: '/instructions', message: 'must have at least 1 item' }]);
+      expect(validateRecipe({ ...validRecipe, instructions: 'Some instructions as a string' }).errors)
+        .toEqual([{ path: '/instructions', message: 'must be an array' }]);
+      expect(validateRecipe({ ...validRecipe, instructions: null }).errors)
+        .toEqual([{ path: '/instructions', message: 'must be an array' }]);
+    });
+
+    test('should point at the offending value', () => {
+      const recipe = {
+        ...validRecipe,
+        name: '   ',
+        ingredients: [{ text: 'maso' }, { text: '' }, { exportDefault: true }, 42],
+        instructions: ['Uvařit', ''],
+        servings: 0,
+        tags: ['ok', 5]
       };
 
-      const validation = adapter.validateRecipe(invalidRecipe);
-      
-      expect(validation.isValid).toBe(false);
-      expect(validation.errors).toContain('Instructions are required');
+      expect(validateRecipe(recipe).errors).toEqual([
+        { path: '/name', message: 'must be a non-empty string' },
+        { path: '/ingredients/1/text', message: 'must be a non-empty string' },
+        { path: '/ingredients/2/text', message: 'is required' },
+        { path: '/ingredients/3', message: 'must be a string or an object' },
+        { path: '/instructions/1', message: 'must be a non-empty string' },
+        { path: '/servings', message: 'must be a positive whole number or a description such as "1 jar"' },
+        { path: '/tags/1', message: 'must be a non-empty string' }
+      ]);
     });
 
-    test('should reject recipe with null instructions', () => {
-      const invalidRecipe = {
-        name: 'Test Recipe',
-        ingredients: ['ingredient 1'],
-        instructions: null
+    test('should accept named ingredient sections next to plain lines', () => {
+      const recipe = {
+        ...validRecipe,
+        ingredients: [
+          { text: 'máslo na vymazání' },
+          { section: 'Na těsto', items: [{ text: '250 g mouky' }, '3 vejce'] },
+          { section: 'Na polevu', items: [{ text: '100 g čokolády', exportDefault: true }] }
+        ]
       };
 
-      const validation = adapter.validateRecipe(invalidRecipe);
-      
-      expect(validation.isValid).toBe(false);
-      expect(validation.errors).toContain('Instructions are required');
+      expect(validateRecipe(recipe).isValid).toBe(true);
+      expect(validateRecipe({ ...recipe, ingredients: [{ section: ' ', items: [] }, { section: 'Na polevu', items: [{ text: '' }] }] }).errors)
+        .toEqual([
+          { path: '/ingredients/0/section', message: 'must be a non-empty string' },
+          { path: '/ingredients/0/items', message: 'must have at least 1 item' },
+          { path: '/ingredients/1/items/0/text', message: 'must be a non-empty string' }
+        ]);
     });
 
-    test('should reject recipe with instructions as string (old format)', () => {
-      const invalidRecipe = {
-        name: 'Test Recipe',
-        ingredients: ['ingredient 1'],
-        instructions: 'Some instructions as a string' // Should be array now
-      };
+    test('should accept a photo path or URL, but not an empty one', () => {
+      expect(validateRecipe({ ...validRecipe, image: 'images/gulas-m1.jpg' }).isValid).toBe(true);
+      expect(validateRecipe({ ...validRecipe, image: 'https://example.com/gulas.jpg' }).isValid).toBe(true);
+      expect(validateRecipe({ ...validRecipe, image: '' }).errors)
+        .toEqual([{ path: '/image', message: 'must be a non-empty string' }]);
+    });
 
-      const validation = adapter.validateRecipe(invalidRecipe);
-      
-      expect(validation.isValid).toBe(false);
-      expect(validation.errors).toContain('Instructions are required');
+    test('should reject anything but an object', () => {
+      expect(validateRecipe(null).errors).toEqual([{ path: '', message: 'must be an object' }]);
+      expect(validateRecipe(['Guláš']).errors).toEqual([{ path: '', message: 'must be an object' }]);
     });
 
-    test('should accept complete valid recipe', () => {
-      const validRecipe = {
-        name: 'Guláš',
-        ingredients: [
-          '500 g hovězí kližky',
-          '2 cibule',
-          '2 stroužky česneku'
-        ],
-        instructions: [
-          'Nakrájej maso na kostky.',
-          'Orestuj cibuli do zlatova.',
-          'Přidej maso a koření.'
-        ],
-        cookingTime: '90 min',
-        servings: 4,
-        tags: ['Czech', 'meat'],
-        notes: ['Traditional recipe']
-      };
+    test('should describe itself as a JSON Schema', () => {
+      expect(RECIPE_SCHEMA.$schema).toBe('https://json-schema.org/draft/2020-12/schema');
+      expect(RECIPE_SCHEMA.required).toEqual(['name', 'ingredients', 'instructions']);
+    });
+  });
 
-      const validation = adapter.validateRecipe(validRecipe);
-      
-      expect(validation.isValid).toBe(true);
-      expect(validation.errors).toHaveLength(0);
+  describe('formatValidationErrors()', () => {
+    test('should write one line per error', () => {
+      expect(formatValidationErrors([
+        { path: '/ingredients/2/text', message: 'is required' },
+        { path: '', message: 'must be an object' }
+      ])).toEqual(['ingredients/2/text: is required', 'must be an object']);
     });
   });
+
+  describe('assertValidRecipe()', () => {
+    test('should throw a ValidationError carrying the path-level issues', () => {
+      const recipe = { ...validRecipe, instructions: [] };
+
+      expect(() => assertValidRecipe(validRecipe)).not.toThrow();
+      expect(() => assertValidRecipe(recipe, 'gulas.json')).toThrow(ValidationError);
+      try {
+        assertValidRecipe(recipe, 'gulas.json');
+      } catch (error) {
+        expect(error.message).toBe('Invalid recipe data in gulas.json: instructions: must have at least 1 item');
+        expect(error.errors).toEqual(['instructions: must have at least 1 item']);
+        expect(error.issues).toEqual([{ path: '/instructions', message: 'must have at least 1 item' }]);
+      }
+    });
+  });
+
 });
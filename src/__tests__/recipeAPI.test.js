@@ -11,6 +11,7 @@ describe('recipeAPI', () => {
         { type: 'file', name: 'gulas.json' },
         { type: 'file', name: 'palacinky.json' },
         { type: 'file', name: 'README.md' },
+        { type: 'file', name: 'index.json' },
         { type: 'dir', name: 'subfolder' }
       ];
 
@@ -22,7 +23,7 @@ describe('recipeAPI', () => {
       const result = await getRecipeFileList();
       
       expect(fetch).toHaveBeenCalledWith(
-        'https://api.github.com/repos/etancik/Kuchtik/contents/recipes'
+        'https://api.github.com/repos/etancik/Kuchtik/contents/recipes?ref=main'
       );
       expect(result).toEqual(['gulas.json', 'palacinky.json']);
     });
@@ -14,6 +14,8 @@ const mockGithubAuth = {
 const mockConfig = {
   REPO_OWNER: 'testowner',
   REPO_NAME: 'testrepo',
+  REPO_BRANCH: 'main',
+  RECIPES_PATH: 'recipes',
   GITHUB_API_BASE: 'https://api.github.com'
 };
 
@@ -0,0 +1,85 @@
+/**
+ * Tests for the field-level recipe diff used by the history panel
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { diffList, diffRecipes } from '../utils/recipeDiff.js';
+
+describe('recipeDiff', () => {
+  const base = {
+    name: 'Guláš',
+    servings: 4,
+    ingredients: [{ text: '500 g masa' }, { text: '2 cibule' }, { text: 'paprika' }],
+    instructions: ['Nakrájet', 'Osmahnout', 'Dusit'],
+    tags: ['maso', 'hlavní jídlo'],
+    metadata: { id: 'gulas', sha: 'a' }
+  };
+
+  describe('diffList()', () => {
+    test('should report added and removed items', () => {
+      expect(diffList(['a', 'b'], ['b', 'c'])).toEqual({ added: ['c'], removed: ['a'], moved: [] });
+    });
+
+    test('should report reordered items', () => {
+      expect(diffList(['a', 'b', 'c'], ['c', 'a', 'b'])).toEqual({ added: [], removed: [], moved: ['c'] });
+    });
+
+    test('should compare ingredient objects by text', () => {
+      expect(diffList([{ text: 'sůl' }], [{ text: 'sůl', exportDefault: false }, { text: 'pepř' }]))
+        .toEqual({ added: ['pepř'], removed: [], moved: [] });
+    });
+  });
+
+  describe('diffRecipes()', () => {
+    test('should return no changes for identical recipes with different metadata', () => {
+      expect(diffRecipes(base, { ...base, metadata: { id: 'gulas', sha: 'b' } })).toEqual([]);
+    });
+
+    test('should report list and value changes per field', () => {
+      const after = {
+        ...base,
+        servings: 6,
+        ingredients: [{ text: '500 g masa' }, { text: '3 cibule' }, { text: 'paprika' }],
+        instructions: ['Nakrájet', 'Dusit', 'Osmahnout'],
+        tags: ['maso', 'guláš']
+      };
+
+      expect(diffRecipes(base, after)).toEqual([
+        { field: 'servings', type: 'value', from: 4, to: 6 },
+        { field: 'ingredients', type: 'list', added: ['3 cibule'], removed: ['2 cibule'], moved: [] },
+        { field: 'instructions', type: 'list', added: [], removed: [], moved: ['Osmahnout'] },
+        { field: 'tags', type: 'list', added: ['guláš'], removed: ['hlavní jídlo'], moved: [] }
+      ]);
+    });
+
+    test('should treat a missing version as empty', () => {
+      const changes = diffRecipes(null, base);
+
+      expect(changes.find(change => change.field === 'name')).toEqual({ field: 'name', type: 'value', from: undefined, to: 'Guláš' });
+      expect(changes.find(change => change.field === 'tags').added).toEqual(['maso', 'hlavní jídlo']);
+    });
+
+    test('should name the section of sectioned ingredients', () => {
+      const before = { ...base, ingredients: [{ section: 'Na těsto', items: [{ text: 'mouka' }] }] };
+      const after = {
+        ...base,
+        ingredients: [
+          { section: 'Na těsto', items: [{ text: 'mouka' }] },
+          { section: 'Na polevu', items: [{ text: 'cukr' }] }
+        ]
+      };
+
+      expect(diffRecipes(before, after)).toEqual([
+        { field: 'ingredients', type: 'list', added: ['Na polevu: cukr'], removed: [], moved: [] }
+      ]);
+    });
+
+    test('should show item property changes as a value change', () => {
+      const after = { ...base, ingredients: base.ingredients.map(item => ({ ...item, exportDefault: false })) };
+
+      expect(diffRecipes(base, after)).toEqual([
+        { field: 'ingredients', type: 'value', from: base.ingredients, to: after.ingredients }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Unit tests for drafts kept on a per-user branch
+ */
+
+import { jest } from '@jest/globals';
+import { RecipeDrafts } from '../services/recipeDrafts.js';
+import { AuthError, ValidationError } from '../utils/errors.js';
+
+describe('recipe drafts', () => {
+  const recipe = { name: 'Guláš', ingredients: ['maso', 'cibule'], instructions: ['Uvařit'] };
+  let adapter;
+  let drafts;
+
+  beforeEach(() => {
+    adapter = {
+      getDraftBranch: jest.fn(() => 'drafts/cook'),
+      listBranchChanges: jest.fn(async () => []),
+      getRecipe: jest.fn(async id => ({ ...recipe, metadata: { id, sha: `${id}-sha`, author: 'cook' } })),
+      generateFilename: jest.fn(name => `${name.toLowerCase()}.json`),
+      exists: jest.fn(async () => false),
+      ensureBranch: jest.fn(async () => false),
+      mergeIntoBranch: jest.fn(async () => true),
+      createRecipe: jest.fn(async data => ({ ...data, id: 'new', sha: 'new-sha' })),
+      updateRecipe: jest.fn(async (id, data) => ({ ...data, id, sha: 'new-sha' })),
+      deleteRecipe: jest.fn(async () => true),
+      restoreFile: jest.fn(async () => {})
+    };
+    drafts = new RecipeDrafts({ adapter });
+  });
+
+  test('should load the recipes the drafts branch changes', async () => {
+    adapter.listBranchChanges.mockResolvedValue([
+      { filename: 'gulas.json', sha: 'a', status: 'modified' },
+      { filename: 'knedliky.json', sha: 'b', status: 'added' }
+    ]);
+    const listener = jest.fn();
+    drafts.subscribe(listener);
+
+    const loaded = await drafts.load();
+
+    expect(adapter.getRecipe).toHaveBeenCalledWith('knedliky', { branch: 'drafts/cook' });
+    expect(loaded.map(draft => draft.metadata)).toEqual([
+      expect.objectContaining({ id: 'gulas', draft: true, draftStatus: 'modified' }),
+      expect.objectContaining({ id: 'knedliky', draft: true, draftStatus: 'added' })
+    ]);
+    expect(listener).toHaveBeenCalledWith(loaded);
+  });
+
+  test('should have no drafts when signed out', async () => {
+    adapter.getDraftBranch.mockReturnValue(null);
+
+    expect(await drafts.load()).toEqual([]);
+    await expect(drafts.save(recipe)).rejects.toThrow(AuthError);
+  });
+
+  test('should save new recipes and edits on the drafts branch', async () => {
+    await drafts.save(recipe);
+    expect(adapter.ensureBranch).toHaveBeenCalledWith('drafts/cook');
+    expect(adapter.exists).toHaveBeenCalledWith('guláš');
+    expect(adapter.createRecipe).toHaveBeenCalledWith(recipe, { branch: 'drafts/cook' });
+
+    await drafts.save(recipe, { ...recipe, metadata: { id: 'gulas' } });
+    expect(adapter.mergeIntoBranch).toHaveBeenCalledWith('drafts/cook');
+    expect(adapter.updateRecipe).toHaveBeenLastCalledWith('gulas', recipe, { branch: 'drafts/cook' });
+
+    adapter.mergeIntoBranch.mockClear();
+    await drafts.save(recipe, { ...recipe, metadata: { id: 'gulas', draft: true } });
+    expect(adapter.mergeIntoBranch).not.toHaveBeenCalled();
+  });
+
+  test('should not draft a new recipe named like a published one', async () => {
+    adapter.exists.mockResolvedValue(true);
+
+    await expect(drafts.save(recipe)).rejects.toThrow(ValidationError);
+    expect(adapter.createRecipe).not.toHaveBeenCalled();
+  });
+
+  test('should publish through the repository and clear the draft', async () => {
+    const repository = { create: jest.fn(async data => data), update: jest.fn(async (id, data) => data) };
+
+    await drafts.publish({ ...recipe, metadata: { id: 'knedliky', sha: 'b', author: 'cook', draft: true, draftStatus: 'added' } }, repository);
+
+    expect(repository.create).toHaveBeenCalledWith({ ...recipe, metadata: { author: 'cook' } }, {});
+    expect(adapter.deleteRecipe).toHaveBeenCalledWith('knedliky', { branch: 'drafts/cook' });
+
+    const commit = { note: 'Hotovo', coAuthors: ['@babicka'] };
+    await drafts.publish({ ...recipe, metadata: { id: 'gulas', sha: 'a', draft: true, draftStatus: 'modified' } }, repository, { commit });
+
+    expect(repository.update).toHaveBeenCalledWith('gulas', { ...recipe, metadata: {} }, { commit });
+    expect(adapter.restoreFile).toHaveBeenCalledWith('gulas.json', 'drafts/cook', 'Discard draft: Guláš');
+  });
+});
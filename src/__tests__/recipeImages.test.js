@@ -0,0 +1,70 @@
+/**
+ * Unit tests for recipe photo paths, URLs and encoding
+ */
+
+import { describe, test, expect, jest, afterEach } from '@jest/globals';
+import {
+  IMAGES_FOLDER,
+  isImageUrl,
+  getRecipeImageUrl,
+  createImagePath,
+  getImageChanges,
+  resizeImage,
+  readAsBase64
+} from '../utils/recipeImages.js';
+import { ValidationError } from '../utils/errors.js';
+
+describe('recipe photos', () => {
+  const adapter = { getImageUrl: path => `https://raw.example/recipes/${path}` };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should tell URLs from paths in the recipes folder', () => {
+    expect(isImageUrl('https://example.com/gulas.jpg')).toBe(true);
+    expect(isImageUrl('data:image/jpeg;base64,AAAA')).toBe(true);
+    expect(isImageUrl('images/gulas-m1.jpg')).toBe(false);
+    expect(isImageUrl(undefined)).toBe(false);
+  });
+
+  test('should resolve paths with the adapter and keep URLs as they are', () => {
+    expect(getRecipeImageUrl({ image: 'images/gulas-m1.jpg' }, adapter)).toBe('https://raw.example/recipes/images/gulas-m1.jpg');
+    expect(getRecipeImageUrl({ image: 'https://example.com/gulas.jpg' }, adapter)).toBe('https://example.com/gulas.jpg');
+    expect(getRecipeImageUrl({ image: 'images/gulas-m1.jpg' }, {})).toBeNull();
+    expect(getRecipeImageUrl({ image: ' ' }, adapter)).toBeNull();
+    expect(getRecipeImageUrl({}, adapter)).toBeNull();
+  });
+
+  test('should name new photos after the recipe and the time', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(1700000000000);
+
+    expect(createImagePath('Svíčková na smetaně')).toBe(`${IMAGES_FOLDER}/svickova-na-smetane-loyw3v28.jpg`);
+    expect(createImagePath('')).toBe(`${IMAGES_FOLDER}/recipe-loyw3v28.jpg`);
+  });
+
+  test('should delete a replaced or removed photo, but not a URL', () => {
+    const upload = { path: 'images/gulas-m2.jpg', content: 'AAAA' };
+
+    expect(getImageChanges('images/gulas-m1.jpg', upload, upload.path)).toEqual([
+      upload,
+      { path: 'images/gulas-m1.jpg', content: null }
+    ]);
+    expect(getImageChanges('images/gulas-m1.jpg', null, null)).toEqual([{ path: 'images/gulas-m1.jpg', content: null }]);
+    expect(getImageChanges('images/gulas-m1.jpg', null, 'images/gulas-m1.jpg')).toEqual([]);
+    expect(getImageChanges('https://example.com/gulas.jpg', upload, upload.path)).toEqual([upload]);
+    expect(getImageChanges(null, null, null)).toEqual([]);
+  });
+
+  test('should refuse files that are not pictures', async () => {
+    const file = new window.Blob(['hello'], { type: 'text/plain' });
+
+    await expect(resizeImage(file)).rejects.toBeInstanceOf(ValidationError);
+  });
+
+  test('should read blobs as base64 without the data URL prefix', async () => {
+    const blob = new window.Blob(['hello'], { type: 'image/jpeg' });
+
+    expect(await readAsBase64(blob)).toBe('aGVsbG8=');
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * Unit tests for the generated recipe index and index-first public loading
+ */
+
+import {
+  RECIPE_INDEX_VERSION,
+  isRecipeFile,
+  buildRecipeIndex,
+  applyIndexChanges,
+  parseRecipeIndex
+} from '../utils/recipeIndex.js';
+import { PublicGitHubAdapter } from '../adapters/PublicGitHubAdapter.js';
+
+const gulas = {
+  name: 'Guláš',
+  ingredients: ['maso'],
+  instructions: ['Uvařit'],
+  tags: ['hlavní jídlo'],
+  cookingTime: '120 min',
+  metadata: { id: 'gulas', sha: 'sha-gulas', lastModified: '2024-01-01T10:00:00Z' }
+};
+const babovka = {
+  name: 'Bábovka',
+  ingredients: ['mouka'],
+  instructions: ['Upéct'],
+  metadata: { id: 'babovka', sha: 'sha-babovka' }
+};
+
+describe('recipe index', () => {
+  test('should not treat the index as a recipe file', () => {
+    expect(isRecipeFile('gulas.json')).toBe(true);
+    expect(isRecipeFile('index.json')).toBe(false);
+    expect(isRecipeFile('README.md')).toBe(false);
+  });
+
+  test('should summarize recipes sorted by filename', () => {
+    const index = buildRecipeIndex([gulas, babovka, { name: 'Unsaved', metadata: {} }]);
+
+    expect(index.version).toBe(RECIPE_INDEX_VERSION);
+    expect(index.recipes.map(entry => entry.filename)).toEqual(['babovka.json', 'gulas.json']);
+    expect(index.recipes[1]).toEqual({
+      id: 'gulas',
+      filename: 'gulas.json',
+      name: 'Guláš',
+      tags: ['hlavní jídlo'],
+      cookingTime: '120 min',
+      totalTime: 120,
+      lastModified: '2024-01-01T10:00:00Z',
+      sha: 'sha-gulas',
+      recipe: gulas
+    });
+  });
+
+  test('should leave out full recipes when asked to', () => {
+    const [entry] = buildRecipeIndex([gulas], { includeRecipes: false }).recipes;
+
+    expect(entry).not.toHaveProperty('recipe');
+    expect(entry.sha).toBe('sha-gulas');
+  });
+
+  test('should apply written changes', () => {
+    const index = buildRecipeIndex([gulas, babovka]);
+
+    const updated = applyIndexChanges(index, [
+      { type: 'update', filename: 'gulas.json', data: { ...gulas, servings: 8 }, sha: 'sha-gulas-2' },
+      { type: 'delete', filename: 'babovka.json' },
+      { type: 'create', filename: 'churros.json', data: { name: 'Churros' }, sha: 'sha-churros' }
+    ]);
+
+    expect(updated.recipes.map(entry => [entry.filename, entry.sha])).toEqual([
+      ['churros.json', 'sha-churros'],
+      ['gulas.json', 'sha-gulas-2']
+    ]);
+    expect(updated.recipes[1].recipe.servings).toBe(8);
+    expect(updated.recipes[1].lastModified).not.toBe('2024-01-01T10:00:00Z');
+  });
+
+  test('should reject indexes of another version', () => {
+    expect(parseRecipeIndex({ version: RECIPE_INDEX_VERSION + 1, recipes: [] })).toBeNull();
+    expect(parseRecipeIndex(null)).toBeNull();
+    expect(parseRecipeIndex({ version: RECIPE_INDEX_VERSION, recipes: [{ filename: 'a.json' }] }).recipes).toEqual([]);
+  });
+});
+
+describe('PublicGitHubAdapter index loading', () => {
+  const response = (body, status = 200) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    json: async () => body
+  });
+
+  let adapter;
+  let routes;
+
+  beforeEach(() => {
+    localStorage.clear();
+    adapter = new PublicGitHubAdapter();
+    adapter.blobCache.retain([]);
+    routes = {
+      [`${adapter.baseRawUrl}/index.json`]: () => response(buildRecipeIndex([gulas, babovka])),
+      [`${adapter.baseApiUrl}/contents/recipes?ref=main`]: () => response([
+        { type: 'file', name: 'gulas.json', sha: 'sha-gulas' },
+        { type: 'file', name: 'babovka.json', sha: 'sha-babovka-2' },
+        { type: 'file', name: 'index.json', sha: 'sha-index' }
+      ]),
+      [`${adapter.baseRawUrl}/babovka.json`]: () => response({ ...babovka, servings: 12 })
+    };
+    fetch.mockImplementation(async url => {
+      if (!routes[url]) {
+        throw new Error(`Unexpected request: ${url}`);
+      }
+      return routes[url]();
+    });
+  });
+
+  const requestedUrls = () => fetch.mock.calls.map(([url]) => url);
+
+  test('should only download recipes that changed since the index was written', async () => {
+    const recipes = await adapter.getAllFiles();
+
+    expect(recipes.map(recipe => [recipe.name, recipe.metadata.sha])).toEqual([
+      ['Guláš', 'sha-gulas'],
+      ['Bábovka', 'sha-babovka-2']
+    ]);
+    expect(recipes[1].servings).toBe(12);
+    expect(requestedUrls()).not.toContain(`${adapter.baseRawUrl}/gulas.json`);
+  });
+
+  test('should load from the index alone when the file list is unavailable', async () => {
+    routes[`${adapter.baseApiUrl}/contents/recipes?ref=main`] = () => response({ message: 'Server Error' }, 500);
+
+    const recipes = await adapter.getAllFiles();
+
+    expect(recipes.map(recipe => recipe.metadata.id)).toEqual(['babovka', 'gulas']);
+    expect(requestedUrls()).toHaveLength(2);
+  });
+
+  test('should fall back to the file list without an index', async () => {
+    routes[`${adapter.baseRawUrl}/index.json`] = () => response({ message: 'Not Found' }, 404);
+    routes[`${adapter.baseRawUrl}/gulas.json`] = () => response(gulas);
+
+    const recipes = await adapter.getAllFiles();
+
+    expect(recipes).toHaveLength(2);
+    expect(requestedUrls()).toContain(`${adapter.baseRawUrl}/gulas.json`);
+  });
+
+  test('should fail when neither the index nor the file list is available', async () => {
+    routes[`${adapter.baseRawUrl}/index.json`] = () => response({}, 404);
+    routes[`${adapter.baseApiUrl}/contents/recipes?ref=main`] = () => response({}, 500);
+
+    await expect(adapter.getAllFiles()).rejects.toThrow('Failed to fetch file list: 500');
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Tests for three-way recipe merging
+ */
+
+import { mergeRecipes, RecipeConflictError } from '../utils/recipeMerge.js';
+
+describe('recipeMerge', () => {
+  const base = {
+    name: 'Guláš',
+    ingredients: [{ text: '500 g hovězí', exportDefault: true }],
+    instructions: ['Opéct cibuli', 'Přidat maso'],
+    notes: [],
+    tags: ['hlavní jídlo'],
+    servings: 4,
+    metadata: { id: 'gulas', sha: 'base-sha', author: 'cook' }
+  };
+
+  describe('mergeRecipes', () => {
+    test('should merge changes to different fields', () => {
+      const local = { ...base, notes: ['Nejlepší druhý den'] };
+      const remote = { ...base, instructions: [...base.instructions, 'Vařit 2 hodiny'], metadata: { ...base.metadata, sha: 'remote-sha' } };
+
+      const { merged, conflicts } = mergeRecipes(base, local, remote);
+
+      expect(conflicts).toEqual([]);
+      expect(merged.notes).toEqual(['Nejlepší druhý den']);
+      expect(merged.instructions).toHaveLength(3);
+      expect(merged.metadata.sha).toBe('remote-sha');
+    });
+
+    test('should accept identical changes on both sides', () => {
+      const local = { ...base, servings: 6 };
+      const remote = { ...base, servings: 6 };
+
+      const { merged, conflicts } = mergeRecipes(base, local, remote);
+
+      expect(conflicts).toEqual([]);
+      expect(merged.servings).toBe(6);
+    });
+
+    test('should merge tags added and removed on both sides', () => {
+      const local = { ...base, tags: ['hlavní jídlo', 'maso'] };
+      const remote = { ...base, tags: ['česká kuchyně'] };
+
+      const { merged, conflicts } = mergeRecipes(base, local, remote);
+
+      expect(conflicts).toEqual([]);
+      expect(merged.tags).toEqual(['česká kuchyně', 'maso']);
+    });
+
+    test('should report fields changed differently on both sides', () => {
+      const local = { ...base, ingredients: [{ text: '600 g hovězí', exportDefault: true }], notes: ['Pálivá paprika'] };
+      const remote = { ...base, ingredients: [{ text: '500 g vepřové', exportDefault: true }] };
+
+      const { merged, conflicts } = mergeRecipes(base, local, remote);
+
+      expect(conflicts).toEqual([{
+        field: 'ingredients',
+        base: base.ingredients,
+        local: local.ingredients,
+        remote: remote.ingredients
+      }]);
+      // Local value is kept until the user decides; the other change still merges
+      expect(merged.ingredients).toEqual(local.ingredients);
+      expect(merged.notes).toEqual(['Pálivá paprika']);
+    });
+
+    test('should keep fields added on one side and drop fields removed on the other', () => {
+      const local = { ...base, cookingTime: '2 hodiny' };
+      const remote = { ...base };
+      delete remote.notes;
+
+      const { merged, conflicts } = mergeRecipes(base, local, remote);
+
+      expect(conflicts).toEqual([]);
+      expect(merged.cookingTime).toBe('2 hodiny');
+      expect(merged).not.toHaveProperty('notes');
+    });
+
+    test('should treat every differing field as a conflict without a base', () => {
+      const local = { ...base, servings: 2 };
+      const remote = { ...base, servings: 8 };
+
+      const { conflicts } = mergeRecipes(null, local, remote);
+
+      expect(conflicts.map(conflict => conflict.field)).toEqual(['servings']);
+    });
+  });
+
+  describe('RecipeConflictError', () => {
+    test('should carry the remote version', () => {
+      const error = new RecipeConflictError('gulas', { baseSha: 'a', remoteSha: 'b', remote: base });
+
+      expect(error).toBeInstanceOf(Error);
+      expect(error.name).toBe('RecipeConflictError');
+      expect(error.remoteSha).toBe('b');
+      expect(error.remote).toBe(base);
+    });
+  });
+});
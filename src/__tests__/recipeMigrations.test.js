@@ -0,0 +1,123 @@
+/**
+ * Unit tests for recipe schema versions and migrations
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  CURRENT_SCHEMA_VERSION,
+  MIGRATIONS,
+  getSchemaVersion,
+  needsMigration,
+  migrateRecipe,
+  formatMigrationMessage
+} from '../utils/recipeMigrations.js';
+import { validateRecipe } from '../utils/recipeSchema.js';
+
+describe('recipe migrations', () => {
+  // As written by the editor before schema versions existed
+  const legacyRecipe = {
+    name: 'Bábovka',
+    ingredients: [{ text: '250 g mouky', exportDefault: true }],
+    instructions: ['Upéct'],
+    cookingTime: '1 hodina',
+    servings: '12',
+    metadata: {
+      id: null,
+      sha: null,
+      createdDate: '2025-09-18T08:50:37.588Z',
+      createdAt: '2025-09-18T08:50:37.588Z',
+      author: 'eBarborka',
+      lastModified: '2025-09-18T08:50:37.588Z',
+      filename: null
+    }
+  };
+
+  test('should treat files without a schemaVersion as version 1', () => {
+    expect(getSchemaVersion(legacyRecipe)).toBe(1);
+    expect(getSchemaVersion({ schemaVersion: 2 })).toBe(2);
+    expect(getSchemaVersion({ schemaVersion: 'two' })).toBe(1);
+    expect(CURRENT_SCHEMA_VERSION).toBe(MIGRATIONS[MIGRATIONS.length - 1].version);
+  });
+
+  test('should upgrade an unversioned file through the whole chain', () => {
+    const { recipe, fromVersion, migrated } = migrateRecipe(legacyRecipe);
+
+    expect(migrated).toBe(true);
+    expect(fromVersion).toBe(1);
+    expect(recipe).toEqual({
+      schemaVersion: CURRENT_SCHEMA_VERSION,
+      name: 'Bábovka',
+      ingredients: [{ text: '250 g mouky', exportDefault: true }],
+      instructions: ['Upéct'],
+      servings: 12,
+      metadata: {
+        createdAt: '2025-09-18T08:50:37.588Z',
+        author: 'eBarborka',
+        lastModified: '2025-09-18T08:50:37.588Z'
+      },
+      cookTime: 60
+    });
+    expect(Object.keys(recipe)[0]).toBe('schemaVersion');
+    expect(validateRecipe(recipe).isValid).toBe(true);
+    expect(legacyRecipe.metadata.createdDate).toBeDefined();
+  });
+
+  test('should keep createdDate as createdAt when that is the only date', () => {
+    const { recipe } = migrateRecipe({ ...legacyRecipe, metadata: { createdDate: '2025-09-12T22:01:00Z', id: 'gulas' } });
+
+    expect(recipe.metadata).toEqual({ createdAt: '2025-09-12T22:01:00Z', id: 'gulas' });
+  });
+
+  test('should tidy servings and cooking times it recognizes and leave the rest', () => {
+    const { migrate } = MIGRATIONS.find(({ version }) => version === 3);
+    const upgrade = fields => migrate({ ...legacyRecipe, ...fields });
+
+    expect(upgrade({ cookingTime: '90min' }).cookingTime).toBe('90 min');
+    expect(upgrade({ cookingTime: ' 3 hodiny ' }).cookingTime).toBe('3 h');
+    expect(upgrade({ cookingTime: '45' }).cookingTime).toBe('45 min');
+    expect(upgrade({ cookingTime: 30 }).cookingTime).toBe('30 min');
+    expect(upgrade({ cookingTime: '2 dní' }).cookingTime).toBe('2 dní');
+    expect(upgrade({ cookingTime: '' })).not.toHaveProperty('cookingTime');
+    expect(upgrade({ servings: '1 láhev (cca 500 ml)' }).servings).toBe('1 láhev (cca 500 ml)');
+    expect(upgrade({ servings: ' ' })).not.toHaveProperty('servings');
+  });
+
+  test('should move cooking times it can read into cookTime', () => {
+    const upgrade = fields => migrateRecipe({ ...legacyRecipe, ...fields }).recipe;
+
+    expect(upgrade({ cookingTime: '1 h 30 min' })).toMatchObject({ cookTime: 90 });
+    expect(upgrade({ cookingTime: '2 dní' })).toMatchObject({ cookTime: 2880 });
+    expect(upgrade({ cookingTime: '1 h 30 min' })).not.toHaveProperty('cookingTime');
+    expect(upgrade({ cookingTime: 'podle chuti' })).toMatchObject({ cookingTime: 'podle chuti' });
+    expect(upgrade({ cookingTime: 'podle chuti' })).not.toHaveProperty('cookTime');
+    expect(upgrade({ cookingTime: '20 min', prepTime: 10 })).toMatchObject({ cookingTime: '20 min', prepTime: 10 });
+  });
+
+  test('should run only the steps after the file version', () => {
+    const recipe = { ...legacyRecipe, schemaVersion: 2 };
+
+    // Metadata is left alone because version 2 already tidied it
+    expect(migrateRecipe(recipe).recipe.metadata).toEqual(legacyRecipe.metadata);
+    expect(needsMigration(recipe)).toBe(true);
+  });
+
+  test('should leave current and newer files alone', () => {
+    const current = { ...legacyRecipe, schemaVersion: CURRENT_SCHEMA_VERSION };
+    const newer = { ...legacyRecipe, schemaVersion: CURRENT_SCHEMA_VERSION + 1 };
+
+    expect(migrateRecipe(current)).toEqual({ recipe: current, fromVersion: CURRENT_SCHEMA_VERSION, migrated: false });
+    expect(migrateRecipe(newer).recipe).toBe(newer);
+    expect(needsMigration(current)).toBe(false);
+    expect(migrateRecipe(null)).toEqual({ recipe: null, fromVersion: null, migrated: false });
+  });
+
+  test('should describe the steps applied in the commit message', () => {
+    const message = formatMigrationMessage([legacyRecipe, { ...legacyRecipe, schemaVersion: 2 }]);
+
+    expect(message.split('\n')).toEqual([
+      `Migrate 2 recipes to schema version ${CURRENT_SCHEMA_VERSION}`,
+      '',
+      ...MIGRATIONS.map(({ version, description }) => `- v${version}: ${description}`)
+    ]);
+  });
+});
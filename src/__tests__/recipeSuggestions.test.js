@@ -0,0 +1,82 @@
+/**
+ * Unit tests for recipe suggestions (pull requests from a fork)
+ */
+
+import { jest } from '@jest/globals';
+import { RecipeSuggestions } from '../services/recipeSuggestions.js';
+import { RepositorySettings } from '../config/repositorySettings.js';
+import { ValidationError } from '../utils/errors.js';
+
+describe('recipe suggestions', () => {
+  const recipe = { name: 'Guláš', ingredients: ['maso', 'cibule'], instructions: ['Uvařit'] };
+  let adapter;
+  let suggestions;
+
+  beforeEach(() => {
+    localStorage.clear();
+    adapter = {
+      generateFilename: jest.fn(name => `${name.toLowerCase()}.json`),
+      exists: jest.fn(async () => false),
+      getCurrentUser: jest.fn(() => ({ login: 'cook' })),
+      suggestChange: jest.fn(async () => ({ number: 12, url: 'https://github.com/etancik/Kuchtik/pull/12' })),
+      getPullRequest: jest.fn()
+    };
+    suggestions = new RecipeSuggestions({ adapter, settings: new RepositorySettings() });
+  });
+
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  test('should open a pull request for an edit and remember it', async () => {
+    const listener = jest.fn();
+    suggestions.subscribe(listener);
+    const original = { ...recipe, servings: 4, metadata: { id: 'gulas' } };
+
+    const entry = await suggestions.submit({ ...recipe, servings: 6 }, original);
+
+    const [change, { title, body }] = adapter.suggestChange.mock.calls[0];
+    expect(change).toEqual({ type: 'update', filename: 'gulas.json', data: { ...recipe, servings: 6 } });
+    expect(title).toBe('Update recipe: Guláš');
+    expect(body).toContain('by @cook');
+    expect(body).toContain('`recipes/gulas.json`');
+    expect(body).toContain('**Changed:** servings');
+    expect(entry).toMatchObject({ recipeId: 'gulas', type: 'update', number: 12 });
+    expect(suggestions.getPendingFor('gulas')).toMatchObject({ url: 'https://github.com/etancik/Kuchtik/pull/12' });
+    expect(listener).toHaveBeenCalledWith([entry]);
+  });
+
+  test('should list suggested new recipes until they are merged', async () => {
+    await suggestions.submit({ ...recipe, name: 'Bramboráky' });
+
+    expect(suggestions.getPendingRecipes()).toEqual([
+      expect.objectContaining({ name: 'Bramboráky', metadata: { id: 'bramboráky', suggestion: true } })
+    ]);
+    expect(new RecipeSuggestions({ adapter, settings: new RepositorySettings({ fixed: { owner: 'babicka' } }) }).getAll())
+      .toEqual([]);
+  });
+
+  test('should refuse a new recipe named like an existing one', async () => {
+    adapter.exists.mockResolvedValue(true);
+
+    await expect(suggestions.submit(recipe)).rejects.toThrow(ValidationError);
+    expect(adapter.suggestChange).not.toHaveBeenCalled();
+  });
+
+  test('should forget merged and closed pull requests but keep unchecked ones', async () => {
+    await suggestions.submit(recipe);
+    adapter.suggestChange.mockResolvedValueOnce({ number: 13, url: 'https://github.com/etancik/Kuchtik/pull/13' });
+    await suggestions.submit({ ...recipe, name: 'Knedlíky' });
+    adapter.suggestChange.mockResolvedValueOnce({ number: 14, url: 'https://github.com/etancik/Kuchtik/pull/14' });
+    await suggestions.submit({ ...recipe, name: 'Koláče' });
+    adapter.getPullRequest
+      .mockResolvedValueOnce({ state: 'closed', merged: true })
+      .mockResolvedValueOnce({ state: 'open', merged: false })
+      .mockRejectedValueOnce(new Error('Network error'));
+
+    const finished = await suggestions.refreshStatus();
+
+    expect(finished).toEqual([expect.objectContaining({ number: 12, merged: true })]);
+    expect(suggestions.getAll().map(entry => entry.number)).toEqual([13, 14]);
+  });
+});
@@ -6,7 +6,6 @@ import {
   extractRecipeName,
   findRecipeByName,
   collectIngredientsFromRecipes,
-  validateRecipe,
   formatRecipeSubtitle,
   generateFilenameFromRecipeName
 } from '../utils/recipeUtils.js';
@@ -70,28 +69,6 @@ describe('recipeUtils', () => {
     });
   });
 
-  describe('validateRecipe', () => {
-    test('should validate complete recipe', () => {
-      const recipe = {
-        name: 'Test',
-        ingredients: ['test'],
-        instructions: ['step'],
-        tags: ['tag']
-      };
-      expect(validateRecipe(recipe)).toBe(true);
-    });
-
-    test('should reject recipe with missing fields', () => {
-      const recipe = { name: 'Test' };
-      expect(validateRecipe(recipe)).toBe(false);
-    });
-
-    test('should reject null/undefined', () => {
-      expect(validateRecipe(null)).toBe(false);
-      expect(validateRecipe(undefined)).toBe(false);
-    });
-  });
-
   describe('formatRecipeSubtitle', () => {
     test('should format complete recipe info', () => {
       const recipe = { servings: '4', cookingTime: '90 min' };
@@ -112,6 +89,11 @@ describe('recipeUtils', () => {
       const recipe = {};
       expect(formatRecipeSubtitle(recipe)).toBe('');
     });
+
+    test('should show the total of structured times', () => {
+      const recipe = { servings: 4, prepTime: 15, cookTime: 75 };
+      expect(formatRecipeSubtitle(recipe)).toBe('4 servings, 1 h 30 min');
+    });
   });
 
   describe('generateFilenameFromRecipeName', () => {
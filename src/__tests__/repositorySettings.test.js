@@ -0,0 +1,113 @@
+/**
+ * Unit tests for the runtime repository settings
+ */
+
+import { jest } from '@jest/globals';
+import { RepositorySettings, findInvalidSetting } from '../config/repositorySettings.js';
+import { PublicGitHubAdapter } from '../adapters/PublicGitHubAdapter.js';
+import { ValidationError } from '../utils/errors.js';
+
+const response = status => ({ ok: status >= 200 && status < 300, status, json: async () => ({}) });
+
+describe('repository settings', () => {
+  let settings;
+
+  beforeEach(() => {
+    localStorage.clear();
+    window.location.search = '';
+    settings = new RepositorySettings();
+  });
+
+  afterEach(() => {
+    localStorage.clear();
+    window.location.search = '';
+  });
+
+  test('should default to the compiled-in repository', () => {
+    expect(settings.get()).toEqual({ owner: 'etancik', repo: 'Kuchtik', branch: 'main', recipesPath: 'recipes' });
+    expect(settings.isDefault()).toBe(true);
+    expect(settings.getCacheName()).toBeNull();
+  });
+
+  test('should store only values that differ from the defaults', () => {
+    const listener = jest.fn();
+    settings.subscribe(listener);
+
+    settings.save({ owner: ' babicka ', repo: 'Kuchtik', branch: 'main', recipesPath: '/data/recepty/' });
+
+    expect(JSON.parse(localStorage.getItem('kuchtik-repository-settings'))).toEqual({
+      owner: 'babicka',
+      recipesPath: 'data/recepty'
+    });
+    expect(settings.getKey()).toBe('babicka/Kuchtik@main:data/recepty');
+    expect(settings.getRecipePath('gulas.json')).toBe('data/recepty/gulas.json');
+    expect(settings.getCacheName()).toBe('kuchtik:babicka/Kuchtik@main:data/recepty');
+    expect(listener).toHaveBeenCalledWith(settings.get());
+  });
+
+  test('should let URL parameters win over saved settings', () => {
+    settings.save({ owner: 'babicka' });
+    window.location.search = '?owner=dedecek&branch=drafts&path=jidla';
+
+    expect(settings.hasUrlOverrides()).toBe(true);
+    expect(settings.get()).toEqual({ owner: 'dedecek', repo: 'Kuchtik', branch: 'drafts', recipesPath: 'jidla' });
+    expect(settings.getRepoPath()).toBe('repos/dedecek/Kuchtik');
+  });
+
+  test('should ignore malformed URL parameters', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    settings.save({ owner: 'babicka' });
+    window.location.search = '?branch=feature:x&path=../../user/repos&repo=recepty';
+
+    expect(settings.getUrlOverrides()).toEqual({ repo: 'recepty' });
+    expect(settings.get()).toEqual({ owner: 'babicka', repo: 'recepty', branch: 'main', recipesPath: 'recipes' });
+
+    window.location.search = '?path=../secret';
+    expect(settings.hasUrlOverrides()).toBe(false);
+    console.warn.mockRestore();
+  });
+
+  test('should reject missing and malformed settings', () => {
+    expect(settings.validate({ owner: '', repo: 'my repo', branch: 'feature:x', recipesPath: '../secret' })).toEqual([
+      { field: 'owner', code: 'required' },
+      { field: 'repo', code: 'invalid' },
+      { field: 'branch', code: 'invalid' },
+      { field: 'recipesPath', code: 'invalid' }
+    ]);
+    expect(() => settings.save({ repo: 'my repo' })).toThrow(ValidationError);
+    expect(localStorage.getItem('kuchtik-repository-settings')).toBeNull();
+  });
+
+  test('should keep additional sources in the short owner/repo@branch:path form', () => {
+    expect(settings.parseKey('babicka/recepty')).toEqual({ owner: 'babicka', repo: 'recepty', branch: 'main', recipesPath: 'recipes' });
+    expect(settings.parseKey('babicka/recepty:jidla/sladke')).toMatchObject({ branch: 'main', recipesPath: 'jidla/sladke' });
+    expect(settings.parseKey('babicka')).toBeNull();
+    expect(settings.parseKey('babicka/recepty@bad branch')).toBeNull();
+
+    settings.saveSources([{ owner: 'babicka', repo: 'recepty' }, { owner: 'pritel', repo: 'Kuchtik', branch: 'drafts' }]);
+
+    expect(settings.getSources().map(source => settings.formatSourceKey(source))).toEqual(['babicka/recepty', 'pritel/Kuchtik@drafts']);
+    expect(() => settings.saveSources([{ owner: 'babicka', repo: 'my recipes' }])).toThrow(ValidationError);
+  });
+
+  test('should report the first setting the API cannot find', async () => {
+    const branch = jest.fn(async () => response(404));
+    const folder = jest.fn(async () => response(200));
+
+    expect(await findInvalidSetting([['repo', async () => response(200)], ['branch', branch], ['recipesPath', folder]]))
+      .toEqual({ field: 'branch', code: 'notFound' });
+    expect(folder).not.toHaveBeenCalled();
+    expect(await findInvalidSetting([['repo', async () => response(403)]])).toEqual({ field: 'repo', code: 'forbidden' });
+    expect(await findInvalidSetting([['repo', async () => response(200)]])).toBeNull();
+    await expect(findInvalidSetting([['repo', async () => response(500)]])).rejects.toThrow('Failed to check repo: 500');
+  });
+
+  test('should read recipes from the configured branch and folder', async () => {
+    window.location.search = '?owner=babicka&repo=recepty&branch=drafts&path=jidla';
+    fetch.mockResolvedValueOnce({ ok: true, status: 200, headers: { get: () => null }, json: async () => [] });
+
+    await new PublicGitHubAdapter().getFileList();
+
+    expect(fetch.mock.calls[0][0]).toBe('https://api.github.com/repos/babicka/recepty/contents/jidla?ref=drafts');
+  });
+});
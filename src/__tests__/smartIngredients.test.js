@@ -6,7 +6,9 @@ import { jest } from '@jest/globals';
 import { 
   parseIngredient, 
   scaleIngredient,
-  normalizeIngredientsList
+  normalizeIngredientsList,
+  getIngredientSections,
+  flattenIngredients
 } from '../utils/smartIngredients.js';
 
 describe('Smart Ingredients Processing', () => {
@@ -247,6 +249,16 @@ describe('Smart Ingredients Processing', () => {
       expect(normalizeIngredientsList([])).toEqual([]);
     });
 
+    it('should flatten sections and mark each ingredient with its section', () => {
+      const result = normalizeIngredientsList([
+        { text: 'máslo', exportDefault: false },
+        { section: 'Na polevu', items: [{ text: '100 g čokolády', exportDefault: true }] }
+      ]);
+
+      expect(result.map(({ text, section }) => [text, section])).toEqual([['máslo', undefined], ['100 g čokolády', 'Na polevu']]);
+      expect(result[1]).toMatchObject({ amount: 100, unit: 'g', exportDefault: true });
+    });
+
     it('should handle non-array input', () => {
       expect(normalizeIngredientsList(null)).toEqual([]);
       expect(normalizeIngredientsList(undefined)).toEqual([]);
@@ -273,4 +285,30 @@ describe('Smart Ingredients Processing', () => {
       consoleSpy.mockRestore();
     });
   });
-});
\ No newline at end of file
+
+  describe('ingredient sections', () => {
+    const ingredients = [
+      { text: 'máslo na vymazání' },
+      { section: 'Na těsto', items: [{ text: '250 g mouky' }, { text: '3 vejce' }] },
+      { section: 'Na polevu', items: [{ text: '100 g čokolády' }] }
+    ];
+
+    it('should list sections in order with ungrouped lines unnamed', () => {
+      expect(getIngredientSections(ingredients)).toEqual([
+        { section: null, items: [{ text: 'máslo na vymazání' }] },
+        { section: 'Na těsto', items: [{ text: '250 g mouky' }, { text: '3 vejce' }] },
+        { section: 'Na polevu', items: [{ text: '100 g čokolády' }] }
+      ]);
+    });
+
+    it('should read flat lists as one unnamed section', () => {
+      expect(getIngredientSections([{ text: 'sůl' }, 'pepř'])).toEqual([{ section: null, items: [{ text: 'sůl' }, 'pepř'] }]);
+      expect(getIngredientSections(undefined)).toEqual([]);
+    });
+
+    it('should flatten the lines of all sections', () => {
+      expect(flattenIngredients(ingredients).map(item => item.text))
+        .toEqual(['máslo na vymazání', '250 g mouky', '3 vejce', '100 g čokolády']);
+    });
+  });
+});
@@ -55,7 +55,7 @@ describe('Import/Export Pattern Validation', () => {
         githubAuth: { isAuthenticated: jest.fn() }
       }));
       jest.unstable_mockModule('../config/github.js', () => ({
-        CONFIG: { REPO_OWNER: 'test', REPO_NAME: 'test' }
+        CONFIG: { REPO_OWNER: 'test', REPO_NAME: 'test', REPO_BRANCH: 'main', RECIPES_PATH: 'recipes' }
       }));
 
       const { recipeCreation } = await import('../services/recipeCreation.js');
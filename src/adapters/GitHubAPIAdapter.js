@@ -6,32 +6,133 @@
 
 import { githubAuth } from '../services/githubAuth.js';
 import { CONFIG } from '../config/github.js';
+import { repositorySettings, findInvalidSetting } from '../config/repositorySettings.js';
+import { commitSettings } from '../config/commitSettings.js';
+import { RecipeConflictError } from '../utils/recipeMerge.js';
+import { AuthError, NotFoundError, ValidationError, errorFromResponse } from '../utils/errors.js';
+import { decodeBase64, encodeBase64 } from '../utils/base64.js';
+import { HttpCache, getBlobCache } from '../utils/httpCache.js';
+import { assertValidRecipe } from '../utils/recipeSchema.js';
+import { RECIPE_INDEX_FILENAME, isRecipeFile, buildRecipeIndex, applyIndexChanges, parseRecipeIndex } from '../utils/recipeIndex.js';
 
-// Helper functions for base64 encoding/decoding (browser environment)
-function decodeBase64(content) {
-  try {
-    // Properly decode UTF-8 content from base64
-    return decodeURIComponent(escape(window.atob(content)));
-  } catch (error) {
-    throw new Error(`Failed to decode base64 content: ${error.message}`);
+/**
+ * Ways of loading the whole recipe collection
+ */
+export const LoadStrategy = {
+  GRAPHQL: 'graphql', // One query returns every recipe blob's text and oid
+  REST: 'rest'        // Branch, tree and one request per blob
+};
+
+// Every entry of the recipes/ tree with the text of its blob
+const RECIPES_QUERY = `
+  query RecipeFiles($owner: String!, $name: String!, $expression: String!) {
+    repository(owner: $owner, name: $name) {
+      object(expression: $expression) {
+        ... on Tree {
+          oid
+          entries {
+            name
+            type
+            oid
+            object {
+              ... on Blob {
+                text
+                isTruncated
+              }
+            }
+          }
+        }
+      }
+    }
   }
+`;
+
+// Reduce a commits API entry to what the history panel shows
+function mapCommit(entry) {
+  return {
+    sha: entry.sha,
+    message: entry.commit.message,
+    author: entry.commit.author?.name || entry.author?.login || '',
+    login: entry.author?.login || null,
+    date: entry.commit.author?.date || entry.commit.committer?.date || null
+  };
 }
 
-function encodeBase64(content) {
-  try {
-    return window.btoa(unescape(encodeURIComponent(content)));
-  } catch (error) {
-    throw new Error(`Failed to encode base64 content: ${error.message}`);
+// How often to look for the branch of a fork GitHub is still copying
+const FORK_READY_ATTEMPTS = 10;
+
+// How often to build a commit again when the branch moved before it could be pushed
+const COMMIT_ATTEMPTS = 3;
+
+// Scopes of a classic token; null for fine-grained tokens, which get no X-OAuth-Scopes header
+function parseTokenScopes(response) {
+  const header = response.headers?.get?.('X-OAuth-Scopes');
+  if (header === null || header === undefined) {
+    return null;
   }
+  return header.split(',').map(scope => scope.trim()).filter(Boolean);
 }
 
 /**
  * GitHub API Adapter implementing GitHubAPIIntegration interface
  */
 export class GitHubAPIAdapter {
-  constructor() {
+  /**
+   * @param {Object} [options] - Adapter options
+   * @param {RepositorySettings} [options.settings] - Repository to use (defaults to the configured one)
+   */
+  constructor({ settings = repositorySettings } = {}) {
     // We'll implement create/update operations directly here
     // instead of importing the complex RecipeCreationService
+
+    this.settings = settings;
+
+    // ETag cache for the branch and tree requests made on every refresh
+    this.httpCache = new HttpCache({ namespace: 'github-api' });
+
+    // GraphQL is tried first, REST remains the fallback
+    this.loadStrategy = LoadStrategy.GRAPHQL;
+    this.lastLoadStrategy = null; // Strategy that served the last getAllFiles() call
+
+    // Result of checkWriteAccess(), null until checked (writes are attempted meanwhile)
+    this.writeAccess = null;
+
+    // Whether the repository is private, null until getRepoInfo() ran; private photos
+    // can't be linked on raw.githubusercontent.com and are downloaded with the token
+    this.isPrivate = null;
+    this.imageUrls = new Map(); // Photo path → object URL of a downloaded private photo
+
+    // Milliseconds between checks whether a new fork is ready
+    this.forkPollInterval = 2000;
+  }
+
+  /**
+   * Decoded recipe blobs of the configured repository
+   */
+  get blobCache() {
+    return getBlobCache(this.settings.getKey());
+  }
+
+  /**
+   * Contents API endpoint of the recipes folder or a file in it
+   * @private
+   * @param {string} [filename] - Recipe filename (the folder itself without it)
+   * @param {string|null} [ref] - Branch or commit to read from (none for writes)
+   * @returns {string} API endpoint
+   */
+  contentsUrl(filename = '', ref = null) {
+    const query = ref ? `?ref=${encodeURIComponent(ref)}` : '';
+    return `${this.settings.getRepoPath()}/contents/${this.settings.getRecipePath(filename)}${query}`;
+  }
+
+  /**
+   * Make a conditional GET request (304 responses are served from the ETag cache)
+   * @private
+   * @param {string} endpoint - API endpoint
+   * @returns {Promise<Object>} Response
+   */
+  conditionalRequest(endpoint) {
+    return this.httpCache.fetch(endpoint, headers => githubAuth.makeAuthenticatedRequest(endpoint, { headers }));
   }
 
   /**
@@ -41,40 +142,16 @@ export class GitHubAPIAdapter {
    * @returns {string} Filename
    */
   generateFilename(name) {
-    return name
+    const filename = name
       .toLowerCase()
       .replace(/[^a-z0-9\s-]/g, '') // Remove special characters
       .replace(/\s+/g, '-') // Replace spaces with hyphens
       .replace(/-+/g, '-') // Replace multiple hyphens with single
       .replace(/^-|-$/g, '') // Remove leading/trailing hyphens
       + '.json';
-  }
-
-  /**
-   * Validate recipe data
-   * @private
-   * @param {Object} recipe - Recipe to validate
-   * @returns {Object} Validation result
-   */
-  validateRecipe(recipe) {
-    const errors = [];
-
-    if (!recipe.name || typeof recipe.name !== 'string' || recipe.name.trim() === '') {
-      errors.push('Recipe name is required');
-    }
-
-    if (!recipe.ingredients || !Array.isArray(recipe.ingredients) || recipe.ingredients.length === 0) {
-      errors.push('At least one ingredient is required');
-    }
-
-    if (!recipe.instructions || !Array.isArray(recipe.instructions) || recipe.instructions.length === 0) {
-      errors.push('Instructions are required');
-    }
 
-    return {
-      isValid: errors.length === 0,
-      errors
-    };
+    // recipes/index.json is the generated recipe index
+    return filename === RECIPE_INDEX_FILENAME ? 'index-recipe.json' : filename;
   }
 
   /**
@@ -83,19 +160,19 @@ export class GitHubAPIAdapter {
    */
   async getAllRecipes() {
     if (!githubAuth.isAuthenticated()) {
-      throw new Error('Authentication required to access recipes');
+      throw new AuthError('Authentication required to access recipes');
     }
 
     try {
       console.log('🔄 Fetching all recipes from GitHub...');
       
       // Get the list of recipe files
-      const apiUrl = `repos/${CONFIG.REPO_OWNER}/${CONFIG.REPO_NAME}/contents/recipes`;
+      const apiUrl = this.contentsUrl('', this.settings.branch);
       const response = await githubAuth.makeAuthenticatedRequest(apiUrl);
 
       if (!response.ok) {
         const errorText = await response.text();
-        throw new Error(`Failed to fetch recipe list: ${response.status} ${errorText}`);
+        throw errorFromResponse(response, 'Failed to fetch recipe list', { details: errorText });
       }
 
       const files = await response.json();
@@ -104,7 +181,7 @@ export class GitHubAPIAdapter {
       // Filter for JSON files only
       const jsonFiles = files.filter(file => 
         file.type === 'file' && 
-        file.name.endsWith('.json')
+        isRecipeFile(file.name)
       );
 
       console.log(`📄 Processing ${jsonFiles.length} JSON recipe files`);
@@ -162,18 +239,22 @@ export class GitHubAPIAdapter {
   /**
    * Get a specific recipe by ID
    * @param {string} id - Recipe ID (filename without extension)
+   * @param {Object} [options] - Read options
+   * @param {string} [options.branch] - Branch to read from (defaults to the configured one)
    * @returns {Promise<Recipe|null>} Recipe object or null if not found
    */
-  async getRecipe(id) {
+  async getRecipe(id, options = {}) {
+    const { branch = this.settings.branch } = options;
+
     if (!githubAuth.isAuthenticated()) {
-      throw new Error('Authentication required to access recipes');
+      throw new AuthError('Authentication required to access recipes');
     }
 
     try {
       console.log(`🔍 Fetching recipe: ${id}`);
       
       const filename = `${id}.json`;
-      const apiUrl = `repos/${CONFIG.REPO_OWNER}/${CONFIG.REPO_NAME}/contents/recipes/${filename}`;
+      const apiUrl = this.contentsUrl(filename, branch);
       
       const response = await githubAuth.makeAuthenticatedRequest(apiUrl);
 
@@ -184,7 +265,7 @@ export class GitHubAPIAdapter {
 
       if (!response.ok) {
         const errorText = await response.text();
-        throw new Error(`Failed to fetch recipe: ${response.status} ${errorText}`);
+        throw errorFromResponse(response, 'Failed to fetch recipe', { resource: id, details: errorText });
       }
 
       const contentData = await response.json();
@@ -213,30 +294,32 @@ export class GitHubAPIAdapter {
   /**
    * Create a new recipe
    * @param {Recipe} recipe - Recipe object to create
+   * @param {Object} [options] - Create options
+   * @param {string} [options.branch] - Branch to commit to (defaults to the configured one)
+   * @param {{note?: string, coAuthors?: string[]}} [options.commit] - Change note and co-authors for the commit message
    * @returns {Promise<Recipe>} Created recipe with metadata
    */
-  async createRecipe(recipe) {
+  async createRecipe(recipe, options = {}) {
+    const { branch = this.settings.branch, commit } = options;
+
     if (!githubAuth.isAuthenticated()) {
-      throw new Error('Authentication required to create recipes');
+      throw new AuthError('Authentication required to create recipes');
     }
 
     try {
       console.log(`🔄 Creating recipe: ${recipe.name}`);
       
       // Validate recipe data
-      const validation = this.validateRecipe(recipe);
-      if (!validation.isValid) {
-        throw new Error(`Invalid recipe data: ${validation.errors.join(', ')}`);
-      }
+      assertValidRecipe(recipe);
       
       // Generate filename
       const filename = this.generateFilename(recipe.name);
-      const filePath = `recipes/${filename}`;
       
       // Check if file already exists
-      const exists = await this.exists(filename.replace('.json', ''));
+      const exists = await this.exists(filename.replace('.json', ''), { branch });
       if (exists) {
-        throw new Error(`Recipe "${recipe.name}" already exists`);
+        const message = `Recipe "${recipe.name}" already exists`;
+        throw new ValidationError([message], message);
       }
       
       // Format recipe content
@@ -251,10 +334,11 @@ export class GitHubAPIAdapter {
       };
       
       // Create the file
-      const apiUrl = `repos/${CONFIG.REPO_OWNER}/${CONFIG.REPO_NAME}/contents/${filePath}`;
+      const apiUrl = this.contentsUrl(filename);
       const requestBody = {
-        message: `Add recipe: ${recipe.name}`,
+        message: commitSettings.formatMessage('create', recipe, { commit }),
         content: encodedContent,
+        branch,
         author: author,
         committer: author,
       };
@@ -266,16 +350,16 @@ export class GitHubAPIAdapter {
       
       if (!response.ok) {
         const errorText = await response.text();
-        throw new Error(`Failed to create recipe: ${response.status} ${errorText}`);
+        throw errorFromResponse(response, 'Failed to create recipe', { details: errorText });
       }
       
       const result = await response.json();
       
-      // Return the recipe with metadata
+      // Return the recipe with metadata (blob sha, so the next edit can detect conflicts)
       const createdRecipe = {
         ...recipe,
         id: filename.replace('.json', ''),
-        sha: result.commit.sha,
+        sha: result.content.sha,
         lastModified: new Date().toISOString()
       };
       
@@ -290,33 +374,43 @@ export class GitHubAPIAdapter {
 
   /**
    * Update an existing recipe
+   * When `baseSha` is given the write only succeeds if the file on GitHub is
+   * still that version; otherwise a RecipeConflictError carries the remote copy.
    * @param {string} id - Recipe ID to update
    * @param {Recipe} recipe - Updated recipe data
+   * @param {Object} options - Update options
+   * @param {string} [options.baseSha] - Blob sha the edit was based on
+   * @param {string} [options.branch] - Branch to commit to (defaults to the configured one)
+   * @param {{note?: string, coAuthors?: string[]}} [options.commit] - Change note and co-authors for the commit message
    * @returns {Promise<Recipe>} Updated recipe with metadata
    */
-  async updateRecipe(id, recipe) {
+  async updateRecipe(id, recipe, options = {}) {
+    const { baseSha = null, branch = this.settings.branch, commit } = options;
+
     if (!githubAuth.isAuthenticated()) {
-      throw new Error('Authentication required to update recipes');
+      throw new AuthError('Authentication required to update recipes');
     }
 
     try {
       console.log(`🔄 Updating recipe: ${id}`);
       
       // Validate recipe data
-      const validation = this.validateRecipe(recipe);
-      if (!validation.isValid) {
-        throw new Error(`Invalid recipe data: ${validation.errors.join(', ')}`);
-      }
+      assertValidRecipe(recipe);
       
       // Get the current recipe to find the SHA
-      const currentRecipe = await this.getRecipe(id);
+      const currentRecipe = await this.getRecipe(id, { branch });
       if (!currentRecipe) {
-        throw new Error(`Recipe not found: ${id}`);
+        throw new NotFoundError(id, `Recipe not found: ${id}`);
+      }
+      const remoteSha = currentRecipe.metadata?.sha || currentRecipe.sha;
+      
+      // Someone committed a newer version since this edit was started
+      if (baseSha && baseSha !== remoteSha) {
+        throw new RecipeConflictError(id, { baseSha, remoteSha, remote: currentRecipe });
       }
       
       // Use the existing filename (don't change it during updates)
       const filename = `${id}.json`;
-      const filePath = `recipes/${filename}`;
       
       // Format recipe content
       const content = JSON.stringify(recipe, null, 2);
@@ -330,11 +424,12 @@ export class GitHubAPIAdapter {
       };
       
       // Update the file
-      const apiUrl = `repos/${CONFIG.REPO_OWNER}/${CONFIG.REPO_NAME}/contents/${filePath}`;
+      const apiUrl = this.contentsUrl(filename);
       const requestBody = {
-        message: `Update recipe: ${recipe.name}`,
+        message: commitSettings.formatMessage('update', recipe, { previous: currentRecipe, commit }),
         content: encodedContent,
-        sha: currentRecipe.metadata?.sha || currentRecipe.sha, // Support both new and old format
+        branch,
+        sha: baseSha || remoteSha,
         author: author,
         committer: author,
       };
@@ -344,18 +439,28 @@ export class GitHubAPIAdapter {
         body: JSON.stringify(requestBody),
       });
       
+      // GitHub rejects the write when the sha no longer matches (race with another commit)
+      if (response.status === 409) {
+        const latest = await this.getRecipe(id, { branch });
+        throw new RecipeConflictError(id, {
+          baseSha: baseSha || remoteSha,
+          remoteSha: latest?.metadata?.sha || null,
+          remote: latest
+        });
+      }
+      
       if (!response.ok) {
         const errorText = await response.text();
-        throw new Error(`Failed to update recipe: ${response.status} ${errorText}`);
+        throw errorFromResponse(response, 'Failed to update recipe', { resource: id, details: errorText });
       }
       
       const result = await response.json();
       
-      // Return the updated recipe with metadata
+      // Return the updated recipe with metadata (blob sha, so the next edit can detect conflicts)
       const updatedRecipe = {
         ...recipe,
         id: id,
-        sha: result.commit.sha,
+        sha: result.content.sha,
         lastModified: new Date().toISOString()
       };
       
@@ -371,26 +476,30 @@ export class GitHubAPIAdapter {
   /**
    * Delete a recipe
    * @param {string} id - Recipe ID to delete
+   * @param {Object} [options] - Delete options
+   * @param {string} [options.branch] - Branch to commit to (defaults to the configured one)
+   * @param {{note?: string, coAuthors?: string[]}} [options.commit] - Change note and co-authors for the commit message
    * @returns {Promise<boolean>} True if deletion was successful
    */
-  async deleteRecipe(id) {
+  async deleteRecipe(id, options = {}) {
+    const { branch = this.settings.branch, commit } = options;
+
     if (!githubAuth.isAuthenticated()) {
-      throw new Error('Authentication required to delete recipes');
+      throw new AuthError('Authentication required to delete recipes');
     }
 
     try {
       console.log(`🗑️ Deleting recipe: ${id}`);
       
       // First get the current file to get its SHA (required for deletion)
-      const currentRecipe = await this.getRecipe(id);
+      const currentRecipe = await this.getRecipe(id, { branch });
       if (!currentRecipe) {
         console.log(`❌ Recipe not found for deletion: ${id}`);
         return false;
       }
       
       const filename = `${id}.json`;
-      const filePath = `recipes/${filename}`;
-      const apiUrl = `repos/${CONFIG.REPO_OWNER}/${CONFIG.REPO_NAME}/contents/${filePath}`;
+      const apiUrl = this.contentsUrl(filename);
       
       const userInfo = githubAuth.getUserInfo();
       const author = {
@@ -399,8 +508,9 @@ export class GitHubAPIAdapter {
       };
       
       const requestBody = {
-        message: `Delete recipe: ${currentRecipe.name || id}`,
+        message: commitSettings.formatMessage('delete', { ...currentRecipe, name: currentRecipe.name || id }, { commit }),
         sha: currentRecipe.metadata?.sha || currentRecipe.sha, // Support both new and old format
+        branch,
         author: author,
         committer: author,
       };
@@ -412,7 +522,7 @@ export class GitHubAPIAdapter {
       
       if (!response.ok) {
         const errorText = await response.text();
-        throw new Error(`Failed to delete recipe: ${response.status} ${errorText}`);
+        throw errorFromResponse(response, 'Failed to delete recipe', { resource: id, details: errorText });
       }
       
       console.log(`✅ Successfully deleted recipe: ${id}`);
@@ -427,11 +537,12 @@ export class GitHubAPIAdapter {
   /**
    * Check if a recipe exists
    * @param {string} id - Recipe ID to check
+   * @param {Object} [options] - Read options (`branch`, see getRecipe())
    * @returns {Promise<boolean>} True if recipe exists
    */
-  async exists(id) {
+  async exists(id, options = {}) {
     try {
-      const recipe = await this.getRecipe(id);
+      const recipe = await this.getRecipe(id, options);
       return recipe !== null;
     } catch (error) {
       console.error(`💥 Failed to check if recipe exists ${id}:`, error);
@@ -445,18 +556,18 @@ export class GitHubAPIAdapter {
    */
   async getRepoInfo() {
     if (!githubAuth.isAuthenticated()) {
-      throw new Error('Authentication required to access repository information');
+      throw new AuthError('Authentication required to access repository information');
     }
 
     try {
       console.log('📊 Fetching repository information...');
       
-      const apiUrl = `repos/${CONFIG.REPO_OWNER}/${CONFIG.REPO_NAME}`;
+      const apiUrl = `${this.settings.getRepoPath()}`;
       const response = await githubAuth.makeAuthenticatedRequest(apiUrl);
       
       if (!response.ok) {
         const errorText = await response.text();
-        throw new Error(`Failed to fetch repository info: ${response.status} ${errorText}`);
+        throw errorFromResponse(response, 'Failed to fetch repository info', { details: errorText });
       }
       
       const repoData = await response.json();
@@ -467,9 +578,12 @@ export class GitHubAPIAdapter {
         fullName: repoData.full_name,
         defaultBranch: repoData.default_branch,
         lastUpdated: repoData.updated_at,
-        isPrivate: repoData.private
+        isPrivate: repoData.private,
+        canPush: repoData.permissions?.push === true,
+        scopes: parseTokenScopes(response)
       };
       
+      this.isPrivate = info.isPrivate === true;
       console.log('✅ Repository information fetched:', info);
       return info;
       
@@ -479,6 +593,54 @@ export class GitHubAPIAdapter {
     }
   }
 
+  /**
+   * Check that a repository, branch and recipes folder exist
+   * @param {{owner: string, repo: string, branch: string, recipesPath: string}} settings - Settings to check
+   * @returns {Promise<{field: string, code: string}|null>} First invalid setting, or null
+   */
+  verifyRepository({ owner, repo, branch, recipesPath }) {
+    const repoUrl = `repos/${owner}/${repo}`;
+    const request = endpoint => () => githubAuth.makeAuthenticatedRequest(endpoint);
+    return findInvalidSetting([
+      ['repo', request(repoUrl)],
+      ['branch', request(`${repoUrl}/branches/${encodeURIComponent(branch)}`)],
+      ['recipesPath', request(`${repoUrl}/contents/${recipesPath}?ref=${encodeURIComponent(branch)}`)]
+    ]);
+  }
+
+  /**
+   * Check whether the signed-in user can push recipes
+   * Classic tokens need the `repo` scope (`public_repo` is enough for a public
+   * repository). Fine-grained tokens report no scopes, so the repository
+   * permissions GitHub returns for the token decide.
+   * @returns {Promise<{canPush: boolean, reason: string|null, scopes: string[]|null}>}
+   *   `reason` is 'permission' or 'scope' when pushing is not possible
+   */
+  async checkWriteAccess() {
+    this.writeAccess = null;
+    const info = await this.getRepoInfo();
+
+    let reason = null;
+    if (!info.canPush) {
+      reason = 'permission';
+    } else if (info.scopes && !info.scopes.includes('repo') &&
+               !(info.scopes.includes('public_repo') && !info.isPrivate)) {
+      reason = 'scope';
+    }
+
+    this.writeAccess = { canPush: reason === null, reason, scopes: info.scopes };
+    console.log(reason ? `🔒 Signed in read-only (${reason})` : '✅ Token can push recipes', this.writeAccess);
+    return this.writeAccess;
+  }
+
+  /**
+   * Check if the last checkWriteAccess() found that pushing is not possible
+   * @returns {boolean} True for read-only access
+   */
+  isReadOnly() {
+    return this.writeAccess?.canPush === false;
+  }
+
   /**
    * Check authentication status
    * @returns {boolean} True if authenticated
@@ -487,6 +649,14 @@ export class GitHubAPIAdapter {
     return githubAuth.isAuthenticated();
   }
 
+  /**
+   * Check if GitHub rejected the token (as opposed to refusing a single request)
+   * @returns {boolean} True until a new token is supplied
+   */
+  isTokenExpired() {
+    return githubAuth.isTokenExpired();
+  }
+
   /**
    * Get current user information
    * @returns {Object|null} User information or null
@@ -495,6 +665,290 @@ export class GitHubAPIAdapter {
     return githubAuth.getUserInfo();
   }
 
+  // ============================================================================
+  // Suggestions (fork and pull request)
+  // ============================================================================
+
+  /**
+   * Propose a recipe change as a pull request from the user's fork
+   * For users without push access: the fork is created (or reused), the
+   * recipe is committed on a new branch based on the repository's branch and
+   * a pull request is opened against it. The recipe index is left to the
+   * maintainers, so suggestions don't conflict with each other.
+   * @param {{type: string, filename: string, data: Object}} change - 'create' or 'update' of one recipe
+   * @param {Object} pullRequest - Pull request text
+   * @param {string} pullRequest.title - Title (also the commit message)
+   * @param {string} pullRequest.body - Description
+   * @returns {Promise<{number: number, url: string, branch: string, fork: string}>} The opened pull request
+   */
+  async suggestChange(change, { title, body }) {
+    if (!githubAuth.isAuthenticated()) {
+      throw new AuthError('Authentication required to suggest recipes');
+    }
+
+    assertValidRecipe(change.data, change.filename);
+
+    const repoUrl = this.settings.getRepoPath();
+    const baseBranch = this.settings.branch;
+    const path = this.settings.getRecipePath(change.filename);
+    const branch = `suggestion/${change.filename.replace('.json', '')}-${Date.now().toString(36)}`;
+
+    try {
+      console.log(`🍴 Suggesting ${change.type} of ${change.filename} as a pull request...`);
+
+      // 1. Fork (GitHub returns the existing fork when there is one)
+      const forkResponse = await githubAuth.makeAuthenticatedRequest(`${repoUrl}/forks`, { method: 'POST' });
+      if (!forkResponse.ok) {
+        const errorText = await forkResponse.text();
+        throw errorFromResponse(forkResponse, 'Failed to fork the repository', { details: errorText });
+      }
+      const fork = await forkResponse.json();
+      const forkUrl = `repos/${fork.full_name}`;
+      await this.waitForFork(forkUrl, baseBranch);
+
+      // 2. New branch in the fork, starting at the repository's current head
+      const refResponse = await githubAuth.makeAuthenticatedRequest(`${repoUrl}/git/ref/heads/${baseBranch}`);
+      if (!refResponse.ok) {
+        throw errorFromResponse(refResponse, 'Failed to get branch ref');
+      }
+      const headSha = (await refResponse.json()).object.sha;
+
+      const branchResponse = await githubAuth.makeAuthenticatedRequest(`${forkUrl}/git/refs`, {
+        method: 'POST',
+        body: JSON.stringify({ ref: `refs/heads/${branch}`, sha: headSha })
+      });
+      if (!branchResponse.ok) {
+        const errorText = await branchResponse.text();
+        throw errorFromResponse(branchResponse, 'Failed to create suggestion branch', { details: errorText });
+      }
+
+      // 3. Commit the recipe file on that branch
+      const existingResponse = await githubAuth.makeAuthenticatedRequest(
+        `${forkUrl}/contents/${path}?ref=${encodeURIComponent(branch)}`
+      );
+      const existingSha = existingResponse.ok ? (await existingResponse.json()).sha : undefined;
+
+      const author = this.getCommitAuthor();
+      const fileResponse = await githubAuth.makeAuthenticatedRequest(`${forkUrl}/contents/${path}`, {
+        method: 'PUT',
+        body: JSON.stringify({
+          message: title,
+          content: encodeBase64(JSON.stringify(change.data, null, 2)),
+          branch,
+          sha: existingSha,
+          author,
+          committer: author
+        })
+      });
+      if (!fileResponse.ok) {
+        const errorText = await fileResponse.text();
+        throw errorFromResponse(fileResponse, `Failed to commit ${change.filename} to the fork`, { details: errorText });
+      }
+
+      // 4. Open the pull request
+      const pullResponse = await githubAuth.makeAuthenticatedRequest(`${repoUrl}/pulls`, {
+        method: 'POST',
+        body: JSON.stringify({
+          title,
+          body,
+          head: `${fork.owner.login}:${branch}`,
+          base: baseBranch,
+          maintainer_can_modify: true
+        })
+      });
+      if (!pullResponse.ok) {
+        const errorText = await pullResponse.text();
+        throw errorFromResponse(pullResponse, 'Failed to open pull request', { details: errorText });
+      }
+      const pull = await pullResponse.json();
+
+      console.log(`✅ Opened pull request #${pull.number}: ${pull.html_url}`);
+      return { number: pull.number, url: pull.html_url, branch, fork: fork.full_name };
+
+    } catch (error) {
+      console.error(`💥 Failed to suggest ${change.filename}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Wait until GitHub has copied the branch into a new fork
+   * @private
+   * @param {string} forkUrl - "repos/{owner}/{repo}" of the fork
+   * @param {string} branch - Branch the suggestion is based on
+   * @throws {Error} When the fork is not ready after a while
+   */
+  async waitForFork(forkUrl, branch) {
+    for (let attempt = 0; attempt < FORK_READY_ATTEMPTS; attempt++) {
+      const response = await githubAuth.makeAuthenticatedRequest(`${forkUrl}/branches/${encodeURIComponent(branch)}`);
+      if (response.ok) {
+        return;
+      }
+      if (response.status !== 404) {
+        throw errorFromResponse(response, 'Failed to check the fork');
+      }
+      console.log(`⏳ Fork is not ready yet (${attempt + 1}/${FORK_READY_ATTEMPTS})`);
+      await new Promise(resolve => globalThis.setTimeout(resolve, this.forkPollInterval));
+    }
+    throw new Error(`Fork ${forkUrl} is not ready yet, please try again in a minute`);
+  }
+
+  /**
+   * Get the state of a pull request against the repository
+   * @param {number} number - Pull request number
+   * @returns {Promise<{state: string, merged: boolean, url: string}|null>} State ('open' or 'closed'), or null if it's gone
+   */
+  async getPullRequest(number) {
+    const response = await githubAuth.makeAuthenticatedRequest(`${this.settings.getRepoPath()}/pulls/${number}`);
+    if (response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      throw errorFromResponse(response, `Failed to get pull request #${number}`);
+    }
+    const pull = await response.json();
+    return { state: pull.state, merged: pull.merged === true || !!pull.merged_at, url: pull.html_url };
+  }
+
+  // ============================================================================
+  // Draft branches
+  // ============================================================================
+
+  /**
+   * Branch holding the signed-in user's unpublished recipes
+   * @returns {string|null} "drafts/{login}", or null when signed out
+   */
+  getDraftBranch() {
+    const login = githubAuth.getUserInfo()?.login;
+    return githubAuth.isAuthenticated() && login ? `drafts/${login}` : null;
+  }
+
+  /**
+   * Create a branch from the configured branch unless it exists already
+   * @param {string} branch - Branch name
+   * @returns {Promise<boolean>} True if the branch was created
+   */
+  async ensureBranch(branch) {
+    const repoUrl = this.settings.getRepoPath();
+    const existing = await githubAuth.makeAuthenticatedRequest(`${repoUrl}/git/ref/heads/${branch}`);
+    if (existing.ok) {
+      return false;
+    }
+    if (existing.status !== 404) {
+      throw errorFromResponse(existing, `Failed to check branch ${branch}`);
+    }
+
+    const baseResponse = await githubAuth.makeAuthenticatedRequest(`${repoUrl}/git/ref/heads/${this.settings.branch}`);
+    if (!baseResponse.ok) {
+      throw errorFromResponse(baseResponse, 'Failed to get branch ref');
+    }
+    const response = await githubAuth.makeAuthenticatedRequest(`${repoUrl}/git/refs`, {
+      method: 'POST',
+      body: JSON.stringify({ ref: `refs/heads/${branch}`, sha: (await baseResponse.json()).object.sha })
+    });
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw errorFromResponse(response, `Failed to create branch ${branch}`, { details: errorText });
+    }
+
+    console.log(`🌱 Created branch ${branch}`);
+    return true;
+  }
+
+  /**
+   * List the recipe files a branch changes compared to the configured branch
+   * Only files changed on the branch since it split off count, and those
+   * whose content already matches the configured branch (e.g. published
+   * drafts) are left out.
+   * @param {string} branch - Branch name
+   * @returns {Promise<Array<{filename: string, sha: string, status: string}>>} Changed files;
+   *   `status` is 'added' (not on the configured branch) or 'modified'. Empty when the branch doesn't exist.
+   */
+  async listBranchChanges(branch) {
+    const response = await githubAuth.makeAuthenticatedRequest(
+      `${this.settings.getRepoPath()}/compare/${this.settings.branch}...${branch}`
+    );
+    if (response.status === 404) {
+      return [];
+    }
+    if (!response.ok) {
+      throw errorFromResponse(response, `Failed to compare ${branch}`);
+    }
+
+    const { files: changed = [] } = await response.json();
+    const { files: current } = await this.getRecipeTree();
+    const currentShas = new Map(current.map(file => [file.filename, file.sha]));
+    const folder = `${this.settings.recipesPath}/`;
+
+    return changed
+      .filter(file => file.status !== 'removed' && file.filename.startsWith(folder))
+      .map(file => ({ filename: file.filename.slice(folder.length), sha: file.sha }))
+      .filter(file => isRecipeFile(file.filename) && currentShas.get(file.filename) !== file.sha)
+      .map(file => ({ ...file, status: currentShas.has(file.filename) ? 'modified' : 'added' }));
+  }
+
+  /**
+   * Merge the configured branch into another branch to bring it up to date
+   * @param {string} branch - Branch to update
+   * @returns {Promise<boolean>} True if merged (or up to date), false on merge conflicts
+   */
+  async mergeIntoBranch(branch) {
+    const response = await githubAuth.makeAuthenticatedRequest(`${this.settings.getRepoPath()}/merges`, {
+      method: 'POST',
+      body: JSON.stringify({
+        base: branch,
+        head: this.settings.branch,
+        commit_message: `Merge ${this.settings.branch} into ${branch}`
+      })
+    });
+    if (response.status === 409) {
+      console.warn(`⚠️ ${branch} conflicts with ${this.settings.branch}, not merged`);
+      return false;
+    }
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw errorFromResponse(response, `Failed to merge into ${branch}`, { details: errorText });
+    }
+    return true;
+  }
+
+  /**
+   * Overwrite a recipe file on a branch with its version on the configured branch
+   * The content is copied byte for byte, so both branches end up with the same blob.
+   * @param {string} filename - Recipe filename
+   * @param {string} branch - Branch to overwrite
+   * @param {string} message - Commit message
+   */
+  async restoreFile(filename, branch, message) {
+    const [sourceResponse, targetResponse] = await Promise.all([
+      githubAuth.makeAuthenticatedRequest(this.contentsUrl(filename, this.settings.branch)),
+      githubAuth.makeAuthenticatedRequest(this.contentsUrl(filename, branch))
+    ]);
+    if (!sourceResponse.ok) {
+      throw errorFromResponse(sourceResponse, `Failed to read ${filename}`, { resource: filename });
+    }
+    if (!targetResponse.ok) {
+      throw errorFromResponse(targetResponse, `Failed to read ${filename} on ${branch}`, { resource: filename });
+    }
+
+    const author = this.getCommitAuthor();
+    const response = await githubAuth.makeAuthenticatedRequest(this.contentsUrl(filename), {
+      method: 'PUT',
+      body: JSON.stringify({
+        message,
+        content: (await sourceResponse.json()).content.replace(/\n/g, ''),
+        sha: (await targetResponse.json()).sha,
+        branch,
+        author,
+        committer: author
+      })
+    });
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw errorFromResponse(response, `Failed to restore ${filename} on ${branch}`, { details: errorText });
+    }
+  }
+
   // ============================================================================
   // RecipeRepository Interface Compatibility Methods
   // ============================================================================
@@ -507,19 +961,19 @@ export class GitHubAPIAdapter {
     try {
       console.log('🔄 Getting file list...');
       
-      const apiUrl = `repos/${CONFIG.REPO_OWNER}/${CONFIG.REPO_NAME}/contents/recipes`;
+      const apiUrl = this.contentsUrl('', this.settings.branch);
       const response = await githubAuth.makeAuthenticatedRequest(apiUrl);
 
       if (!response.ok) {
         const errorText = await response.text();
-        throw new Error(`Failed to fetch file list: ${response.status} ${errorText}`);
+        throw errorFromResponse(response, 'Failed to fetch file list', { details: errorText });
       }
 
       const files = await response.json();
       
       // Filter for JSON files and return just the names
       const jsonFiles = files
-        .filter(file => file.type === 'file' && file.name.endsWith('.json'))
+        .filter(file => file.type === 'file' && isRecipeFile(file.name))
         .map(file => file.name);
 
       console.log(`✅ Found ${jsonFiles.length} recipe files`);
@@ -573,17 +1027,38 @@ export class GitHubAPIAdapter {
 
   /**
    * Create file (RecipeRepository interface)
+   * The recipe, its photos and the recipe index are written in one commit (see commitBatch()).
    * @param {string} filename - Recipe filename 
    * @param {Object} data - Recipe data
+   * @param {Object} [options] - Create options (`commit` note and co-authors, `images` to commit, see commitBatch())
    * @returns {Promise<Object>} Created recipe
+   * @throws {ValidationError} When a recipe with the same filename already exists
    */
-  async createFile(filename, data) {
+  async createFile(filename, data, options = {}) {
     try {
       console.log(`🔄 Creating file: ${filename}`);
       
-      const recipe = await this.createRecipe(data);
+      const target = this.generateFilename(data.name);
+      let files;
+      try {
+        ({ files } = await this.commitBatch([
+          { type: 'create', filename: target, data, commit: options.commit, images: options.images }
+        ]));
+      } catch (error) {
+        if (error instanceof RecipeConflictError) {
+          const message = `Recipe "${data.name}" already exists`;
+          throw new ValidationError([message], message);
+        }
+        throw error;
+      }
       console.log(`✅ Created file: ${filename}`);
-      return recipe;
+      
+      return {
+        ...data,
+        id: target.replace('.json', ''),
+        sha: files[target],
+        lastModified: new Date().toISOString()
+      };
       
     } catch (error) {
       console.error(`💥 Failed to create file ${filename}:`, error);
@@ -593,19 +1068,37 @@ export class GitHubAPIAdapter {
 
   /**
    * Update file (RecipeRepository interface)
+   * The recipe, its photos and the recipe index are written in one commit (see commitBatch()).
    * @param {string} filename - Recipe filename
    * @param {Object} data - Updated recipe data
+   * @param {Object} [options] - Update options (`baseSha` for conflict detection, `commit` note and co-authors,
+   *   `images` to commit or delete, see commitBatch())
    * @returns {Promise<Object>} Updated recipe
+   * @throws {RecipeConflictError} When the recipe on GitHub is no longer at `baseSha`
+   * @throws {NotFoundError} When the recipe does not exist
    */
-  async updateFile(filename, data) {
+  async updateFile(filename, data, options = {}) {
     try {
       // Extract recipe ID from filename
       const recipeId = filename.replace('.json', '');
       console.log(`🔄 Updating file: ${filename} (ID: ${recipeId})`);
       
-      const recipe = await this.updateRecipe(recipeId, data);
+      const { files } = await this.commitBatch([{
+        type: 'update',
+        filename,
+        data,
+        baseSha: options.baseSha || undefined,
+        commit: options.commit,
+        images: options.images
+      }]);
       console.log(`✅ Updated file: ${filename}`);
-      return recipe;
+      
+      return {
+        ...data,
+        id: recipeId,
+        sha: files[filename],
+        lastModified: new Date().toISOString()
+      };
       
     } catch (error) {
       console.error(`💥 Failed to update file ${filename}:`, error);
@@ -613,19 +1106,116 @@ export class GitHubAPIAdapter {
     }
   }
 
+  /**
+   * Get a specific version of a recipe file by its blob sha
+   * @param {string} filename - Recipe filename (for logging)
+   * @param {string} sha - Blob sha
+   * @returns {Promise<Object|null>} Recipe object or null if the blob is gone
+   */
+  async getFileVersion(filename, sha) {
+    try {
+      console.log(`🕰️ Getting ${filename} at ${sha.substring(0, 7)}`);
+      
+      const blobUrl = `${this.settings.getRepoPath()}/git/blobs/${sha}`;
+      const response = await githubAuth.makeAuthenticatedRequest(blobUrl);
+      
+      if (response.status === 404) {
+        return null;
+      }
+      
+      if (!response.ok) {
+        throw errorFromResponse(response, 'Failed to fetch blob', { resource: filename });
+      }
+      
+      const blobData = await response.json();
+      const recipe = JSON.parse(decodeBase64(blobData.content));
+      recipe.metadata = { ...recipe.metadata, sha };
+      return recipe;
+      
+    } catch (error) {
+      console.error(`💥 Failed to get ${filename} at ${sha}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the commits that touched a recipe file, newest first
+   * @param {string} filename - Recipe filename
+   * @param {number} [limit=30] - Maximum number of commits
+   * @returns {Promise<Array<{sha: string, message: string, author: string, login: string|null, date: string}>>} Commits
+   */
+  async getFileHistory(filename, limit = 30) {
+    try {
+      console.log(`📜 Getting history of ${filename}`);
+
+      const path = this.settings.getRecipePath(encodeURIComponent(filename));
+      const branch = encodeURIComponent(this.settings.branch);
+      const apiUrl = `${this.settings.getRepoPath()}/commits?sha=${branch}&path=${path}&per_page=${limit}`;
+      const response = await githubAuth.makeAuthenticatedRequest(apiUrl);
+
+      if (!response.ok) {
+        throw errorFromResponse(response, 'Failed to fetch history', { resource: filename });
+      }
+
+      const commits = await response.json();
+      return commits.map(mapCommit);
+
+    } catch (error) {
+      console.error(`💥 Failed to get history of ${filename}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a recipe file as it was at a given commit
+   * @param {string} filename - Recipe filename
+   * @param {string} commitSha - Commit sha
+   * @returns {Promise<Object|null>} Recipe object or null if the file did not exist
+   */
+  async getFileAtCommit(filename, commitSha) {
+    try {
+      console.log(`🕰️ Getting ${filename} at commit ${commitSha.substring(0, 7)}`);
+
+      const apiUrl = this.contentsUrl(encodeURIComponent(filename), commitSha);
+      const response = await githubAuth.makeAuthenticatedRequest(apiUrl);
+
+      if (response.status === 404) {
+        return null;
+      }
+
+      if (!response.ok) {
+        throw errorFromResponse(response, 'Failed to fetch recipe version', { resource: filename });
+      }
+
+      const fileData = await response.json();
+      const recipe = JSON.parse(decodeBase64(fileData.content));
+      recipe.metadata = { ...recipe.metadata, sha: fileData.sha };
+      return recipe;
+
+    } catch (error) {
+      console.error(`💥 Failed to get ${filename} at commit ${commitSha}:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Delete file (RecipeRepository interface)
+   * The recipe, its photos and its index entry are removed in one commit (see commitBatch()).
    * @param {string} filename - Recipe filename
-   * @returns {Promise<boolean>} True if deletion was successful
+   * @param {Object} [options] - Delete options (`commit` note and co-authors, `images` to delete with it)
+   * @returns {Promise<boolean>} True if deletion was successful, false when the recipe did not exist
    */
-  async deleteFile(filename) {
+  async deleteFile(filename, options = {}) {
     try {
       // Extract recipe ID from filename
       const recipeId = filename.replace('.json', '');
       console.log(`🗑️ Deleting file: ${filename} (ID: ${recipeId})`);
       
-      const result = await this.deleteRecipe(recipeId);
-      console.log(`✅ Deleted file: ${filename}`);
+      const { files } = await this.commitBatch([
+        { type: 'delete', filename, commit: options.commit, images: options.images }
+      ]);
+      const result = filename in files;
+      console.log(result ? `✅ Deleted file: ${filename}` : `❌ Recipe not found for deletion: ${recipeId}`);
       return result;
       
     } catch (error) {
@@ -635,102 +1225,677 @@ export class GitHubAPIAdapter {
   }
 
   /**
-   * Batch load all recipe files efficiently using Git Trees API
+   * URL a photo in the recipes folder is shown from
+   * Public repositories serve photos on raw.githubusercontent.com. Photos of a
+   * private repository need the token, so they are only available once
+   * loadImages() downloaded them.
+   * @param {string} path - Photo path relative to the recipes folder (e.g. "images/gulas-m1x2k3.jpg")
+   * @returns {string|null} Photo URL, or null for a private photo not downloaded yet
+   */
+  getImageUrl(path) {
+    if (this.isPrivate) {
+      return this.imageUrls.get(path) || null;
+    }
+    const { owner, repo, recipesPath } = this.settings.get();
+    return `https://raw.githubusercontent.com/${owner}/${repo}/${this.settings.branch}/${recipesPath}/${path}`;
+  }
+
+  /**
+   * Download photos of a private repository through the contents API
+   * Each photo becomes an object URL returned by getImageUrl() from then on.
+   * Photos of public repositories are linked directly and not downloaded.
+   * A photo that cannot be downloaded is only logged.
+   * @param {string[]} paths - Photo paths relative to the recipes folder
+   * @returns {Promise<string[]>} Paths that were downloaded
+   */
+  async loadImages(paths) {
+    if (!this.isPrivate || !githubAuth.isAuthenticated()) {
+      return [];
+    }
+
+    const loaded = [];
+    for (const path of new Set(paths)) {
+      if (this.imageUrls.has(path)) {
+        continue;
+      }
+      try {
+        const response = await githubAuth.makeAuthenticatedRequest(this.contentsUrl(path, this.settings.branch), {
+          headers: { Accept: 'application/vnd.github.raw' }
+        });
+        if (!response.ok) {
+          throw errorFromResponse(response, `Failed to fetch photo ${path}`);
+        }
+        this.imageUrls.set(path, window.URL.createObjectURL(await response.blob()));
+        loaded.push(path);
+      } catch (error) {
+        console.warn(`⚠️ Photo ${path} not loaded:`, error.message);
+      }
+    }
+    return loaded;
+  }
+
+  /**
+   * Load all recipe files, with one GraphQL query when possible
+   * Falls back to the Git Trees REST API when GraphQL is disabled or fails.
+   * @param {Object} [options] - Load options
+   * @param {function(Object, number): (void|Promise<void>)} [options.onRecipe] - Called with each recipe (and the total count) as soon as it is loaded
    * @returns {Promise<Object[]>} Array of recipe objects
    */
-  async getAllFiles() {
+  async getAllFiles(options = {}) {
+    if (this.loadStrategy === LoadStrategy.GRAPHQL) {
+      try {
+        const recipes = await this.getAllFilesGraphQL(options);
+        this.lastLoadStrategy = LoadStrategy.GRAPHQL;
+        return recipes;
+      } catch (error) {
+        console.warn('⚠️ GraphQL loading failed, falling back to REST:', error.message);
+      }
+    }
+
     try {
       console.log('🚀 Batch loading all recipes using Git Trees API...');
       
-      // First get the latest commit SHA
-      const branchUrl = `repos/${CONFIG.REPO_OWNER}/${CONFIG.REPO_NAME}/branches/main`;
-      const branchResponse = await githubAuth.makeAuthenticatedRequest(branchUrl);
+      const tree = await this.getRecipeTree();
       
-      if (!branchResponse.ok) {
-        throw new Error(`Failed to get branch info: ${branchResponse.status}`);
-      }
+      // Blobs are immutable - forget the ones no longer in the tree
+      this.blobCache.retain(tree.files.map(file => file.sha));
       
-      const branchData = await branchResponse.json();
-      const commitSha = branchData.commit.sha;
-      
-      // Get the tree with all files recursively
-      const treeUrl = `repos/${CONFIG.REPO_OWNER}/${CONFIG.REPO_NAME}/git/trees/${commitSha}?recursive=1`;
-      const treeResponse = await githubAuth.makeAuthenticatedRequest(treeUrl);
+      const recipes = await this.getFiles(tree.files, options);
+      this.lastLoadStrategy = LoadStrategy.REST;
+      return recipes;
       
-      if (!treeResponse.ok) {
-        throw new Error(`Failed to get tree: ${treeResponse.status}`);
+    } catch (error) {
+      console.error('💥 Failed to batch load recipes:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load every recipe with a single GraphQL query returning the recipes/ tree and blob texts
+   * Blobs too large for GraphQL to return (isTruncated) are loaded over REST.
+   * @private
+   * @param {Object} [options] - Load options (see getAllFiles())
+   * @returns {Promise<Object[]>} Array of recipe objects
+   */
+  async getAllFilesGraphQL(options = {}) {
+    const { onRecipe } = options;
+    console.log('🚀 Loading all recipes with one GraphQL query...');
+
+    const response = await githubAuth.makeAuthenticatedRequest('graphql', {
+      method: 'POST',
+      body: JSON.stringify({
+        query: RECIPES_QUERY,
+        variables: {
+          owner: this.settings.owner,
+          name: this.settings.repo,
+          expression: `${this.settings.branch}:${this.settings.recipesPath}`
+        }
+      })
+    });
+
+    if (!response.ok) {
+      throw errorFromResponse(response, 'GraphQL request failed');
+    }
+
+    const result = await response.json();
+    if (result.errors?.length) {
+      throw new Error(`GraphQL error: ${result.errors[0].message}`);
+    }
+
+    const tree = result.data?.repository?.object;
+    if (!tree) {
+      console.log('📁 No recipes folder yet');
+      return [];
+    }
+
+    const entries = tree.entries.filter(entry => entry.type === 'blob' && isRecipeFile(entry.name));
+    this.blobCache.retain(entries.map(entry => entry.oid));
+
+    const recipes = [];
+    const truncated = [];
+    for (const entry of entries) {
+      const file = { filename: entry.name, sha: entry.oid };
+      if (entry.object?.isTruncated || typeof entry.object?.text !== 'string') {
+        truncated.push(file);
+        continue;
       }
-      
-      const treeData = await treeResponse.json();
-      
-      // Filter for recipe JSON files
-      const recipeFiles = treeData.tree.filter(item => 
-        item.type === 'blob' && 
-        item.path.startsWith('recipes/') && 
-        item.path.endsWith('.json')
-      );
-      
-      console.log(`📁 Found ${recipeFiles.length} recipe files to load`);
-      
-      // Batch load all recipe contents using Promise.all for parallel requests
-      const batchSize = 5; // Load 5 recipes at a time to avoid rate limits
-      const recipes = [];
-      
-      for (let i = 0; i < recipeFiles.length; i += batchSize) {
-        const batch = recipeFiles.slice(i, i + batchSize);
-        console.log(`📦 Loading batch ${Math.floor(i/batchSize) + 1}/${Math.ceil(recipeFiles.length/batchSize)} (${batch.length} files)`);
-        
-        const batchPromises = batch.map(async (file) => {
-          try {
+
+      try {
+        this.blobCache.set(entry.oid, JSON.parse(entry.object.text));
+      } catch (error) {
+        console.warn(`⚠️ Failed to parse recipe ${entry.name}:`, error.message);
+        continue;
+      }
+
+      const recipe = this.withFileMetadata(this.blobCache.get(entry.oid), file);
+      recipes.push(recipe);
+      await onRecipe?.(recipe, entries.length);
+    }
+    this.blobCache.flush();
+
+    if (truncated.length > 0) {
+      console.log(`📦 ${truncated.length} recipes are too large for GraphQL, loading them over REST`);
+      recipes.push(...await this.getFiles(truncated, { onRecipe, total: entries.length }));
+    }
+
+    console.log(`🎉 Loaded ${recipes.length} recipes with GraphQL`);
+    return recipes;
+  }
+
+  /**
+   * List the recipe files on the branch with their blob shas
+   * Branch and tree are requested conditionally, so this is cheap when nothing changed.
+   * @returns {Promise<{sha: string|null, files: Array<{filename: string, sha: string}>}>} Sha of the recipes/ tree and its files
+   */
+  async getRecipeTree() {
+    // First get the latest commit SHA
+    const branchUrl = `${this.settings.getRepoPath()}/branches/${encodeURIComponent(this.settings.branch)}`;
+    const branchResponse = await this.conditionalRequest(branchUrl);
+    
+    if (!branchResponse.ok) {
+      throw errorFromResponse(branchResponse, 'Failed to get branch info');
+    }
+    
+    const branchData = await branchResponse.json();
+    const commitSha = branchData.commit.sha;
+    
+    // Get the tree with all files recursively
+    const treeUrl = `${this.settings.getRepoPath()}/git/trees/${commitSha}?recursive=1`;
+    const treeResponse = await this.conditionalRequest(treeUrl);
+    
+    if (!treeResponse.ok) {
+      throw errorFromResponse(treeResponse, 'Failed to get tree');
+    }
+    
+    const treeData = await treeResponse.json();
+    
+    // Filter for recipe JSON files (the recipes/ tree sha only changes when a recipe does)
+    const recipesTree = treeData.tree.find(item => item.type === 'tree' && item.path === this.settings.recipesPath);
+    const files = this.getRecipeFilesInTree(treeData.tree
+      .filter(item => item.type === 'blob')
+      .map(item => [item.path, item.sha]));
+    
+    console.log(`📁 Found ${files.length} recipe files`);
+    return { sha: recipesTree?.sha || null, files };
+  }
+
+  /**
+   * Pick the recipe files out of a recursive tree listing
+   * @private
+   * @param {Iterable<[string, string]>} blobs - Blob sha by path from the repository root
+   * @returns {Array<{filename: string, sha: string}>} Recipe files
+   */
+  getRecipeFilesInTree(blobs) {
+    const folder = this.settings.recipesPath;
+    return Array.from(blobs)
+      .filter(([path]) => path.startsWith(`${folder}/`) && isRecipeFile(path.slice(folder.length + 1)))
+      .map(([path, sha]) => ({ filename: path.slice(folder.length + 1), sha }));
+  }
+
+  /**
+   * Load recipes by blob sha, reusing blobs that were downloaded before
+   * @param {Array<{filename: string, sha: string}>} files - Files from getRecipeTree()
+   * @param {Object} [options] - Load options
+   * @param {function(Object, number): (void|Promise<void>)} [options.onRecipe] - Called with each recipe as soon as its batch is loaded
+   * @param {number} [options.total] - Total passed to onRecipe (defaults to the number of files)
+   * @returns {Promise<Object[]>} Loaded recipes (files that failed to load are skipped)
+   */
+  async getFiles(files, options = {}) {
+    const { onRecipe, total = files.length } = options;
+    let reusedBlobs = 0;
+    
+    // Batch load all recipe contents using Promise.all for parallel requests
+    const batchSize = 5; // Load 5 recipes at a time to avoid rate limits
+    const recipes = [];
+    
+    for (let i = 0; i < files.length; i += batchSize) {
+      const batch = files.slice(i, i + batchSize);
+      console.log(`📦 Loading batch ${Math.floor(i/batchSize) + 1}/${Math.ceil(files.length/batchSize)} (${batch.length} files)`);
+      const reusedBeforeBatch = reusedBlobs;
+      
+      const batchPromises = batch.map(async (file) => {
+        try {
+          let recipe = this.blobCache.get(file.sha);
+          if (recipe) {
+            reusedBlobs++;
+          } else {
             // Get blob content
-            const blobUrl = `repos/${CONFIG.REPO_OWNER}/${CONFIG.REPO_NAME}/git/blobs/${file.sha}`;
+            const blobUrl = `${this.settings.getRepoPath()}/git/blobs/${file.sha}`;
             const blobResponse = await githubAuth.makeAuthenticatedRequest(blobUrl);
             
             if (!blobResponse.ok) {
-              console.warn(`⚠️ Failed to load ${file.path}: ${blobResponse.status}`);
+              console.warn(`⚠️ Failed to load ${file.filename}: ${blobResponse.status}`);
               return null;
             }
             
             const blobData = await blobResponse.json();
             const content = decodeBase64(blobData.content);
-            const recipe = JSON.parse(content);
-            
-            // Ensure metadata object exists
-            if (!recipe.metadata) {
-              recipe.metadata = {};
-            }
-            const filename = file.path.replace('recipes/', '');
-            recipe.metadata.id = filename.replace('.json', '');
-            recipe.metadata.sha = file.sha;
-            recipe.metadata.lastModified = new Date().toISOString(); // We don't have commit date easily, use current time
-            
-            console.log(`✅ Loaded recipe: ${recipe.name || recipe.metadata.id}`);
-            return recipe;
-            
-          } catch (error) {
-            console.warn(`⚠️ Failed to parse recipe ${file.path}:`, error.message);
-            return null;
+            recipe = JSON.parse(content);
+            this.blobCache.set(file.sha, recipe);
+            recipe = this.blobCache.get(file.sha);
           }
-        });
-        
-        const batchResults = await Promise.all(batchPromises);
-        recipes.push(...batchResults.filter(recipe => recipe !== null));
-        
-        // Small delay between batches to be nice to the API
-        if (i + batchSize < recipeFiles.length) {
-          await new Promise(resolve => setTimeout(resolve, 200));
+          
+          this.withFileMetadata(recipe, file);
+          console.log(`✅ Loaded recipe: ${recipe.name || recipe.metadata.id}`);
+          return recipe;
+          
+        } catch (error) {
+          console.warn(`⚠️ Failed to parse recipe ${file.filename}:`, error.message);
+          return null;
         }
-      }
+      });
       
-      console.log(`🎉 Successfully loaded ${recipes.length} recipes in batches`);
-      return recipes;
+      const batchResults = (await Promise.all(batchPromises)).filter(recipe => recipe !== null);
+      recipes.push(...batchResults);
+      for (const recipe of batchResults) {
+        await onRecipe?.(recipe, total);
+      }
       
+      // Small delay between batches to be nice to the API (not needed when nothing was downloaded)
+      const downloaded = batch.length - (reusedBlobs - reusedBeforeBatch);
+      if (i + batchSize < files.length && downloaded > 0) {
+        await new Promise(resolve => setTimeout(resolve, 200));
+      }
+    }
+    
+    // Persist the downloaded blobs once for the whole load
+    this.blobCache.flush();
+    
+    console.log(`🎉 Successfully loaded ${recipes.length} recipes in batches (${reusedBlobs} unchanged, reused from cache)`);
+    return recipes;
+  }
+
+  /**
+   * Fill in the metadata of a recipe loaded from a tree entry
+   * @private
+   * @param {Object} recipe - Parsed recipe (modified in place)
+   * @param {{filename: string, sha: string}} file - Tree entry it came from
+   * @returns {Object} The recipe
+   */
+  withFileMetadata(recipe, file) {
+    // Ensure metadata object exists
+    if (!recipe.metadata) {
+      recipe.metadata = {};
+    }
+    recipe.metadata.id = file.filename.replace('.json', '');
+    recipe.metadata.sha = file.sha;
+    recipe.metadata.lastModified = new Date().toISOString(); // We don't have commit date easily, use current time
+    return recipe;
+  }
+
+  /**
+   * Write several recipe changes as a single commit using the Git Data API
+   * (blobs → tree → commit → ref update). Nothing becomes visible on the branch
+   * unless the final ref update succeeds, so a failure leaves the repo untouched.
+   * Single saves are written this way too, so a recipe, its photos and the
+   * recipe index always change together.
+   * @param {Array<{type: 'create'|'update'|'delete', filename: string, data?: Object, previous?: Object, baseSha?: string, commit?: Object, images?: Array}>} changes - File changes,
+   *   optionally with the recipe before the change, the blob sha an update was based on, the `commit`
+   *   note and co-authors given when saving and the photos added or deleted with it
+   *   (`{path, content}` relative to the recipes folder, base64 content to add or null to delete)
+   * @param {string} [message] - Commit message (defaults to a summary of the changes)
+   * @returns {Promise<{commitSha: string|null, files: Object<string, string|null>}>} New commit and blob sha per
+   *   file; recipes to delete that were already gone are left out, and commitSha is null when nothing was left to commit
+   * @throws {RecipeConflictError} When a created file already exists or an updated one is no longer at its `baseSha`
+   * @throws {NotFoundError} When an updated recipe does not exist
+   */
+  async commitBatch(changes, message) {
+    if (!githubAuth.isAuthenticated()) {
+      throw new AuthError('Authentication required to commit recipes');
+    }
+
+    if (!Array.isArray(changes) || changes.length === 0) {
+      throw new Error('No changes to commit');
+    }
+
+    for (const change of changes) {
+      if (change.type !== 'delete') {
+        assertValidRecipe(change.data, change.filename);
+      }
+    }
+
+    try {
+      console.log(`📦 Committing ${changes.length} recipe changes in one commit...`);
+
+      // Commits pushed meanwhile (even to other recipes) make the ref update fail,
+      // so the commit is built again on the new head, checking for conflicts again
+      for (let attempt = 1; ; attempt++) {
+        const result = await this.commitOnHead(changes, message, attempt === COMMIT_ATTEMPTS);
+        if (result) {
+          return result;
+        }
+        console.warn(`⚠️ ${this.settings.branch} moved while committing, retrying on the new head (${attempt}/${COMMIT_ATTEMPTS})`);
+      }
+
     } catch (error) {
-      console.error('💥 Failed to batch load recipes:', error);
+      console.error('💥 Failed to commit recipe batch:', error);
       throw error;
     }
   }
 
+  /**
+   * Build a commit of the changes on the current head of the branch and move the branch to it
+   * @private
+   * @param {Array<Object>} changes - File changes (see commitBatch())
+   * @param {string} [message] - Commit message
+   * @param {boolean} lastAttempt - Throw instead of returning null when the branch moved
+   * @returns {Promise<{commitSha: string|null, files: Object<string, string|null>}|null>} Result of commitBatch(),
+   *   or null when the branch moved on since its head was read
+   */
+  async commitOnHead(changes, message, lastAttempt) {
+    const repoUrl = this.settings.getRepoPath();
+    const branch = this.settings.branch;
+
+    // 1. Current head of the branch and its tree
+    const refResponse = await githubAuth.makeAuthenticatedRequest(`${repoUrl}/git/ref/heads/${branch}`);
+    if (!refResponse.ok) {
+      throw errorFromResponse(refResponse, 'Failed to get branch ref');
+    }
+    const parentSha = (await refResponse.json()).object.sha;
+
+    const commitResponse = await githubAuth.makeAuthenticatedRequest(`${repoUrl}/git/commits/${parentSha}`);
+    if (!commitResponse.ok) {
+      throw errorFromResponse(commitResponse, 'Failed to get head commit');
+    }
+    const baseTreeSha = (await commitResponse.json()).tree.sha;
+
+    // Nothing is overwritten that changed on GitHub since the batched edits were made
+    const blobs = await this.getTreeBlobs(baseTreeSha);
+    await this.assertNoBatchConflicts(blobs, changes);
+
+    // Recipes and photos deleted on GitHub already need no deleting
+    const exists = path => blobs.has(this.settings.getRecipePath(path));
+    changes = changes.filter(change => change.type !== 'delete' || exists(change.filename));
+    if (changes.length === 0) {
+      console.log('📦 Nothing left to commit');
+      return { commitSha: null, files: {} };
+    }
+
+    // Updates saved without the version before them get it from the parent commit, for the message
+    if (!message) {
+      changes = await Promise.all(changes.map(async change => (change.type === 'update' && !change.previous
+        ? { ...change, previous: await this.getFileVersion(change.filename, blobs.get(this.settings.getRecipePath(change.filename))) }
+        : change)));
+    }
+
+    // 2. One blob per created/updated recipe
+    const files = {};
+    const treeEntries = [];
+    for (const change of changes) {
+      const path = this.settings.getRecipePath(change.filename);
+
+      if (change.type === 'delete') {
+        files[change.filename] = null;
+        treeEntries.push({ path, mode: '100644', type: 'blob', sha: null });
+        continue;
+      }
+
+      const blobResponse = await githubAuth.makeAuthenticatedRequest(`${repoUrl}/git/blobs`, {
+        method: 'POST',
+        body: JSON.stringify({
+          content: encodeBase64(JSON.stringify(change.data, null, 2)),
+          encoding: 'base64'
+        })
+      });
+      if (!blobResponse.ok) {
+        const errorText = await blobResponse.text();
+        throw errorFromResponse(blobResponse, `Failed to create blob for ${change.filename}`, { details: errorText });
+      }
+      const blobSha = (await blobResponse.json()).sha;
+      files[change.filename] = blobSha;
+      treeEntries.push({ path, mode: '100644', type: 'blob', sha: blobSha });
+    }
+
+    // Photos go into the same commit as their recipes
+    for (const image of changes.flatMap(change => change.images || [])) {
+      if (!image.content && !exists(image.path)) {
+        continue;
+      }
+      treeEntries.push({
+        path: this.settings.getRecipePath(image.path),
+        mode: '100644',
+        type: 'blob',
+        sha: image.content ? await this.createImageBlob(repoUrl, image) : null
+      });
+    }
+
+    // The recipe index changes in the same commit
+    const indexEntry = await this.createIndexTreeEntry(parentSha, blobs, changes, files);
+    if (indexEntry) {
+      treeEntries.push(indexEntry);
+    }
+
+    // 3. Tree on top of the current one
+    const treeResponse = await githubAuth.makeAuthenticatedRequest(`${repoUrl}/git/trees`, {
+      method: 'POST',
+      body: JSON.stringify({ base_tree: baseTreeSha, tree: treeEntries })
+    });
+    if (!treeResponse.ok) {
+      const errorText = await treeResponse.text();
+      throw errorFromResponse(treeResponse, 'Failed to create tree', { details: errorText });
+    }
+    const treeSha = (await treeResponse.json()).sha;
+
+    // 4. Commit
+    const author = this.getCommitAuthor();
+    const newCommitResponse = await githubAuth.makeAuthenticatedRequest(`${repoUrl}/git/commits`, {
+      method: 'POST',
+      body: JSON.stringify({
+        message: message || this.generateBatchMessage(changes),
+        tree: treeSha,
+        parents: [parentSha],
+        author,
+        committer: author
+      })
+    });
+    if (!newCommitResponse.ok) {
+      const errorText = await newCommitResponse.text();
+      throw errorFromResponse(newCommitResponse, 'Failed to create commit', { details: errorText });
+    }
+    const commitSha = (await newCommitResponse.json()).sha;
+
+    // 5. Move the branch - fails (422) if someone else pushed in the meantime
+    const updateRefResponse = await githubAuth.makeAuthenticatedRequest(`${repoUrl}/git/refs/heads/${branch}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ sha: commitSha, force: false })
+    });
+    if (!updateRefResponse.ok) {
+      const errorText = await updateRefResponse.text();
+      if (!lastAttempt && (updateRefResponse.status === 422 || /fast.forward/i.test(errorText))) {
+        return null;
+      }
+      throw errorFromResponse(updateRefResponse, 'Failed to update branch', { details: errorText });
+    }
+
+    console.log(`✅ Committed ${changes.length} recipe changes as ${commitSha.substring(0, 7)}`);
+    return { commitSha, files };
+  }
+
+  /**
+   * Check batched changes against the commit they are going on top of
+   * A created recipe must not exist yet, an updated one must exist and, when
+   * the edit knows which version it started from, still be that version.
+   * @private
+   * @param {Map<string, string>} blobs - Blob sha by path in the tree of the parent commit (see getTreeBlobs())
+   * @param {Array<{type: string, filename: string, baseSha?: string}>} changes - Batched changes
+   * @throws {RecipeConflictError} For the first recipe that was changed on GitHub, with the GitHub version
+   * @throws {NotFoundError} When an updated recipe does not exist (anymore)
+   */
+  async assertNoBatchConflicts(blobs, changes) {
+    for (const change of changes) {
+      if (change.type === 'delete') {
+        continue;
+      }
+      const id = change.filename.replace('.json', '');
+      const remoteSha = blobs.get(this.settings.getRecipePath(change.filename)) || null;
+      if (change.type === 'update' && !remoteSha) {
+        throw new NotFoundError(id, `Recipe not found: ${id}`);
+      }
+      const expectedSha = change.type === 'create' ? null : change.baseSha || remoteSha;
+      if (remoteSha === expectedSha) {
+        continue;
+      }
+      const remote = await this.getFileVersion(change.filename, remoteSha);
+      throw new RecipeConflictError(id, { baseSha: expectedSha, remoteSha, remote });
+    }
+  }
+
+  /**
+   * Get the blob sha of every file in a tree
+   * @private
+   * @param {string} treeSha - Tree (or commit) sha
+   * @returns {Promise<Map<string, string>>} Blob sha by path from the repository root
+   */
+  async getTreeBlobs(treeSha) {
+    const response = await githubAuth.makeAuthenticatedRequest(`${this.settings.getRepoPath()}/git/trees/${treeSha}?recursive=1`);
+    if (!response.ok) {
+      throw errorFromResponse(response, 'Failed to get tree');
+    }
+    const { tree } = await response.json();
+    return new Map(tree.filter(item => item.type === 'blob').map(item => [item.path, item.sha]));
+  }
+
+  /**
+   * Upload a photo as a blob for a batch commit
+   * @private
+   * @param {string} repoUrl - Repository API path
+   * @param {{path: string, content: string}} image - Photo with base64 content
+   * @returns {Promise<string>} Blob sha
+   */
+  async createImageBlob(repoUrl, image) {
+    const response = await githubAuth.makeAuthenticatedRequest(`${repoUrl}/git/blobs`, {
+      method: 'POST',
+      body: JSON.stringify({ content: image.content, encoding: 'base64' })
+    });
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw errorFromResponse(response, `Failed to create blob for ${image.path}`, { details: errorText });
+    }
+    return (await response.json()).sha;
+  }
+
+  // ============================================================================
+  // Recipe Index (recipes/index.json)
+  // ============================================================================
+
+  /**
+   * Read the recipe index
+   * @private
+   * @param {string|null} [ref] - Commit to read it at (defaults to the branch head)
+   * @returns {Promise<{index: Object|null, sha: string|null}>} Index (null when missing or unreadable) and its blob sha
+   */
+  async getIndexFile(ref = null) {
+    const apiUrl = this.contentsUrl(RECIPE_INDEX_FILENAME, ref || this.settings.branch);
+    const response = await githubAuth.makeAuthenticatedRequest(apiUrl);
+
+    if (response.status === 404) {
+      return { index: null, sha: null };
+    }
+    if (!response.ok) {
+      throw errorFromResponse(response, 'Failed to fetch recipe index');
+    }
+
+    const fileData = await response.json();
+    let index = null;
+    try {
+      index = parseRecipeIndex(JSON.parse(decodeBase64(fileData.content)));
+    } catch {
+      console.warn('⚠️ Recipe index is not valid JSON, rebuilding it');
+    }
+    return { index, sha: fileData.sha };
+  }
+
+  /**
+   * Apply written changes to the index, rebuilding it when it is missing
+   * A missing index is rebuilt from the recipes of the parent commit, not the
+   * branch head, which may already have moved on.
+   * @private
+   * @param {Object|null} index - Index of the parent commit
+   * @param {Map<string, string>} blobs - Blob sha by path in the tree of the parent commit (see getTreeBlobs())
+   * @param {Array<{type: string, filename: string, data?: Object, sha?: string}>} changes - Written changes with their blob shas
+   * @returns {Promise<Object>} New index
+   */
+  async computeIndex(index, blobs, changes) {
+    const options = { includeRecipes: CONFIG.RECIPE_INDEX_INCLUDE_RECIPES !== false };
+    const base = index || buildRecipeIndex(await this.getFiles(this.getRecipeFilesInTree(blobs)), options);
+    return applyIndexChanges(base, changes, options);
+  }
+
+  /**
+   * Create the blob of the updated recipe index for a batch commit
+   * @private
+   * @param {string} parentSha - Commit the batch is based on
+   * @param {Map<string, string>} blobs - Blob sha by path in the tree of the parent commit
+   * @param {Array<{type: string, filename: string, data?: Object}>} changes - Batched changes
+   * @param {Object<string, string|null>} files - New blob sha per file
+   * @returns {Promise<Object|null>} Tree entry, or null when the index could not be updated
+   */
+  async createIndexTreeEntry(parentSha, blobs, changes, files) {
+    try {
+      const { index } = await this.getIndexFile(parentSha);
+      const nextIndex = await this.computeIndex(index, blobs, changes.map(change => ({ ...change, sha: files[change.filename] })));
+
+      const blobResponse = await githubAuth.makeAuthenticatedRequest(`${this.settings.getRepoPath()}/git/blobs`, {
+        method: 'POST',
+        body: JSON.stringify({ content: encodeBase64(JSON.stringify(nextIndex)), encoding: 'base64' })
+      });
+      if (!blobResponse.ok) {
+        throw errorFromResponse(blobResponse, 'Failed to create index blob');
+      }
+
+      const sha = (await blobResponse.json()).sha;
+      return { path: this.settings.getRecipePath(RECIPE_INDEX_FILENAME), mode: '100644', type: 'blob', sha };
+    } catch (error) {
+      console.warn('⚠️ Recipe index not updated in this commit:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Build the commit author from the signed-in user
+   * @private
+   * @returns {{name: string, email: string}} Commit author
+   */
+  getCommitAuthor() {
+    const userInfo = githubAuth.getUserInfo();
+    return {
+      name: userInfo?.name || userInfo?.login || 'Recipe Contributor',
+      email: userInfo?.email || `${userInfo?.login}@users.noreply.github.com`,
+    };
+  }
+
+  /**
+   * Summarize a batch of changes as a commit message
+   * A single change gets the same message as a direct save; several are
+   * listed one line each, with the co-authors of all of them as trailers.
+   * @private
+   * @param {Array<{type: string, filename: string, data?: Object, previous?: Object, commit?: Object}>} changes - File changes
+   * @returns {string} Commit message
+   */
+  generateBatchMessage(changes) {
+    const messages = changes.map(change => {
+      const recipe = change.data || change.previous || {};
+      return commitSettings.formatMessage(change.type, {
+        ...recipe,
+        name: recipe.name || change.filename.replace('.json', '')
+      }, { previous: change.previous, commit: change.commit });
+    });
+
+    if (messages.length === 1) {
+      return messages[0];
+    }
+
+    const lines = new Set();
+    const trailers = new Set();
+    for (const message of messages) {
+      const [subject, ...rest] = message.split('\n');
+      lines.add(`- ${subject}`);
+      rest.filter(line => line.startsWith('Co-authored-by: ')).forEach(line => trailers.add(line));
+    }
+    const body = `Update ${changes.length} recipes\n\n${[...lines].join('\n')}`;
+    return trailers.size ? `${body}\n\n${[...trailers].join('\n')}` : body;
+  }
+
   /**
    * List recipe files - alias for getFileList() for compatibility with progressive loading
    */
@@ -0,0 +1,444 @@
+/**
+ * GitLab Adapter
+ * Stores recipes in a GitLab repository (gitlab.com or self-hosted) through the
+ * REST API (v4). Implements the same file contract as GitHubAPIAdapter, so
+ * RecipeRepository and RecipeUI work with it unchanged.
+ *
+ * GitLab identifies file versions by blob id, which is the same git blob sha
+ * GitHub reports, so conflict detection by base sha works the same way.
+ */
+
+import { CONFIG } from '../config/github.js';
+import { RepositorySettings, repositorySettings, findInvalidSetting } from '../config/repositorySettings.js';
+import { commitSettings } from '../config/commitSettings.js';
+import { RecipeConflictError } from '../utils/recipeMerge.js';
+import { AuthError, NotFoundError, errorFromResponse } from '../utils/errors.js';
+import { decodeBase64, encodeBase64 } from '../utils/base64.js';
+import { generateFilenameFromRecipeName } from '../utils/recipeUtils.js';
+import { isRecipeFile } from '../utils/recipeIndex.js';
+
+export class GitLabAdapter {
+  /**
+   * @param {Object} settings - Connection settings (see configure())
+   */
+  constructor(settings = {}) {
+    this.userInfo = null;
+    this.configure(settings);
+  }
+
+  /**
+   * Point the adapter at a project
+   * Owner, project, branch and recipes folder are kept together in `settings`,
+   * so changing the GitHub repository settings later does not move the forge.
+   * @param {Object} settings - Connection settings
+   * @param {string} [settings.apiBase] - API base URL (e.g. "https://gitlab.com/api/v4")
+   * @param {string} [settings.owner] - Project namespace (user or group path, defaults to the repository settings)
+   * @param {string} [settings.repo] - Project path (defaults to the repository settings)
+   * @param {string} [settings.branch] - Branch (defaults to the repository settings)
+   * @param {string} [settings.recipesPath] - Recipes folder (defaults to the repository settings)
+   * @param {string|null} [settings.token] - Personal access token (read-only access without it)
+   */
+  configure(settings = {}) {
+    this.apiBase = (settings.apiBase || CONFIG.GITLAB_API_BASE).replace(/\/+$/, '');
+    this.settings = new RepositorySettings({ fixed: { ...repositorySettings.get(), ...repositorySettings.normalize(settings) } });
+    this.token = settings.token || null;
+    this.userInfo = null;
+  }
+
+  /**
+   * Make a request against the project API
+   * @private
+   * @param {string} path - Path below /projects/{id}
+   * @param {Object} options - Fetch options
+   * @returns {Promise<Response>} Fetch response
+   */
+  request(path, options = {}) {
+    const headers = { 'Accept': 'application/json', ...options.headers };
+    if (options.body) {
+      headers['Content-Type'] = 'application/json';
+    }
+    if (this.token) {
+      headers['PRIVATE-TOKEN'] = this.token;
+    }
+
+    const projectId = encodeURIComponent(`${this.settings.owner}/${this.settings.repo}`);
+    const url = path.startsWith('/')
+      ? `${this.apiBase}${path}`
+      : `${this.apiBase}/projects/${projectId}/${path}`;
+    return fetch(url, { ...options, headers });
+  }
+
+  /**
+   * Build the files API path for a recipe
+   * @private
+   * @param {string} filename - Recipe filename
+   * @returns {string} Path below /projects/{id}
+   */
+  filePath(filename) {
+    return `repository/files/${encodeURIComponent(this.settings.getRecipePath(filename))}`;
+  }
+
+  /**
+   * Check that a project, branch and recipes folder exist
+   * @param {{owner: string, repo: string, branch: string, recipesPath: string}} settings - Settings to check
+   * @returns {Promise<{field: string, code: string}|null>} First invalid setting, or null
+   */
+  verifyRepository({ owner, repo, branch, recipesPath }) {
+    const projectPath = `/projects/${encodeURIComponent(`${owner}/${repo}`)}`;
+    const request = path => () => this.request(`${projectPath}/${path}`);
+    return findInvalidSetting([
+      ['repo', () => this.request(projectPath)],
+      ['branch', request(`repository/branches/${encodeURIComponent(branch)}`)],
+      ['recipesPath', request(`repository/tree?path=${encodeURIComponent(recipesPath)}&ref=${encodeURIComponent(branch)}&per_page=1`)]
+    ]);
+  }
+
+  /**
+   * Check if a token is configured
+   */
+  isAuthenticated() {
+    return !!this.token;
+  }
+
+  /**
+   * Get the user the token belongs to (after fetchUserInfo())
+   * @returns {{login: string, name: string, email: string}|null} User info
+   */
+  getCurrentUser() {
+    return this.userInfo;
+  }
+
+  /**
+   * Load the token owner, which also verifies the token
+   * @returns {Promise<{login: string, name: string, email: string}>} User info
+   */
+  async fetchUserInfo() {
+    const response = await this.request('/user');
+    if (!response.ok) {
+      throw errorFromResponse(response, 'Failed to fetch user info');
+    }
+
+    const user = await response.json();
+    this.userInfo = { login: user.username, name: user.name || user.username, email: user.public_email || user.email };
+    return this.userInfo;
+  }
+
+  /**
+   * Get list of recipe filenames (follows pagination)
+   * @returns {Promise<string[]>} Recipe filenames
+   */
+  async getFileList() {
+    try {
+      console.log('🔄 Getting GitLab recipe file list...');
+
+      const perPage = 100;
+      const files = [];
+      for (let page = 1; ; page++) {
+        const response = await this.request(`repository/tree?path=${encodeURIComponent(this.settings.recipesPath)}&ref=${encodeURIComponent(this.settings.branch)}&per_page=${perPage}&page=${page}`);
+        if (response.status === 404) {
+          return [];
+        }
+        if (!response.ok) {
+          throw errorFromResponse(response, 'Failed to fetch file list');
+        }
+
+        const entries = await response.json();
+        files.push(...entries);
+        if (entries.length < perPage) {
+          break;
+        }
+      }
+
+      const jsonFiles = files
+        .filter(file => file.type === 'blob' && isRecipeFile(file.name))
+        .map(file => file.name);
+
+      console.log(`✅ Found ${jsonFiles.length} recipe files`);
+      return jsonFiles;
+
+    } catch (error) {
+      console.error('💥 Failed to get GitLab file list:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List recipe files - alias for getFileList() for compatibility with progressive loading
+   */
+  async listRecipeFiles() {
+    return this.getFileList();
+  }
+
+  /**
+   * Get a recipe file
+   * @param {string} filename - Recipe filename
+   * @param {string} [ref] - Branch or commit sha (defaults to the configured branch)
+   * @returns {Promise<Object|null>} Recipe or null if not found
+   */
+  async getFile(filename, ref = this.settings.branch) {
+    try {
+      const fileData = await this.fetchFile(filename, ref);
+      return fileData ? this.parseFile(filename, fileData) : null;
+    } catch (error) {
+      console.error(`💥 Failed to get GitLab recipe ${filename}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch the raw files API entry for a recipe
+   * @private
+   * @param {string} filename - Recipe filename
+   * @param {string} ref - Branch or commit sha
+   * @returns {Promise<Object|null>} File entry (`content`, `blob_id`, `last_commit_id`) or null
+   */
+  async fetchFile(filename, ref) {
+    const response = await this.request(`${this.filePath(filename)}?ref=${encodeURIComponent(ref)}`);
+
+    if (response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      throw errorFromResponse(response, 'Failed to fetch recipe', { resource: filename });
+    }
+    return response.json();
+  }
+
+  /**
+   * Decode a files API entry into a recipe
+   * @private
+   * @param {string} filename - Recipe filename
+   * @param {Object} fileData - File entry
+   * @returns {Object} Recipe with metadata
+   */
+  parseFile(filename, fileData) {
+    const recipe = JSON.parse(decodeBase64(fileData.content));
+    recipe.metadata = {
+      lastModified: new Date().toISOString(),
+      ...recipe.metadata,
+      id: filename.replace('.json', ''),
+      sha: fileData.blob_id
+    };
+    return recipe;
+  }
+
+  /**
+   * Load all recipe files
+   * @returns {Promise<Object[]>} Recipes
+   */
+  async getAllFiles() {
+    const filenames = await this.getFileList();
+    const recipes = [];
+
+    // Load in small batches to stay below GitLab's rate limits
+    const batchSize = 5;
+    for (let i = 0; i < filenames.length; i += batchSize) {
+      const batch = filenames.slice(i, i + batchSize);
+      const results = await Promise.all(batch.map(filename => this.getFile(filename).catch(error => {
+        console.warn(`⚠️ Failed to load ${filename}:`, error.message);
+        return null;
+      })));
+      recipes.push(...results.filter(recipe => recipe !== null));
+    }
+
+    console.log(`🎉 Loaded ${recipes.length} recipes from GitLab`);
+    return recipes;
+  }
+
+  /**
+   * Check if a recipe file exists
+   * @param {string} recipeName - Recipe name or filename
+   * @returns {Promise<boolean>} True if file exists
+   */
+  async checkFileExists(recipeName) {
+    try {
+      const filename = recipeName.endsWith('.json') ? recipeName : generateFilenameFromRecipeName(recipeName);
+      return (await this.getFile(filename)) !== null;
+    } catch (error) {
+      console.error(`💥 Failed to check if file exists ${recipeName}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Create a recipe file
+   * @param {string} filename - Recipe filename
+   * @param {Object} data - Recipe data
+   * @param {Object} [options] - Create options (`commit` note and co-authors)
+   * @returns {Promise<Object>} Created recipe with blob sha
+   */
+  async createFile(filename, data, options = {}) {
+    this.requireToken('create recipes');
+    console.log(`🔄 Creating GitLab file: ${filename}`);
+
+    const response = await this.request(this.filePath(filename), {
+      method: 'POST',
+      body: JSON.stringify({
+        branch: this.settings.branch,
+        commit_message: commitSettings.formatMessage('create', data, { commit: options.commit }),
+        encoding: 'base64',
+        content: encodeBase64(JSON.stringify(data, null, 2))
+      })
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw errorFromResponse(response, 'Failed to create recipe', { resource: filename, details: errorText });
+    }
+
+    // The files API does not return the blob id, read it back for conflict detection
+    const created = await this.getFile(filename);
+    return { ...data, id: filename.replace('.json', ''), sha: created?.metadata?.sha || null, lastModified: new Date().toISOString() };
+  }
+
+  /**
+   * Update a recipe file
+   * @param {string} filename - Recipe filename
+   * @param {Object} data - Updated recipe data
+   * @param {Object} [options] - Update options (`baseSha` for conflict detection, `commit` note and co-authors)
+   * @returns {Promise<Object>} Updated recipe with blob sha
+   */
+  async updateFile(filename, data, options = {}) {
+    const { baseSha = null, commit } = options;
+    this.requireToken('update recipes');
+    console.log(`🔄 Updating GitLab file: ${filename}`);
+
+    const recipeId = filename.replace('.json', '');
+    const fileData = await this.fetchFile(filename, this.settings.branch);
+    if (!fileData) {
+      throw new NotFoundError(recipeId, `Recipe not found: ${filename}`);
+    }
+    const remoteSha = fileData.blob_id;
+
+    // Someone committed a newer version since this edit was started
+    if (baseSha && baseSha !== remoteSha) {
+      throw new RecipeConflictError(recipeId, { baseSha, remoteSha, remote: this.parseFile(filename, fileData) });
+    }
+
+    const response = await this.request(this.filePath(filename), {
+      method: 'PUT',
+      body: JSON.stringify({
+        branch: this.settings.branch,
+        commit_message: commitSettings.formatMessage('update', data, { previous: this.parseFile(filename, fileData), commit }),
+        encoding: 'base64',
+        content: encodeBase64(JSON.stringify(data, null, 2)),
+        // GitLab refuses the write if the file changed after this commit
+        last_commit_id: fileData.last_commit_id
+      })
+    });
+
+    if (response.status === 400 || response.status === 409) {
+      const errorText = await response.text();
+      if (response.status === 409 || /changed since/i.test(errorText)) {
+        const latest = await this.getFile(filename);
+        throw new RecipeConflictError(recipeId, { baseSha: baseSha || remoteSha, remoteSha: latest?.metadata?.sha || null, remote: latest });
+      }
+      throw errorFromResponse(response, 'Failed to update recipe', { resource: filename, details: errorText });
+    }
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw errorFromResponse(response, 'Failed to update recipe', { resource: filename, details: errorText });
+    }
+
+    const updated = await this.getFile(filename);
+    return { ...data, id: recipeId, sha: updated?.metadata?.sha || null, lastModified: new Date().toISOString() };
+  }
+
+  /**
+   * Delete a recipe file
+   * @param {string} filename - Recipe filename
+   * @param {Object} [options] - Delete options (`commit` note and co-authors)
+   * @returns {Promise<boolean>} True if deleted, false if it did not exist
+   */
+  async deleteFile(filename, options = {}) {
+    this.requireToken('delete recipes');
+    console.log(`🗑️ Deleting GitLab file: ${filename}`);
+
+    const response = await this.request(this.filePath(filename), {
+      method: 'DELETE',
+      body: JSON.stringify({
+        branch: this.settings.branch,
+        commit_message: commitSettings.formatMessage('delete', { name: filename.replace('.json', '') }, { commit: options.commit })
+      })
+    });
+
+    if (response.status === 404) {
+      return false;
+    }
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw errorFromResponse(response, 'Failed to delete recipe', { resource: filename, details: errorText });
+    }
+    return true;
+  }
+
+  /**
+   * Get a specific version of a recipe file by its blob sha
+   * @param {string} filename - Recipe filename (for logging)
+   * @param {string} sha - Blob sha
+   * @returns {Promise<Object|null>} Recipe or null if the blob is gone
+   */
+  async getFileVersion(filename, sha) {
+    console.log(`🕰️ Getting ${filename} at ${sha.substring(0, 7)}`);
+
+    const response = await this.request(`repository/blobs/${sha}`);
+    if (response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      throw errorFromResponse(response, 'Failed to fetch blob', { resource: filename });
+    }
+
+    const blobData = await response.json();
+    const recipe = JSON.parse(decodeBase64(blobData.content));
+    recipe.metadata = { ...recipe.metadata, sha };
+    return recipe;
+  }
+
+  /**
+   * Get the commits that touched a recipe file, newest first
+   * @param {string} filename - Recipe filename
+   * @param {number} [limit=30] - Maximum number of commits
+   * @returns {Promise<Array<Object>>} Commits (`sha`, `message`, `author`, `login`, `date`)
+   */
+  async getFileHistory(filename, limit = 30) {
+    const response = await this.request(`repository/commits?ref_name=${encodeURIComponent(this.settings.branch)}&path=${encodeURIComponent(this.settings.getRecipePath(filename))}&per_page=${limit}`);
+    if (!response.ok) {
+      throw errorFromResponse(response, 'Failed to fetch history', { resource: filename });
+    }
+
+    const commits = await response.json();
+    return commits.map(entry => ({
+      sha: entry.id,
+      message: entry.message,
+      author: entry.author_name || '',
+      login: null, // GitLab only reports the git author, not the account
+      date: entry.authored_date || entry.created_at || null
+    }));
+  }
+
+  /**
+   * Get a recipe file as it was at a given commit
+   * @param {string} filename - Recipe filename
+   * @param {string} commitSha - Commit sha
+   * @returns {Promise<Object|null>} Recipe or null if the file did not exist
+   */
+  async getFileAtCommit(filename, commitSha) {
+    return this.getFile(filename, commitSha);
+  }
+
+  /**
+   * Throw unless a token is configured
+   * @private
+   * @param {string} action - Action description for the error
+   */
+  requireToken(action) {
+    if (!this.token) {
+      throw new AuthError(`Access token required to ${action}`);
+    }
+  }
+}
+
+export const gitLabAdapter = new GitLabAdapter();
+export default gitLabAdapter;
@@ -0,0 +1,408 @@
+/**
+ * Gitea / Forgejo Adapter
+ * Stores recipes in a self-hosted Gitea or Forgejo repository through its REST
+ * API (v1). Implements the same file contract as GitHubAPIAdapter, so
+ * RecipeRepository and RecipeUI work with it unchanged.
+ */
+
+import { CONFIG } from '../config/github.js';
+import { RepositorySettings, repositorySettings, findInvalidSetting } from '../config/repositorySettings.js';
+import { commitSettings } from '../config/commitSettings.js';
+import { RecipeConflictError } from '../utils/recipeMerge.js';
+import { AuthError, NotFoundError, errorFromResponse } from '../utils/errors.js';
+import { decodeBase64, encodeBase64 } from '../utils/base64.js';
+import { generateFilenameFromRecipeName } from '../utils/recipeUtils.js';
+import { isRecipeFile } from '../utils/recipeIndex.js';
+
+export class GiteaAdapter {
+  /**
+   * @param {Object} settings - Connection settings (see configure())
+   */
+  constructor(settings = {}) {
+    this.userInfo = null;
+    this.configure(settings);
+  }
+
+  /**
+   * Point the adapter at a repository
+   * Owner, repository, branch and recipes folder are kept together in `settings`,
+   * so changing the GitHub repository settings later does not move the forge.
+   * @param {Object} settings - Connection settings
+   * @param {string} [settings.apiBase] - API base URL (e.g. "https://codeberg.org/api/v1")
+   * @param {string} [settings.owner] - Repository owner (defaults to the repository settings)
+   * @param {string} [settings.repo] - Repository name (defaults to the repository settings)
+   * @param {string} [settings.branch] - Branch (defaults to the repository settings)
+   * @param {string} [settings.recipesPath] - Recipes folder (defaults to the repository settings)
+   * @param {string|null} [settings.token] - Access token (read-only access without it)
+   */
+  configure(settings = {}) {
+    this.apiBase = (settings.apiBase || CONFIG.GITEA_API_BASE).replace(/\/+$/, '');
+    this.settings = new RepositorySettings({ fixed: { ...repositorySettings.get(), ...repositorySettings.normalize(settings) } });
+    this.token = settings.token || null;
+    this.userInfo = null;
+  }
+
+  /**
+   * Make a request against the repository API
+   * @private
+   * @param {string} path - Path below /repos/{owner}/{repo}
+   * @param {Object} options - Fetch options
+   * @returns {Promise<Response>} Fetch response
+   */
+  request(path, options = {}) {
+    const headers = { 'Accept': 'application/json', ...options.headers };
+    if (options.body) {
+      headers['Content-Type'] = 'application/json';
+    }
+    if (this.token) {
+      headers['Authorization'] = `token ${this.token}`;
+    }
+
+    const url = path.startsWith('/')
+      ? `${this.apiBase}${path}`
+      : `${this.apiBase}/repos/${encodeURIComponent(this.settings.owner)}/${encodeURIComponent(this.settings.repo)}/${path}`;
+    return fetch(url, { ...options, headers });
+  }
+
+  /**
+   * Contents API path of the recipes folder or a file in it
+   * @private
+   * @param {string} [filename] - Recipe filename (the folder itself without it)
+   * @returns {string} Path below /repos/{owner}/{repo}
+   */
+  contentsPath(filename = '') {
+    const folder = this.settings.recipesPath;
+    return filename ? `contents/${folder}/${encodeURIComponent(filename)}` : `contents/${folder}`;
+  }
+
+  /**
+   * Check that a repository, branch and recipes folder exist
+   * @param {{owner: string, repo: string, branch: string, recipesPath: string}} settings - Settings to check
+   * @returns {Promise<{field: string, code: string}|null>} First invalid setting, or null
+   */
+  verifyRepository({ owner, repo, branch, recipesPath }) {
+    const repoPath = `/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`;
+    const request = path => () => this.request(`${repoPath}/${path}`);
+    return findInvalidSetting([
+      ['repo', () => this.request(repoPath)],
+      ['branch', request(`branches/${encodeURIComponent(branch)}`)],
+      ['recipesPath', request(`contents/${recipesPath}?ref=${encodeURIComponent(branch)}`)]
+    ]);
+  }
+
+  /**
+   * Check if a token is configured
+   */
+  isAuthenticated() {
+    return !!this.token;
+  }
+
+  /**
+   * Get the user the token belongs to (after fetchUserInfo())
+   * @returns {{login: string, name: string, email: string}|null} User info
+   */
+  getCurrentUser() {
+    return this.userInfo;
+  }
+
+  /**
+   * Load the token owner, which also verifies the token
+   * @returns {Promise<{login: string, name: string, email: string}>} User info
+   */
+  async fetchUserInfo() {
+    const response = await this.request('/user');
+    if (!response.ok) {
+      throw errorFromResponse(response, 'Failed to fetch user info');
+    }
+
+    const user = await response.json();
+    this.userInfo = { login: user.login, name: user.full_name || user.login, email: user.email };
+    return this.userInfo;
+  }
+
+  /**
+   * Get list of recipe filenames
+   * @returns {Promise<string[]>} Recipe filenames
+   */
+  async getFileList() {
+    try {
+      console.log('🔄 Getting Gitea recipe file list...');
+
+      const response = await this.request(`${this.contentsPath()}?ref=${encodeURIComponent(this.settings.branch)}`);
+      if (response.status === 404) {
+        return [];
+      }
+      if (!response.ok) {
+        throw errorFromResponse(response, 'Failed to fetch file list');
+      }
+
+      const files = await response.json();
+      const jsonFiles = files
+        .filter(file => file.type === 'file' && isRecipeFile(file.name))
+        .map(file => file.name);
+
+      console.log(`✅ Found ${jsonFiles.length} recipe files`);
+      return jsonFiles;
+
+    } catch (error) {
+      console.error('💥 Failed to get Gitea file list:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List recipe files - alias for getFileList() for compatibility with progressive loading
+   */
+  async listRecipeFiles() {
+    return this.getFileList();
+  }
+
+  /**
+   * Get a recipe file
+   * @param {string} filename - Recipe filename
+   * @param {string} [ref] - Branch or commit sha (defaults to the configured branch)
+   * @returns {Promise<Object|null>} Recipe or null if not found
+   */
+  async getFile(filename, ref = this.settings.branch) {
+    try {
+      const response = await this.request(`${this.contentsPath(filename)}?ref=${encodeURIComponent(ref)}`);
+
+      if (response.status === 404) {
+        return null;
+      }
+      if (!response.ok) {
+        throw errorFromResponse(response, 'Failed to fetch recipe', { resource: filename });
+      }
+
+      const fileData = await response.json();
+      const recipe = JSON.parse(decodeBase64(fileData.content));
+      recipe.metadata = {
+        lastModified: new Date().toISOString(),
+        ...recipe.metadata,
+        id: filename.replace('.json', ''),
+        sha: fileData.sha
+      };
+      return recipe;
+
+    } catch (error) {
+      console.error(`💥 Failed to get Gitea recipe ${filename}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load all recipe files
+   * @returns {Promise<Object[]>} Recipes
+   */
+  async getAllFiles() {
+    const filenames = await this.getFileList();
+    const recipes = [];
+
+    // Load in small batches to stay friendly to self-hosted servers
+    const batchSize = 5;
+    for (let i = 0; i < filenames.length; i += batchSize) {
+      const batch = filenames.slice(i, i + batchSize);
+      const results = await Promise.all(batch.map(filename => this.getFile(filename).catch(error => {
+        console.warn(`⚠️ Failed to load ${filename}:`, error.message);
+        return null;
+      })));
+      recipes.push(...results.filter(recipe => recipe !== null));
+    }
+
+    console.log(`🎉 Loaded ${recipes.length} recipes from Gitea`);
+    return recipes;
+  }
+
+  /**
+   * Check if a recipe file exists
+   * @param {string} recipeName - Recipe name or filename
+   * @returns {Promise<boolean>} True if file exists
+   */
+  async checkFileExists(recipeName) {
+    try {
+      const filename = recipeName.endsWith('.json') ? recipeName : generateFilenameFromRecipeName(recipeName);
+      return (await this.getFile(filename)) !== null;
+    } catch (error) {
+      console.error(`💥 Failed to check if file exists ${recipeName}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Create a recipe file
+   * @param {string} filename - Recipe filename
+   * @param {Object} data - Recipe data
+   * @param {Object} [options] - Create options (`commit` note and co-authors)
+   * @returns {Promise<Object>} Created recipe with blob sha
+   */
+  async createFile(filename, data, options = {}) {
+    this.requireToken('create recipes');
+    console.log(`🔄 Creating Gitea file: ${filename}`);
+
+    const response = await this.request(this.contentsPath(filename), {
+      method: 'POST',
+      body: JSON.stringify({
+        branch: this.settings.branch,
+        message: commitSettings.formatMessage('create', data, { commit: options.commit }),
+        content: encodeBase64(JSON.stringify(data, null, 2))
+      })
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw errorFromResponse(response, 'Failed to create recipe', { resource: filename, details: errorText });
+    }
+
+    const result = await response.json();
+    return { ...data, id: filename.replace('.json', ''), sha: result.content.sha, lastModified: new Date().toISOString() };
+  }
+
+  /**
+   * Update a recipe file
+   * @param {string} filename - Recipe filename
+   * @param {Object} data - Updated recipe data
+   * @param {Object} [options] - Update options (`baseSha` for conflict detection, `commit` note and co-authors)
+   * @returns {Promise<Object>} Updated recipe with blob sha
+   */
+  async updateFile(filename, data, options = {}) {
+    const { baseSha = null, commit } = options;
+    this.requireToken('update recipes');
+    console.log(`🔄 Updating Gitea file: ${filename}`);
+
+    const recipeId = filename.replace('.json', '');
+    const current = await this.getFile(filename);
+    if (!current) {
+      throw new NotFoundError(recipeId, `Recipe not found: ${filename}`);
+    }
+    const remoteSha = current.metadata.sha;
+
+    // Someone committed a newer version since this edit was started
+    if (baseSha && baseSha !== remoteSha) {
+      throw new RecipeConflictError(recipeId, { baseSha, remoteSha, remote: current });
+    }
+
+    const response = await this.request(this.contentsPath(filename), {
+      method: 'PUT',
+      body: JSON.stringify({
+        branch: this.settings.branch,
+        message: commitSettings.formatMessage('update', data, { previous: current, commit }),
+        content: encodeBase64(JSON.stringify(data, null, 2)),
+        sha: baseSha || remoteSha
+      })
+    });
+
+    // Gitea rejects the write when the sha no longer matches (race with another commit)
+    if (response.status === 409 || response.status === 422) {
+      const latest = await this.getFile(filename);
+      throw new RecipeConflictError(recipeId, { baseSha: baseSha || remoteSha, remoteSha: latest?.metadata?.sha || null, remote: latest });
+    }
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw errorFromResponse(response, 'Failed to update recipe', { resource: filename, details: errorText });
+    }
+
+    const result = await response.json();
+    return { ...data, id: recipeId, sha: result.content.sha, lastModified: new Date().toISOString() };
+  }
+
+  /**
+   * Delete a recipe file
+   * @param {string} filename - Recipe filename
+   * @param {Object} [options] - Delete options (`commit` note and co-authors)
+   * @returns {Promise<boolean>} True if deleted, false if it did not exist
+   */
+  async deleteFile(filename, options = {}) {
+    this.requireToken('delete recipes');
+    console.log(`🗑️ Deleting Gitea file: ${filename}`);
+
+    const current = await this.getFile(filename);
+    if (!current) {
+      return false;
+    }
+
+    const response = await this.request(this.contentsPath(filename), {
+      method: 'DELETE',
+      body: JSON.stringify({
+        branch: this.settings.branch,
+        message: commitSettings.formatMessage('delete', { ...current, name: current.name || filename.replace('.json', '') }, { commit: options.commit }),
+        sha: current.metadata.sha
+      })
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw errorFromResponse(response, 'Failed to delete recipe', { resource: filename, details: errorText });
+    }
+    return true;
+  }
+
+  /**
+   * Get a specific version of a recipe file by its blob sha
+   * @param {string} filename - Recipe filename (for logging)
+   * @param {string} sha - Blob sha
+   * @returns {Promise<Object|null>} Recipe or null if the blob is gone
+   */
+  async getFileVersion(filename, sha) {
+    console.log(`🕰️ Getting ${filename} at ${sha.substring(0, 7)}`);
+
+    const response = await this.request(`git/blobs/${sha}`);
+    if (response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      throw errorFromResponse(response, 'Failed to fetch blob', { resource: filename });
+    }
+
+    const blobData = await response.json();
+    const recipe = JSON.parse(decodeBase64(blobData.content));
+    recipe.metadata = { ...recipe.metadata, sha };
+    return recipe;
+  }
+
+  /**
+   * Get the commits that touched a recipe file, newest first
+   * @param {string} filename - Recipe filename
+   * @param {number} [limit=30] - Maximum number of commits
+   * @returns {Promise<Array<Object>>} Commits (`sha`, `message`, `author`, `login`, `date`)
+   */
+  async getFileHistory(filename, limit = 30) {
+    const response = await this.request(`commits?sha=${encodeURIComponent(this.settings.branch)}&path=${encodeURIComponent(this.settings.getRecipePath(filename))}&limit=${limit}&stat=false`);
+    if (!response.ok) {
+      throw errorFromResponse(response, 'Failed to fetch history', { resource: filename });
+    }
+
+    const commits = await response.json();
+    return commits.map(entry => ({
+      sha: entry.sha,
+      message: entry.commit.message,
+      author: entry.commit.author?.name || entry.author?.login || '',
+      login: entry.author?.login || null,
+      date: entry.commit.author?.date || entry.created || null
+    }));
+  }
+
+  /**
+   * Get a recipe file as it was at a given commit
+   * @param {string} filename - Recipe filename
+   * @param {string} commitSha - Commit sha
+   * @returns {Promise<Object|null>} Recipe or null if the file did not exist
+   */
+  async getFileAtCommit(filename, commitSha) {
+    return this.getFile(filename, commitSha);
+  }
+
+  /**
+   * Throw unless a token is configured
+   * @private
+   * @param {string} action - Action description for the error
+   */
+  requireToken(action) {
+    if (!this.token) {
+      throw new AuthError(`Access token required to ${action}`);
+    }
+  }
+}
+
+export const giteaAdapter = new GiteaAdapter();
+export default giteaAdapter;
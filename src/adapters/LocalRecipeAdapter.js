@@ -0,0 +1,208 @@
+/**
+ * Local Recipe Adapter - Recipes stored in the browser only
+ * Lets people use Kuchtik without a GitHub repository or token. Implements the
+ * same file contract as the GitHub adapters, backed by IndexedDB, and can
+ * upload its recipes to GitHub once the user connects a repository.
+ */
+
+import { RecipeCacheStore } from '../repositories/RecipeCacheStore.js';
+import { generateFilenameFromRecipeName } from '../utils/recipeUtils.js';
+
+const LOCAL_DB_NAME = 'kuchtik-local';
+
+export class LocalRecipeAdapter {
+  /**
+   * @param {Object} options - Adapter options
+   * @param {RecipeCacheStore} [options.store] - Key/value store for recipe files (defaults to IndexedDB)
+   */
+  constructor(options = {}) {
+    // Same key/value layout as the cache, but in a separate database so
+    // clearing the cache never deletes the user's only copy of a recipe
+    this.store = options.store || new RecipeCacheStore({ dbName: LOCAL_DB_NAME });
+
+    // Recipes live on this device, so the repository must never treat them as offline
+    this.requiresNetwork = false;
+  }
+
+  /**
+   * Get list of all recipe files
+   * @returns {Promise<string[]>} Recipe filenames
+   */
+  async getFileList() {
+    const entries = await this.store.loadAll();
+    return entries.map(entry => entry.key).filter(key => key.endsWith('.json'));
+  }
+
+  /**
+   * Get a single recipe file
+   * @param {string} filename - Recipe filename (e.g., "gulas.json")
+   * @returns {Promise<Object|null>} Recipe object or null if not found
+   */
+  async getFile(filename) {
+    const entry = await this.store.get(filename);
+    return entry ? { ...entry.data } : null;
+  }
+
+  /**
+   * Load all recipe files
+   * @returns {Promise<Object[]>} Recipe objects
+   */
+  async getAllFiles() {
+    const entries = await this.store.loadAll();
+    console.log(`💻 Loaded ${entries.length} local recipes`);
+    return entries.map(entry => ({ ...entry.data }));
+  }
+
+  /**
+   * List recipe files - alias for getFileList() for compatibility with progressive loading
+   */
+  async listRecipeFiles() {
+    return this.getFileList();
+  }
+
+  /**
+   * Check if a recipe file exists
+   * @param {string} recipeName - Recipe name or filename
+   * @returns {Promise<boolean>} True if file exists
+   */
+  async checkFileExists(recipeName) {
+    const filename = recipeName.endsWith('.json') ? recipeName : generateFilenameFromRecipeName(recipeName);
+    return (await this.getFileList()).includes(filename);
+  }
+
+  /**
+   * Create a recipe file
+   * @param {string} filename - Recipe filename
+   * @param {Object} data - Recipe data
+   * @returns {Promise<Object>} Stored recipe
+   */
+  async createFile(filename, data) {
+    if ((await this.getFileList()).includes(filename)) {
+      throw new Error(`Recipe file already exists: ${filename}`);
+    }
+
+    const recipe = await this.writeFile(filename, data);
+    console.log(`💻 Created local recipe: ${filename}`);
+    return recipe;
+  }
+
+  /**
+   * Update a recipe file
+   * @param {string} filename - Recipe filename
+   * @param {Object} data - Updated recipe data
+   * @returns {Promise<Object>} Stored recipe
+   */
+  async updateFile(filename, data) {
+    const recipe = await this.writeFile(filename, data);
+    console.log(`💻 Updated local recipe: ${filename}`);
+    return recipe;
+  }
+
+  /**
+   * Delete a recipe file
+   * @param {string} filename - Recipe filename
+   * @returns {Promise<boolean>} True when deleted
+   */
+  async deleteFile(filename) {
+    await this.store.delete(filename);
+    console.log(`💻 Deleted local recipe: ${filename}`);
+    return true;
+  }
+
+  /**
+   * Local recipes have no GitHub identity
+   */
+  isAuthenticated() {
+    return false;
+  }
+
+  /**
+   * Get current user info (always null for local adapter)
+   */
+  getCurrentUser() {
+    return null;
+  }
+
+  /**
+   * Upload local recipes to another (GitHub) adapter
+   * Files that already exist in the target are skipped rather than overwritten.
+   * Uses a single commit when the target supports batch commits.
+   * @param {Object} target - Adapter implementing the RecipeRepository file contract
+   * @param {Object} options - Upload options
+   * @param {boolean} [options.removeUploaded=false] - Delete local copies once uploaded
+   * @returns {Promise<{uploaded: string[], skipped: string[]}>} Filenames per outcome
+   */
+  async uploadTo(target, options = {}) {
+    const { removeUploaded = false } = options;
+    const entries = await this.store.loadAll();
+    const existing = new Set(await target.getFileList());
+
+    const toUpload = entries.filter(entry => !existing.has(entry.key));
+    const skipped = entries.filter(entry => existing.has(entry.key)).map(entry => entry.key);
+
+    console.log(`⬆️ Uploading ${toUpload.length} local recipes (${skipped.length} already exist)`);
+
+    if (toUpload.length > 0) {
+      if (typeof target.commitBatch === 'function') {
+        await target.commitBatch(toUpload.map(entry => ({
+          type: 'create',
+          filename: entry.key,
+          data: this.toUploadData(entry.data)
+        })));
+      } else {
+        for (const entry of toUpload) {
+          await target.createFile(entry.key, this.toUploadData(entry.data));
+        }
+      }
+    }
+
+    const uploaded = toUpload.map(entry => entry.key);
+    if (removeUploaded) {
+      for (const filename of uploaded) {
+        await this.store.delete(filename);
+      }
+    }
+
+    console.log(`✅ Uploaded ${uploaded.length} local recipes`);
+    return { uploaded, skipped };
+  }
+
+  /**
+   * Persist a recipe under a filename, filling in its metadata
+   * @private
+   * @param {string} filename - Recipe filename
+   * @param {Object} data - Recipe data
+   * @returns {Promise<Object>} Stored recipe
+   */
+  async writeFile(filename, data) {
+    const now = new Date().toISOString();
+    const recipe = {
+      ...data,
+      metadata: {
+        ...data.metadata,
+        id: filename.replace('.json', ''),
+        filename,
+        createdAt: data.metadata?.createdAt || now,
+        lastModified: data.metadata?.lastModified || now
+      }
+    };
+
+    await this.store.put(filename, { data: recipe, timestamp: Date.now() });
+    return { ...recipe };
+  }
+
+  /**
+   * Strip local-only metadata before a recipe is sent to GitHub
+   * @private
+   * @param {Object} recipe - Local recipe
+   * @returns {Object} Recipe for upload
+   */
+  toUploadData(recipe) {
+    const metadata = { ...recipe.metadata };
+    delete metadata.sha;
+    return { ...recipe, metadata };
+  }
+}
+
+export const localRecipeAdapter = new LocalRecipeAdapter();
+export default localRecipeAdapter;
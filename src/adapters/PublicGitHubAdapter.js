@@ -4,11 +4,83 @@
  */
 
 import { CONFIG } from '../config/github.js';
+import { repositorySettings, findInvalidSetting } from '../config/repositorySettings.js';
+import { HttpCache, getBlobCache } from '../utils/httpCache.js';
+import { rateLimiter } from '../utils/rateLimit.js';
+import { ReadOnlyError, errorFromResponse } from '../utils/errors.js';
+import { RECIPE_INDEX_FILENAME, isRecipeFile, parseRecipeIndex } from '../utils/recipeIndex.js';
 
 export class PublicGitHubAdapter {
-  constructor() {
-    this.baseRawUrl = `https://raw.githubusercontent.com/${CONFIG.REPO_OWNER}/${CONFIG.REPO_NAME}/main/recipes`;
-    this.baseApiUrl = `https://api.github.com/repos/${CONFIG.REPO_OWNER}/${CONFIG.REPO_NAME}`;
+  /**
+   * @param {Object} [options] - Adapter options
+   * @param {RepositorySettings} [options.settings] - Repository to read (defaults to the configured one)
+   */
+  constructor({ settings = repositorySettings } = {}) {
+    this.settings = settings;
+
+    // Unauthenticated API requests get 60 per hour, 304 responses don't count
+    // (raw.githubusercontent.com downloads are not part of the API quota)
+    this.httpCache = new HttpCache({ namespace: 'github-public' });
+  }
+
+  /**
+   * Raw download URL of the recipes folder on the configured branch
+   */
+  get baseRawUrl() {
+    return this.getRawUrl(this.settings.branch);
+  }
+
+  /**
+   * REST API URL of the configured repository
+   */
+  get baseApiUrl() {
+    return `${CONFIG.GITHUB_API_BASE}/${this.settings.getRepoPath()}`;
+  }
+
+  /**
+   * Decoded recipe blobs of the configured repository
+   */
+  get blobCache() {
+    return getBlobCache(this.settings.getKey());
+  }
+
+  /**
+   * Raw download URL of the recipes folder at a branch or commit
+   * @private
+   * @param {string} ref - Branch name or commit sha
+   * @returns {string} URL without trailing slash
+   */
+  getRawUrl(ref) {
+    const { owner, repo, recipesPath } = this.settings.get();
+    return `https://raw.githubusercontent.com/${owner}/${repo}/${ref}/${recipesPath}`;
+  }
+
+  /**
+   * URL a photo in the recipes folder is downloaded from
+   * @param {string} path - Photo path relative to the recipes folder (e.g. "images/gulas-m1x2k3.jpg")
+   * @returns {string} Raw download URL on the configured branch
+   */
+  getImageUrl(path) {
+    return `${this.baseRawUrl}/${path}`;
+  }
+
+  /**
+   * Get name and blob sha of all recipe files (conditional request)
+   * @private
+   * @returns {Promise<Array<{name: string, sha: string}>>} Recipe file entries
+   */
+  async getFileEntries() {
+    const url = `${this.baseApiUrl}/contents/${this.settings.recipesPath}?ref=${encodeURIComponent(this.settings.branch)}`;
+    const response = await this.httpCache.fetch(url, headers => rateLimiter.schedule(() => fetch(url, { headers })));
+
+    if (!response.ok) {
+      throw errorFromResponse(response, 'Failed to fetch file list');
+    }
+
+    const files = await response.json();
+    return files
+      .filter(file => file.type === 'file' && isRecipeFile(file.name))
+      .map(file => ({ name: file.name, sha: file.sha }));
   }
 
   /**
@@ -18,18 +90,8 @@ export class PublicGitHubAdapter {
     try {
       console.log('🔄 Getting public recipe file list...');
       
-      const response = await fetch(`${this.baseApiUrl}/contents/recipes`);
-      
-      if (!response.ok) {
-        throw new Error(`Failed to fetch file list: ${response.status}`);
-      }
-
-      const files = await response.json();
-      
       // Filter for JSON files and return just the names
-      const jsonFiles = files
-        .filter(file => file.type === 'file' && file.name.endsWith('.json'))
-        .map(file => file.name);
+      const jsonFiles = (await this.getFileEntries()).map(file => file.name);
 
       console.log(`✅ Found ${jsonFiles.length} public recipe files`);
       return jsonFiles;
@@ -42,21 +104,31 @@ export class PublicGitHubAdapter {
 
   /**
    * Get a single recipe file using raw GitHub URL (no auth needed)
+   * @param {string} filename - Recipe filename
+   * @param {string|null} [sha] - Blob sha from the listing; reuses the cached blob when known
    */
-  async getFile(filename) {
+  async getFile(filename, sha = null) {
     try {
-      console.log(`🔍 Getting public recipe: ${filename}`);
-      
-      const response = await fetch(`${this.baseRawUrl}/${filename}`);
-      
-      if (!response.ok) {
-        if (response.status === 404) {
-          return null;
+      let recipe = sha ? this.blobCache.get(sha) : undefined;
+
+      if (!recipe) {
+        console.log(`🔍 Getting public recipe: ${filename}`);
+        
+        const response = await fetch(`${this.baseRawUrl}/${filename}`);
+        
+        if (!response.ok) {
+          if (response.status === 404) {
+            return null;
+          }
+          throw errorFromResponse(response, 'Failed to fetch recipe', { resource: filename });
         }
-        throw new Error(`Failed to fetch recipe: ${response.status}`);
-      }
 
-      const recipe = await response.json();
+        recipe = await response.json();
+        if (sha) {
+          this.blobCache.set(sha, recipe);
+          recipe = this.blobCache.get(sha);
+        }
+      }
       
       // Ensure metadata object exists and has id
       if (!recipe.metadata) {
@@ -68,6 +140,9 @@ export class PublicGitHubAdapter {
       if (!recipe.metadata.lastModified) {
         recipe.metadata.lastModified = new Date().toISOString(); // We don't have real modification date
       }
+      if (sha) {
+        recipe.metadata.sha = sha;
+      }
       
       console.log(`✅ Loaded public recipe: ${recipe.name || recipe.metadata.id}`);
       return recipe;
@@ -78,36 +153,56 @@ export class PublicGitHubAdapter {
     }
   }
 
+  /**
+   * Get the generated recipe index (raw URL, not counted against the API quota)
+   * @private
+   * @returns {Promise<Object|null>} Recipe index, or null when there is none
+   */
+  async getIndex() {
+    try {
+      const response = await fetch(`${this.baseRawUrl}/${RECIPE_INDEX_FILENAME}`);
+      if (!response.ok) {
+        return null;
+      }
+      return parseRecipeIndex(await response.json());
+    } catch (error) {
+      console.warn('⚠️ Failed to load the recipe index:', error.message);
+      return null;
+    }
+  }
+
   /**
    * Batch load all recipes using public APIs
+   * Recipes embedded in recipes/index.json are reused by blob sha, so only
+   * recipes changed since the index was written are downloaded one by one.
+   * When the file list can't be fetched (e.g. rate limited) the index is used as is.
    */
   async getAllFiles() {
     try {
       console.log('🚀 Batch loading public recipes...');
       
-      const filenames = await this.getFileList();
-      const recipes = [];
-      
-      // Load in batches to be nice to the API
-      const batchSize = 10; // Larger batches since no auth limits
+      const index = await this.getIndex();
+      for (const entry of index?.recipes || []) {
+        if (entry.recipe && !this.blobCache.get(entry.sha)) {
+          this.blobCache.set(entry.sha, entry.recipe);
+        }
+      }
       
-      for (let i = 0; i < filenames.length; i += batchSize) {
-        const batch = filenames.slice(i, i + batchSize);
-        console.log(`📦 Loading public batch ${Math.floor(i/batchSize) + 1}/${Math.ceil(filenames.length/batchSize)} (${batch.length} files)`);
-        
-        const batchPromises = batch.map(filename => this.getFile(filename));
-        const batchResults = await Promise.all(batchPromises);
-        
-        recipes.push(...batchResults.filter(recipe => recipe !== null));
-        
-        // Small delay between batches
-        if (i + batchSize < filenames.length) {
-          await new Promise(resolve => setTimeout(resolve, 100));
+      let files;
+      try {
+        ({ files } = await this.getRecipeTree());
+      } catch (error) {
+        if (!index) {
+          throw error;
         }
+        console.warn('⚠️ Recipe list unavailable, loading from the recipe index:', error.message);
+        files = index.recipes.map(entry => ({ filename: entry.filename, sha: entry.sha }));
       }
       
-      console.log(`🎉 Successfully loaded ${recipes.length} public recipes`);
-      return recipes;
+      // Files whose blob sha is already cached are not downloaded again
+      this.blobCache.retain(files.map(file => file.sha));
+      
+      return await this.getFiles(files);
       
     } catch (error) {
       console.error('Failed to batch load public recipes:', error);
@@ -115,6 +210,112 @@ export class PublicGitHubAdapter {
     }
   }
 
+  /**
+   * List the recipe files with their blob shas (public API, conditional request)
+   * The contents API does not return the sha of the folder itself, so `sha` is null
+   * and callers compare the files one by one.
+   * @returns {Promise<{sha: null, files: Array<{filename: string, sha: string}>}>} Recipe files
+   */
+  async getRecipeTree() {
+    const entries = await this.getFileEntries();
+    return { sha: null, files: entries.map(entry => ({ filename: entry.name, sha: entry.sha })) };
+  }
+
+  /**
+   * Load recipes by blob sha using raw GitHub URLs, reusing cached blobs
+   * @param {Array<{filename: string, sha: string}>} files - Files from getRecipeTree()
+   * @returns {Promise<Object[]>} Loaded recipes (files that failed to load are skipped)
+   */
+  async getFiles(files) {
+    const recipes = [];
+    
+    // Load in batches to be nice to the API
+    const batchSize = 10; // Larger batches since no auth limits
+    
+    for (let i = 0; i < files.length; i += batchSize) {
+      const batch = files.slice(i, i + batchSize);
+      console.log(`📦 Loading public batch ${Math.floor(i/batchSize) + 1}/${Math.ceil(files.length/batchSize)} (${batch.length} files)`);
+      
+      const batchPromises = batch.map(file => this.getFile(file.filename, file.sha));
+      const batchResults = await Promise.all(batchPromises);
+      
+      recipes.push(...batchResults.filter(recipe => recipe !== null));
+      
+      // Small delay between batches
+      if (i + batchSize < files.length) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+    }
+    
+    // Persist the downloaded blobs once for the whole load
+    this.blobCache.flush();
+    
+    console.log(`🎉 Successfully loaded ${recipes.length} public recipes`);
+    return recipes;
+  }
+
+  /**
+   * Get the commits that touched a recipe file, newest first (public API, no auth needed)
+   */
+  async getFileHistory(filename, limit = 30) {
+    try {
+      console.log(`📜 Getting public history of ${filename}`);
+
+      const path = this.settings.getRecipePath(encodeURIComponent(filename));
+      const url = `${this.baseApiUrl}/commits?sha=${encodeURIComponent(this.settings.branch)}&path=${path}&per_page=${limit}`;
+      const response = await rateLimiter.schedule(() => fetch(url));
+
+      if (!response.ok) {
+        throw errorFromResponse(response, 'Failed to fetch history', { resource: filename });
+      }
+
+      const commits = await response.json();
+      return commits.map(entry => ({
+        sha: entry.sha,
+        message: entry.commit.message,
+        author: entry.commit.author?.name || entry.author?.login || '',
+        login: entry.author?.login || null,
+        date: entry.commit.author?.date || entry.commit.committer?.date || null
+      }));
+
+    } catch (error) {
+      console.error(`Failed to get public history of ${filename}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a recipe file as it was at a given commit using raw GitHub URL (no auth needed)
+   */
+  async getFileAtCommit(filename, commitSha) {
+    const rawUrl = `${this.getRawUrl(commitSha)}/${filename}`;
+    const response = await fetch(rawUrl);
+
+    if (!response.ok) {
+      if (response.status === 404) {
+        return null;
+      }
+      throw errorFromResponse(response, 'Failed to fetch recipe version', { resource: filename });
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Check that a public repository, branch and recipes folder exist
+   * @param {{owner: string, repo: string, branch: string, recipesPath: string}} settings - Settings to check
+   * @returns {Promise<{field: string, code: string}|null>} First invalid setting, or null
+   */
+  verifyRepository({ owner, repo, branch, recipesPath }) {
+    const repoUrl = `${CONFIG.GITHUB_API_BASE}/repos/${owner}/${repo}`;
+    const request = url => () => rateLimiter.schedule(() => fetch(url));
+    return findInvalidSetting([
+      ['repo', request(repoUrl)],
+      ['branch', request(`${repoUrl}/branches/${encodeURIComponent(branch)}`)],
+      ['recipesPath', request(`${repoUrl}/contents/${recipesPath}?ref=${encodeURIComponent(branch)}`)]
+    ]);
+  }
+
   /**
    * Check if this adapter is authenticated (always false for public adapter)
    */
@@ -122,6 +323,13 @@ export class PublicGitHubAdapter {
     return false;
   }
 
+  /**
+   * Check if recipes can be changed through this adapter (never in public mode)
+   */
+  isReadOnly() {
+    return true;
+  }
+
   /**
    * Get current user info (always null for public adapter)
    */
@@ -137,10 +345,10 @@ export class PublicGitHubAdapter {
   }
 
   // These methods are not available for public access
-  createFile() { throw new Error('Create operation not available in public mode'); }
-  updateFile() { throw new Error('Update operation not available in public mode'); }
-  deleteFile() { throw new Error('Delete operation not available in public mode'); }
-  checkFileExists() { throw new Error('File existence check not available in public mode'); }
+  createFile() { throw new ReadOnlyError('Create operation not available in public mode'); }
+  updateFile() { throw new ReadOnlyError('Update operation not available in public mode'); }
+  deleteFile() { throw new ReadOnlyError('Delete operation not available in public mode'); }
+  checkFileExists() { throw new ReadOnlyError('File existence check not available in public mode'); }
 }
 
 export const publicGitHubAdapter = new PublicGitHubAdapter();
@@ -1,19 +1,39 @@
 /**
- * Recipe Mode Manager - Switch between authenticated and public access
+ * Recipe Mode Manager - Switch between authenticated, public, local and
+ * self-hosted forge (Gitea/Forgejo, GitLab) access
  */
 
-import { gitHubAPIAdapter } from './GitHubAPIAdapter.js';
-import { publicGitHubAdapter } from './PublicGitHubAdapter.js';
+import { GitHubAPIAdapter, gitHubAPIAdapter } from './GitHubAPIAdapter.js';
+import { PublicGitHubAdapter, publicGitHubAdapter } from './PublicGitHubAdapter.js';
+import { localRecipeAdapter } from './LocalRecipeAdapter.js';
+import { giteaAdapter } from './GiteaAdapter.js';
+import { gitLabAdapter } from './GitLabAdapter.js';
+import { RepositorySettings, repositorySettings } from '../config/repositorySettings.js';
 
 export const RecipeMode = {
   AUTHENTICATED: 'authenticated',
-  PUBLIC: 'public'
+  PUBLIC: 'public',
+  LOCAL: 'local',
+  GITEA: 'gitea', // Gitea and Forgejo share the same API
+  GITLAB: 'gitlab'
+};
+
+// localStorage key remembering that the user chose local mode
+const LOCAL_MODE_KEY = 'kuchtik-local-mode';
+
+// localStorage key holding the selected forge and its connection settings
+const FORGE_SETTINGS_KEY = 'kuchtik-forge-settings';
+
+const FORGE_ADAPTERS = {
+  [RecipeMode.GITEA]: giteaAdapter,
+  [RecipeMode.GITLAB]: gitLabAdapter
 };
 
 export class RecipeModeManager {
   constructor() {
     this.currentMode = RecipeMode.PUBLIC; // Default to public
     this.listeners = new Set();
+    this.readOnlyReason = null; // 'permission' or 'scope' when signed in without push access
   }
 
   /**
@@ -26,13 +46,21 @@ export class RecipeModeManager {
       
       console.log(`🔄 Recipe mode changed: ${previousMode} → ${mode}`);
       
-      // Notify listeners
-      for (const listener of this.listeners) {
-        try {
-          listener({ previousMode, currentMode: mode });
-        } catch (error) {
-          console.error('Error in mode change listener:', error);
-        }
+      this.notifyListeners({ previousMode, currentMode: mode });
+    }
+  }
+
+  /**
+   * Notify mode change listeners
+   * @private
+   * @param {Object} change - Change passed to the listeners
+   */
+  notifyListeners(change) {
+    for (const listener of this.listeners) {
+      try {
+        listener({ ...change, readOnly: this.isReadOnly() });
+      } catch (error) {
+        console.error('Error in mode change listener:', error);
       }
     }
   }
@@ -53,16 +81,105 @@ export class RecipeModeManager {
         return gitHubAPIAdapter;
       case RecipeMode.PUBLIC:
         return publicGitHubAdapter;
+      case RecipeMode.LOCAL:
+        return localRecipeAdapter;
+      case RecipeMode.GITEA:
+      case RecipeMode.GITLAB:
+        return FORGE_ADAPTERS[this.currentMode];
       default:
         throw new Error(`Unknown recipe mode: ${this.currentMode}`);
     }
   }
 
+  /**
+   * Name of the IndexedDB cache (and upload queue) for the current mode
+   * GitHub mode uses one cache per repository whether signed in or not; local
+   * mode and every self-hosted repository get their own, so changes queued
+   * for one data source are never uploaded to another.
+   * @returns {string|null} Database name, or null for the default GitHub repository
+   */
+  getCacheName() {
+    if (this.currentMode === RecipeMode.LOCAL) {
+      return 'kuchtik:local';
+    }
+    const forge = FORGE_ADAPTERS[this.currentMode];
+    if (forge) {
+      // Branch and folder are only part of the name when they are not the defaults
+      return `kuchtik:${this.currentMode}:${forge.apiBase}/${forge.settings.formatSourceKey(forge.settings.get())}`;
+    }
+    return repositorySettings.getCacheName();
+  }
+
   /**
    * Check if current mode allows editing
    */
   canEdit() {
-    return this.currentMode === RecipeMode.AUTHENTICATED;
+    if (FORGE_ADAPTERS[this.currentMode]) {
+      return FORGE_ADAPTERS[this.currentMode].isAuthenticated();
+    }
+    if (this.currentMode === RecipeMode.AUTHENTICATED) {
+      return !this.isReadOnly();
+    }
+    return this.currentMode === RecipeMode.LOCAL;
+  }
+
+  /**
+   * Check if the user is signed in to GitHub but cannot push recipes
+   * @returns {boolean} True for the signed-in read-only state
+   */
+  isReadOnly() {
+    return this.currentMode === RecipeMode.AUTHENTICATED && this.readOnlyReason !== null;
+  }
+
+  /**
+   * Why the signed-in user cannot edit
+   * @returns {string|null} 'permission' (no push access to the repository),
+   *   'scope' (token lacks the repo scope) or null when editing is allowed
+   */
+  getReadOnlyReason() {
+    return this.isReadOnly() ? this.readOnlyReason : null;
+  }
+
+  /**
+   * Check if changes can be proposed as pull requests instead
+   * Only users without push permission qualify; a token lacking the repo
+   * scope could not fork either.
+   * @returns {boolean} True when new recipes and edits become suggestions
+   */
+  canSuggest() {
+    return this.getReadOnlyReason() === 'permission';
+  }
+
+  /**
+   * Check if recipes can be saved as drafts
+   * Drafts live on a branch of the GitHub repository, so this needs push access.
+   * @returns {boolean} True when signed in to GitHub with push access
+   */
+  canDraft() {
+    return this.currentMode === RecipeMode.AUTHENTICATED && !this.isReadOnly();
+  }
+
+  /**
+   * Ask GitHub whether the token can push and update the read-only state
+   * If the check fails (e.g. offline) editing stays enabled; saves then
+   * fail or queue as usual.
+   * @returns {Promise<boolean>} True if editing is allowed
+   */
+  async verifyWriteAccess() {
+    const previousReason = this.readOnlyReason;
+
+    try {
+      const { reason } = await gitHubAPIAdapter.checkWriteAccess();
+      this.readOnlyReason = reason;
+    } catch (error) {
+      console.warn('⚠️ Could not verify push access:', error.message);
+      this.readOnlyReason = null;
+    }
+
+    if (this.readOnlyReason !== previousReason) {
+      this.notifyListeners({ previousMode: this.currentMode, currentMode: this.currentMode });
+    }
+    return this.readOnlyReason === null;
   }
 
   /**
@@ -72,6 +189,7 @@ export class RecipeModeManager {
     // Check if we can authenticate
     if (gitHubAPIAdapter.isAuthenticated()) {
       this.setMode(RecipeMode.AUTHENTICATED);
+      await this.verifyWriteAccess();
       return true;
     }
     return false;
@@ -81,9 +199,161 @@ export class RecipeModeManager {
    * Switch to public mode
    */
   switchToPublic() {
+    localStorage.removeItem(LOCAL_MODE_KEY);
     this.setMode(RecipeMode.PUBLIC);
   }
 
+  /**
+   * Switch to local mode (recipes stored in this browser only)
+   */
+  switchToLocal() {
+    localStorage.setItem(LOCAL_MODE_KEY, 'true');
+    this.setMode(RecipeMode.LOCAL);
+  }
+
+  /**
+   * Check if the user chose local mode in an earlier session
+   */
+  isLocalModePreferred() {
+    return localStorage.getItem(LOCAL_MODE_KEY) === 'true';
+  }
+
+  /**
+   * Use a Gitea/Forgejo or GitLab repository instead of GitHub
+   * The token (if any) is verified before the settings are saved.
+   * @param {string} mode - RecipeMode.GITEA or RecipeMode.GITLAB
+   * @param {Object} settings - Connection settings
+   * @param {string} settings.apiBase - API base URL
+   * @param {string} settings.owner - Repository owner / namespace
+   * @param {string} settings.repo - Repository name
+   * @param {string} [settings.branch] - Branch (defaults to the repository settings)
+   * @param {string} [settings.recipesPath] - Recipes folder (defaults to the repository settings)
+   * @param {string} [settings.token] - Access token (read-only without it)
+   */
+  async switchToForge(mode, settings) {
+    const adapter = FORGE_ADAPTERS[mode];
+    if (!adapter) {
+      throw new Error(`Unknown forge mode: ${mode}`);
+    }
+
+    adapter.configure(settings);
+    if (adapter.isAuthenticated()) {
+      await adapter.fetchUserInfo();
+    }
+
+    localStorage.setItem(FORGE_SETTINGS_KEY, JSON.stringify({ mode, ...settings }));
+    this.setMode(mode);
+  }
+
+  /**
+   * Stop using a self-hosted forge and fall back to GitHub
+   */
+  async leaveForge() {
+    localStorage.removeItem(FORGE_SETTINGS_KEY);
+    await this.autoDetectMode();
+  }
+
+  /**
+   * Get the saved forge settings
+   * @returns {Object|null} Settings including `mode`, or null when GitHub is used
+   */
+  getForgeSettings() {
+    try {
+      const settings = JSON.parse(localStorage.getItem(FORGE_SETTINGS_KEY) || 'null');
+      return settings && FORGE_ADAPTERS[settings.mode] ? settings : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Count recipes stored locally (used to offer an upload after sign-in)
+   * @returns {Promise<number>} Number of local recipes
+   */
+  async getLocalRecipeCount() {
+    try {
+      return (await localRecipeAdapter.getFileList()).length;
+    } catch (error) {
+      console.warn('⚠️ Could not read local recipes:', error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Upload local recipes to the connected GitHub repository and leave local mode
+   * @returns {Promise<{uploaded: string[], skipped: string[]}>} Upload result
+   */
+  async uploadLocalRecipes() {
+    if (!gitHubAPIAdapter.isAuthenticated()) {
+      throw new Error('Sign in to GitHub before uploading local recipes');
+    }
+
+    const result = await localRecipeAdapter.uploadTo(gitHubAPIAdapter, { removeUploaded: true });
+    localStorage.removeItem(LOCAL_MODE_KEY);
+    this.setMode(RecipeMode.AUTHENTICATED);
+    return result;
+  }
+
+  /**
+   * Create the additional recipe sources configured in the repository settings
+   * They are GitHub repositories read with the token when signed in (so
+   * private ones work) and through the public API otherwise. Changes are only
+   * ever written to the current mode's adapter.
+   * @returns {Array<{id: string, label: string, adapter: Object, writable: boolean}>} Sources for RecipeRepository.setSources()
+   */
+  createAdditionalSources() {
+    const Adapter = gitHubAPIAdapter.isAuthenticated() ? GitHubAPIAdapter : PublicGitHubAdapter;
+    const primaryKey = repositorySettings.getKey();
+
+    const sources = repositorySettings.getSources()
+      .map(source => new RepositorySettings({ fixed: source }))
+      .filter(settings => settings.getKey() !== primaryKey);
+    const owners = sources.map(settings => settings.owner);
+
+    return sources.map(settings => ({
+      id: settings.getKey().replace(/[^A-Za-z0-9_-]+/g, '-').toLowerCase(),
+      // The owner is enough unless they have several recipe repositories
+      label: owners.indexOf(settings.owner) === owners.lastIndexOf(settings.owner)
+        ? settings.owner
+        : `${settings.owner}/${settings.repo}`,
+      adapter: new Adapter({ settings }),
+      writable: false
+    }));
+  }
+
+  /**
+   * Check that an additional source exists and can be read
+   * @param {{owner: string, repo: string, branch: string, recipesPath: string}} source - Source settings
+   * @returns {Promise<{field: string, code: string}|null>} First invalid setting, or null
+   */
+  verifyAdditionalSource(source) {
+    return this.getSourceReader().verifyRepository(source);
+  }
+
+  /**
+   * Check that a Gitea/Forgejo or GitLab repository exists before switching to it
+   * A new adapter is used, so the forge in use keeps its connection when the check fails.
+   * @param {string} mode - RecipeMode.GITEA or RecipeMode.GITLAB
+   * @param {Object} settings - Connection and repository settings (see switchToForge())
+   * @returns {Promise<{field: string, code: string}|null>} First invalid setting, or null
+   */
+  verifyForgeRepository(mode, settings) {
+    const adapter = FORGE_ADAPTERS[mode];
+    if (!adapter) {
+      throw new Error(`Unknown forge mode: ${mode}`);
+    }
+    return new adapter.constructor(settings).verifyRepository(settings);
+  }
+
+  /**
+   * Adapter additional sources are read with
+   * @private
+   * @returns {GitHubAPIAdapter|PublicGitHubAdapter} Authenticated adapter when signed in to GitHub
+   */
+  getSourceReader() {
+    return gitHubAPIAdapter.isAuthenticated() ? gitHubAPIAdapter : publicGitHubAdapter;
+  }
+
   /**
    * Listen for mode changes
    */
@@ -98,9 +368,22 @@ export class RecipeModeManager {
    * Auto-detect best mode based on authentication status
    */
   async autoDetectMode() {
-    if (gitHubAPIAdapter.isAuthenticated()) {
+    const forgeSettings = this.getForgeSettings();
+    if (forgeSettings) {
+      const adapter = FORGE_ADAPTERS[forgeSettings.mode];
+      adapter.configure(forgeSettings);
+      if (adapter.isAuthenticated() && !adapter.getCurrentUser()) {
+        adapter.fetchUserInfo().catch(error => console.warn('⚠️ Could not load forge user:', error.message));
+      }
+      this.setMode(forgeSettings.mode);
+      console.log(`🏠 Auto-detected ${forgeSettings.mode} mode`);
+    } else if (gitHubAPIAdapter.isAuthenticated()) {
       this.setMode(RecipeMode.AUTHENTICATED);
-      console.log('🔑 Auto-detected authenticated mode');
+      await this.verifyWriteAccess();
+      console.log(`🔑 Auto-detected authenticated mode${this.isReadOnly() ? ' (read-only)' : ''}`);
+    } else if (this.isLocalModePreferred()) {
+      this.setMode(RecipeMode.LOCAL);
+      console.log('💻 Auto-detected local mode');
     } else {
       this.setMode(RecipeMode.PUBLIC);
       console.log('🌍 Auto-detected public mode');
@@ -5,6 +5,7 @@
 
 import { t } from '../i18n/i18n.js';
 import { highlightText } from '../utils/recipeUtils.js';
+import { formatRecipeTime } from '../utils/duration.js';
 
 /**
  * Simple recipe validation for English format
@@ -22,12 +23,25 @@ function validateEnglishRecipe(recipe) {
   );
 }
 
+/**
+ * Get the id a recipe card is rendered with (its `data-recipe-id`)
+ * @param {Object} recipe - Recipe data object
+ * @returns {string} Recipe id
+ */
+export function getRecipeCardId(recipe) {
+  return recipe.metadata?.id || (recipe.name || 'Untitled Recipe').replace(/\s+/g, '-').toLowerCase();
+}
+
 /**
  * Create a recipe card DOM element with collapsible functionality
  * @param {Object} recipe - Recipe data object
  * @param {Object} options - Options including highlighting data and expansion state
  * @param {Object} options.matches - Match data for highlighting {name: [], tags: [], ingredients: []}
  * @param {boolean} options.shouldExpand - Whether to expand the card initially
+ * @param {string|null} options.sourceLabel - Where the recipe comes from (badge shown when set)
+ * @param {Object|null} options.suggestion - Open pull request suggesting this recipe ({number, url})
+ * @param {boolean} options.draft - The recipe is an unpublished draft (badge shown when set)
+ * @param {string|null} options.imageUrl - Photo of the recipe (thumbnail shown when set)
  * @returns {HTMLElement} Recipe card element
  */
 export function createRecipeCard(recipe, options = {}) {
@@ -45,10 +59,11 @@ export function createRecipeCard(recipe, options = {}) {
   const recipeTags = recipe.tags || [];
   
   // Generate recipe ID early for use in ingredient IDs
-  const recipeId = recipe.metadata?.id || recipeName.replace(/\s+/g, '-').toLowerCase();
+  const recipeId = getRecipeCardId(recipe);
+  div.dataset.recipeId = recipeId;
   
   // Extract highlighting options - remove shouldExpand since we don't use collapsing anymore
-  const { matches = {} } = options;
+  const { matches = {}, sourceLabel = null, suggestion = null, draft = false, imageUrl = null } = options;
   const { name: nameMatches = [], tags: tagMatches = [] } = matches;
   
   // Apply highlighting to recipe name
@@ -59,7 +74,7 @@ export function createRecipeCard(recipe, options = {}) {
   const highlightedTags = highlightText(tagsString, tagMatches);
 
   // Format time and servings info
-  const cookingTime = recipe.cookingTime || '';
+  const cookingTime = formatRecipeTime(recipe);
   const servings = recipe.servings || '';
 
   let subtitleParts = [];
@@ -75,6 +90,23 @@ export function createRecipeCard(recipe, options = {}) {
   // Handle fields safely with highlighting
   const tags = highlightedTags || recipeTags.join(', ');
 
+  const sourceBadge = sourceLabel
+    ? ` <span class="badge bg-light text-dark border fw-normal recipe-source-badge">${sourceLabel}</span>`
+    : '';
+  const suggestionBadge = suggestion
+    ? ` <a class="badge bg-warning text-dark fw-normal text-decoration-none recipe-suggestion-badge"
+           href="${suggestion.url}" target="_blank" rel="noopener"
+           title="${t('suggestions.pendingHelp', { number: suggestion.number })}"><i class="fas fa-code-branch me-1"></i>${t('suggestions.pending')}</a>`
+    : '';
+  const draftBadge = draft
+    ? ` <span class="badge bg-info text-dark fw-normal recipe-draft-badge"><i class="fas fa-pencil-ruler me-1"></i>${t('drafts.badge')}</span>`
+    : '';
+
+  // Loaded only once the card scrolls into view; the background stands in until then
+  const thumbnail = imageUrl
+    ? `<img class="recipe-card-thumbnail" src="${imageUrl.replace(/"/g, '&quot;')}" alt="" loading="lazy" decoding="async">`
+    : '';
+
   div.innerHTML = `
     <div class="card recipe-card position-relative">
       <div class="card-body p-3">
@@ -84,8 +116,9 @@ export function createRecipeCard(recipe, options = {}) {
             <div class="checkbox-container">
               <input type="checkbox" class="selectRecipe" id="checkbox-${recipeId}">
             </div>
+            ${thumbnail}
             <div class="flex-grow-1 recipe-title-area">
-              <h6 class="mb-1 recipe-title">${highlightedName}</h6>
+              <h6 class="mb-1 recipe-title">${highlightedName}${sourceBadge}${suggestionBadge}${draftBadge}</h6>
               <div class="text-muted small recipe-subtitle">
                 ${tags ? `${t('recipes.tags')}: ${tags}` : ''}
                 ${tags && subtitleText ? ' • ' : ''}${subtitleText}
@@ -103,6 +136,9 @@ export function createRecipeCard(recipe, options = {}) {
     </div>
   `;
 
+  // A photo that cannot be downloaded leaves no broken image behind
+  div.querySelector('.recipe-card-thumbnail')?.addEventListener('error', (event) => event.target.remove());
+
   // Add event listeners for checkbox to prevent any unwanted interactions
   // Add event listeners for checkbox functionality
   const checkboxContainer = div.querySelector('.checkbox-container');
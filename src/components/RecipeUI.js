@@ -6,7 +6,53 @@
 import { templateLoader } from '../utils/templateLoader.js';
 import RecipeRepository from '../repositories/RecipeRepository.js';
 import { t } from '../i18n/i18n.js';
+import { formatError } from '../utils/errors.js';
 import gitHubAPIAdapter from '../adapters/GitHubAPIAdapter.js';
+import { recipeModeManager } from '../adapters/RecipeModeManager.js';
+import { recipeSuggestions } from '../services/recipeSuggestions.js';
+import { recipeDrafts } from '../services/recipeDrafts.js';
+import { commitSettings } from '../config/commitSettings.js';
+import { parseCoAuthor, splitCoAuthors } from '../utils/commitMessage.js';
+import { validateRecipe, formatValidationErrors } from '../utils/recipeSchema.js';
+import { CURRENT_SCHEMA_VERSION } from '../utils/recipeMigrations.js';
+import { parseDuration, formatDuration } from '../utils/duration.js';
+import { getIngredientSections, flattenIngredients, isIngredientSection } from '../utils/smartIngredients.js';
+import { resizeImage, readAsBase64, createImagePath, getImageChanges } from '../utils/recipeImages.js';
+
+// Time fields and their inputs
+const TIME_INPUTS = {
+  prepTime: 'recipe-prep-time',
+  cookTime: 'recipe-cook-time',
+  restTime: 'recipe-rest-time'
+};
+
+// Form inputs of the recipe fields, for marking schema errors
+const FIELD_INPUTS = {
+  name: '#recipe-name',
+  servings: '#recipe-servings',
+  prepTime: '#recipe-prep-time',
+  cookTime: '#recipe-cook-time',
+  restTime: '#recipe-rest-time',
+  ingredients: '.ingredient-input',
+  instructions: '.instruction-input',
+  notes: '.note-input'
+};
+
+// Translated message for the fields the form can get wrong
+const FIELD_MESSAGES = {
+  name: 'validation.recipeNameRequired',
+  ingredients: 'validation.ingredientsRequired',
+  instructions: 'validation.instructionsRequired',
+  servings: 'validation.servingsPositiveNumber',
+  prepTime: 'validation.durationInvalid',
+  cookTime: 'validation.durationInvalid',
+  restTime: 'validation.durationInvalid'
+};
+
+// Text for a double-quoted attribute value
+function escapeAttribute(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
 
 class RecipeUI {
   constructor(repository = null) {
@@ -15,6 +61,10 @@ class RecipeUI {
     this.modal = null;
     this.repository = repository; // Use provided repository if available
     this.draggedElement = null; // Track currently dragged element
+    this.conflictModal = null; // Lazily created conflict resolution dialog
+    this.activeConflict = null; // Conflict currently shown in the dialog
+    this.suggesting = false; // Form is sent as a pull request (no push access)
+    this.photo = { image: null, upload: null, previewUrl: null }; // Photo in the form (see preparePhotoField())
   }
 
   /**
@@ -27,7 +77,7 @@ class RecipeUI {
       if (!this.repository) {
         // Initialize repository with GitHub adapter
         this.repository = new RecipeRepository({
-          syncStrategy: 'immediate',
+          syncStrategy: commitSettings.getSyncStrategy(),
           cacheExpiry: 5 * 60 * 1000, // 5 minutes
           enableOptimisticUpdates: true,
           maxRetries: 3,
@@ -120,6 +170,9 @@ class RecipeUI {
         form.addEventListener('submit', (e) => this.handleFormSubmit(e));
       }
 
+      // Resize a chosen photo right away, so saving doesn't wait for it
+      document.getElementById('recipe-photo')?.addEventListener('change', (e) => this.selectPhoto(e.target.files[0]));
+
       // Setup tag input handler
       const tagInput = document.getElementById('recipe-tags-input');
       if (tagInput) {
@@ -134,6 +187,9 @@ class RecipeUI {
       // Setup edit button handlers
       this.setupEditHandlers();
       
+      // Edits that collide with a newer version on GitHub
+      this.setupConflictHandlers();
+      
       console.log('✅ RecipeUI initialized successfully with RecipeRepository');
     } catch (error) {
       console.error('❌ Failed to initialize RecipeUI:', error);
@@ -191,6 +247,150 @@ class RecipeUI {
     });
   }
 
+  /**
+   * Listen for edit conflicts and automatic merges
+   */
+  setupConflictHandlers() {
+    this.repository.on('recipeMerged', (event) => {
+      console.log('🔀 Recipe merged with changes from GitHub:', event.recipeName);
+      this.showSuccessMessage(t('conflicts.merged', { recipeName: event.recipe?.name || event.recipeName }));
+    });
+
+    this.repository.on('recipeConflict', (event) => {
+      console.log('⚔️ Recipe conflict:', event);
+      this.showConflictDialog(event);
+    });
+  }
+
+  /**
+   * Show the conflict resolution dialog
+   * @param {Object} conflict - RECIPE_CONFLICT event data
+   * @param {string} conflict.recipeName - Recipe ID used for the update
+   * @param {Object} conflict.merged - Merge result (conflicting fields hold the local value)
+   * @param {Array<{field: string, local: *, remote: *}>} conflict.conflicts - Fields changed on both sides
+   * @param {string} conflict.remoteSha - Blob sha of the GitHub version
+   */
+  async showConflictDialog(conflict) {
+    if (!this.conflictModal) {
+      const html = await templateLoader.loadTemplate('src/templates/conflict-modal.html');
+      document.body.insertAdjacentHTML('beforeend', html);
+
+      const modalElement = document.getElementById('conflict-modal');
+      modalElement.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.getAttribute('data-i18n'));
+      });
+      document.getElementById('conflict-save-btn')
+        .addEventListener('click', () => this.handleConflictSave());
+      this.conflictModal = new window.bootstrap.Modal(modalElement);
+    }
+
+    this.activeConflict = conflict;
+    const recipeName = conflict.local?.name || conflict.recipeName;
+    document.getElementById('conflict-description').textContent = t('conflicts.description', { recipeName });
+    document.getElementById('conflict-fields').innerHTML = conflict.conflicts
+      .map((item, index) => this.renderConflictField(item, index))
+      .join('');
+
+    this.conflictModal.show();
+  }
+
+  /**
+   * Render the choice between both versions of one field
+   * @param {{field: string, local: *, remote: *}} conflict - Conflicting field
+   * @param {number} index - Field index
+   * @returns {string} HTML
+   */
+  renderConflictField(conflict, index) {
+    const labels = {
+      name: 'recipeForm.recipeName',
+      servings: 'recipeForm.servings',
+      prepTime: 'recipeForm.prepTime',
+      cookTime: 'recipeForm.cookTime',
+      restTime: 'recipeForm.restTime',
+      cookingTime: 'recipeForm.cookingTime',
+      ingredients: 'recipeForm.ingredients',
+      instructions: 'recipeForm.instructions',
+      notes: 'recipeForm.notes',
+      tags: 'recipeForm.tagsField'
+    };
+    const label = labels[conflict.field] ? t(labels[conflict.field]) : conflict.field;
+
+    const option = (side, value) => `
+      <div class="form-check border rounded p-2 ps-4 mb-2">
+        <input class="form-check-input" type="radio" name="conflict-${index}" id="conflict-${index}-${side}" value="${side}" ${side === 'local' ? 'checked' : ''}>
+        <label class="form-check-label w-100" for="conflict-${index}-${side}">
+          <strong>${t(side === 'local' ? 'conflicts.yourVersion' : 'conflicts.remoteVersion')}</strong>
+          <div class="small text-muted" style="white-space: pre-line;">${this.escapeHtml(this.formatConflictValue(value))}</div>
+        </label>
+      </div>`;
+
+    return `
+      <div class="mb-3" data-conflict-field="${conflict.field}">
+        <h6>${this.escapeHtml(label)}</h6>
+        ${option('local', conflict.local)}
+        ${option('remote', conflict.remote)}
+      </div>`;
+  }
+
+  /**
+   * Format a recipe field value for display in the conflict dialog
+   * @param {*} value - Field value
+   * @returns {string} Display text
+   */
+  formatConflictValue(value) {
+    if (value === undefined || value === null || value === '') {
+      return '—';
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => (typeof item === 'object' ? item.text ?? JSON.stringify(item) : item)).join('\n');
+    }
+    return String(value);
+  }
+
+  /**
+   * Save the recipe with the versions picked in the conflict dialog
+   */
+  async handleConflictSave() {
+    const conflict = this.activeConflict;
+    if (!conflict) return;
+
+    const resolved = { ...conflict.merged };
+    conflict.conflicts.forEach((item, index) => {
+      const choice = document.querySelector(`input[name="conflict-${index}"]:checked`)?.value;
+      if (choice === 'remote') {
+        if (item.remote === undefined) {
+          delete resolved[item.field];
+        } else {
+          resolved[item.field] = item.remote;
+        }
+      }
+    });
+
+    this.conflictModal.hide();
+    this.activeConflict = null;
+
+    try {
+      // Based on the GitHub version now, so a further edit elsewhere is detected again
+      await this.repository.update(conflict.recipeName, resolved, { baseSha: conflict.remoteSha });
+    } catch (error) {
+      if (error.name !== 'RecipeConflictError') {
+        console.error('❌ Failed to save resolved recipe:', error);
+        this.showErrorMessage(t('operations.updateFailed', { error: formatError(error) }));
+      }
+    }
+  }
+
+  /**
+   * Escape HTML to prevent XSS
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
   /**
    * Handle optimistic updates
    * @param {Object} event - Event data
@@ -249,16 +449,16 @@ class RecipeUI {
     let message;
     switch (operation) {
       case 'create':
-        message = t('operations.createFailed', { error: error.message });
+        message = t('operations.createFailed', { error: formatError(error) });
         break;
       case 'update':
-        message = t('operations.updateFailed', { error: error.message });
+        message = t('operations.updateFailed', { error: formatError(error) });
         break;
       case 'delete':
-        message = t('operations.deleteFailed', { error: error.message });
+        message = t('operations.deleteFailed', { error: formatError(error) });
         break;
       default:
-        message = t('operations.operationFailed', { error: error.message });
+        message = t('operations.operationFailed', { error: formatError(error) });
     }
     
     this.showErrorMessage(message);
@@ -270,7 +470,7 @@ class RecipeUI {
    */
   handleRollback(event) {
     const { operation, recipeId, error } = event;
-    this.showWarningMessage(t('operations.rollbackMessage', { operation, recipeId, error: error.message }));
+    this.showWarningMessage(t('operations.rollbackMessage', { operation, recipeId, error: formatError(error) }));
     this.refreshRecipesDisplay();
   }
 
@@ -324,22 +524,40 @@ class RecipeUI {
     });
   }
 
+  /**
+   * Refuse to start changes the signed-in user could not push
+   * @param {boolean} [allowSuggestion] - Accept a pull request instead of a push
+   * @returns {boolean} True if editing is allowed
+   */
+  ensureWritable(allowSuggestion = false) {
+    const reason = recipeModeManager.getReadOnlyReason();
+    if (!reason || (allowSuggestion && recipeModeManager.canSuggest())) {
+      return true;
+    }
+    alert(t(`auth.readOnlyReasons.${reason}`));
+    return false;
+  }
+
   /**
    * Show create form
    */
   showCreateForm() {
+    if (!this.ensureWritable(true)) return;
     console.log('📝 Showing create form...');
     this.isEditing = false;
     this.editingRecipe = null;
+    this.suggesting = recipeModeManager.canSuggest();
     
     // Update modal title and button
     document.getElementById('recipe-modal-title').innerHTML = 
       `<i class="fas fa-utensils me-2"></i><span data-i18n="recipeForm.createNewRecipe">${t('recipeForm.createNewRecipe')}</span>`;
-    document.getElementById('recipe-submit-btn').innerHTML = 
-      `<i class="fas fa-save me-2"></i><span data-i18n="recipeForm.createRecipeBtn">${t('recipeForm.createRecipeBtn')}</span>`;
+    this.setSubmitButton('recipeForm.createRecipeBtn');
     
     // Clear form
     this.clearForm();
+    this.clearValidationErrors();
+    this.prepareCommitFields();
+    this.preparePhotoField(null);
     
     // Show modal
     this.modal.show();
@@ -359,18 +577,22 @@ class RecipeUI {
    * @param {Object} recipe - Recipe data to edit
    */
   showEditForm(recipe) {
+    if (!this.ensureWritable(true)) return;
     console.log('✏️ Showing edit form for:', recipe.name);
     this.isEditing = true;
     this.editingRecipe = recipe;
+    this.suggesting = recipeModeManager.canSuggest();
     
     // Update modal title and button
     document.getElementById('recipe-modal-title').innerHTML = 
       `<i class="fas fa-edit me-2"></i><span data-i18n="recipeForm.editRecipeTitle">${t('recipeForm.editRecipeTitle')}</span>`;
-    document.getElementById('recipe-submit-btn').innerHTML = 
-      `<i class="fas fa-save me-2"></i><span data-i18n="recipeForm.updateRecipeBtn">${t('recipeForm.updateRecipeBtn')}</span>`;
+    this.setSubmitButton(recipe.metadata?.draft ? 'drafts.publish' : 'recipeForm.updateRecipeBtn');
     
     // Populate form with recipe data
     this.populateForm(recipe);
+    this.clearValidationErrors();
+    this.prepareCommitFields();
+    this.preparePhotoField(recipe);
     
     // Show modal
     this.modal.show();
@@ -385,12 +607,121 @@ class RecipeUI {
     this.loadTagSuggestions();
   }
 
+  /**
+   * Label the form's submit button (suggestions open a pull request instead of saving)
+   * @param {string} labelKey - Translation key of the save label
+   */
+  setSubmitButton(labelKey) {
+    const [icon, key] = this.suggesting ? ['code-branch', 'suggestions.submit'] : ['save', labelKey];
+    document.getElementById('recipe-submit-btn').innerHTML = 
+      `<i class="fas fa-${icon} me-2"></i><span data-i18n="${key}">${t(key)}</span>`;
+    document.getElementById('recipe-draft-btn')?.classList.toggle('d-none', this.suggesting || !recipeModeManager.canDraft());
+  }
+
+  /**
+   * Reset the change note and co-authors for a new save
+   * Only shown when the data source keeps a history; suggestions describe
+   * themselves in their pull request instead.
+   */
+  prepareCommitFields() {
+    const hasHistory = typeof recipeModeManager.getAdapter().getFileHistory === 'function';
+    document.getElementById('recipe-commit-fields')?.classList.toggle('d-none', this.suggesting || !hasHistory);
+    document.getElementById('recipe-change-note').value = '';
+    document.getElementById('recipe-co-authors').value = commitSettings.get().coAuthors.join(', ');
+  }
+
+  /**
+   * Read the change note and co-authors entered for this save
+   * @returns {{note: string, coAuthors: string[]}} Commit options for the repository
+   */
+  collectCommitOptions() {
+    return {
+      note: (document.getElementById('recipe-change-note')?.value || '').trim(),
+      coAuthors: splitCoAuthors(document.getElementById('recipe-co-authors')?.value)
+    };
+  }
+
+  /**
+   * Show the photo of the recipe being edited, or an empty photo field
+   * Only shown when the data source stores images; otherwise the photo is kept as it is.
+   * @param {Object|null} recipe - Recipe being edited (none for a new recipe)
+   */
+  preparePhotoField(recipe) {
+    const canStore = !this.suggesting && this.repository.canStoreImages();
+    document.getElementById('recipe-photo-field')?.classList.toggle('d-none', !canStore);
+    document.getElementById('recipe-photo').value = '';
+
+    this.releasePhotoPreview();
+    this.photo = { image: recipe?.image || null, upload: null, previewUrl: null };
+    this.showPhotoPreview(recipe ? this.repository.getImageUrl(recipe) : null);
+  }
+
+  /**
+   * Shrink a chosen photo and keep it for the next save
+   * @param {File} file - Picture from the file input
+   */
+  async selectPhoto(file) {
+    if (!file) return;
+
+    try {
+      const blob = await resizeImage(file);
+      const name = document.getElementById('recipe-name').value.trim() || this.editingRecipe?.name || '';
+      const upload = { path: createImagePath(name), content: await readAsBase64(blob) };
+      console.log(`📷 Photo resized to ${Math.round(blob.size / 1024)} kB: ${upload.path}`);
+
+      this.releasePhotoPreview();
+      this.photo = { image: upload.path, upload, previewUrl: window.URL.createObjectURL(blob) };
+      this.showPhotoPreview(this.photo.previewUrl);
+    } catch (error) {
+      console.error('❌ Failed to prepare photo:', error);
+      document.getElementById('recipe-photo').value = '';
+      this.showErrorMessage(t('recipeForm.photoFailed', { error: formatError(error) }));
+    }
+  }
+
+  /**
+   * Take the photo off the recipe (deleted from the repository on save)
+   */
+  removePhoto() {
+    this.releasePhotoPreview();
+    this.photo = { image: null, upload: null, previewUrl: null };
+    document.getElementById('recipe-photo').value = '';
+    this.showPhotoPreview(null);
+  }
+
+  /**
+   * Show a photo preview and the remove button, or hide both
+   * @private
+   * @param {string|null} url - Photo URL
+   */
+  showPhotoPreview(url) {
+    const preview = document.getElementById('recipe-photo-preview');
+    if (url) {
+      preview.src = url;
+    } else {
+      preview.removeAttribute('src');
+    }
+    preview.classList.toggle('d-none', !url);
+    document.getElementById('recipe-photo-remove').classList.toggle('d-none', !url);
+  }
+
+  /**
+   * Free the preview of a photo that was chosen but not saved
+   * @private
+   */
+  releasePhotoPreview() {
+    if (this.photo.previewUrl) {
+      window.URL.revokeObjectURL(this.photo.previewUrl);
+    }
+  }
+
   /**
    * Show delete confirmation dialog
    * @param {string} recipeId - ID of the recipe to delete
    * @param {string} recipeName - Name of the recipe to delete
    */
   async showDeleteConfirmation(recipeId, recipeName) {
+    if (!this.ensureWritable()) return;
     console.log('🗑️ Showing delete confirmation for:', recipeName);
     
     const confirmed = confirm(t('confirmations.deleteRecipeMessage', { recipeName }));
@@ -413,7 +744,63 @@ class RecipeUI {
       
     } catch (error) {
       console.error('❌ Failed to delete recipe:', error);
-      this.showErrorMessage(t('operations.deleteFailed', { error: error.message }));
+      this.showErrorMessage(t('operations.deleteFailed', { error: formatError(error) }));
+    }
+  }
+
+  /**
+   * Copy a recipe of an additional source into the own recipes
+   * @param {Object} recipe - Recipe from an additional source
+   * @returns {Promise<boolean>} True if the copy was created
+   */
+  async copyRecipeFromSource(recipe) {
+    if (!this.ensureWritable()) return false;
+
+    try {
+      const copy = await this.repository.copyFromSource(recipe);
+      this.showSuccessMessage(t('sources.copied', { recipeName: copy.name }));
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to copy recipe:', error);
+      this.showErrorMessage(t('operations.createFailed', { error: formatError(error) }));
+      return false;
+    }
+  }
+
+  /**
+   * Publish a draft as it is
+   * @param {Object} draft - Draft recipe
+   * @returns {Promise<boolean>} True if the draft was published
+   */
+  async publishDraft(draft) {
+    if (!this.ensureWritable()) return false;
+
+    try {
+      await recipeDrafts.publish(draft, this.repository);
+      this.showSuccessMessage(t('drafts.published', { recipeName: draft.name }));
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to publish draft:', error);
+      this.showErrorMessage(t('drafts.publishFailed', { error: formatError(error) }));
+      return false;
+    }
+  }
+
+  /**
+   * Ask for confirmation and throw a draft away
+   * @param {Object} draft - Draft recipe
+   * @returns {Promise<boolean>} True if the draft was discarded
+   */
+  async discardDraft(draft) {
+    if (!confirm(t('drafts.discardConfirm', { recipeName: draft.name }))) return false;
+
+    try {
+      await recipeDrafts.discard(draft);
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to discard draft:', error);
+      this.showErrorMessage(t('drafts.discardFailed', { error: formatError(error) }));
+      return false;
     }
   }
 
@@ -424,23 +811,72 @@ class RecipeUI {
   async handleFormSubmit(e) {
     e.preventDefault();
     
-    const submitBtn = document.getElementById('recipe-submit-btn');
+    // "Save as Draft" submits the form too
+    const asDraft = e.submitter?.id === 'recipe-draft-btn';
+    const submitBtn = document.getElementById(asDraft ? 'recipe-draft-btn' : 'recipe-submit-btn');
     const originalBtnText = submitBtn.innerHTML;
+    const editingDraft = this.isEditing && this.editingRecipe?.metadata?.draft === true;
+    
+    const commit = this.collectCommitOptions();
+    const invalidCoAuthors = commit.coAuthors.filter(coAuthor => !parseCoAuthor(coAuthor));
+    if (invalidCoAuthors.length > 0) {
+      this.showErrorMessage(t('recipeForm.invalidCoAuthors', { coAuthors: invalidCoAuthors.join(', ') }));
+      return;
+    }
+    
+    // Drafts live on another branch than the photos, so a new photo waits for the real save
+    if (asDraft && this.photo.upload) {
+      this.showErrorMessage(t('recipeForm.photoNotInDrafts'));
+      return;
+    }
     
     try {
       submitBtn.disabled = true;
       submitBtn.innerHTML = `<i class="fas fa-spinner fa-spin me-2"></i>${t('recipeForm.processing')}`;
       
       const formData = this.collectFormData();
+      const validation = validateRecipe(formData);
+      if (!validation.isValid) {
+        this.showValidationErrors(validation.errors, formData);
+        return;
+      }
+      
+      // Photo files added with the recipe and the replaced one deleted
+      const images = getImageChanges(this.isEditing ? this.editingRecipe.image : null, this.photo.upload, formData.image);
+      const saveOptions = images.length > 0 ? { commit, images } : { commit };
       
-      if (this.isEditing) {
+      if (asDraft) {
+        console.log('📝 Saving recipe as a draft...');
+        await recipeDrafts.save(formData, this.isEditing ? this.editingRecipe : null, { commit });
+        
+        // Close modal
+        this.modal.hide();
+        this.showSuccessMessage(t('drafts.saved', { recipeName: formData.name }));
+        
+      } else if (editingDraft) {
+        console.log('🚀 Publishing draft...');
+        await recipeDrafts.publish({ ...formData, metadata: this.editingRecipe.metadata }, this.repository, saveOptions);
+        
+        // Close modal
+        this.modal.hide();
+        this.showSuccessMessage(t('drafts.published', { recipeName: formData.name }));
+        
+      } else if (this.suggesting) {
+        console.log('📬 Suggesting recipe as a pull request...');
+        const suggestion = await recipeSuggestions.submit(formData, this.isEditing ? this.editingRecipe : null);
+        
+        // Close modal
+        this.modal.hide();
+        this.showSuccessMessage(t('suggestions.submitted', { number: suggestion.number }));
+        
+      } else if (this.isEditing) {
         console.log('🔄 Updating existing recipe...');
         console.log('📝 Original recipe ID:', this.editingRecipe.metadata?.id || this.editingRecipe.id);
         console.log('📄 Updated data:', formData);
         
         // Update the recipe using the original recipe ID, not the current name
         const recipeId = this.editingRecipe.metadata?.id || this.editingRecipe.id;
-        await this.repository.update(recipeId, formData);
+        await this.repository.update(recipeId, formData, saveOptions);
         
         // Close modal
         this.modal.hide();
@@ -450,43 +886,95 @@ class RecipeUI {
         console.log('📄 Recipe data:', formData);
         
         // Create the recipe using repository (optimistic updates handled automatically)
-        await this.repository.create(formData);
+        await this.repository.create(formData, saveOptions);
         
         // Close modal
         this.modal.hide();
       }
       
     } catch (error) {
+      if (error.name === 'RecipeConflictError') {
+        // The conflict dialog takes over from here
+        console.log('⚔️ Edit conflicts with GitHub, handing over to conflict dialog');
+        this.modal.hide();
+        return;
+      }
       console.error('❌ Failed to process recipe:', error);
-      this.showErrorMessage(t(this.isEditing ? 'operations.updateFailed' : 'operations.createFailed', { error: error.message }));
+      const failedKey = asDraft ? 'drafts.saveFailed'
+        : editingDraft ? 'drafts.publishFailed'
+          : this.suggesting ? 'suggestions.failed'
+            : this.isEditing ? 'operations.updateFailed' : 'operations.createFailed';
+      this.showErrorMessage(t(failedKey, { error: formatError(error) }));
     } finally {
       submitBtn.disabled = false;
       submitBtn.innerHTML = originalBtnText;
     }
   }
 
+  /**
+   * Mark the inputs the recipe schema rejected and say what is wrong
+   * @param {Array<{path: string, message: string}>} errors - Errors from validateRecipe()
+   * @param {Object} [recipe] - The validated recipe, to find ingredients inside sections
+   */
+  showValidationErrors(errors, recipe = null) {
+    const modal = document.getElementById('recipe-modal');
+    this.clearValidationErrors();
+
+    const messages = new Set();
+    for (const error of errors) {
+      // "/ingredients/2/text" → the third ingredient input
+      const [field, index, ...rest] = error.path.split('/').slice(1);
+      if (field === 'ingredients' && recipe) {
+        this.getIngredientErrorInput(modal, recipe.ingredients, Number(index) || 0, rest)?.classList.add('is-invalid');
+      } else if (FIELD_INPUTS[field]) {
+        modal.querySelectorAll(FIELD_INPUTS[field])[Number(index) || 0]?.classList.add('is-invalid');
+      }
+      const messageKey = field === 'ingredients' && ['section', 'items'].includes(rest[0])
+        ? 'validation.ingredientSectionInvalid'
+        : FIELD_MESSAGES[field];
+      messages.add(messageKey ? t(messageKey) : formatValidationErrors([error])[0]);
+    }
+
+    this.showErrorMessage(t('errors.validation.message', { details: [...messages].join(', ') }));
+  }
+
+  /**
+   * Find the input of an ingredient error
+   * Inputs are listed in the form's order, so lines in sections are counted across them.
+   * @param {HTMLElement} modal - Recipe modal
+   * @param {Array} ingredients - Ingredients of the validated recipe
+   * @param {number} index - Index of the ingredient entry
+   * @param {string[]} rest - Rest of the error path, e.g. ['items', '1', 'text'] or ['section']
+   * @returns {HTMLElement|undefined} Input to mark
+   */
+  getIngredientErrorInput(modal, ingredients, index, rest) {
+    const entry = ingredients[index];
+    if (!isIngredientSection(entry)) {
+      return modal.querySelectorAll('.ingredient-input')[flattenIngredients(ingredients.slice(0, index)).length];
+    }
+    if (rest[0] !== 'items') {
+      const sectionIndex = ingredients.slice(0, index).filter(isIngredientSection).length;
+      return modal.querySelectorAll('.ingredient-section-input')[sectionIndex];
+    }
+    const lineIndex = flattenIngredients(ingredients.slice(0, index)).length + (Number(rest[1]) || 0);
+    return modal.querySelectorAll('.ingredient-input')[lineIndex];
+  }
+
+  /**
+   * Remove the marks left by showValidationErrors()
+   */
+  clearValidationErrors() {
+    document.getElementById('recipe-modal')
+      .querySelectorAll('.is-invalid')
+      .forEach(element => element.classList.remove('is-invalid'));
+  }
+
   /**
    * Collect form data
    * @returns {Object} Recipe data
    */
   collectFormData() {
-    const ingredientElements = document.querySelectorAll('.ingredient-input');
-    const ingredientCheckboxes = document.querySelectorAll('.ingredient-added-checkbox');
-    
-    const ingredients = Array.from(ingredientElements)
-      .map((input, index) => {
-        const text = input.value.trim();
-        if (text === '') return null;
-        
-        const checkbox = ingredientCheckboxes[index];
-        const exportDefault = checkbox ? checkbox.checked : true;
-        
-        return {
-          text: text,
-          exportDefault: exportDefault
-        };
-      })
-      .filter(ingredient => ingredient !== null);
+    const ingredients = this.collectIngredients();
 
     const instructionElements = document.querySelectorAll('.instruction-input');
     const instructions = Array.from(instructionElements)
@@ -499,21 +987,24 @@ class RecipeUI {
       .filter(value => value !== '');
 
     const name = document.getElementById('recipe-name').value.trim();
-    const cookingTime = document.getElementById('recipe-time').value.trim();
     const servings = parseInt(document.getElementById('recipe-servings').value) || 4;
     const tagsInput = document.getElementById('recipe-tags').value;
     const tags = tagsInput ? tagsInput.split(',').map(tag => tag.trim()).filter(tag => tag !== '') : [];
 
     // Build recipe data - preserve metadata when editing
     let recipeData = {
+      schemaVersion: CURRENT_SCHEMA_VERSION,
       name,
       ingredients,
       instructions,
-      cookingTime,
+      ...this.collectTimes(),
       servings,
       notes,
       tags
     };
+    if (this.photo.image) {
+      recipeData.image = this.photo.image;
+    }
 
     // Preserve existing metadata when editing
     if (this.isEditing && this.editingRecipe) {
@@ -530,11 +1021,6 @@ class RecipeUI {
         recipeData.metadata.sha = this.editingRecipe.metadata?.sha || this.editingRecipe.sha;
       }
       
-      // Preserve filename if available
-      if (this.editingRecipe.metadata?.filename || this.editingRecipe.filename) {
-        recipeData.metadata.filename = this.editingRecipe.metadata?.filename || this.editingRecipe.filename;
-      }
-      
       // Always update lastModified for edits
       recipeData.metadata.lastModified = new Date().toISOString();
       
@@ -552,19 +1038,14 @@ class RecipeUI {
       const now = new Date().toISOString();
       
       recipeData.metadata = {
-        id: null, // Will be set after GitHub API response
-        sha: null, // Will be set after GitHub API response
-        createdDate: now,
-        createdAt: now, // Add both for compatibility
+        createdAt: now,
         author: userInfo?.login || 'Anonymous',
-        lastModified: now,
-        filename: null // Will be set by the repository when saving
+        lastModified: now
       };
     } else if (!this.isEditing) {
       // Even for non-authenticated users, add basic timestamp for sorting
       const now = new Date().toISOString();
       recipeData.metadata = {
-        createdDate: now,
         createdAt: now,
         lastModified: now
       };
@@ -667,12 +1148,67 @@ class RecipeUI {
     }
   }
 
+  /**
+   * Read the ingredient lines and sections in the order they are listed
+   * Lines above the first section stay ungrouped.
+   * @returns {Array} Ingredients as stored: {text, exportDefault} lines and {section, items} sections
+   */
+  collectIngredients() {
+    const container = document.getElementById('ingredients-container');
+    const ingredients = [];
+    let section = null;
+
+    for (const element of container.children) {
+      if (element.classList.contains('ingredient-section-item')) {
+        section = { section: element.querySelector('.ingredient-section-input').value.trim(), items: [] };
+        ingredients.push(section);
+        continue;
+      }
+
+      const text = element.querySelector('.ingredient-input')?.value.trim();
+      if (!text) continue;
+
+      const checkbox = element.querySelector('.ingredient-added-checkbox');
+      const ingredient = { text, exportDefault: checkbox ? checkbox.checked : true };
+      (section ? section.items : ingredients).push(ingredient);
+    }
+
+    // A section without a name or lines was added and never used
+    return ingredients.filter(entry => !isIngredientSection(entry) || entry.section || entry.items.length > 0);
+  }
+
+  /**
+   * Read the time inputs as minutes
+   * Text that is not a duration is kept as typed, so validation marks the
+   * input - unless it is the free-text cooking time of an older recipe, left as it was.
+   * @returns {Object} prepTime, cookTime, restTime and cookingTime that were filled in
+   */
+  collectTimes() {
+    const times = {};
+    for (const [field, id] of Object.entries(TIME_INPUTS)) {
+      const text = document.getElementById(id).value.trim();
+      if (!text) continue;
+
+      const minutes = parseDuration(text);
+      if (minutes !== null) {
+        times[field] = minutes;
+      } else if (field === 'cookTime' && text === this.editingRecipe?.cookingTime) {
+        times.cookingTime = text;
+      } else {
+        times[field] = text;
+      }
+    }
+    return times;
+  }
+
   // Form manipulation methods (keeping existing functionality)
   clearForm() {
     // Clear basic fields
     document.getElementById('recipe-name').value = '';
     document.getElementById('recipe-servings').value = '4';
-    document.getElementById('recipe-time').value = '';
+    for (const id of Object.values(TIME_INPUTS)) {
+      document.getElementById(id).value = '';
+    }
     
     // Clear tags
     this.setTags('');
@@ -691,13 +1227,19 @@ class RecipeUI {
     // Populate basic fields
     document.getElementById('recipe-name').value = recipe.name || '';
     document.getElementById('recipe-servings').value = recipe.servings || '4';
-    document.getElementById('recipe-time').value = recipe.cookingTime || '';
+    for (const [field, id] of Object.entries(TIME_INPUTS)) {
+      document.getElementById(id).value = formatDuration(parseDuration(recipe[field]));
+    }
+    // Older recipes only have the free-text cooking time
+    if (!document.getElementById('recipe-cook-time').value && recipe.cookingTime) {
+      document.getElementById('recipe-cook-time').value = recipe.cookingTime;
+    }
     
     // Populate tags using the new tag UI
     this.setTags((recipe.tags || []).join(', '));
     
     // Populate ingredients
-    this.populateContainer('ingredients-container', recipe.ingredients || [], 'ingredient-input', t('recipeForm.ingredientPlaceholder'), 'input');
+    this.populateIngredients(recipe.ingredients || []);
     
     // Populate instructions
     this.populateContainer('instructions-container', recipe.instructions || [], 'instruction-input', t('recipeForm.instructionPlaceholder'), 'textarea');
@@ -853,6 +1395,80 @@ class RecipeUI {
     return map[containerId] || '';
   }
 
+  /**
+   * Fill the ingredient list, with a heading row for each named section
+   * @param {Array} ingredients - Ingredients as stored
+   */
+  populateIngredients(ingredients) {
+    const container = document.getElementById('ingredients-container');
+    if (ingredients.length === 0) {
+      this.resetContainer('ingredients-container', 'ingredient-input', t('recipeForm.ingredientPlaceholder'), 'input');
+      return;
+    }
+
+    container.innerHTML = '';
+    for (const { section, items } of getIngredientSections(ingredients)) {
+      if (section !== null) {
+        container.appendChild(this.createIngredientSectionRow(section));
+      }
+      for (const item of items) {
+        const text = typeof item === 'object' ? item.text : item;
+        const exportDefault = typeof item === 'object' && item.exportDefault !== undefined ? item.exportDefault : true;
+        container.appendChild(this.createIngredientRow(text, exportDefault));
+      }
+    }
+  }
+
+  /**
+   * Create the form row of one ingredient
+   * @param {string} text - Ingredient text
+   * @param {boolean} exportDefault - Whether its shopping list checkbox is checked
+   * @returns {HTMLElement} Row
+   */
+  createIngredientRow(text = '', exportDefault = true) {
+    const div = document.createElement('div');
+    div.className = 'ingredient-edit-item mb-2';
+    div.innerHTML = `
+      <div class="input-group">
+        <div class="input-group-text">
+          <input type="checkbox" class="form-check-input ingredient-added-checkbox" title="Uncheck when used" ${exportDefault ? 'checked' : ''}>
+        </div>
+        <input type="text" class="form-control ingredient-input" value="${escapeAttribute(text)}" placeholder="${t('recipeForm.ingredientPlaceholder')}" required>
+        <button class="btn btn-sm remove-btn" type="button" onclick="recipeUI.removeIngredient(this)" title="Remove ingredient">
+          <i class="fas fa-times"></i>
+        </button>
+      </div>
+    `;
+    return div;
+  }
+
+  /**
+   * Create the heading row of an ingredient section
+   * @param {string} name - Section name
+   * @returns {HTMLElement} Row
+   */
+  createIngredientSectionRow(name = '') {
+    const div = document.createElement('div');
+    div.className = 'ingredient-section-item mt-3 mb-2';
+    div.innerHTML = `
+      <div class="input-group">
+        <span class="input-group-text"><i class="fas fa-layer-group"></i></span>
+        <input type="text" class="form-control fw-semibold ingredient-section-input" value="${escapeAttribute(name)}"
+               placeholder="${t('recipeForm.sectionPlaceholder')}" data-i18n-placeholder="recipeForm.sectionPlaceholder">
+        <button class="btn btn-sm btn-outline-secondary" type="button" onclick="recipeUI.moveIngredientSection(this, -1)" title="${t('recipeForm.moveSectionUp')}">
+          <i class="fas fa-arrow-up"></i>
+        </button>
+        <button class="btn btn-sm btn-outline-secondary" type="button" onclick="recipeUI.moveIngredientSection(this, 1)" title="${t('recipeForm.moveSectionDown')}">
+          <i class="fas fa-arrow-down"></i>
+        </button>
+        <button class="btn btn-sm remove-btn" type="button" onclick="recipeUI.removeIngredientSection(this)" title="${t('recipeForm.removeSection')}">
+          <i class="fas fa-times"></i>
+        </button>
+      </div>
+    `;
+    return div;
+  }
+
   // Dynamic input management methods (keeping existing functionality)
   addIngredient() {
     const container = document.getElementById('ingredients-container');
@@ -869,28 +1485,79 @@ class RecipeUI {
       }
     }
     
-    const ingredientDiv = document.createElement('div');
-    ingredientDiv.className = 'ingredient-edit-item mb-2';
-    ingredientDiv.innerHTML = `
-      <div class="input-group">
-        <div class="input-group-text">
-          <input type="checkbox" class="form-check-input ingredient-added-checkbox" title="Uncheck when used" ${inheritedExportDefault ? 'checked' : ''}>
-        </div>
-        <input type="text" class="form-control ingredient-input" placeholder="${t('recipeForm.ingredientPlaceholder')}" required>
-        <button class="btn btn-sm remove-btn" type="button" onclick="recipeUI.removeIngredient(this)" title="Remove ingredient">
-          <i class="fas fa-times"></i>
-        </button>
-      </div>
-    `;
+    const ingredientDiv = this.createIngredientRow('', inheritedExportDefault);
     container.appendChild(ingredientDiv);
     ingredientDiv.querySelector('input[type="text"]').focus();
   }
 
   removeIngredient(button) {
     const container = document.getElementById('ingredients-container');
-    if (container.children.length > 1) {
-      button.parentElement.remove();
+    if (container.querySelectorAll('.ingredient-edit-item').length > 1) {
+      button.closest('.ingredient-edit-item').remove();
+    }
+  }
+
+  /**
+   * Start a new ingredient section at the end of the list, e.g. "Na polevu"
+   */
+  addIngredientSection() {
+    const container = document.getElementById('ingredients-container');
+    const sectionDiv = this.createIngredientSectionRow();
+    container.appendChild(sectionDiv);
+    container.appendChild(this.createIngredientRow());
+    sectionDiv.querySelector('.ingredient-section-input').focus();
+  }
+
+  /**
+   * Remove a section heading; its ingredients join the section above
+   * @param {HTMLElement} button - Remove button of the heading
+   */
+  removeIngredientSection(button) {
+    button.closest('.ingredient-section-item').remove();
+  }
+
+  /**
+   * Move a section with its ingredients past the neighbouring section
+   * Ungrouped ingredients stay on top.
+   * @param {HTMLElement} button - Move button of the heading
+   * @param {number} direction - -1 to move up, 1 to move down
+   */
+  moveIngredientSection(button, direction) {
+    const container = document.getElementById('ingredients-container');
+    const heading = button.closest('.ingredient-section-item');
+    const block = this.getIngredientSectionBlock(heading);
+
+    if (direction < 0) {
+      const previousHeading = this.findSectionHeading(heading.previousElementSibling, 'previousElementSibling');
+      if (previousHeading) {
+        block.forEach(element => container.insertBefore(element, previousHeading));
+      }
+    } else {
+      const nextHeading = this.findSectionHeading(block[block.length - 1].nextElementSibling, 'nextElementSibling');
+      if (nextHeading) {
+        const nextBlock = this.getIngredientSectionBlock(nextHeading);
+        nextBlock.forEach(element => container.insertBefore(element, heading));
+      }
+    }
+  }
+
+  // Heading and ingredient rows of one section
+  getIngredientSectionBlock(heading) {
+    const block = [heading];
+    let element = heading.nextElementSibling;
+    while (element && !element.classList.contains('ingredient-section-item')) {
+      block.push(element);
+      element = element.nextElementSibling;
+    }
+    return block;
+  }
+
+  // Nearest section heading from an element on, walking in one direction
+  findSectionHeading(element, sibling) {
+    while (element && !element.classList.contains('ingredient-section-item')) {
+      element = element[sibling];
     }
+    return element;
   }
 
   addInstruction() {
@@ -970,9 +1637,10 @@ class RecipeUI {
   getIngredientExportDefault(index, text) {
     // When editing, try to preserve original exportDefault values
     if (this.isEditing && this.editingRecipe && this.editingRecipe.ingredients) {
+      const originalIngredients = flattenIngredients(this.editingRecipe.ingredients);
       // Try to match by index first
-      if (index < this.editingRecipe.ingredients.length) {
-        const originalIngredient = this.editingRecipe.ingredients[index];
+      if (index < originalIngredients.length) {
+        const originalIngredient = originalIngredients[index];
         // If the text matches or is close, preserve the exportDefault
         if (originalIngredient.text === text || originalIngredient.text.toLowerCase().includes(text.toLowerCase()) || text.toLowerCase().includes(originalIngredient.text.toLowerCase())) {
           return originalIngredient.exportDefault;
@@ -980,7 +1648,7 @@ class RecipeUI {
       }
       
       // Try to find a matching ingredient by text
-      const matchingIngredient = this.editingRecipe.ingredients.find(ing => 
+      const matchingIngredient = originalIngredients.find(ing => 
         ing.text === text || 
         ing.text.toLowerCase().includes(text.toLowerCase()) || 
         text.toLowerCase().includes(ing.text.toLowerCase())
@@ -0,0 +1,121 @@
+/**
+ * Commit settings store
+ * The commit message template and the people who usually cook along (added
+ * as Co-authored-by trailers), saved to localStorage from the settings dialog.
+ * The recipe editor starts with these co-authors and can change them per save.
+ * Also kept here is whether saved recipes are committed one by one or
+ * collected into a single commit.
+ */
+
+import { DEFAULT_COMMIT_TEMPLATE, buildCommitMessage, parseCoAuthor, splitCoAuthors } from '../utils/commitMessage.js';
+import { ValidationError } from '../utils/errors.js';
+
+// localStorage key holding the saved settings
+const SETTINGS_KEY = 'kuchtik-commit-settings';
+
+// localStorage key holding the chosen sync strategy
+const SYNC_STRATEGY_KEY = 'kuchtik-sync-strategy';
+
+// Sync strategies offered in the settings dialog (see SyncStrategy in RecipeRepository.js)
+export const SYNC_STRATEGIES = ['immediate', 'batch'];
+
+export class CommitSettings {
+  /**
+   * Get the saved settings
+   * @returns {{template: string, coAuthors: string[]}} Settings (defaults when nothing is saved)
+   */
+  get() {
+    let saved = {};
+    try {
+      saved = JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}');
+    } catch {
+      // Corrupt entry - fall back to the defaults
+    }
+    return {
+      template: typeof saved.template === 'string' && saved.template.trim() ? saved.template : DEFAULT_COMMIT_TEMPLATE,
+      coAuthors: Array.isArray(saved.coAuthors) ? splitCoAuthors(saved.coAuthors) : []
+    };
+  }
+
+  /**
+   * Save settings
+   * @param {Object} settings - Settings to save
+   * @param {string} [settings.template] - Commit template (empty for the default)
+   * @param {string|string[]} [settings.coAuthors] - Co-authors, as a list or comma separated
+   * @returns {{template: string, coAuthors: string[]}} The settings in effect afterwards
+   * @throws {ValidationError} When a co-author is not "Name <email>" or a GitHub login
+   */
+  save({ template = '', coAuthors = [] } = {}) {
+    const entries = splitCoAuthors(coAuthors);
+    const invalid = entries.filter(entry => !parseCoAuthor(entry));
+    if (invalid.length > 0) {
+      throw new ValidationError(invalid.map(entry => `coAuthors invalid: ${entry}`), 'Invalid co-authors');
+    }
+
+    const trimmed = String(template ?? '').trim();
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify({
+      template: trimmed === DEFAULT_COMMIT_TEMPLATE ? '' : trimmed,
+      coAuthors: entries
+    }));
+    console.log('⚙️ Commit settings saved');
+    return this.get();
+  }
+
+  /**
+   * Get how saved recipes are uploaded
+   * @returns {'immediate'|'batch'} 'batch' collects changes into one commit, 'immediate' commits each save
+   */
+  getSyncStrategy() {
+    const saved = localStorage.getItem(SYNC_STRATEGY_KEY);
+    return SYNC_STRATEGIES.includes(saved) ? saved : 'immediate';
+  }
+
+  /**
+   * Save how saved recipes are uploaded
+   * @param {'immediate'|'batch'} strategy - Sync strategy
+   * @returns {'immediate'|'batch'} The strategy in effect afterwards
+   * @throws {ValidationError} When the strategy is not one of SYNC_STRATEGIES
+   */
+  saveSyncStrategy(strategy) {
+    if (!SYNC_STRATEGIES.includes(strategy)) {
+      throw new ValidationError([`syncStrategy invalid: ${strategy}`], 'Invalid sync strategy');
+    }
+    localStorage.setItem(SYNC_STRATEGY_KEY, strategy);
+    console.log(`⚙️ Sync strategy saved: ${strategy}`);
+    return strategy;
+  }
+
+  /**
+   * Forget saved settings
+   */
+  reset() {
+    localStorage.removeItem(SETTINGS_KEY);
+    localStorage.removeItem(SYNC_STRATEGY_KEY);
+  }
+
+  /**
+   * Build the commit message for a recipe change with these settings
+   * @param {'create'|'update'|'delete'} type - Change type
+   * @param {Object} recipe - Recipe after the change (the deleted one for deletes)
+   * @param {Object} [options] - Message options
+   * @param {Object|null} [options.previous] - Recipe before an update
+   * @param {{note?: string, coAuthors?: string[]}} [options.commit] - Note and co-authors given for this save;
+   *   co-authors default to the saved ones
+   * @returns {string} Commit message
+   */
+  formatMessage(type, recipe, { previous = null, commit = {} } = {}) {
+    const { template, coAuthors } = this.get();
+    return buildCommitMessage({
+      type,
+      recipe,
+      previous,
+      note: commit?.note,
+      coAuthors: commit?.coAuthors ?? coAuthors,
+      template
+    });
+  }
+}
+
+// Export singleton instance
+export const commitSettings = new CommitSettings();
+export default commitSettings;
@@ -1,13 +1,23 @@
 /**
  * Configuration for GitHub API integration
- * Update the repository settings if your repo details are different
+ * The repository settings are defaults; users can point the app at another
+ * repository at runtime (see repositorySettings.js)
  */
 
 export const CONFIG = {
   // GitHub API settings
   GITHUB_API_BASE: 'https://api.github.com',
   
-  // Repository settings - Update if your repo details are different
+  // Default repository settings (can be changed at runtime, see repositorySettings.js)
   REPO_OWNER: 'etancik',
   REPO_NAME: 'Kuchtik',
+  REPO_BRANCH: 'main',
+  RECIPES_PATH: 'recipes', // Folder holding the recipe JSON files
+  
+  // recipes/index.json embeds full recipes, so public visitors load everything with one download
+  RECIPE_INDEX_INCLUDE_RECIPES: true,
+  
+  // Default API bases for self-hosted forges (can be overridden when the forge is selected)
+  GITEA_API_BASE: 'https://codeberg.org/api/v1',
+  GITLAB_API_BASE: 'https://gitlab.com/api/v4',
 };
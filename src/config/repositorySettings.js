@@ -0,0 +1,377 @@
+/**
+ * Repository settings store
+ * Which repository, branch and folder the recipes live in. Defaults come from
+ * CONFIG, the settings dialog saves changes to localStorage and URL parameters
+ * (?owner=…&repo=…&branch=…&path=…) override both for the current page, so one
+ * deployed copy can show anyone's recipe repository. Every adapter reads
+ * from here instead of CONFIG.
+ *
+ * Additional repositories (e.g. a relative's recipes) can be listed as
+ * sources; their recipes are shown next to the configured repository.
+ */
+
+import { CONFIG } from './github.js';
+import { ValidationError, errorFromResponse } from '../utils/errors.js';
+
+// localStorage key holding the saved settings
+const SETTINGS_KEY = 'kuchtik-repository-settings';
+
+// localStorage key holding the additional sources ("owner/repo@branch:path" each)
+const SOURCES_KEY = 'kuchtik-recipe-sources';
+
+// "owner/repo", optionally followed by "@branch" and ":path"
+const SOURCE_KEY_PATTERN = /^([^/@:\s]+)\/([^/@:\s]+)(?:@([^:\s]+))?(?::(\S+))?$/;
+
+// URL parameter for each setting
+export const SETTINGS_URL_PARAMS = {
+  owner: 'owner',
+  repo: 'repo',
+  branch: 'branch',
+  recipesPath: 'path'
+};
+
+// GitHub owner and repository names; branches and paths are checked more loosely
+const NAME_PATTERN = /^[A-Za-z0-9_.-]+$/;
+const BRANCH_PATTERN = /^[^\s~^:?*[\\]+$/;
+const PATH_PATTERN = /^[^\s\\?#]+(\/[^\s\\?#]+)*$/;
+
+export class RepositorySettings {
+  /**
+   * @param {Object} [options] - Store options
+   * @param {Object} [options.fixed] - Settings of an additional source; nothing is read or saved then
+   */
+  constructor({ fixed = null } = {}) {
+    this.listeners = new Set();
+    this.fixed = fixed ? pickSettings(fixed) : null;
+  }
+
+  /**
+   * Get the settings in effect (defaults ← saved ← URL parameters)
+   * @returns {{owner: string, repo: string, branch: string, recipesPath: string}} Settings
+   */
+  get() {
+    if (this.fixed) {
+      return { ...this.getDefaults(), ...this.fixed };
+    }
+    return { ...this.getDefaults(), ...this.getSaved(), ...this.getUrlOverrides() };
+  }
+
+  // Shorthands for single settings
+  get owner() {
+    return this.get().owner;
+  }
+
+  get repo() {
+    return this.get().repo;
+  }
+
+  get branch() {
+    return this.get().branch;
+  }
+
+  get recipesPath() {
+    return this.get().recipesPath;
+  }
+
+  /**
+   * Settings compiled into src/config/github.js
+   * @returns {Object} Default settings
+   */
+  getDefaults() {
+    return {
+      owner: CONFIG.REPO_OWNER,
+      repo: CONFIG.REPO_NAME,
+      branch: CONFIG.REPO_BRANCH,
+      recipesPath: CONFIG.RECIPES_PATH
+    };
+  }
+
+  /**
+   * Settings saved with the dialog
+   * @returns {Object} Saved settings (only the fields that were set)
+   */
+  getSaved() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}');
+      return pickSettings(saved);
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * Settings given as URL parameters
+   * Malformed values are ignored, so a bad link cannot point requests at other paths.
+   * @returns {Object} Overridden settings (only the valid parameters present)
+   */
+  getUrlOverrides() {
+    if (typeof window === 'undefined') {
+      return {};
+    }
+    const params = new window.URLSearchParams(window.location.search);
+    const overrides = {};
+    for (const [field, param] of Object.entries(SETTINGS_URL_PARAMS)) {
+      if (params.get(param)) {
+        overrides[field] = params.get(param);
+      }
+    }
+
+    const settings = pickSettings(overrides);
+    for (const { field, code } of this.validate(settings)) {
+      if (field in settings) {
+        console.warn(`⚠️ Ignoring ${code} URL parameter "${SETTINGS_URL_PARAMS[field]}":`, settings[field]);
+        delete settings[field];
+      }
+    }
+    return settings;
+  }
+
+  /**
+   * Check if URL parameters override any setting
+   * @returns {boolean} True if the page was opened with settings in the URL
+   */
+  hasUrlOverrides() {
+    return Object.keys(this.getUrlOverrides()).length > 0;
+  }
+
+  /**
+   * Identifies the recipe source, e.g. to tell caches of different repositories apart
+   * @returns {string} "owner/repo@branch:path"
+   */
+  getKey() {
+    return formatKey(this.get());
+  }
+
+  /**
+   * Check if the settings in effect are the compiled-in defaults
+   * @returns {boolean} True when nothing is saved or overridden
+   */
+  isDefault() {
+    const defaults = this.getDefaults();
+    const settings = this.get();
+    return Object.keys(SETTINGS_URL_PARAMS).every(field => settings[field] === defaults[field]);
+  }
+
+  /**
+   * Name of the IndexedDB cache for the current repository
+   * Each repository gets its own cache and upload queue, so recipes and
+   * unsent changes never leak into another one.
+   * @returns {string|null} Database name, or null for the default repository (default cache)
+   */
+  getCacheName() {
+    return this.isDefault() ? null : `kuchtik:${this.getKey()}`;
+  }
+
+  /**
+   * Trim settings and drop unknown or empty fields
+   * @param {Object} settings - Settings as entered
+   * @returns {Object} Normalized settings
+   */
+  normalize(settings) {
+    return pickSettings(settings);
+  }
+
+  /**
+   * Check settings for obvious mistakes (nothing is requested from the API)
+   * @param {Object} settings - Settings to check
+   * @returns {Array<{field: string, code: string}>} Problems; `code` is 'required' or 'invalid'
+   */
+  validate(settings) {
+    const patterns = { owner: NAME_PATTERN, repo: NAME_PATTERN, branch: BRANCH_PATTERN, recipesPath: PATH_PATTERN };
+    const errors = [];
+
+    for (const [field, pattern] of Object.entries(patterns)) {
+      const value = normalize(field, settings[field]);
+      if (!value) {
+        errors.push({ field, code: 'required' });
+      } else if (!pattern.test(value) || value.split('/').includes('..')) {
+        errors.push({ field, code: 'invalid' });
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * Save settings and notify subscribers
+   * Values equal to the defaults are not stored, so later changes to CONFIG still apply.
+   * @param {Object} settings - Owner, repo, branch and recipesPath
+   * @returns {Object} The settings in effect afterwards
+   * @throws {ValidationError} When validate() reports problems
+   */
+  save(settings) {
+    const normalized = pickSettings(settings);
+    const errors = this.validate({ ...this.get(), ...normalized });
+    if (errors.length > 0) {
+      throw new ValidationError(errors.map(({ field, code }) => `${field} ${code}`), 'Invalid repository settings');
+    }
+
+    const defaults = this.getDefaults();
+    const changed = Object.fromEntries(
+      Object.entries(normalized).filter(([field, value]) => value !== defaults[field])
+    );
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(changed));
+    console.log('⚙️ Repository settings saved:', this.getKey());
+    this.notify();
+    return this.get();
+  }
+
+  /**
+   * Forget saved settings (URL parameters still apply)
+   */
+  reset() {
+    localStorage.removeItem(SETTINGS_KEY);
+    this.notify();
+  }
+
+  /**
+   * Get the additional repositories whose recipes are shown as well
+   * @returns {Array<{owner: string, repo: string, branch: string, recipesPath: string}>} Sources in saved order
+   */
+  getSources() {
+    try {
+      const keys = JSON.parse(localStorage.getItem(SOURCES_KEY) || '[]');
+      return keys.map(key => this.parseKey(key)).filter(Boolean);
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Save the additional sources and notify subscribers
+   * @param {Array<Object>} sources - Source settings (branch and recipesPath default like the main repository)
+   * @throws {ValidationError} When a source is malformed
+   */
+  saveSources(sources) {
+    const complete = sources.map(source => ({ ...this.getDefaults(), ...pickSettings(source) }));
+    const errors = complete.flatMap(source => this.validate(source).map(({ field, code }) => `${source.owner}/${source.repo} ${field} ${code}`));
+    if (errors.length > 0) {
+      throw new ValidationError(errors, 'Invalid recipe sources');
+    }
+
+    const keys = [...new Set(complete.map(formatKey))];
+    localStorage.setItem(SOURCES_KEY, JSON.stringify(keys));
+    console.log(`⚙️ Saved ${keys.length} additional recipe sources`);
+    this.notify();
+  }
+
+  /**
+   * Parse a source written as "owner/repo", "owner/repo@branch" or "owner/repo@branch:path"
+   * @param {string} text - Source key, as returned by getKey()
+   * @returns {Object|null} Settings (missing parts are the defaults), or null when malformed
+   */
+  parseKey(text) {
+    const match = SOURCE_KEY_PATTERN.exec(String(text ?? '').trim());
+    if (!match) {
+      return null;
+    }
+    const [, owner, repo, branch, recipesPath] = match;
+    const settings = { ...this.getDefaults(), ...pickSettings({ owner, repo, branch, recipesPath }) };
+    return this.validate(settings).length === 0 ? settings : null;
+  }
+
+  /**
+   * Write a source the short way parseKey() accepts
+   * @param {Object} source - Source settings
+   * @returns {string} "owner/repo", with "@branch" and ":path" only when not the defaults
+   */
+  formatSourceKey({ owner, repo, branch, recipesPath }) {
+    const defaults = this.getDefaults();
+    const branchPart = branch && branch !== defaults.branch ? `@${branch}` : '';
+    const pathPart = recipesPath && recipesPath !== defaults.recipesPath ? `:${recipesPath}` : '';
+    return `${owner}/${repo}${branchPart}${pathPart}`;
+  }
+
+  /**
+   * Subscribe to saved changes
+   * @param {function(Object): void} listener - Called with get()
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * GitHub REST path of the repository
+   * @returns {string} "repos/{owner}/{repo}"
+   */
+  getRepoPath() {
+    const { owner, repo } = this.get();
+    return `repos/${owner}/${repo}`;
+  }
+
+  /**
+   * Path of a file in the recipes folder, relative to the repository root
+   * @param {string} [filename] - Recipe filename (the folder itself without it)
+   * @returns {string} e.g. "recipes/gulas.json"
+   */
+  getRecipePath(filename = '') {
+    return filename ? `${this.recipesPath}/${filename}` : this.recipesPath;
+  }
+
+  /**
+   * Notify subscribers about a change
+   * @private
+   */
+  notify() {
+    const settings = this.get();
+    for (const listener of this.listeners) {
+      try {
+        listener(settings);
+      } catch (error) {
+        console.error('Repository settings listener failed:', error);
+      }
+    }
+  }
+}
+
+/**
+ * Run an adapter's repository checks in order and report the first that fails
+ * Adapters list one request per setting (repository, branch, recipes folder),
+ * so a 404 tells which setting is wrong.
+ * @param {Array<[string, function(): Promise<Response>]>} checks - Setting name and its request
+ * @returns {Promise<{field: string, code: string}|null>} `code` is 'notFound' or 'forbidden'; null when all exist
+ * @throws {Error} For other failed responses
+ */
+export async function findInvalidSetting(checks) {
+  for (const [field, request] of checks) {
+    const response = await request();
+    if (response.ok) {
+      continue;
+    }
+    if (response.status === 404) {
+      return { field, code: 'notFound' };
+    }
+    if (response.status === 401 || response.status === 403) {
+      return { field, code: 'forbidden' };
+    }
+    throw errorFromResponse(response, `Failed to check ${field}`);
+  }
+  return null;
+}
+
+// "owner/repo@branch:path" of complete settings
+function formatKey({ owner, repo, branch, recipesPath }) {
+  return `${owner}/${repo}@${branch}:${recipesPath}`;
+}
+
+// Trim a setting; the recipes path loses leading and trailing slashes
+function normalize(field, value) {
+  const text = typeof value === 'string' ? value.trim() : '';
+  return field === 'recipesPath' ? text.replace(/^\/+|\/+$/g, '') : text;
+}
+
+// Keep the known, non-empty settings
+function pickSettings(settings) {
+  const picked = {};
+  for (const field of Object.keys(SETTINGS_URL_PARAMS)) {
+    const value = normalize(field, settings?.[field]);
+    if (value) {
+      picked[field] = value;
+    }
+  }
+  return picked;
+}
+
+export const repositorySettings = new RepositorySettings();
+export default repositorySettings;
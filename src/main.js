@@ -2,15 +2,24 @@
  * Refactored Main application entry point using RecipeRepository
  */
 
-import RecipeRepository from './repositories/RecipeRepository.js';
-import { renderRecipeCard } from './components/RecipeCard.js';
+import RecipeRepository, { SyncStrategy } from './repositories/RecipeRepository.js';
+import { renderRecipeCard, createRecipeCard, getRecipeCardId } from './components/RecipeCard.js';
 import { getSelectedRecipeNames, collectIngredientsGroupedByRecipe, searchRecipesWithHighlighting, generateFilenameFromRecipeName } from './utils/recipeUtils.js';
 import { recipeUI } from './components/RecipeUI.js';
 import { githubAuth } from './services/githubAuth.js';
+import { recipeModeManager, RecipeMode } from './adapters/RecipeModeManager.js';
 import { ingredientsExportService } from './services/ingredientsExport.js';
 import { i18n, t } from './i18n/i18n.js';
 import { handleFullscreenNavigation, initializeFullscreenFromUrl } from './services/fullscreenRecipe.js';
 import { skeletonCardService } from './services/skeletonCardService.js';
+import { rateLimiter, RateLimitError } from './utils/rateLimit.js';
+import { formatError } from './utils/errors.js';
+import { repositorySettings } from './config/repositorySettings.js';
+import { commitSettings } from './config/commitSettings.js';
+import { repositorySettingsDialog } from './services/repositorySettingsDialog.js';
+import { recipeSuggestions } from './services/recipeSuggestions.js';
+import { recipeDrafts } from './services/recipeDrafts.js';
+import { getRecipeTimes, isReadyWithin } from './utils/duration.js';
 
 // Application state
 const state = {
@@ -18,9 +27,49 @@ const state = {
   recipes: [],
   filteredRecipes: [], // Store filtered results
   currentSearchQuery: '',
-  recipeListElement: null
+  sourceFilter: '', // Source id to show, '' for all sources
+  maxTotalTime: null, // Only recipes ready within this many minutes, null for any
+  sortOrder: 'recent', // 'recent', 'quickest' or 'name'
+  recipeListElement: null,
+  rateLimitTimer: null, // Ticks the quota reset countdown
+  rateLimitedRetryTimer: null // Ticks the countdown of the rate limited recipe list, then loads it again
 };
 
+/**
+ * Sort recipes in the order chosen on the main page
+ * @param {Array} recipes - Array of recipe objects to sort
+ * @returns {Array} Sorted array of recipes
+ */
+function sortRecipes(recipes) {
+  if (state.sortOrder === 'name') {
+    return recipes.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+  }
+  if (state.sortOrder === 'quickest') {
+    return sortRecipesByTotalTime(recipes);
+  }
+  return sortRecipesByDate(recipes);
+}
+
+/**
+ * Sort recipes by total time (quickest first, unknown times last)
+ * @param {Array} recipes - Array of recipe objects to sort
+ * @returns {Array} Sorted array of recipes
+ */
+function sortRecipesByTotalTime(recipes) {
+  const totals = new Map(recipes.map(recipe => [recipe, getRecipeTimes(recipe).total ?? Infinity]));
+  return recipes.sort((a, b) =>
+    totals.get(a) - totals.get(b) || (a.name || '').localeCompare(b.name || '')
+  );
+}
+
+/**
+ * Check whether the list is narrowed by a search or a filter
+ * @returns {boolean} True when some recipes may be hidden
+ */
+function hasActiveFilters() {
+  return Boolean(state.currentSearchQuery || state.sourceFilter || state.maxTotalTime);
+}
+
 /**
  * Sort recipes by lastModified date (most recently modified first)
  * @param {Array} recipes - Array of recipe objects to sort
@@ -72,19 +121,28 @@ async function initializeApp() {
   // Initialize RecipeRepository
   try {
     state.repository = new RecipeRepository({
-      syncStrategy: 'immediate',
+      syncStrategy: commitSettings.getSyncStrategy(), // Chosen in the repository settings dialog
+      batchDelay: 60 * 1000, // Batched changes are committed after a quiet minute, or with "Commit now"
       cacheExpiry: 5 * 60 * 1000, // 5 minutes
       enableOptimisticUpdates: true,
       maxRetries: 3,
-      retryDelay: 1000
+      retryDelay: 1000,
+      cacheName: repositorySettings.getCacheName() // Separate cache per configured repository
     });
     
     // Auto-select the appropriate adapter based on authentication
     await setupRepositoryAdapter();
     
+    // Restore recipes persisted in IndexedDB so the first paint works offline
+    await state.repository.hydrate();
+    
     // Set up repository event handlers
     setupRepositoryEventHandlers();
     
+    // Upload changes left over from a previous session (no-op when offline)
+    updatePendingChangesIndicator();
+    state.repository.replayPendingOperations();
+    
     // Update UI button states
     updateAuthStatus();
     
@@ -127,7 +185,7 @@ async function initializeApp() {
     state.recipes = await state.repository.getAll();
     
     // Sort recipes with most recently modified first
-    sortRecipesByDate(state.recipes);
+    sortRecipes(state.recipes);
     
     state.filteredRecipes = state.recipes.map(recipe => ({ 
       recipe, 
@@ -161,6 +219,14 @@ async function initializeApp() {
     console.error('❌ Failed to initialize RecipeUI:', error);
   }
 
+  // Check whether suggested recipes were merged meanwhile (no-op without any)
+  refreshSuggestions().catch(error => {
+    console.warn('⚠️ Failed to check recipe suggestions:', error);
+  });
+  
+  // List the signed-in user's drafts
+  refreshDrafts();
+
   // Setup export button
   exportBtn.addEventListener('click', handleExportClick);
   
@@ -176,9 +242,33 @@ async function initializeApp() {
     }, 300);
   });
   
+  // Setup source filter
+  document.getElementById('sourceFilter')?.addEventListener('change', (e) => {
+    state.sourceFilter = e.target.value;
+    performSearch(state.currentSearchQuery);
+  });
+  
+  // Setup total time filter and sort order
+  document.getElementById('timeFilter')?.addEventListener('change', (e) => {
+    state.maxTotalTime = Number(e.target.value) || null;
+    performSearch(state.currentSearchQuery);
+  });
+  document.getElementById('sortOrder')?.addEventListener('change', (e) => {
+    state.sortOrder = e.target.value;
+    sortRecipes(state.recipes);
+    performSearch(state.currentSearchQuery);
+  });
+  
   // Setup recipe selection change handler
   setupRecipeSelectionHandler(exportBtn);
   
+  // Setup repository settings button
+  document.getElementById('repositorySettingsBtn')?.addEventListener('click', () => {
+    repositorySettingsDialog.show({ repository: state.repository }).catch(error => {
+      console.error('❌ Failed to open repository settings:', error);
+    });
+  });
+  
   // Setup create recipe button
   const createBtn = document.getElementById('createRecipeBtn');
   if (createBtn) {
@@ -199,6 +289,7 @@ async function initializeApp() {
           // Re-setup repository with authenticated adapter
           await setupRepositoryAdapter();
           updateAuthStatus();
+          state.repository.replayPendingOperations();
           console.log('✅ Authentication successful, switched to authenticated mode');
         } else {
           console.log('❌ Authentication failed');
@@ -246,19 +337,15 @@ async function initializeApp() {
 
 /**
  * Set up the appropriate repository adapter based on authentication status
+ * (authenticated GitHub, local browser storage or public read-only)
  */
 async function setupRepositoryAdapter() {
   try {
-    // Check if user is authenticated
-    if (githubAuth.isAuthenticated()) {
-      console.log('🔑 User authenticated - using full GitHub API adapter');
-      const { gitHubAPIAdapter } = await import('./adapters/GitHubAPIAdapter.js');
-      state.repository.setGitHubAPI(gitHubAPIAdapter);
-    } else {
-      console.log('🌍 No authentication - using public read-only adapter');
-      const { publicGitHubAdapter } = await import('./adapters/PublicGitHubAdapter.js');
-      state.repository.setGitHubAPI(publicGitHubAdapter);
-    }
+    await recipeModeManager.autoDetectMode();
+    state.repository.setCacheName(recipeModeManager.getCacheName());
+    state.repository.setGitHubAPI(recipeModeManager.getAdapter());
+    state.repository.setSources(recipeModeManager.createAdditionalSources());
+    updateSourceFilter();
   } catch (error) {
     console.error('❌ Failed to setup repository adapter:', error);
     // Fallback to public adapter
@@ -288,6 +375,129 @@ function setupRepositoryEventHandlers() {
     console.log('✅ Repository operation success:', event);
     refreshRecipesFromCache();
   });
+
+  // Incremental sync reports exactly which recipes changed - patch the grid
+  state.repository.on('recipesChanged', applyRecipeChanges);
+
+  // Keep the "changes waiting to upload" badge in sync with the queue
+  state.repository.on('queueChanged', updatePendingChangesIndicator);
+  window.addEventListener('online', updatePendingChangesIndicator);
+  window.addEventListener('offline', updatePendingChangesIndicator);
+
+  // Show the GitHub API quota as responses come in
+  rateLimiter.subscribe(updateRateLimitIndicator);
+
+  // Sent or finished suggestions change the pending badges
+  recipeSuggestions.subscribe(() => performSearch(state.currentSearchQuery));
+
+  // Drafts are listed in their own section
+  recipeDrafts.subscribe(renderDrafts);
+
+  // A rejected token pauses uploads; ask for a new one and resume
+  state.repository.on('syncPaused', handleTokenExpired);
+  state.repository.on('syncResumed', updatePendingChangesIndicator);
+  githubAuth.onTokenExpired(handleTokenExpired);
+
+  // Clicking the badge while paused reopens the token prompt (e.g. after it was cancelled)
+  document.getElementById('pendingChangesIndicator')?.addEventListener('click', () => {
+    if (state.repository.isSyncPaused()) {
+      handleTokenExpired();
+    }
+  });
+
+  // Batched changes can be committed without waiting for the batch delay
+  document.getElementById('commitNowBtn')?.addEventListener('click', commitPendingChanges);
+}
+
+/**
+ * Commit the changes collected for a batch right away
+ * Failures are rolled back and reported by the repository like any other sync.
+ */
+async function commitPendingChanges() {
+  const button = document.getElementById('commitNowBtn');
+  if (button) button.disabled = true;
+
+  try {
+    await state.repository.flushBatch();
+  } catch (error) {
+    console.error('❌ Failed to commit pending changes:', error);
+    alert(t('operations.commitFailed', { error: formatError(error) }));
+  } finally {
+    if (button) button.disabled = false;
+    updatePendingChangesIndicator();
+  }
+}
+
+/**
+ * Ask for a new token after GitHub rejected the stored one
+ * Uploads stay paused (and queued) meanwhile. Nothing is reloaded, so an
+ * open recipe form keeps whatever the user has typed.
+ */
+async function handleTokenExpired() {
+  if (!state.repository || !githubAuth.isAuthenticated()) return;
+
+  state.repository.pauseSync();
+  updatePendingChangesIndicator();
+
+  const renewed = await githubAuth.reauthenticate();
+  if (!renewed) {
+    console.log('🔒 Token not renewed, queued changes stay paused');
+    return;
+  }
+
+  // The new token may belong to someone who can't push
+  const writable = await recipeModeManager.verifyWriteAccess();
+  updateAuthStatus();
+  await refreshRecipesFromCache();
+  if (!writable) {
+    console.log('🔒 New token is read-only, queued changes stay paused');
+    return;
+  }
+
+  await state.repository.resumeSync();
+  updatePendingChangesIndicator();
+}
+
+/**
+ * Show how many changes are queued for upload
+ */
+function updatePendingChangesIndicator() {
+  const indicator = document.getElementById('pendingChangesIndicator');
+  const text = document.getElementById('pendingChangesText');
+  if (!indicator || !text || !state.repository) return;
+
+  const { pendingCount, offline, paused } = state.repository.getSyncStatus();
+
+  const commitNowButton = document.getElementById('commitNowBtn');
+  if (commitNowButton) {
+    const batching = state.repository.config.syncStrategy === SyncStrategy.BATCH;
+    commitNowButton.style.display = batching && pendingCount > 0 && !offline && !paused ? 'inline-flex' : 'none';
+  }
+
+  if (pendingCount === 0) {
+    indicator.style.display = 'none';
+    return;
+  }
+
+  let key;
+  if (pendingCount === 1) {
+    key = 'operations.pendingChanges1';
+  } else if (pendingCount <= 4) {
+    key = 'operations.pendingChanges2to4';
+  } else {
+    key = 'operations.pendingChanges5plus';
+  }
+
+  text.textContent = t(key, { count: pendingCount });
+  if (offline) {
+    indicator.title = t('operations.pendingChangesOffline');
+  } else if (paused) {
+    indicator.title = t('operations.pendingChangesSignIn');
+  } else {
+    indicator.title = '';
+  }
+  indicator.style.cursor = paused ? 'pointer' : '';
+  indicator.style.display = 'inline-flex';
 }
 
 /**
@@ -368,6 +578,11 @@ function updateHTMLTranslations() {
     const key = element.getAttribute('data-i18n-placeholder');
     element.placeholder = t(key);
   });
+  
+  // Update tooltips
+  document.querySelectorAll('[data-i18n-title]').forEach(element => {
+    element.title = t(element.getAttribute('data-i18n-title'));
+  });
 }
 
 /**
@@ -391,6 +606,8 @@ function setupLanguageSwitcher() {
       const newLang = link.getAttribute('data-lang');
       if (newLang !== currentLang) {
         await i18n.setLanguage(newLang);
+        updatePendingChangesIndicator();
+        updateSourceFilter();
         // Update modal translations if RecipeUI is available
         if (window.recipeUI && window.recipeUI.updateModalTranslations) {
           window.recipeUI.updateModalTranslations();
@@ -409,10 +626,10 @@ async function refreshRecipesFromCache() {
     state.recipes = await state.repository.getAll();
     
     // Sort recipes with most recently modified first
-    sortRecipesByDate(state.recipes);
+    sortRecipes(state.recipes);
     
-    // Re-apply current search if any
-    if (state.currentSearchQuery) {
+    // Re-apply current search and source filter if any
+    if (hasActiveFilters()) {
       performSearch(state.currentSearchQuery);
     } else {
       state.filteredRecipes = state.recipes.map(recipe => ({ 
@@ -427,6 +644,209 @@ async function refreshRecipesFromCache() {
   }
 }
 
+/**
+ * Format the time until a timestamp as m:ss (or h:mm:ss)
+ * @param {number} timestamp - Target time (ms since epoch)
+ * @returns {string} Countdown text
+ */
+function formatCountdown(timestamp) {
+  const totalSeconds = Math.max(Math.ceil((timestamp - Date.now()) / 1000), 0);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+}
+
+/**
+ * Show the GitHub API quota, with a countdown to the reset while it is exhausted
+ */
+function updateRateLimitIndicator() {
+  const indicator = document.getElementById('rateLimitIndicator');
+  const text = document.getElementById('rateLimitText');
+  if (!indicator || !text) return;
+
+  const { limit, remaining, resetAt, pausedUntil } = rateLimiter.getStatus();
+  const usesGitHub = [RecipeMode.AUTHENTICATED, RecipeMode.PUBLIC].includes(recipeModeManager.getMode());
+
+  if (state.rateLimitTimer) {
+    window.clearTimeout(state.rateLimitTimer);
+    state.rateLimitTimer = null;
+  }
+
+  if (!usesGitHub || limit === null || remaining === null) {
+    indicator.style.display = 'none';
+    return;
+  }
+
+  const exhaustedUntil = pausedUntil || (remaining === 0 && resetAt > Date.now() ? resetAt : null);
+  indicator.classList.remove('bg-light', 'text-muted', 'bg-warning', 'text-dark', 'bg-danger');
+
+  if (exhaustedUntil) {
+    text.textContent = t('navigation.rateLimitExhausted', { countdown: formatCountdown(exhaustedUntil) });
+    indicator.classList.add('bg-danger');
+    state.rateLimitTimer = window.setTimeout(updateRateLimitIndicator, 1000);
+  } else {
+    text.textContent = t('navigation.rateLimitQuota', { remaining, limit });
+    indicator.classList.add(...(remaining < limit * 0.1 ? ['bg-warning', 'text-dark'] : ['bg-light', 'text-muted']));
+  }
+
+  indicator.title = resetAt ? t('navigation.rateLimitQuotaHelp', { time: new Date(resetAt).toLocaleTimeString() }) : '';
+  indicator.style.display = 'inline-flex';
+}
+
+/**
+ * Stop waiting for the rate limit to reset (the recipe list is shown again)
+ */
+function stopRateLimitedRetry() {
+  if (state.rateLimitedRetryTimer) {
+    window.clearInterval(state.rateLimitedRetryTimer);
+    state.rateLimitedRetryTimer = null;
+  }
+}
+
+/**
+ * Show that the rate limit is exhausted and load the recipes again once it resets
+ * @param {RateLimitError} error - Rate limit error with the reset time
+ */
+function showRateLimitedError(error) {
+  stopRateLimitedRetry();
+
+  const render = () => {
+    if (!state.recipeListElement) return;
+    state.recipeListElement.innerHTML = `
+      <div class="col-12">
+        <div class="alert alert-warning" role="alert">
+          <h4 class="alert-heading"><i class="fas fa-hourglass-half me-2"></i>${t('recipes.rateLimitedTitle')}</h4>
+          <p class="mb-0">${t('recipes.rateLimitedMessage', { countdown: formatCountdown(error.resetAt) })}</p>
+          ${githubAuth.isAuthenticated() ? '' : `<p class="mb-0 mt-2">${t('recipes.rateLimitedSignIn')}</p>`}
+        </div>
+      </div>
+    `;
+  };
+  render();
+
+  state.rateLimitedRetryTimer = window.setInterval(async () => {
+    if (Date.now() < error.resetAt) {
+      render();
+      return;
+    }
+
+    stopRateLimitedRetry();
+    try {
+      state.recipes = await state.repository.getAll({ forceRefresh: true });
+      sortRecipes(state.recipes);
+      performSearch(state.currentSearchQuery);
+    } catch (retryError) {
+      console.error('❌ Failed to load recipes after the rate limit reset:', retryError);
+      showLoadingError(retryError);
+    }
+  }, 1000);
+}
+
+/**
+ * Apply the result of an incremental sync to the recipe list
+ * Without an active search only the affected cards are replaced, removed or inserted.
+ * @param {{added: Object[], changed: Object[], removed: Object[]}} diff - Changed recipes
+ */
+function applyRecipeChanges(diff) {
+  const removedIds = new Set(diff.removed.map(getRecipeCardId));
+  const changedById = new Map(diff.changed.map(recipe => [getRecipeCardId(recipe), recipe]));
+
+  state.recipes = state.recipes
+    .filter(recipe => !removedIds.has(getRecipeCardId(recipe)))
+    .map(recipe => changedById.get(getRecipeCardId(recipe)) || recipe)
+    .concat(diff.added);
+  sortRecipes(state.recipes);
+
+  // Search results, highlighting and the source filter depend on the whole list
+  if (hasActiveFilters()) {
+    performSearch(state.currentSearchQuery);
+    return;
+  }
+
+  state.filteredRecipes = state.recipes.map(recipe => ({ 
+    recipe, 
+    matches: { name: [], tags: [], ingredients: [] }, 
+    shouldExpand: false 
+  }));
+
+  const container = state.recipeListElement;
+  const hasCards = container?.querySelector('[data-recipe-id]');
+  if (!container || !hasCards || state.recipes.length === 0) {
+    renderRecipes(state.filteredRecipes);
+    return;
+  }
+
+  const cardsById = new Map(Array.from(container.querySelectorAll('[data-recipe-id]'))
+    .map(card => [card.dataset.recipeId, card]));
+
+  for (const id of removedIds) {
+    cardsById.get(id)?.remove();
+    cardsById.delete(id);
+  }
+
+  // Changed cards are rebuilt and placed like new ones, a rename may move them
+  const selectedIds = new Set();
+  for (const id of changedById.keys()) {
+    const oldCard = cardsById.get(id);
+    if (!oldCard) continue;
+    // Keep the shopping list selection
+    if (oldCard.querySelector('.selectRecipe')?.checked) {
+      selectedIds.add(id);
+    }
+    oldCard.remove();
+    cardsById.delete(id);
+  }
+
+  // Insert new and changed cards before the next recipe in sort order, or at the end
+  const placedIds = new Set([...diff.added.map(getRecipeCardId), ...changedById.keys()]);
+  state.recipes.forEach((recipe, index) => {
+    const id = getRecipeCardId(recipe);
+    if (!placedIds.has(id) || cardsById.has(id)) return;
+
+    const card = createRecipeCard(recipe, getCardOptions(recipe));
+    if (!card) return;
+    card.querySelector('.selectRecipe').checked = selectedIds.has(id);
+    const next = state.recipes.slice(index + 1).map(getRecipeCardId).find(nextId => cardsById.has(nextId));
+    container.insertBefore(card, next ? cardsById.get(next) : null);
+    cardsById.set(id, card);
+  });
+
+  const exportBtn = document.getElementById('exportBtn');
+  if (exportBtn) {
+    updateExportButtonVisibility(exportBtn);
+  }
+  showDownloadedPhotos(container, [...diff.added, ...diff.changed]);
+  console.log(`🧩 Patched recipe grid: ${diff.added.length} added, ${diff.changed.length} changed, ${diff.removed.length} removed`);
+}
+
+/**
+ * Add photos that have to be downloaded first (private repositories) to cards already shown
+ * @param {HTMLElement} container - Recipe or draft list
+ * @param {Object[]} recipes - Recipes listed in it
+ */
+async function showDownloadedPhotos(container, recipes) {
+  if (!state.repository || !container) return;
+
+  const loaded = await state.repository.loadImages(recipes);
+  if (loaded.length === 0) return;
+
+  const cardsById = new Map(Array.from(container.querySelectorAll('[data-recipe-id]'))
+    .map(card => [card.dataset.recipeId, card]));
+  for (const recipe of loaded) {
+    const card = cardsById.get(getRecipeCardId(recipe));
+    const checkbox = card?.querySelector('.checkbox-container');
+    if (!checkbox || card.querySelector('.recipe-card-thumbnail')) continue;
+
+    const image = document.createElement('img');
+    image.className = 'recipe-card-thumbnail';
+    image.src = state.repository.getImageUrl(recipe);
+    image.alt = '';
+    image.decoding = 'async';
+    checkbox.after(image);
+  }
+}
+
 /**
  * Show loading error message
  * @param {Error} error - The error that occurred
@@ -434,11 +854,16 @@ async function refreshRecipesFromCache() {
 function showLoadingError(error) {
   if (!state.recipeListElement) return;
   
+  if (error instanceof RateLimitError) {
+    showRateLimitedError(error);
+    return;
+  }
+  
   state.recipeListElement.innerHTML = `
     <div class="col-12">
       <div class="alert alert-warning" role="alert">
         <h4 class="alert-heading">${t('recipes.loadingError')}</h4>
-        <p>${t('recipes.loadingErrorMessage', { error: error.message })}</p>
+        <p>${t('recipes.loadingErrorMessage', { error: formatError(error) })}</p>
         <hr>
         <p class="mb-0">${t('recipes.connectionMessage')}</p>
         <button class="btn btn-primary mt-2" onclick="location.reload()">${t('common.retry')}</button>
@@ -453,13 +878,21 @@ function showLoadingError(error) {
  */
 function renderRecipes(recipes) {
   if (!state.recipeListElement) return;
+  stopRateLimitedRetry();
   
   // Clear existing recipes
   state.recipeListElement.innerHTML = '';
   
+  // Suggested new recipes are listed until their pull request is merged
+  if (!hasActiveFilters()) {
+    const listedIds = new Set(state.recipes.map(getRecipeCardId));
+    const pending = recipeSuggestions.getPendingRecipes().filter(recipe => !listedIds.has(getRecipeCardId(recipe)));
+    recipes = [...pending, ...recipes];
+  }
+  
   if (recipes.length === 0) {
     // Show appropriate empty state message
-    const isSearching = state.currentSearchQuery && state.currentSearchQuery.trim() !== '';
+    const isSearching = hasActiveFilters();
     const title = isSearching ? t('recipes.noResultsTitle') : t('recipes.noRecipesTitle');
     const message = isSearching ? t('recipes.noResultsMessage') : t('recipes.noRecipesMessage');
     
@@ -468,7 +901,7 @@ function renderRecipes(recipes) {
         <div class="alert alert-info text-center" role="alert">
           <h4><i class="fas fa-${isSearching ? 'search' : 'utensils'} me-2"></i>${title}</h4>
           <p>${message}</p>
-          ${!isSearching && githubAuth.isAuthenticated() ? 
+          ${!isSearching && (recipeModeManager.canEdit() || recipeModeManager.canSuggest()) ? 
             `<button class="btn btn-primary" onclick="recipeUI.showCreateForm()"><i class="fas fa-plus me-2"></i>${t('recipes.createRecipe')}</button>` : 
             !isSearching ? `<p><i class="fas fa-info-circle me-2"></i>${t('recipes.signInToManage')}</p>` : ''
           }
@@ -486,8 +919,9 @@ function renderRecipes(recipes) {
       shouldExpand: item.shouldExpand || false
     } : {};
     
-    renderRecipeCard(recipe, state.recipeListElement, options);
+    renderRecipeCard(recipe, state.recipeListElement, { ...options, ...getCardOptions(recipe) });
   });
+  showDownloadedPhotos(state.recipeListElement, recipes.map(item => item.recipe || item));
   
   // Update export button visibility after rendering
   const exportBtn = document.getElementById('exportBtn');
@@ -496,6 +930,37 @@ function renderRecipes(recipes) {
   }
 }
 
+/**
+ * Show the signed-in user's drafts above the recipes (hidden without any)
+ * @param {Object[]} drafts - Draft recipes
+ */
+function renderDrafts(drafts) {
+  const section = document.getElementById('draftsSection');
+  const list = document.getElementById('draftList');
+  if (!section || !list) return;
+  
+  list.innerHTML = '';
+  drafts.forEach(draft => renderRecipeCard(draft, list, { draft: true, imageUrl: state.repository?.getImageUrl(draft) ?? null }));
+  showDownloadedPhotos(list, drafts);
+  section.classList.toggle('d-none', drafts.length === 0);
+}
+
+/**
+ * Load the drafts of the signed-in user (none without push access)
+ * Failures only hide the drafts; the recipes work without them.
+ */
+async function refreshDrafts() {
+  if (!recipeModeManager.canDraft()) {
+    renderDrafts([]);
+    return;
+  }
+  try {
+    await recipeDrafts.load();
+  } catch (error) {
+    console.warn('⚠️ Failed to load drafts:', error);
+  }
+}
+
 // Make renderRecipes available globally for RecipeUI
 window.renderRecipes = renderRecipes;
 
@@ -505,6 +970,67 @@ window.recipeUI = recipeUI;
 // Make repository available globally if needed
 window.recipeRepository = state.repository;
 
+/**
+ * Label of the badge telling where a recipe comes from
+ * @param {Object} recipe - Recipe object
+ * @returns {string|null} Source label, or null while only the own recipes are shown
+ */
+function getSourceLabel(recipe) {
+  if (!state.repository || state.repository.getSources().length < 2) {
+    return null;
+  }
+  return state.repository.getRecipeSource(recipe).label || t('sources.own');
+}
+
+/**
+ * Card options for a recipe: its source badge, an open suggestion and its photo
+ * @param {Object} recipe - Recipe object
+ * @returns {{sourceLabel: string|null, suggestion: Object|null, imageUrl: string|null}} Options for createRecipeCard()
+ */
+function getCardOptions(recipe) {
+  return {
+    sourceLabel: getSourceLabel(recipe),
+    suggestion: recipe.metadata?.source ? null : recipeSuggestions.getPendingFor(getRecipeCardId(recipe)),
+    imageUrl: state.repository ? state.repository.getImageUrl(recipe) : null
+  };
+}
+
+/**
+ * Forget suggestions whose pull request was merged or closed
+ * Merged ones are announced; their recipes arrive with the next sync.
+ */
+async function refreshSuggestions() {
+  if (!githubAuth.isAuthenticated() || recipeSuggestions.getAll().length === 0) return;
+  
+  const finished = await recipeSuggestions.refreshStatus();
+  for (const suggestion of finished.filter(entry => entry.merged)) {
+    recipeUI.showSuccessMessage(t('suggestions.merged', { recipeName: suggestion.name, number: suggestion.number }));
+  }
+}
+
+/**
+ * Fill the source filter with the configured sources (hidden with just one)
+ */
+function updateSourceFilter() {
+  const select = document.getElementById('sourceFilter');
+  if (!select || !state.repository) return;
+  
+  const sources = state.repository.getSources();
+  if (!sources.some(source => source.id === state.sourceFilter)) {
+    state.sourceFilter = '';
+  }
+  
+  // Labels come from repository names, so they are set as text, never as HTML
+  select.replaceChildren(...[{ id: '', label: t('sources.all') }, ...sources].map(source => {
+    const option = document.createElement('option');
+    option.value = source.id;
+    option.textContent = source.label || t('sources.own');
+    return option;
+  }));
+  select.value = state.sourceFilter;
+  select.classList.toggle('d-none', sources.length < 2);
+}
+
 /**
  * Perform search and update the display
  * @param {string} query - Search query
@@ -512,16 +1038,23 @@ window.recipeRepository = state.repository;
 function performSearch(query) {
   state.currentSearchQuery = query;
   
+  let recipes = state.sourceFilter
+    ? state.recipes.filter(recipe => state.repository.getRecipeSource(recipe).id === state.sourceFilter)
+    : state.recipes;
+  if (state.maxTotalTime) {
+    recipes = recipes.filter(recipe => isReadyWithin(recipe, state.maxTotalTime));
+  }
+  
   if (!query) {
     // No search query - show all recipes
-    state.filteredRecipes = state.recipes.map(recipe => ({ 
+    state.filteredRecipes = recipes.map(recipe => ({ 
       recipe, 
       matches: { name: [], tags: [], ingredients: [] }, 
       shouldExpand: false 
     }));
   } else {
     // Perform search with highlighting
-    state.filteredRecipes = searchRecipesWithHighlighting(state.recipes, query, 0.1);
+    state.filteredRecipes = searchRecipesWithHighlighting(recipes, query, 0.1);
   }
   
   // Re-render with filtered results and highlighting
@@ -561,6 +1094,7 @@ async function handleExportClick() {
 function updateAuthStatus() {
   const authBtn = document.getElementById('authBtn');
   const createBtn = document.getElementById('createRecipeBtn');
+  const localModeBtn = document.getElementById('localModeBtn');
   
   console.log('🔧 DEBUG: updateAuthStatus called');
   console.log('🔧 DEBUG: isAuthenticated:', githubAuth.isAuthenticated());
@@ -568,16 +1102,29 @@ function updateAuthStatus() {
   
   if (!authBtn) return;
   
+  updateRateLimitIndicator();
+  
   if (githubAuth.isAuthenticated()) {
     const userInfo = githubAuth.getUserInfo();
     const userName = userInfo?.name || userInfo?.login || t('navigation.user');
-    authBtn.innerHTML = `<i class="fas fa-user me-2"></i>${userName}`;
+    const readOnlyReason = recipeModeManager.getReadOnlyReason();
+    authBtn.innerHTML = readOnlyReason
+      ? `<i class="fas fa-lock me-2"></i>${userName} <small>(${t('auth.readOnly')})</small>`
+      : `<i class="fas fa-user me-2"></i>${userName}`;
+    authBtn.title = readOnlyReason ? t(`auth.readOnlyReasons.${readOnlyReason}`) : '';
     authBtn.classList.remove('btn-outline-primary');
     authBtn.classList.add('btn-outline-success');
     
-    if (createBtn) {
+    if (localModeBtn) {
+      localModeBtn.style.setProperty('display', 'none', 'important');
+    }
+    
+    if (createBtn && (recipeModeManager.canEdit() || recipeModeManager.canSuggest())) {
       createBtn.style.setProperty('display', 'inline-flex', 'important'); // Match updateButtonStates display style
       console.log('🔧 DEBUG: Showing create button for authenticated user');
+    } else if (createBtn) {
+      // Signed in with a token that can't push or fork
+      createBtn.style.setProperty('display', 'none', 'important');
     }
     
     // Add sign out functionality
@@ -590,10 +1137,30 @@ function updateAuthStatus() {
     };
   } else {
     authBtn.innerHTML = `<i class="fas fa-sign-in-alt me-2"></i><span data-i18n="navigation.signIn">${t('navigation.signIn')}</span>`;
+    authBtn.title = '';
     authBtn.classList.remove('btn-outline-success');
     authBtn.classList.add('btn-outline-primary');
     
-    if (createBtn) {
+    if (localModeBtn) {
+      const isLocal = recipeModeManager.getMode() === RecipeMode.LOCAL;
+      const labelKey = isLocal ? 'navigation.leaveLocalMode' : 'navigation.useLocally';
+      localModeBtn.innerHTML = `<i class="fas fa-${isLocal ? 'globe' : 'laptop'} me-1"></i><span class="d-none d-sm-inline" data-i18n="${labelKey}">${t(labelKey)}</span>`;
+      localModeBtn.title = t(isLocal ? 'navigation.leaveLocalModeHelp' : 'navigation.useLocallyHelp');
+      localModeBtn.style.setProperty('display', 'inline-flex', 'important');
+      localModeBtn.onclick = async () => {
+        if (isLocal) {
+          recipeModeManager.switchToPublic();
+        } else {
+          recipeModeManager.switchToLocal();
+        }
+        await reloadRecipesForMode();
+      };
+    }
+    
+    if (createBtn && recipeModeManager.canEdit()) {
+      // Local mode can edit without signing in
+      createBtn.style.setProperty('display', 'inline-flex', 'important');
+    } else if (createBtn) {
       createBtn.style.setProperty('display', 'none', 'important'); // Hide for unauthenticated users
       console.log('🔧 DEBUG: Hiding create button for unauthenticated user');
       console.log('🔧 DEBUG: createBtn.style.display after setting:', createBtn.style.display);
@@ -604,11 +1171,21 @@ function updateAuthStatus() {
     authBtn.onclick = async () => {
       try {
         await githubAuth.authenticate();
+        
+        // Connecting a repository after using local mode - offer to move local recipes there
+        if (githubAuth.isAuthenticated() && recipeModeManager.getMode() === RecipeMode.LOCAL) {
+          await offerLocalRecipeUpload();
+          await reloadRecipesForMode();
+          return;
+        }
+        
+        await setupRepositoryAdapter();
         updateAuthStatus();
         // Refresh recipes after authentication
         if (state.repository) {
           await refreshRecipesFromCache();
         }
+        await refreshDrafts();
       } catch (error) {
         alert(t('confirmations.authenticationFailed', { error: error.message }));
       }
@@ -616,6 +1193,42 @@ function updateAuthStatus() {
   }
 }
 
+/**
+ * Switch the repository to the adapter for the current mode and reload recipes
+ * Every source has its own cache and upload queue, so after switching to the
+ * new source's cache its recipes are shown and revalidated.
+ */
+async function reloadRecipesForMode() {
+  if (!state.repository) return;
+  
+  await setupRepositoryAdapter();
+  await state.repository.hydrate();
+  await refreshRecipesFromCache();
+  updateAuthStatus();
+  await refreshDrafts();
+}
+
+/**
+ * Ask whether recipes stored in local mode should be uploaded to GitHub
+ */
+async function offerLocalRecipeUpload() {
+  const count = await recipeModeManager.getLocalRecipeCount();
+  if (count === 0 || !confirm(t('confirmations.uploadLocalRecipes', { count }))) {
+    return;
+  }
+  
+  try {
+    const { uploaded, skipped } = await recipeModeManager.uploadLocalRecipes();
+    console.log(`✅ Uploaded ${uploaded.length} local recipes, skipped ${skipped.length}`);
+    if (skipped.length > 0) {
+      alert(t('confirmations.localRecipesSkipped', { recipes: skipped.join(', ') }));
+    }
+  } catch (error) {
+    console.error('❌ Failed to upload local recipes:', error);
+    alert(t('confirmations.localUploadFailed', { error: formatError(error) }));
+  }
+}
+
 /**
  * Manual refresh function for debugging/testing
  */
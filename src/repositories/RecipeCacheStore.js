@@ -0,0 +1,263 @@
+/**
+ * RecipeCacheStore - IndexedDB persistence for the RecipeRepository cache
+ *
+ * Keeps a durable copy of every cached recipe so the app can start warm after
+ * a reload and keep showing recipes when the network is gone. The in-memory
+ * Map in RecipeRepository stays the source of truth during a session; this
+ * store is written through and read back once on startup.
+ *
+ * It also holds the queue of create/update/delete operations that have not
+ * reached GitHub yet, so edits made offline survive closing the tab.
+ */
+
+const DB_NAME = 'kuchtik';
+const DB_VERSION = 2;
+
+export const CacheStoreNames = {
+  RECIPES: 'recipes',
+  META: 'meta',
+  OPERATIONS: 'operations'
+};
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @private
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<any>} Request result
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Resolve once a transaction has been committed
+ * @private
+ * @param {IDBTransaction} transaction - IndexedDB transaction
+ * @returns {Promise<void>}
+ */
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
+
+export class RecipeCacheStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} [options.dbName] - IndexedDB database name
+   * @param {IDBFactory} [options.indexedDB] - IndexedDB factory (defaults to the browser one)
+   */
+  constructor(options = {}) {
+    this.dbName = options.dbName || DB_NAME;
+    this.indexedDB = options.indexedDB || globalThis.indexedDB || null;
+    this.dbPromise = null;
+  }
+
+  /**
+   * Create a store if IndexedDB is available in this environment
+   * @param {Object} [options] - Store options (see constructor)
+   * @returns {RecipeCacheStore|null} Store instance or null
+   */
+  static createDefault(options = {}) {
+    const store = new RecipeCacheStore(options);
+    return store.isAvailable() ? store : null;
+  }
+
+  /**
+   * Check if IndexedDB can be used
+   * @returns {boolean} True if IndexedDB is available
+   */
+  isAvailable() {
+    return !!this.indexedDB;
+  }
+
+  /**
+   * Open (or reuse) the database connection
+   * @returns {Promise<IDBDatabase>} Database connection
+   */
+  open() {
+    if (!this.isAvailable()) {
+      return Promise.reject(new Error('IndexedDB is not available'));
+    }
+
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = this.indexedDB.open(this.dbName, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(CacheStoreNames.RECIPES)) {
+            db.createObjectStore(CacheStoreNames.RECIPES);
+          }
+          if (!db.objectStoreNames.contains(CacheStoreNames.META)) {
+            db.createObjectStore(CacheStoreNames.META);
+          }
+          if (!db.objectStoreNames.contains(CacheStoreNames.OPERATIONS)) {
+            db.createObjectStore(CacheStoreNames.OPERATIONS);
+          }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          this.dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Load every persisted cache entry
+   * @returns {Promise<Array<{key: string, data: Object, timestamp: number}>>} Cache entries
+   */
+  async loadAll() {
+    const db = await this.open();
+    const transaction = db.transaction(CacheStoreNames.RECIPES, 'readonly');
+    const store = transaction.objectStore(CacheStoreNames.RECIPES);
+
+    const [keys, values] = await Promise.all([
+      requestToPromise(store.getAllKeys()),
+      requestToPromise(store.getAll())
+    ]);
+
+    return keys.map((key, index) => ({ key, ...values[index] }));
+  }
+
+  /**
+   * Load a single persisted cache entry
+   * @param {string} key - Cache key
+   * @returns {Promise<{key: string, data: Object, timestamp: number}|null>} Entry, or null when there is none
+   */
+  async get(key) {
+    const db = await this.open();
+    const transaction = db.transaction(CacheStoreNames.RECIPES, 'readonly');
+    const entry = await requestToPromise(transaction.objectStore(CacheStoreNames.RECIPES).get(key));
+    return entry ? { key, ...entry } : null;
+  }
+
+  /**
+   * Persist a single cache entry
+   * @param {string} key - Cache key
+   * @param {{data: Object, timestamp: number}} entry - Cache entry
+   * @returns {Promise<void>}
+   */
+  async put(key, entry) {
+    const db = await this.open();
+    const transaction = db.transaction(CacheStoreNames.RECIPES, 'readwrite');
+    transaction.objectStore(CacheStoreNames.RECIPES).put({ data: entry.data, timestamp: entry.timestamp }, key);
+    await transactionDone(transaction);
+  }
+
+  /**
+   * Remove a cache entry
+   * @param {string} key - Cache key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    const db = await this.open();
+    const transaction = db.transaction(CacheStoreNames.RECIPES, 'readwrite');
+    transaction.objectStore(CacheStoreNames.RECIPES).delete(key);
+    await transactionDone(transaction);
+  }
+
+  /**
+   * Remove every persisted recipe
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    const db = await this.open();
+    const transaction = db.transaction(CacheStoreNames.RECIPES, 'readwrite');
+    transaction.objectStore(CacheStoreNames.RECIPES).clear();
+    await transactionDone(transaction);
+  }
+
+  /**
+   * Read a metadata value
+   * @param {string} key - Metadata key
+   * @returns {Promise<any>} Stored value or undefined
+   */
+  async getMeta(key) {
+    const db = await this.open();
+    const transaction = db.transaction(CacheStoreNames.META, 'readonly');
+    return requestToPromise(transaction.objectStore(CacheStoreNames.META).get(key));
+  }
+
+  /**
+   * Write a metadata value
+   * @param {string} key - Metadata key
+   * @param {any} value - Value to store
+   * @returns {Promise<void>}
+   */
+  async setMeta(key, value) {
+    const db = await this.open();
+    const transaction = db.transaction(CacheStoreNames.META, 'readwrite');
+    transaction.objectStore(CacheStoreNames.META).put(value, key);
+    await transactionDone(transaction);
+  }
+
+  /**
+   * Load every queued operation, oldest first
+   * @returns {Promise<Array<Object>>} Operations with their `id`
+   */
+  async loadOperations() {
+    const db = await this.open();
+    const transaction = db.transaction(CacheStoreNames.OPERATIONS, 'readonly');
+    const store = transaction.objectStore(CacheStoreNames.OPERATIONS);
+
+    const [ids, operations] = await Promise.all([
+      requestToPromise(store.getAllKeys()),
+      requestToPromise(store.getAll())
+    ]);
+
+    return ids
+      .map((id, index) => ({ id, ...operations[index] }))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Persist a queued operation
+   * @param {string} id - Operation ID
+   * @param {Object} operation - Serializable operation (type, recipeName, data, ...)
+   * @returns {Promise<void>}
+   */
+  async putOperation(id, operation) {
+    const db = await this.open();
+    const transaction = db.transaction(CacheStoreNames.OPERATIONS, 'readwrite');
+    transaction.objectStore(CacheStoreNames.OPERATIONS).put(operation, id);
+    await transactionDone(transaction);
+  }
+
+  /**
+   * Remove a queued operation once it has been synced or abandoned
+   * @param {string} id - Operation ID
+   * @returns {Promise<void>}
+   */
+  async deleteOperation(id) {
+    const db = await this.open();
+    const transaction = db.transaction(CacheStoreNames.OPERATIONS, 'readwrite');
+    transaction.objectStore(CacheStoreNames.OPERATIONS).delete(id);
+    await transactionDone(transaction);
+  }
+
+  /**
+   * Close the database connection
+   */
+  async close() {
+    if (this.dbPromise) {
+      const db = await this.dbPromise.catch(() => null);
+      if (db) {
+        db.close();
+      }
+      this.dbPromise = null;
+    }
+  }
+}
+
+export default RecipeCacheStore;
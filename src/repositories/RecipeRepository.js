@@ -1,4 +1,10 @@
 import { generateFilenameFromRecipeName } from '../utils/recipeUtils.js';
+import { RecipeCacheStore } from './RecipeCacheStore.js';
+import { mergeRecipes } from '../utils/recipeMerge.js';
+import { assertValidRecipe } from '../utils/recipeSchema.js';
+import { migrateRecipe, needsMigration, formatMigrationMessage } from '../utils/recipeMigrations.js';
+import { getRecipeImageUrl, getImageChanges, isImageUrl } from '../utils/recipeImages.js';
+import { RecipeConflictError, RateLimitError, OfflineError, NotFoundError, ReadOnlyError, AuthError, ValidationError } from '../utils/errors.js';
 
 /**
  * RecipeRepository - A comprehensive data layer for recipe management
@@ -36,12 +42,19 @@ export const SyncStrategy = {
   MANUAL: 'manual'          // Only sync when explicitly requested
 };
 
+// Persistent cache meta key for the last synced recipes/ tree sha
+const TREE_SHA_META_KEY = 'treeSha';
+
+// Source id of recipes from the current mode's adapter
+export const PRIMARY_SOURCE_ID = 'primary';
+
 /**
  * Repository events for UI integration
  */
 export const RepositoryEvents = {
   STATE_CHANGED: 'stateChanged',
   RECIPES_UPDATED: 'recipesUpdated', 
+  RECIPES_CHANGED: 'recipesChanged', // Incremental sync result: { added, changed, removed }
   RECIPE_CREATED: 'recipeCreated',
   RECIPE_UPDATED: 'recipeUpdated',
   RECIPE_DELETED: 'recipeDeleted',
@@ -50,6 +63,11 @@ export const RepositoryEvents = {
   SYNC_COMPLETED: 'syncCompleted',
   SYNC_FAILED: 'syncFailed',
   CACHE_UPDATED: 'cacheUpdated',
+  QUEUE_CHANGED: 'queueChanged',
+  RECIPE_MERGED: 'recipeMerged',
+  RECIPE_CONFLICT: 'recipeConflict',
+  SYNC_PAUSED: 'syncPaused', // The token was rejected; operations stay queued until resumeSync()
+  SYNC_RESUMED: 'syncResumed',
   ERROR: 'error'
 };
 
@@ -64,8 +82,13 @@ class RecipeRepository {
       maxRetries: options.maxRetries || 3,
       retryDelay: options.retryDelay || 1000, // 1 second base delay
       syncStrategy: options.syncStrategy || SyncStrategy.DELAYED,
+      batchDelay: options.batchDelay || 5000, // Quiet period before a batch is committed
+      batchSize: options.batchSize || 20, // Commit right away once this many operations are queued
       optimisticUpdates: options.optimisticUpdates !== false, // Default true
       enableLogging: options.enableLogging !== false, // Default true
+      persistentCache: options.persistentCache !== false, // Default true (IndexedDB when available)
+      cacheName: options.cacheName || null, // IndexedDB database name (one per recipe source)
+      offlineMode: options.offlineMode === true, // Default false
       ...options
     };
 
@@ -76,10 +99,32 @@ class RecipeRepository {
     this.eventListeners = new Map();
     this.retryQueues = new Map();
     this.activeTimeouts = new Set(); // Track active timeouts for cleanup
+    this.revalidation = null; // In-flight background revalidation
+    this.replaying = null; // In-flight replay of queued operations
+    this.batchTimeoutId = null; // Pending batch flush
+    this.rateLimitTimeoutId = null; // Pending retry after the API rate limit resets
+    this.treeSha = null; // Sha of the recipes/ tree the cache was last synced with
+    this.syncPaused = false; // Set while GitHub rejects the token
+    this.sources = []; // Additional read-only recipe sources merged into getAll()
+    this.sourceCache = new Map(); // Source id → { recipes, timestamp }
+    this.sourceLoads = new Map(); // Source id → in-flight load
+    
+    // Durable cache layer (null when IndexedDB is unavailable or disabled)
+    this.openCacheStore = options.openCacheStore || (dbName => RecipeCacheStore.createDefault({ dbName }));
+    this.cacheStore = options.cacheStore || (this.config.persistentCache ? this.openCacheStore(this.config.cacheName) : null);
     
     // Initialize GitHub API integration
     this.githubAPI = null; // Will be injected
     
+    // Upload queued operations as soon as the browser is back online
+    this.handleOnline = () => {
+      this.log('🌐 Connection restored');
+      this.replayPendingOperations();
+    };
+    if (typeof window !== 'undefined') {
+      window.addEventListener('online', this.handleOnline);
+    }
+    
     this.log('🏗️ RecipeRepository initialized', this.config);
   }
 
@@ -139,36 +184,74 @@ class RecipeRepository {
 
   /**
    * Get all recipes with intelligent caching
+   * Recipes of additional sources (see setSources()) follow the own ones.
    * @param {Object} options - Options for the operation
    * @param {boolean} options.forceRefresh - Skip cache and force fresh load
    * @param {boolean} options.includeMetadata - Include cache metadata in response
    * @returns {Promise<Array>} Array of recipe objects
    */
   async getAll(options = {}) {
+    const result = await this.getOwnRecipes(options);
+    if (this.sources.length === 0) {
+      return result;
+    }
+
+    const sourceRecipes = await this.loadSourceRecipes(options);
+    return options.includeMetadata
+      ? { ...result, recipes: [...result.recipes, ...sourceRecipes] }
+      : [...result, ...sourceRecipes];
+  }
+
+  /**
+   * Get the recipes of the current mode's adapter (the cached, writable ones)
+   * @private
+   * @param {Object} options - See getAll()
+   * @returns {Promise<Array|Object>} Recipes, with cache metadata when requested
+   */
+  async getOwnRecipes(options = {}) {
     const { forceRefresh = false, includeMetadata = false } = options;
     
     this.setState(RepositoryState.LOADING);
-    
+
     try {
-      // Check cache first unless forced refresh
-      if (!forceRefresh) {
-        const cached = this.getCachedRecipes();
-        if (cached.length > 0) {
-          this.log('💾 Returning cached recipes', { count: cached.length });
+      const offline = this.isOffline();
+
+      // Check cache first unless forced refresh (offline always uses the cache)
+      if (!forceRefresh || offline) {
+        const cached = this.getCachedRecipes({ includeStale: this.canServeStale() });
+        if (cached.length > 0 || offline) {
+          this.log(offline ? '📴 Offline - returning cached recipes' : '💾 Returning cached recipes', { count: cached.length });
           this.setState(RepositoryState.IDLE);
-          
+
+          // Serve stale data instantly, refresh it behind the scenes
+          if (!offline && this.hasExpiredEntries()) {
+            this.revalidateInBackground();
+          }
+
           const result = includeMetadata ? {
             recipes: cached,
             metadata: this.getCacheMetadata()
           } : cached;
-          
+
           return result;
         }
       }
 
       // Load fresh data
-      const recipes = await this.loadFromSource();
-      this.updateCache(recipes);
+      let recipes;
+      try {
+        recipes = (await this.loadFromSource()).map(recipe => this.upgradeRecipe(recipe));
+      } catch (sourceError) {
+        // Network failed - fall back to whatever the durable cache still holds
+        const stale = this.getCachedRecipes({ includeStale: true });
+        if (stale.length > 0) {
+          this.log('⚠️ Source unavailable, returning stale cached recipes', { count: stale.length, error: sourceError.message });
+          this.setState(RepositoryState.IDLE);
+          return includeMetadata ? { recipes: stale, metadata: this.getCacheMetadata() } : stale;
+        }
+        throw sourceError;
+      }
+      this.updateCache(recipes, { replace: true });
       this.setState(RepositoryState.IDLE);
       
       this.emit(RepositoryEvents.RECIPES_UPDATED, recipes);
@@ -196,10 +279,12 @@ class RecipeRepository {
     const { forceRefresh = false } = options;
     
     try {
-      // Check cache first
-      if (!forceRefresh) {
-        const cached = this.getCachedRecipe(recipeName);
-        if (cached) {
+      const offline = this.isOffline();
+
+      // Check cache first (offline always uses the cache)
+      if (!forceRefresh || offline) {
+        const cached = this.getCachedRecipe(recipeName, { includeStale: offline });
+        if (cached || offline) {
           this.log(`💾 Returning cached recipe: ${recipeName}`);
           return cached;
         }
@@ -207,7 +292,7 @@ class RecipeRepository {
 
       // Load from source - convert recipe name to filename
       const filename = this.getFilenameFromRecipeName(recipeName);
-      const recipe = await this.loadRecipeFromSource(filename);
+      const recipe = this.upgradeRecipe(await this.loadRecipeFromSource(filename));
       if (recipe) {
         // Use normalized cache key for consistent storage
         const cacheKey = this.normalizeCacheKey(filename);
@@ -225,12 +310,16 @@ class RecipeRepository {
   /**
    * Create a new recipe with optimistic updates
    * @param {Object} recipeData - Recipe data to create
-   * @param {Object} options - Operation options
+   * @param {Object} options - Operation options (`commit`: change note and co-authors for the commit message,
+   *   `images`: photos to commit with the recipe, see getImageChanges())
    * @returns {Promise<Object>} Created recipe object
+   * @throws {ValidationError} When the recipe does not match the recipe schema
    */
   async create(recipeData, options = {}) {
     const { syncStrategy = this.config.syncStrategy, optimistic = this.config.optimisticUpdates } = options;
     const recipeName = recipeData.name;
+    this.assertWritable();
+    assertValidRecipe(recipeData);
     
     this.log(`➕ Creating recipe: ${recipeName}`, { optimistic, syncStrategy });
     
@@ -246,18 +335,36 @@ class RecipeRepository {
 
       // Schedule sync based on strategy
       const operationId = this.generateOperationId(OperationType.CREATE, recipeName);
-      this.pendingOperations.set(operationId, {
+      this.queueOperation(operationId, {
         type: OperationType.CREATE,
         recipeName,
         data: recipeData,
+        commit: options.commit,
+        images: options.images,
         timestamp: Date.now(),
         attempts: 0
       });
 
-      if (syncStrategy === SyncStrategy.IMMEDIATE) {
-        await this.syncOperation(operationId);
+      if (this.isOffline()) {
+        this.log(`📴 Offline - ${recipeName} will be uploaded when the connection returns`);
+      } else if (this.syncPaused) {
+        this.log(`🔒 Sync paused - ${recipeName} will be uploaded after signing in again`);
+      } else if (syncStrategy === SyncStrategy.IMMEDIATE) {
+        try {
+          await this.syncOperation(operationId, { scheduleRetry: false });
+        } catch (syncError) {
+          if (!this.isTokenRejection(syncError)) {
+            // The caller gets the error and the optimistic change is reverted, so don't replay it later
+            this.dequeueOperation(operationId);
+            throw syncError;
+          }
+          // Token rejected - keep the change queued until resumeSync()
+          this.log(`🔒 ${recipeName} will be uploaded after signing in again`);
+        }
       } else if (syncStrategy === SyncStrategy.DELAYED) {
         this.scheduleDelayedSync(operationId);
+      } else if (syncStrategy === SyncStrategy.BATCH) {
+        this.scheduleBatchFlush();
       }
 
       return recipeData;
@@ -277,17 +384,24 @@ class RecipeRepository {
    * Update an existing recipe with optimistic updates
    * @param {string} recipeName - Name of the recipe to update
    * @param {Object} recipeData - Updated recipe data
-   * @param {Object} options - Operation options
+   * @param {Object} options - Operation options (`commit`: change note and co-authors for the commit message,
+   *   `images`: photos to commit or delete with the recipe, see getImageChanges())
    * @returns {Promise<Object>} Updated recipe object
+   * @throws {ValidationError} When the recipe does not match the recipe schema
    */
   async update(recipeName, recipeData, options = {}) {
     const { syncStrategy = this.config.syncStrategy, optimistic = this.config.optimisticUpdates } = options;
+    this.assertWritable();
+    assertValidRecipe(recipeData);
     
     this.log(`✏️ Updating recipe: ${recipeName}`, { optimistic, syncStrategy });
     
     try {
       // Store original data for potential rollback
-      const originalData = this.getCachedRecipe(recipeName);
+      const originalData = this.getCachedRecipe(recipeName, { includeStale: true });
+      
+      // Version of the file this edit is based on (used to detect concurrent edits)
+      const baseSha = options.baseSha || recipeData.metadata?.sha || originalData?.metadata?.sha || null;
       
       // Optimistic update - use filename-based cache key for consistency
       if (optimistic) {
@@ -301,15 +415,20 @@ class RecipeRepository {
         // Remove the old cache entry
         if (this.cache.has(oldCacheKey)) {
           this.cache.delete(oldCacheKey);
+          if (oldCacheKey !== newCacheKey) {
+            this.unpersistCacheEntry(oldCacheKey);
+          }
           this.log(`🗑️ Removed cached recipe: ${oldCacheKey}`);
         }
-        
+
         // Add updated recipe at the front of cache (Maps maintain insertion order)
-        const tempCache = new Map([[newCacheKey, { data: { ...recipeData }, timestamp: Date.now() }]]);
+        const updatedEntry = { data: { ...recipeData }, timestamp: Date.now() };
+        const tempCache = new Map([[newCacheKey, updatedEntry]]);
         for (const [key, value] of this.cache) {
           tempCache.set(key, value);
         }
         this.cache = tempCache;
+        this.persistCacheEntry(newCacheKey, updatedEntry);
         this.log(`💾 Cached recipe at top: ${newCacheKey}`);
         this.emit(RepositoryEvents.CACHE_UPDATED, { added: newCacheKey });
         
@@ -319,21 +438,35 @@ class RecipeRepository {
 
       // Schedule sync
       const operationId = this.generateOperationId(OperationType.UPDATE, recipeName);
-      this.pendingOperations.set(operationId, {
+      this.queueOperation(operationId, {
         type: OperationType.UPDATE,
         recipeName,
         data: recipeData,
         originalData,
+        baseSha,
+        commit: options.commit,
+        images: options.images,
         timestamp: Date.now(),
         attempts: 0
       });
 
-      if (syncStrategy === SyncStrategy.IMMEDIATE) {
+      if (this.isOffline()) {
+        this.log(`📴 Offline - change to ${recipeName} will be uploaded when the connection returns`);
+      } else if (this.syncPaused) {
+        this.log(`🔒 Sync paused - change to ${recipeName} will be uploaded after signing in again`);
+      } else if (syncStrategy === SyncStrategy.IMMEDIATE) {
         try {
-          await this.syncOperation(operationId);
+          await this.syncOperation(operationId, { scheduleRetry: false });
         } catch (syncError) {
+          if (this.isTokenRejection(syncError)) {
+            // Token rejected - keep the change queued until resumeSync()
+            this.log(`🔒 Change to ${recipeName} will be uploaded after signing in again`);
+            return recipeData;
+          }
+          this.dequeueOperation(operationId);
           // Revert optimistic update on immediate sync failure
-          if (optimistic) {
+          // (a conflict has already put the GitHub version in the cache)
+          if (optimistic && !(syncError instanceof RecipeConflictError)) {
             const rollbackCacheKey = this.normalizeCacheKey(recipeName);
             if (originalData) {
               this.setCachedRecipe(rollbackCacheKey, originalData);
@@ -346,6 +479,8 @@ class RecipeRepository {
         }
       } else if (syncStrategy === SyncStrategy.DELAYED) {
         this.scheduleDelayedSync(operationId);
+      } else if (syncStrategy === SyncStrategy.BATCH) {
+        this.scheduleBatchFlush();
       }
 
       return recipeData;
@@ -358,18 +493,20 @@ class RecipeRepository {
 
   /**
    * Delete a recipe with optimistic updates
+   * Its photo, when committed to the recipes folder, is deleted with it.
    * @param {string} recipeName - Name of the recipe to delete
-   * @param {Object} options - Operation options
+   * @param {Object} options - Operation options (`commit`: change note and co-authors for the commit message)
    * @returns {Promise<boolean>} True if deletion was successful
    */
   async delete(recipeName, options = {}) {
     const { syncStrategy = this.config.syncStrategy, optimistic = this.config.optimisticUpdates } = options;
+    this.assertWritable();
     
     this.log(`🗑️ Deleting recipe: ${recipeName}`, { optimistic, syncStrategy });
     
     try {
       // Store original data for potential rollback
-      const originalData = this.getCachedRecipe(recipeName);
+      const originalData = this.getCachedRecipe(recipeName, { includeStale: true });
       
       // Optimistic update
       if (optimistic) {
@@ -380,18 +517,30 @@ class RecipeRepository {
 
       // Schedule sync
       const operationId = this.generateOperationId(OperationType.DELETE, recipeName);
-      this.pendingOperations.set(operationId, {
+      this.queueOperation(operationId, {
         type: OperationType.DELETE,
         recipeName,
         originalData,
+        commit: options.commit,
+        images: getImageChanges(originalData?.image, null, null),
         timestamp: Date.now(),
         attempts: 0
       });
 
-      if (syncStrategy === SyncStrategy.IMMEDIATE) {
+      if (this.isOffline()) {
+        this.log(`📴 Offline - change to ${recipeName} will be uploaded when the connection returns`);
+      } else if (this.syncPaused) {
+        this.log(`🔒 Sync paused - deletion of ${recipeName} will be uploaded after signing in again`);
+      } else if (syncStrategy === SyncStrategy.IMMEDIATE) {
         try {
-          await this.syncOperation(operationId);
+          await this.syncOperation(operationId, { scheduleRetry: false });
         } catch (syncError) {
+          if (this.isTokenRejection(syncError)) {
+            // Token rejected - keep the deletion queued until resumeSync()
+            this.log(`🔒 Deletion of ${recipeName} will be uploaded after signing in again`);
+            return true;
+          }
+          this.dequeueOperation(operationId);
           // Revert optimistic update on immediate sync failure
           if (optimistic && originalData) {
             const rollbackCacheKey = this.normalizeCacheKey(recipeName);
@@ -402,6 +551,8 @@ class RecipeRepository {
         }
       } else if (syncStrategy === SyncStrategy.DELAYED) {
         this.scheduleDelayedSync(operationId);
+      } else if (syncStrategy === SyncStrategy.BATCH) {
+        this.scheduleBatchFlush();
       }
 
       return true;
@@ -412,6 +563,346 @@ class RecipeRepository {
     }
   }
 
+  // ============================================================================
+  // VERSION HISTORY
+  // ============================================================================
+
+  /**
+   * Get the commits that changed a recipe, newest first
+   * @param {string} recipeName - Recipe ID or name
+   * @returns {Promise<Array<Object>>} Commits (`sha`, `message`, `author`, `login`, `date`)
+   */
+  async getHistory(recipeName) {
+    this.assertHistoryAvailable();
+    const filename = this.getFilenameFromRecipeName(recipeName);
+    this.log(`📜 Loading history: ${filename}`);
+    return this.githubAPI.getFileHistory(filename);
+  }
+
+  /**
+   * Get a recipe as it was at a given commit
+   * @param {string} recipeName - Recipe ID or name
+   * @param {string} commitSha - Commit sha from getHistory()
+   * @returns {Promise<Object|null>} Recipe or null if it did not exist at that commit
+   */
+  async getVersion(recipeName, commitSha) {
+    this.assertHistoryAvailable();
+    const filename = this.getFilenameFromRecipeName(recipeName);
+    return this.upgradeRecipe(await this.githubAPI.getFileAtCommit(filename, commitSha));
+  }
+
+  /**
+   * Restore an older version of a recipe by saving it as a new update
+   * @param {string} recipeName - Recipe ID or name
+   * @param {string} commitSha - Commit sha to restore
+   * @param {Object} options - Operation options passed to update()
+   * @returns {Promise<Object>} Restored recipe
+   */
+  async restoreVersion(recipeName, commitSha, options = {}) {
+    const version = await this.getVersion(recipeName, commitSha);
+    if (!version) {
+      throw new NotFoundError(recipeName, `Recipe "${recipeName}" does not exist at commit ${commitSha.substring(0, 7)}`);
+    }
+
+    // Keep the current identity and base sha so the restore is a normal edit
+    const current = this.getCachedRecipe(recipeName, { includeStale: true });
+    const restored = {
+      ...version,
+      metadata: {
+        ...version.metadata,
+        ...current?.metadata,
+        sha: current?.metadata?.sha ?? null,
+        lastModified: new Date().toISOString()
+      }
+    };
+
+    this.log(`⏪ Restoring ${recipeName} to ${commitSha.substring(0, 7)}`);
+    return this.update(recipeName, restored, options);
+  }
+
+  /**
+   * Ensure the adapter can read history and we are online
+   * @private
+   */
+  assertHistoryAvailable() {
+    if (typeof this.githubAPI.getFileHistory !== 'function' || typeof this.githubAPI.getFileAtCommit !== 'function') {
+      throw new Error('Version history is not supported by this data source');
+    }
+    if (this.isOffline()) {
+      throw new OfflineError('Version history is not available offline');
+    }
+  }
+
+  /**
+   * Ensure the data source accepts changes
+   * @private
+   * @throws {ReadOnlyError} When the adapter is read-only (e.g. public mode)
+   */
+  assertWritable() {
+    if (!this.isWritable()) {
+      throw new ReadOnlyError();
+    }
+  }
+
+  /**
+   * Check whether the current data source accepts changes
+   * @returns {boolean} False for read-only adapters (public GitHub, no push access)
+   */
+  isWritable() {
+    return !(typeof this.githubAPI?.isReadOnly === 'function' && this.githubAPI.isReadOnly());
+  }
+
+  // ============================================================================
+  // ADDITIONAL RECIPE SOURCES
+  // ============================================================================
+
+  /**
+   * Show recipes of other repositories next to the own ones
+   * Their recipes are tagged with `metadata.source`, `metadata.sourceLabel`
+   * and a prefixed `metadata.id`, kept in memory only and never written to.
+   * @param {Array<{id: string, label: string, adapter: Object, writable?: boolean}>} sources - Additional sources
+   */
+  setSources(sources) {
+    this.sources = sources.map(source => ({ ...source, writable: source.writable === true }));
+    this.sourceCache.clear();
+    this.sourceLoads.clear();
+    this.log(`📚 ${this.sources.length} additional recipe sources configured`);
+  }
+
+  /**
+   * Describe all recipe sources, the own one first
+   * @returns {Array<{id: string, label: string|null, writable: boolean, primary: boolean}>} Sources
+   */
+  getSources() {
+    const own = {
+      id: PRIMARY_SOURCE_ID,
+      label: null,
+      writable: this.isWritable(),
+      primary: true
+    };
+    return [own, ...this.sources.map(({ id, label, writable }) => ({ id, label, writable, primary: false }))];
+  }
+
+  /**
+   * Get the source a recipe was loaded from
+   * @param {Object} recipe - Recipe returned by getAll()
+   * @returns {Object} Source as described by getSources()
+   */
+  getRecipeSource(recipe) {
+    const sources = this.getSources();
+    return sources.find(source => source.id === recipe?.metadata?.source) || sources[0];
+  }
+
+  /**
+   * Copy a recipe of another source into the own recipes
+   * A name that is already taken gets the source label appended.
+   * @param {Object} recipe - Recipe from an additional source
+   * @param {Object} [options] - Options passed to create()
+   * @returns {Promise<Object>} Created recipe
+   * @throws {ReadOnlyError} When the own recipes cannot be changed
+   */
+  async copyFromSource(recipe, options = {}) {
+    this.assertWritable();
+
+    const source = this.getRecipeSource(recipe);
+    const { metadata = {}, ...data } = recipe;
+    const taken = new Set((await this.getOwnRecipes()).map(own => generateFilenameFromRecipeName(own.name)));
+    const name = taken.has(generateFilenameFromRecipeName(data.name)) && source.label
+      ? `${data.name} (${source.label})`
+      : data.name;
+
+    const copy = {
+      ...data,
+      name,
+      metadata: { copiedFrom: { source: source.label, id: metadata.sourceRecipeId || null } }
+    };
+    this.log(`📋 Copying ${data.name} from ${source.label} as ${name}`);
+    return this.create(copy, options);
+  }
+
+  /**
+   * Load the recipes of all additional sources
+   * Each source is cached for `cacheTimeout`. A source that fails to load
+   * keeps its last recipes (or none) instead of failing getAll().
+   * @private
+   * @param {Object} options - Load options
+   * @param {boolean} [options.forceRefresh] - Ignore the cached recipes
+   * @returns {Promise<Array>} Tagged recipes of all sources
+   */
+  async loadSourceRecipes({ forceRefresh = false } = {}) {
+    const lists = await Promise.all(this.sources.map(source => {
+      const cached = this.sourceCache.get(source.id);
+      const fresh = cached && Date.now() - cached.timestamp <= this.config.cacheTimeout;
+      if ((fresh && !forceRefresh) || (cached && this.isOffline())) {
+        return cached.recipes;
+      }
+
+      if (!this.sourceLoads.has(source.id)) {
+        const load = this.loadSource(source)
+          .catch(error => {
+            this.log(`⚠️ Failed to load recipes from ${source.label}:`, error.message);
+            return cached?.recipes || [];
+          })
+          .finally(() => this.sourceLoads.delete(source.id));
+        this.sourceLoads.set(source.id, load);
+      }
+      return this.sourceLoads.get(source.id);
+    }));
+    return lists.flat();
+  }
+
+  /**
+   * Load and tag the recipes of one additional source
+   * @private
+   * @param {Object} source - Source passed to setSources()
+   * @returns {Promise<Array>} Tagged recipes
+   */
+  async loadSource(source) {
+    const { adapter } = source;
+    let recipes;
+    if (typeof adapter.getAllFiles === 'function') {
+      recipes = await adapter.getAllFiles();
+    } else {
+      const filenames = await adapter.getFileList();
+      recipes = (await Promise.all(filenames.map(filename => adapter.getFile(filename)))).filter(Boolean);
+    }
+
+    const tagged = recipes.map(stored => {
+      const recipe = this.upgradeRecipe(stored);
+      const id = recipe.metadata?.id || generateFilenameFromRecipeName(recipe.name).replace(/\.json$/, '');
+      const result = {
+        ...recipe,
+        metadata: { ...recipe.metadata, id: `${source.id}--${id}`, sourceRecipeId: id, source: source.id, sourceLabel: source.label }
+      };
+
+      // Photo paths point into the source's repository, so they become URLs there (and stay valid in a copy)
+      if (recipe.image !== undefined) {
+        const image = getRecipeImageUrl(recipe, adapter);
+        if (image) {
+          result.image = image;
+        } else {
+          delete result.image;
+        }
+      }
+      return result;
+    });
+    this.sourceCache.set(source.id, { recipes: tagged, timestamp: Date.now() });
+    this.log(`📚 Loaded ${tagged.length} recipes from ${source.label}`);
+    return tagged;
+  }
+
+  // ============================================================================
+  // PHOTOS
+  // ============================================================================
+
+  /**
+   * Check whether recipe photos can be committed with the current data source
+   * @returns {boolean} True when the source is writable and stores image files
+   */
+  canStoreImages() {
+    return typeof this.githubAPI?.getImageUrl === 'function' && this.isWritable();
+  }
+
+  /**
+   * Get the URL a recipe's photo is shown from
+   * @param {Object} recipe - Recipe returned by getAll()
+   * @returns {string|null} Photo URL, or null without a photo
+   */
+  getImageUrl(recipe) {
+    return getRecipeImageUrl(recipe, this.githubAPI);
+  }
+
+  /**
+   * Download photos the data source can't link directly (private repositories)
+   * @param {Object[]} recipes - Recipes about to be shown
+   * @returns {Promise<Object[]>} Recipes whose photo became available
+   */
+  async loadImages(recipes) {
+    if (typeof this.githubAPI?.loadImages !== 'function') {
+      return [];
+    }
+
+    const missing = recipes.filter(recipe => typeof recipe?.image === 'string' && recipe.image.trim() &&
+      !isImageUrl(recipe.image.trim()) && !this.getImageUrl(recipe));
+    if (missing.length === 0) {
+      return [];
+    }
+
+    await this.githubAPI.loadImages(missing.map(recipe => recipe.image.trim()));
+    return missing.filter(recipe => this.getImageUrl(recipe));
+  }
+
+  // ============================================================================
+  // SCHEMA MIGRATION
+  // ============================================================================
+
+  /**
+   * Check whether migrateAll() can run with the current data source
+   * @returns {boolean} True when the source is writable and commits batches
+   */
+  canMigrateAll() {
+    return typeof this.githubAPI?.commitBatch === 'function' && this.isWritable();
+  }
+
+  /**
+   * Rewrite every recipe file older than the current schema version
+   * Recipes are upgraded whenever they are read, so this only changes the
+   * files themselves. The files are read as stored and all upgrades go into
+   * one commit; queued edits are synced first so the commit builds on them.
+   * @returns {Promise<{migrated: string[], commitSha: string|null}>} Filenames that were rewritten and the commit
+   * @throws {ReadOnlyError} When the recipes cannot be changed
+   * @throws {OfflineError} When offline
+   */
+  async migrateAll() {
+    this.assertWritable();
+    if (typeof this.githubAPI?.commitBatch !== 'function') {
+      throw new Error('Migrating recipe files is not supported by this data source');
+    }
+    if (this.isOffline()) {
+      throw new OfflineError('Cannot migrate recipe files while offline');
+    }
+
+    if (this.pendingOperations.size > 0) {
+      await this.syncAll();
+    }
+
+    const outdated = (await this.loadFromSource()).filter(needsMigration);
+    if (outdated.length === 0) {
+      this.log('✅ All recipe files use the current schema version');
+      return { migrated: [], commitSha: null };
+    }
+
+    const changes = outdated.map(stored => ({
+      type: OperationType.UPDATE,
+      filename: this.getFilenameFromRecipeName(stored.metadata?.id || stored.name),
+      data: migrateRecipe(stored).recipe,
+      baseSha: stored.metadata?.sha
+    }));
+
+    this.log(`🔧 Migrating ${changes.length} recipe files in one commit`);
+    this.setState(RepositoryState.SYNCING);
+    try {
+      const { commitSha, files = {} } = await this.githubAPI.commitBatch(changes, formatMigrationMessage(outdated));
+
+      // The cache already holds the upgraded recipes; only their blob shas changed
+      for (const { filename, data } of changes) {
+        this.setCachedRecipe(this.normalizeCacheKey(data.name), {
+          ...data,
+          metadata: { ...data.metadata, sha: files[filename] || data.metadata?.sha }
+        });
+      }
+
+      this.setState(RepositoryState.IDLE);
+      this.emit(RepositoryEvents.RECIPES_UPDATED, this.getCachedRecipes());
+      this.log(`✅ Migrated ${changes.length} recipe files`);
+      return { migrated: changes.map(change => change.filename), commitSha };
+
+    } catch (error) {
+      this.handleError('migrateAll', error, { count: changes.length });
+      throw error;
+    }
+  }
+
   // ============================================================================
   // SYNCHRONIZATION SYSTEM
   // ============================================================================
@@ -421,6 +912,12 @@ class RecipeRepository {
    * @returns {Promise<void>}
    */
   async syncAll() {
+    // Adapters that can write multi-file commits get everything in one commit
+    if (this.githubAPI && typeof this.githubAPI.commitBatch === 'function') {
+      await this.flushBatch();
+      return;
+    }
+
     this.setState(RepositoryState.SYNCING);
     this.emit(RepositoryEvents.SYNC_STARTED, { operationCount: this.pendingOperations.size });
     
@@ -442,63 +939,611 @@ class RecipeRepository {
         this.emit(RepositoryEvents.SYNC_COMPLETED, { operationCount: operations.length });
         this.setState(RepositoryState.IDLE);
       }
-      
-    } catch (error) {
-      this.handleError('syncAll', error);
-      throw error;
+      
+    } catch (error) {
+      this.handleError('syncAll', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Commit every queued operation as a single multi-file commit
+   * Operations on the same recipe are collapsed to their final state. Recipes
+   * changed on GitHub meanwhile are merged. If GitHub rejects the changes
+   * themselves (a recipe is invalid or no longer exists), all optimistic changes
+   * in the batch are rolled back together; after any other failure (offline,
+   * rate limit, the branch kept moving, a server error) they stay queued.
+   * @returns {Promise<number>} Number of operations committed
+   */
+  async flushBatch() {
+    if (this.batchTimeoutId) {
+      globalThis.clearTimeout(this.batchTimeoutId);
+      this.activeTimeouts.delete(this.batchTimeoutId);
+      this.batchTimeoutId = null;
+    }
+
+    if (this.pendingOperations.size === 0) {
+      return 0;
+    }
+
+    if (!this.githubAPI) {
+      throw new Error('GitHub API not configured');
+    }
+
+    if (typeof this.githubAPI.commitBatch !== 'function') {
+      this.log('⚠️ Adapter cannot commit batches, syncing operations one by one');
+      return this.replayPendingOperations();
+    }
+
+    if (this.isOffline()) {
+      throw new OfflineError('Cannot commit batch while offline');
+    }
+
+    if (this.syncPaused) {
+      throw new AuthError('Cannot commit batch while sync is paused');
+    }
+
+    // Snapshot: operations queued while the commit is in flight go into the next batch
+    const operations = Array.from(this.pendingOperations.entries())
+      .sort(([, a], [, b]) => a.timestamp - b.timestamp);
+    const changes = this.collapseOperations(operations.map(([, operation]) => operation));
+
+    this.log(`📦 Committing ${operations.length} operations as one batch (${changes.length} files)`);
+    this.setState(RepositoryState.SYNCING);
+    this.emit(RepositoryEvents.SYNC_STARTED, { operationCount: operations.length, batch: true });
+
+    try {
+      let commitSha = null;
+      if (changes.length > 0) {
+        ({ commitSha } = await this.githubAPI.commitBatch(changes));
+      }
+
+      for (const [operationId] of operations) {
+        this.dequeueOperation(operationId);
+      }
+
+      this.log(`✅ Batch committed (${operations.length} operations)`);
+      this.emit(RepositoryEvents.SYNC_COMPLETED, { operationCount: operations.length, commitSha });
+      this.setState(RepositoryState.IDLE);
+      return operations.length;
+
+    } catch (error) {
+      if (error instanceof RecipeConflictError) {
+        // Nothing was committed; merge the recipe changed on GitHub and commit the rest
+        return this.resolveBatchConflict(operations, error);
+      }
+
+      const keepQueued = !(error instanceof ValidationError || error instanceof NotFoundError);
+      if (this.isOffline()) {
+        this.log('📴 Connection lost during batch commit, keeping operations queued');
+      } else if (this.isTokenRejection(error)) {
+        this.log('🔒 Token rejected during batch commit, keeping operations queued');
+        this.pauseSync();
+      } else if (error instanceof RateLimitError) {
+        this.log('⏳ Rate limited during batch commit, keeping operations queued');
+        this.scheduleRateLimitRetry(error);
+      } else if (keepQueued) {
+        // E.g. unrelated commits kept moving the branch; the edits are still fine
+        this.log('⚠️ Batch commit failed, keeping operations queued for the next commit');
+      } else {
+        // All or nothing: undo every optimistic change that was part of this batch
+        for (const [operationId, operation] of [...operations].reverse()) {
+          this.rollbackOperation(operation);
+          this.dequeueOperation(operationId);
+        }
+        this.emit(RepositoryEvents.RECIPES_UPDATED, this.getCachedRecipes());
+      }
+
+      this.emit(RepositoryEvents.SYNC_FAILED, { failures: [error], batch: true, rolledBack: !keepQueued });
+      this.handleError('flushBatch', error, { operationCount: operations.length });
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve a conflict that stopped a batch commit, then commit the rest of the batch
+   * The queued edits of the conflicting recipe are merged as one update, the
+   * same way resolveConflict() handles a single conflicting save.
+   * @private
+   * @param {Array<[string, Object]>} operations - Operations of the failed batch
+   * @param {RecipeConflictError} conflict - Conflict raised by commitBatch
+   * @returns {Promise<number>} Number of operations handled
+   * @throws {RecipeConflictError} When the recipe needs a manual decision (after the rest was committed)
+   */
+  async resolveBatchConflict(operations, conflict) {
+    const filename = `${conflict.recipeName}.json`;
+    const conflicting = operations.filter(([, operation]) => this.getFilenameFromRecipeName(operation.recipeName) === filename);
+    const [change] = this.collapseOperations(conflicting.map(([, operation]) => operation));
+    const [[operationId, first]] = conflicting;
+    conflicting.slice(1).forEach(([id]) => this.dequeueOperation(id));
+
+    let failure = null;
+    try {
+      await this.resolveConflict(operationId, {
+        type: OperationType.UPDATE,
+        recipeName: first.recipeName,
+        data: change.data,
+        originalData: first.originalData || null,
+        baseSha: change.baseSha || null,
+        commit: change.commit,
+        images: change.images,
+        timestamp: first.timestamp,
+        attempts: 0
+      }, conflict);
+    } catch (error) {
+      failure = error;
+    }
+
+    const remaining = operations.filter(([id]) => this.pendingOperations.has(id)).length;
+    if (remaining > 0) {
+      await this.flushBatch();
+    } else {
+      this.setState(RepositoryState.IDLE);
+    }
+
+    if (failure) {
+      throw failure;
+    }
+    return operations.length;
+  }
+
+  /**
+   * Get synchronization status
+   * @returns {Object} Sync status information
+   */
+  getSyncStatus() {
+    const pending = Array.from(this.pendingOperations.entries()).map(([id, op]) => ({
+      id,
+      type: op.type,
+      recipeName: op.recipeName,
+      timestamp: op.timestamp,
+      attempts: op.attempts,
+      age: Date.now() - op.timestamp
+    }));
+
+    return {
+      state: this.state,
+      pendingCount: this.pendingOperations.size,
+      pendingOperations: pending.sort((a, b) => a.timestamp - b.timestamp),
+      offline: this.isOffline(),
+      paused: this.syncPaused,
+      cacheStatus: this.getCacheMetadata()
+    };
+  }
+
+  /**
+   * Upload queued operations one by one, oldest first
+   * Stops at the first failure so later edits never overtake earlier ones;
+   * whatever is left stays queued for the next replay.
+   * @returns {Promise<number>} Number of operations synced
+   */
+  replayPendingOperations() {
+    if (this.replaying) {
+      return this.replaying;
+    }
+
+    // Changes queued while signed in wait for the next sign-in rather than failing in read-only mode
+    if (this.pendingOperations.size === 0 || !this.githubAPI || this.isOffline() || this.syncPaused || !this.isWritable()) {
+      return Promise.resolve(0);
+    }
+
+    this.replaying = (async () => {
+      const queued = Array.from(this.pendingOperations.entries())
+        .sort(([, a], [, b]) => a.timestamp - b.timestamp);
+      let synced = 0;
+
+      this.log(`📤 Replaying ${queued.length} queued operations...`);
+      this.setState(RepositoryState.SYNCING);
+      this.emit(RepositoryEvents.SYNC_STARTED, { operationCount: queued.length });
+
+      try {
+        for (const [operationId] of queued) {
+          // A delayed sync may have uploaded it in the meantime
+          if (!this.pendingOperations.has(operationId)) {
+            continue;
+          }
+          await this.syncOperation(operationId, { scheduleRetry: false });
+          synced++;
+        }
+
+        this.log(`✅ Replayed ${synced} queued operations`);
+        this.emit(RepositoryEvents.SYNC_COMPLETED, { operationCount: synced });
+        this.setState(RepositoryState.IDLE);
+      } catch (error) {
+        this.log(`⚠️ Replay stopped after ${synced} operations:`, error.message);
+        this.emit(RepositoryEvents.SYNC_FAILED, { failures: [error], remaining: this.pendingOperations.size });
+        this.setState(RepositoryState.ERROR);
+      } finally {
+        this.replaying = null;
+      }
+
+      return synced;
+    })();
+
+    return this.replaying;
+  }
+
+  /**
+   * Stop uploading until resumeSync() is called
+   * Used when GitHub rejects the token: changes keep being queued (and
+   * persisted) instead of failing, so nothing is lost while the user signs in again.
+   */
+  pauseSync() {
+    if (this.syncPaused) {
+      return;
+    }
+    this.syncPaused = true;
+    this.log(`🔒 Sync paused, ${this.pendingOperations.size} operations kept queued`);
+    this.emit(RepositoryEvents.SYNC_PAUSED, { pendingCount: this.pendingOperations.size });
+  }
+
+  /**
+   * Upload everything queued while sync was paused
+   * @returns {Promise<number>} Number of operations synced
+   */
+  async resumeSync() {
+    if (!this.syncPaused) {
+      return 0;
+    }
+    this.syncPaused = false;
+    this.log('🔓 Sync resumed');
+    this.emit(RepositoryEvents.SYNC_RESUMED, { pendingCount: this.pendingOperations.size });
+
+    if (this.pendingOperations.size === 0) {
+      return 0;
+    }
+    if (this.config.syncStrategy === SyncStrategy.BATCH && typeof this.githubAPI?.commitBatch === 'function') {
+      try {
+        return await this.flushBatch();
+      } catch {
+        // Already reported in flushBatch; anything kept stays queued
+        return 0;
+      }
+    }
+    return this.replayPendingOperations();
+  }
+
+  /**
+   * Change how later operations are uploaded
+   * Operations already collected for a batch are committed right away when
+   * batching is turned off, so they don't wait for a commit that never comes.
+   * @param {string} strategy - One of SyncStrategy
+   * @returns {Promise<number>} Number of queued operations committed on the switch
+   * @throws {ValidationError} When the strategy is unknown
+   */
+  async setSyncStrategy(strategy) {
+    if (!Object.values(SyncStrategy).includes(strategy)) {
+      throw new ValidationError([`syncStrategy invalid: ${strategy}`], `Unknown sync strategy: ${strategy}`);
+    }
+
+    const previous = this.config.syncStrategy;
+    this.config.syncStrategy = strategy;
+    this.log(`⚙️ Sync strategy: ${previous} → ${strategy}`);
+
+    if (previous !== SyncStrategy.BATCH || strategy === SyncStrategy.BATCH || !this.batchTimeoutId) {
+      return 0;
+    }
+    try {
+      return await this.flushBatch();
+    } catch {
+      // Already reported in flushBatch; anything kept stays queued
+      return 0;
+    }
+  }
+
+  /**
+   * Check if uploads are paused until the user signs in again
+   * @returns {boolean} True while paused
+   */
+  isSyncPaused() {
+    return this.syncPaused;
+  }
+
+  // ============================================================================
+  // CACHE MANAGEMENT
+  // ============================================================================
+
+  /**
+   * Clear all cached data
+   */
+  clearCache() {
+    const count = this.cache.size;
+    this.cache.clear();
+    this.setTreeSha(null);
+    if (this.cacheStore) {
+      this.cacheStore.clear().catch(error => this.log('⚠️ Failed to clear persistent cache:', error.message));
+    }
+    this.log(`🧹 Cache cleared (${count} entries removed)`);
+    this.emit(RepositoryEvents.CACHE_UPDATED, { cleared: true });
+  }
+
+  /**
+   * Switch to the durable cache of another recipe source
+   * Every source (a GitHub repository, local mode, a self-hosted forge) keeps
+   * its own recipes and upload queue, so changes queued for one are never
+   * replayed into another. The in-memory cache and queue are emptied; queued
+   * operations stay in the previous store until that source is used again.
+   * Call hydrate() afterwards to load the new source's cache.
+   * @param {string|null} cacheName - IndexedDB database name (null for the default one)
+   * @returns {boolean} True when the cache was switched
+   * @throws {Error} When changes are queued that could not be kept (no persistent cache)
+   */
+  setCacheName(cacheName) {
+    const name = cacheName || null;
+    if (name === this.config.cacheName) {
+      return false;
+    }
+    if (!this.cacheStore && this.pendingOperations.size > 0) {
+      throw new Error('Cannot switch recipe source while changes are waiting to be uploaded');
+    }
+
+    if (this.batchTimeoutId) {
+      globalThis.clearTimeout(this.batchTimeoutId);
+      this.activeTimeouts.delete(this.batchTimeoutId);
+      this.batchTimeoutId = null;
+    }
+
+    this.cacheStore?.close?.();
+    this.config.cacheName = name;
+    this.cacheStore = this.config.persistentCache ? this.openCacheStore(name) : null;
+    this.cache.clear();
+    this.treeSha = null;
+    this.pendingOperations.clear();
+
+    this.log(`💽 Switched to cache ${name || '(default)'}`);
+    this.emit(RepositoryEvents.QUEUE_CHANGED, { pendingCount: 0 });
+    return true;
+  }
+
+  /**
+   * Clear specific recipe from cache
+   * @param {string} recipeName - Name of recipe to remove from cache
+   */
+  clearCacheEntry(recipeName) {
+    // Convert recipe name to normalized cache key
+    const filename = generateFilenameFromRecipeName(recipeName);
+    const cacheKey = this.normalizeCacheKey(filename);
+    
+    if (this.cache.has(cacheKey)) {
+      this.cache.delete(cacheKey);
+      this.unpersistCacheEntry(cacheKey);
+      this.log(`🗑️ Removed ${cacheKey} from cache`);
+      this.emit(RepositoryEvents.CACHE_UPDATED, { removed: recipeName });
+    }
+  }
+
+  /**
+   * Load the durable cache into memory (call once on startup)
+   * Entries already cached in this session win over persisted ones.
+   * @returns {Promise<number>} Number of entries restored
+   */
+  async hydrate() {
+    if (!this.cacheStore) {
+      return 0;
+    }
+
+    try {
+      const entries = await this.cacheStore.loadAll();
+      let restored = 0;
+
+      for (const { key, data, timestamp } of entries) {
+        if (!this.cache.has(key) && data) {
+          // Entries cached by an older version of the app may predate a migration
+          this.cache.set(key, { data: this.upgradeRecipe(data), timestamp });
+          restored++;
+        }
+      }
+
+      this.log(`💽 Restored ${restored} recipes from persistent cache`);
+      if (restored > 0) {
+        this.treeSha = this.treeSha || await this.cacheStore.getMeta(TREE_SHA_META_KEY) || null;
+        this.emit(RepositoryEvents.CACHE_UPDATED, { hydrated: restored });
+      }
+
+      await this.restorePendingOperations();
+      return restored;
+
+    } catch (error) {
+      this.log('⚠️ Failed to restore persistent cache:', error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Put operations queued in a previous session back into the pending queue
+   * @private
+   * @returns {Promise<number>} Number of operations restored
+   */
+  async restorePendingOperations() {
+    try {
+      const operations = await this.cacheStore.loadOperations();
+      let restored = 0;
+
+      for (const { id, ...operation } of operations) {
+        if (!this.pendingOperations.has(id)) {
+          this.pendingOperations.set(id, operation);
+          restored++;
+        }
+      }
+
+      if (restored > 0) {
+        this.log(`📥 Restored ${restored} queued operations from previous session`);
+        this.emit(RepositoryEvents.QUEUE_CHANGED, { pendingCount: this.pendingOperations.size });
+      }
+      return restored;
+
+    } catch (error) {
+      this.log('⚠️ Failed to restore queued operations:', error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Reload recipes from source and refresh the cache
+   * Concurrent calls share the same in-flight request.
+   * @returns {Promise<Array>} Fresh recipes
+   */
+  revalidate() {
+    if (this.revalidation) {
+      return this.revalidation;
+    }
+
+    this.log('🔄 Revalidating cached recipes...');
+    this.revalidation = (async () => {
+      try {
+        // Only download what changed since the cache was filled
+        if (this.supportsIncrementalSync() && this.cache.size > 0) {
+          await this.syncChanges();
+          return this.getCachedRecipes({ includeStale: true });
+        }
+
+        const recipes = (await this.loadFromSource()).map(recipe => this.upgradeRecipe(recipe));
+        this.updateCache(recipes, { replace: true });
+        this.emit(RepositoryEvents.RECIPES_UPDATED, recipes);
+        return recipes;
+      } finally {
+        this.revalidation = null;
+      }
+    })();
+
+    return this.revalidation;
+  }
+
+  /**
+   * Bring the cache up to date, downloading only recipes whose blob sha changed
+   * Compares the recipes/ tree with the shas remembered in the cache and drops
+   * recipes that were deleted. Recipes with queued local changes are left alone.
+   * Emits RECIPES_CHANGED with the difference when there is one.
+   * @returns {Promise<{added: Object[], changed: Object[], removed: Object[]}>} What changed
+   */
+  async syncChanges() {
+    const tree = await this.githubAPI.getRecipeTree();
+    const diff = { added: [], changed: [], removed: [] };
+    const now = Date.now();
+
+    if (tree.sha && tree.sha === this.treeSha) {
+      this.log('✅ Recipe tree unchanged, nothing to download');
+      this.touchCacheEntries(now);
+      return diff;
+    }
+
+    // Recipes edited locally but not uploaded yet must not be overwritten or dropped
+    const locallyChanged = this.getLocallyChangedKeys();
+
+    const cachedByFile = new Map();
+    for (const [cacheKey, entry] of this.cache.entries()) {
+      if (!locallyChanged.has(cacheKey)) {
+        cachedByFile.set(`${entry.data.metadata?.id || cacheKey}.json`, { cacheKey, entry });
+      }
+    }
+
+    const inTree = new Set(tree.files.map(file => file.filename));
+    const toLoad = tree.files.filter(file => {
+      if (locallyChanged.has(this.normalizeCacheKey(file.filename))) {
+        return false;
+      }
+      return cachedByFile.get(file.filename)?.entry.data.metadata?.sha !== file.sha;
+    });
+
+    this.log(`🔍 ${toLoad.length} of ${tree.files.length} recipes changed since the last sync`);
+    const loaded = toLoad.length > 0
+      ? (await this.githubAPI.getFiles(toLoad)).map(recipe => this.upgradeRecipe(recipe))
+      : [];
+
+    for (const recipe of loaded) {
+      const cached = cachedByFile.get(`${recipe.metadata.id}.json`);
+      const cacheKey = cached ? cached.cacheKey : this.normalizeCacheKey(generateFilenameFromRecipeName(recipe.name));
+      const entry = { data: { ...recipe }, timestamp: now };
+      this.cache.set(cacheKey, entry);
+      this.persistCacheEntry(cacheKey, entry);
+      (cached ? diff.changed : diff.added).push(recipe);
+    }
+
+    for (const [filename, { cacheKey, entry }] of cachedByFile.entries()) {
+      if (!inTree.has(filename)) {
+        this.cache.delete(cacheKey);
+        this.unpersistCacheEntry(cacheKey);
+        diff.removed.push(entry.data);
+      }
     }
+
+    this.touchCacheEntries(now);
+
+    // A recipe that failed to download is retried on the next sync
+    if (loaded.length === toLoad.length) {
+      this.setTreeSha(tree.sha);
+    }
+
+    this.log(`✅ Synced changes: ${diff.added.length} added, ${diff.changed.length} changed, ${diff.removed.length} removed`);
+    if (diff.added.length > 0 || diff.changed.length > 0 || diff.removed.length > 0) {
+      this.emit(RepositoryEvents.RECIPES_CHANGED, diff);
+    }
+    return diff;
   }
 
   /**
-   * Get synchronization status
-   * @returns {Object} Sync status information
+   * Cache keys of recipes with queued operations that have not been uploaded yet
+   * @private
+   * @returns {Set<string>} Cache keys (under the name before and after a rename)
    */
-  getSyncStatus() {
-    const pending = Array.from(this.pendingOperations.entries()).map(([id, op]) => ({
-      id,
-      type: op.type,
-      recipeName: op.recipeName,
-      timestamp: op.timestamp,
-      attempts: op.attempts,
-      age: Date.now() - op.timestamp
-    }));
+  getLocallyChangedKeys() {
+    const keys = new Set();
+    for (const operation of this.pendingOperations.values()) {
+      keys.add(this.normalizeCacheKey(operation.recipeName));
+      if (operation.data?.name) {
+        keys.add(this.normalizeCacheKey(generateFilenameFromRecipeName(operation.data.name)));
+      }
+    }
+    return keys;
+  }
 
-    return {
-      state: this.state,
-      pendingCount: this.pendingOperations.size,
-      pendingOperations: pending,
-      cacheStatus: this.getCacheMetadata()
-    };
+  /**
+   * Check if the adapter can list blob shas for incremental sync
+   * @private
+   * @returns {boolean} True when getRecipeTree() and getFiles() are available
+   */
+  supportsIncrementalSync() {
+    return typeof this.githubAPI?.getRecipeTree === 'function' && typeof this.githubAPI?.getFiles === 'function';
   }
 
-  // ============================================================================
-  // CACHE MANAGEMENT
-  // ============================================================================
+  /**
+   * Mark every cache entry as fresh after it was confirmed against the source
+   * (in memory only - after a reload the first revalidation confirms them again)
+   * @private
+   * @param {number} timestamp - Confirmation time
+   */
+  touchCacheEntries(timestamp) {
+    for (const entry of this.cache.values()) {
+      entry.timestamp = timestamp;
+    }
+  }
 
   /**
-   * Clear all cached data
+   * Remember the recipes/ tree sha the cache corresponds to
+   * @private
+   * @param {string|null} sha - Tree sha
    */
-  clearCache() {
-    const count = this.cache.size;
-    this.cache.clear();
-    this.log(`🧹 Cache cleared (${count} entries removed)`);
-    this.emit(RepositoryEvents.CACHE_UPDATED, { cleared: true });
+  setTreeSha(sha) {
+    this.treeSha = sha;
+    if (!this.cacheStore) return;
+    this.cacheStore.setMeta(TREE_SHA_META_KEY, sha).catch(error => {
+      this.log('⚠️ Failed to persist tree sha:', error.message);
+    });
   }
 
   /**
-   * Clear specific recipe from cache
-   * @param {string} recipeName - Name of recipe to remove from cache
+   * Check whether the repository should avoid the network
+   * @returns {boolean} True in offline mode or when the browser reports no connection
    */
-  clearCacheEntry(recipeName) {
-    // Convert recipe name to normalized cache key
-    const filename = generateFilenameFromRecipeName(recipeName);
-    const cacheKey = this.normalizeCacheKey(filename);
-    
-    if (this.cache.has(cacheKey)) {
-      this.cache.delete(cacheKey);
-      this.log(`🗑️ Removed ${cacheKey} from cache`);
-      this.emit(RepositoryEvents.CACHE_UPDATED, { removed: recipeName });
+  isOffline() {
+    if (this.config.offlineMode) {
+      return true;
+    }
+    // Adapters that store recipes on this device work without a connection
+    if (this.githubAPI?.requiresNetwork === false) {
+      return false;
     }
+    return typeof navigator !== 'undefined' && navigator.onLine === false;
   }
 
   /**
@@ -560,15 +1605,21 @@ class RecipeRepository {
       globalThis.clearTimeout(timeoutId);
     }
     this.activeTimeouts.clear();
+    this.batchTimeoutId = null;
+    this.rateLimitTimeoutId = null;
     
     // Clear pending operations
     this.pendingOperations.clear();
     
     // Clear cache
     this.cache.clear();
+    this.sourceCache.clear();
     
     // Clear event listeners
     this.eventListeners.clear();
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('online', this.handleOnline);
+    }
     
     this.log('🧹 Repository cleaned up');
   }
@@ -686,6 +1737,20 @@ class RecipeRepository {
     }
   }
 
+  /**
+   * Bring a recipe read from a data source up to the current schema version
+   * @private
+   * @param {Object|null} recipe - Recipe as stored
+   * @returns {Object|null} Upgraded recipe (the same object when it is current)
+   */
+  upgradeRecipe(recipe) {
+    const { recipe: upgraded, fromVersion, migrated } = migrateRecipe(recipe);
+    if (migrated) {
+      this.log(`🔧 Upgraded ${upgraded.name} from schema version ${fromVersion}`);
+    }
+    return upgraded;
+  }
+
   /**
    * Load single recipe from source (GitHub API)
    * @private
@@ -713,9 +1778,12 @@ class RecipeRepository {
    * Sync a specific operation with GitHub
    * @private
    * @param {string} operationId - Operation ID
+   * @param {Object} options - Sync options
+   * @param {boolean} options.scheduleRetry - Retry with backoff on failure (default true)
    * @returns {Promise<void>}
    */
-  async syncOperation(operationId) {
+  async syncOperation(operationId, options = {}) {
+    const { scheduleRetry = true } = options;
     const operation = this.pendingOperations.get(operationId);
     if (!operation) {
       throw new Error(`Operation not found: ${operationId}`);
@@ -725,50 +1793,399 @@ class RecipeRepository {
       throw new Error('GitHub API not configured');
     }
 
+    if (this.isOffline()) {
+      // Leave it queued; replayPendingOperations() runs when the connection returns
+      throw new OfflineError(`Cannot sync ${operation.type} for ${operation.recipeName} while offline`);
+    }
+
+    if (this.syncPaused) {
+      // Leave it queued; resumeSync() replays it once a valid token is supplied
+      throw new AuthError(`Cannot sync ${operation.type} for ${operation.recipeName} while sync is paused`);
+    }
+
     try {
       operation.attempts++;
       const filename = this.getFilenameFromRecipeName(operation.recipeName);
 
+      let result;
       switch (operation.type) {
         case OperationType.CREATE:
-          await this.githubAPI.createFile(filename, operation.data);
+          result = await this.githubAPI.createFile(filename, operation.data, { commit: operation.commit, images: operation.images });
           break;
         case OperationType.UPDATE:
-          await this.githubAPI.updateFile(filename, operation.data);
+          result = await this.githubAPI.updateFile(filename, operation.data, {
+            baseSha: operation.baseSha,
+            commit: operation.commit,
+            images: operation.images
+          });
           break;
         case OperationType.DELETE:
-          await this.githubAPI.deleteFile(filename);
+          await this.githubAPI.deleteFile(filename, { commit: operation.commit, images: operation.images });
           break;
         default:
           throw new Error(`Unknown operation type: ${operation.type}`);
       }
 
       // Operation succeeded, remove from pending
-      this.pendingOperations.delete(operationId);
+      this.dequeueOperation(operationId);
+      this.recordSyncedSha(operation.data, result?.sha || result?.metadata?.sha);
       this.log(`✅ Synced ${operation.type} operation for ${operation.recipeName}`);
 
     } catch (error) {
+      if (error instanceof RecipeConflictError && operation.type === OperationType.UPDATE) {
+        // Retrying would hit the same conflict - merge instead
+        await this.resolveConflict(operationId, operation, error);
+        return;
+      }
+
+      if (error instanceof RateLimitError) {
+        // Not the operation's fault - keep it queued without using up a retry
+        operation.attempts--;
+        operation.lastError = error;
+        this.persistOperation(operationId, operation);
+        this.scheduleRateLimitRetry(error);
+        throw error;
+      }
+
+      if (this.isTokenRejection(error)) {
+        // The token expired or was revoked - retrying can't help until the user signs in again
+        operation.attempts--;
+        operation.lastError = error;
+        this.persistOperation(operationId, operation);
+        this.pauseSync();
+        throw error;
+      }
+
       this.log(`❌ Failed to sync ${operation.type} operation for ${operation.recipeName} (attempt ${operation.attempts}):`, error.message);
       operation.lastError = error;
 
       // Retry logic with exponential backoff
       if (operation.attempts < this.config.maxRetries) {
-        const delay = this.config.retryDelay * Math.pow(2, operation.attempts - 1);
-        this.log(`🔄 Scheduling retry for ${operation.recipeName} in ${delay}ms`);
-        const retryTimeoutId = globalThis.setTimeout(() => {
-          this.activeTimeouts.delete(retryTimeoutId);
-          this.syncOperation(operationId);
-        }, delay);
-        this.activeTimeouts.add(retryTimeoutId);
+        // Remember the attempt count across reloads
+        this.persistOperation(operationId, operation);
+
+        if (scheduleRetry) {
+          const delay = this.config.retryDelay * Math.pow(2, operation.attempts - 1);
+          this.log(`🔄 Scheduling retry for ${operation.recipeName} in ${delay}ms`);
+          const retryTimeoutId = globalThis.setTimeout(() => {
+            this.activeTimeouts.delete(retryTimeoutId);
+            this.syncOperation(operationId).catch(() => {
+              // Already logged above; the next attempt or replay takes over
+            });
+          }, delay);
+          this.activeTimeouts.add(retryTimeoutId);
+        }
       } else {
         // Max retries reached, give up
         this.log(`💀 Max retries reached for ${operation.type} operation on ${operation.recipeName}`);
-        this.pendingOperations.delete(operationId);
+        this.dequeueOperation(operationId);
       }
       throw error;
     }
   }
 
+  /**
+   * Check whether a failed write means the token expired or was revoked
+   * Only then is sync paused until the user signs in again. GitHub also answers
+   * 403 for missing permissions, protected branches and secondary rate limits;
+   * those fail the save like any other error.
+   * @private
+   * @param {Error} error - Error from the adapter
+   * @returns {boolean} True when the token was rejected
+   */
+  isTokenRejection(error) {
+    if (!(error instanceof AuthError)) {
+      return false;
+    }
+    if (typeof this.githubAPI?.isTokenExpired === 'function') {
+      return this.githubAPI.isTokenExpired();
+    }
+    return error.status !== 403;
+  }
+
+  /**
+   * Add an operation to the pending queue and persist it
+   * @private
+   * @param {string} operationId - Operation ID
+   * @param {Object} operation - Operation details
+   */
+  queueOperation(operationId, operation) {
+    this.pendingOperations.set(operationId, operation);
+    this.persistOperation(operationId, operation);
+    this.emit(RepositoryEvents.QUEUE_CHANGED, { pendingCount: this.pendingOperations.size });
+  }
+
+  /**
+   * Remove an operation from the pending queue and the persistent store
+   * @private
+   * @param {string} operationId - Operation ID
+   */
+  dequeueOperation(operationId) {
+    if (!this.pendingOperations.delete(operationId)) {
+      return;
+    }
+    if (this.cacheStore) {
+      this.cacheStore.deleteOperation(operationId)
+        .catch(error => this.log('⚠️ Failed to remove queued operation:', error.message));
+    }
+    this.emit(RepositoryEvents.QUEUE_CHANGED, { pendingCount: this.pendingOperations.size });
+  }
+
+  /**
+   * Write an operation to the persistent store (fire-and-forget)
+   * @private
+   * @param {string} operationId - Operation ID
+   * @param {Object} operation - Operation details
+   */
+  persistOperation(operationId, operation) {
+    if (!this.cacheStore) {
+      return;
+    }
+    // Errors don't survive structured cloning and are only useful in this session
+    const serializable = { ...operation };
+    delete serializable.lastError;
+    this.cacheStore.putOperation(operationId, serializable)
+      .catch(error => this.log('⚠️ Failed to persist queued operation:', error.message));
+  }
+
+  /**
+   * Three-way merge an update that conflicts with a newer version on GitHub
+   * Non-overlapping changes are merged and written straight away; otherwise the
+   * GitHub version goes into the cache and RECIPE_CONFLICT lets the UI ask the
+   * user, who resolves it with update(recipeName, resolved, { baseSha: remoteSha }).
+   * @private
+   * @param {string} operationId - Operation ID
+   * @param {Object} operation - Conflicting update operation
+   * @param {RecipeConflictError} conflict - Conflict raised by the adapter
+   * @returns {Promise<void>}
+   * @throws {RecipeConflictError} When fields need a manual decision
+   */
+  async resolveConflict(operationId, operation, conflict) {
+    const filename = this.getFilenameFromRecipeName(operation.recipeName);
+    this.log(`⚔️ Conflict on ${filename}: based on ${operation.baseSha}, GitHub has ${conflict.remoteSha}`);
+
+    // Prefer the exact version the edit started from; the cached original is the next best thing
+    let base = null;
+    if (operation.baseSha && typeof this.githubAPI.getFileVersion === 'function') {
+      try {
+        base = this.upgradeRecipe(await this.githubAPI.getFileVersion(filename, operation.baseSha));
+      } catch (error) {
+        this.log(`⚠️ Could not load base version of ${filename}:`, error.message);
+      }
+    }
+    base = base || operation.originalData || null;
+
+    // The GitHub version may be in an older format; merge and cache it upgraded like any loaded recipe
+    const remote = conflict.remote ? this.upgradeRecipe(conflict.remote) : null;
+    const { merged, conflicts } = mergeRecipes(base, operation.data, remote || {});
+    this.dequeueOperation(operationId);
+
+    // Drop the optimistic copy (it may live under a renamed key)
+    if (operation.data?.name) {
+      this.removeCachedRecipe(operation.data.name);
+    }
+    const cacheKey = this.normalizeCacheKey(operation.recipeName);
+
+    if (conflicts.length === 0) {
+      const result = await this.githubAPI.updateFile(filename, merged, {
+        baseSha: conflict.remoteSha,
+        commit: operation.commit,
+        images: operation.images
+      });
+      const sha = result?.sha || result?.metadata?.sha;
+      const mergedRecipe = sha ? { ...merged, metadata: { ...merged.metadata, sha } } : merged;
+
+      this.setCachedRecipe(this.normalizeCacheKey(merged.name || operation.recipeName), mergedRecipe);
+      this.log(`🔀 Merged concurrent changes to ${filename}`);
+      this.emit(RepositoryEvents.RECIPE_MERGED, { recipeName: operation.recipeName, recipe: mergedRecipe });
+      this.emit(RepositoryEvents.RECIPES_UPDATED, this.getCachedRecipes());
+      return;
+    }
+
+    // Show what is really on GitHub until the user decides
+    if (remote) {
+      this.setCachedRecipe(cacheKey, remote);
+    }
+    this.emit(RepositoryEvents.RECIPES_UPDATED, this.getCachedRecipes());
+
+    conflict.conflicts = conflicts;
+    conflict.merged = merged;
+    this.log(`⚠️ ${conflicts.length} conflicting fields in ${filename}:`, conflicts.map(c => c.field));
+    this.emit(RepositoryEvents.RECIPE_CONFLICT, {
+      recipeName: operation.recipeName,
+      base,
+      local: operation.data,
+      remote,
+      remoteSha: conflict.remoteSha,
+      merged,
+      conflicts
+    });
+    throw conflict;
+  }
+
+  /**
+   * Store the blob sha GitHub assigned to a written recipe
+   * The next edit is based on it, so it must be current to avoid false conflicts.
+   * @private
+   * @param {Object} recipeData - Recipe that was written
+   * @param {string} sha - New blob sha
+   */
+  recordSyncedSha(recipeData, sha) {
+    if (!sha || !recipeData?.name) {
+      return;
+    }
+
+    const cacheKey = this.normalizeCacheKey(recipeData.name);
+    const entry = this.cache.get(cacheKey);
+    if (entry) {
+      entry.data = { ...entry.data, metadata: { ...entry.data.metadata, sha } };
+      this.persistCacheEntry(cacheKey, entry);
+    }
+  }
+
+  /**
+   * Collapse queued operations into one final change per file
+   * @private
+   * @param {Array<Object>} operations - Pending operations, oldest first
+   * @returns {Array<{type: string, filename: string, data?: Object, previous?: Object, baseSha?: string, commit?: Object, images?: Array}>} File changes for commitBatch
+   */
+  collapseOperations(operations) {
+    const changes = new Map();
+
+    for (const operation of operations) {
+      const filename = this.getFilenameFromRecipeName(operation.recipeName);
+      const previous = changes.get(filename);
+      let type = operation.type;
+
+      if (previous) {
+        if (previous.type === OperationType.CREATE && type === OperationType.DELETE) {
+          // Created and deleted within the same batch - nothing to commit
+          changes.delete(filename);
+          continue;
+        }
+        if (previous.type === OperationType.CREATE && type === OperationType.UPDATE) {
+          type = OperationType.CREATE;
+        } else if (previous.type === OperationType.DELETE && type === OperationType.CREATE) {
+          type = OperationType.UPDATE;
+        }
+        // Keep the position of the first change so the commit message follows edit order
+        changes.delete(filename);
+      }
+
+      const change = type === OperationType.DELETE
+        ? { type, filename }
+        : { type, filename, data: operation.data };
+      // Conflicts are checked against the version the first queued edit started from
+      const baseSha = previous ? previous.baseSha : operation.baseSha || operation.originalData?.metadata?.sha;
+      if (type !== OperationType.CREATE && baseSha) {
+        change.baseSha = baseSha;
+      }
+      // The commit message summarizes an update against the recipe as it was before the batch
+      const original = previous ? previous.previous : operation.originalData;
+      if (type === OperationType.UPDATE && original) {
+        change.previous = original;
+      }
+      const commit = operation.commit || previous?.commit;
+      if (commit) {
+        change.commit = commit;
+      }
+      const images = [...(previous?.images || []), ...(operation.images || [])];
+      if (images.length > 0) {
+        change.images = images;
+      }
+      changes.set(filename, change);
+    }
+
+    return Array.from(changes.values());
+  }
+
+  /**
+   * Undo the optimistic cache change made by an operation
+   * @private
+   * @param {Object} operation - Pending operation
+   */
+  rollbackOperation(operation) {
+    switch (operation.type) {
+      case OperationType.CREATE:
+        this.removeCachedRecipe(operation.recipeName);
+        break;
+      case OperationType.UPDATE:
+        if (operation.data?.name) {
+          this.removeCachedRecipe(operation.data.name);
+        }
+        if (operation.originalData) {
+          this.setCachedRecipe(this.normalizeCacheKey(operation.recipeName), operation.originalData);
+        }
+        break;
+      case OperationType.DELETE:
+        if (operation.originalData) {
+          this.setCachedRecipe(this.normalizeCacheKey(operation.recipeName), operation.originalData);
+        }
+        break;
+    }
+  }
+
+  /**
+   * Schedule a batch commit once edits go quiet (or right away when the batch is full)
+   * @private
+   */
+  scheduleBatchFlush() {
+    if (this.batchTimeoutId) {
+      globalThis.clearTimeout(this.batchTimeoutId);
+      this.activeTimeouts.delete(this.batchTimeoutId);
+    }
+
+    const delay = this.pendingOperations.size >= this.config.batchSize ? 0 : this.config.batchDelay;
+    this.log(`📦 Batch flush scheduled in ${delay}ms (${this.pendingOperations.size} operations queued)`);
+
+    const timeoutId = globalThis.setTimeout(async () => {
+      this.activeTimeouts.delete(timeoutId);
+      this.batchTimeoutId = null;
+
+      try {
+        await this.flushBatch();
+      } catch (error) {
+        // Already rolled back and reported in flushBatch
+        this.log(`⚠️ Batch flush failed: ${error.message}`);
+      }
+    }, delay);
+
+    this.batchTimeoutId = timeoutId;
+    this.activeTimeouts.add(timeoutId);
+  }
+
+  /**
+   * Retry the queued operations once the API rate limit resets
+   * @private
+   * @param {RateLimitError} error - Error carrying the reset time
+   */
+  scheduleRateLimitRetry(error) {
+    if (this.rateLimitTimeoutId) {
+      return;
+    }
+
+    const delay = Math.max(error.resetAt - Date.now(), 0);
+    this.log(`⏳ Rate limited - retrying queued operations in ${Math.ceil(delay / 1000)}s`);
+
+    const timeoutId = globalThis.setTimeout(async () => {
+      this.activeTimeouts.delete(timeoutId);
+      this.rateLimitTimeoutId = null;
+
+      try {
+        if (this.config.syncStrategy === SyncStrategy.BATCH) {
+          await this.flushBatch();
+        } else {
+          await this.replayPendingOperations();
+        }
+      } catch (retryError) {
+        this.log(`⚠️ Retry after rate limit failed: ${retryError.message}`);
+      }
+    }, delay);
+
+    this.rateLimitTimeoutId = timeoutId;
+    this.activeTimeouts.add(timeoutId);
+  }
+
   /**
    * Schedule delayed sync for an operation
    * @private
@@ -799,18 +2216,21 @@ class RecipeRepository {
   /**
    * Get all cached recipes
    * @private
+   * @param {Object} options - Lookup options
+   * @param {boolean} options.includeStale - Also return entries past cacheTimeout
    * @returns {Array} Array of cached recipe objects
    */
-  getCachedRecipes() {
+  getCachedRecipes(options = {}) {
+    const { includeStale = false } = options;
     const now = Date.now();
     const validRecipes = [];
 
     for (const [recipeName, cacheEntry] of this.cache.entries()) {
       // Check if cache entry is still valid
-      if (now - cacheEntry.timestamp <= this.config.cacheTimeout) {
+      if (includeStale || now - cacheEntry.timestamp <= this.config.cacheTimeout) {
         validRecipes.push(cacheEntry.data);
-      } else {
-        // Remove expired entry
+      } else if (!this.cacheStore) {
+        // Remove expired entry (a persistent cache keeps it to serve while revalidating)
         this.cache.delete(recipeName);
         this.log(`🗑️ Removed expired cache entry: ${recipeName}`);
       }
@@ -823,18 +2243,21 @@ class RecipeRepository {
    * Get single cached recipe
    * @private
    * @param {string} recipeName - Recipe name or filename
+   * @param {Object} options - Lookup options
+   * @param {boolean} options.includeStale - Also return an entry past cacheTimeout
    * @returns {Object|null} Cached recipe or null
    */
-  getCachedRecipe(recipeName) {
+  getCachedRecipe(recipeName, options = {}) {
+    const { includeStale = false } = options;
     const cacheKey = this.normalizeCacheKey(recipeName);
     const cacheEntry = this.cache.get(cacheKey);
     
     if (cacheEntry) {
       // Check if still valid
       const now = Date.now();
-      if (now - cacheEntry.timestamp <= this.config.cacheTimeout) {
+      if (includeStale || now - cacheEntry.timestamp <= this.config.cacheTimeout) {
         return cacheEntry.data;
-      } else {
+      } else if (!this.cacheStore) {
         // Remove expired entry
         this.cache.delete(cacheKey);
         this.log(`🗑️ Removed expired cache entry: ${cacheKey}`);
@@ -844,6 +2267,40 @@ class RecipeRepository {
     return null;
   }
 
+  /**
+   * Check if any cache entry is past cacheTimeout
+   * @private
+   * @returns {boolean} True if at least one entry is stale
+   */
+  hasExpiredEntries() {
+    const now = Date.now();
+    for (const cacheEntry of this.cache.values()) {
+      if (now - cacheEntry.timestamp > this.config.cacheTimeout) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Check if stale entries may be served instead of waiting for the network
+   * @private
+   * @returns {boolean} True when backed by a persistent cache or offline
+   */
+  canServeStale() {
+    return !!this.cacheStore || this.isOffline();
+  }
+
+  /**
+   * Start a revalidation without waiting for it
+   * @private
+   */
+  revalidateInBackground() {
+    this.revalidate().catch(error => {
+      this.log('⚠️ Background revalidation failed:', error.message);
+    });
+  }
+
   /**
    * Set cached recipe
    * @private
@@ -857,11 +2314,35 @@ class RecipeRepository {
     };
     
     this.cache.set(cacheKey, cacheEntry);
+    this.persistCacheEntry(cacheKey, cacheEntry);
     this.log(`💾 Cached recipe: ${cacheKey}`);
     this.emit(RepositoryEvents.CACHE_UPDATED, { added: cacheKey });
   }
 
+  /**
+   * Write a cache entry through to the persistent store
+   * @private
+   * @param {string} cacheKey - Cache key
+   * @param {Object} cacheEntry - Cache entry
+   */
+  persistCacheEntry(cacheKey, cacheEntry) {
+    if (!this.cacheStore) return;
+    this.cacheStore.put(cacheKey, cacheEntry).catch(error => {
+      this.log(`⚠️ Failed to persist cache entry ${cacheKey}:`, error.message);
+    });
+  }
 
+  /**
+   * Remove a cache entry from the persistent store
+   * @private
+   * @param {string} cacheKey - Cache key
+   */
+  unpersistCacheEntry(cacheKey) {
+    if (!this.cacheStore) return;
+    this.cacheStore.delete(cacheKey).catch(error => {
+      this.log(`⚠️ Failed to remove persisted cache entry ${cacheKey}:`, error.message);
+    });
+  }
 
   /**
    * Normalize recipe name to cache key
@@ -890,6 +2371,7 @@ class RecipeRepository {
     
     if (this.cache.has(cacheKey)) {
       this.cache.delete(cacheKey);
+      this.unpersistCacheEntry(cacheKey);
       this.log(`🗑️ Removed cached recipe: ${cacheKey}`);
       this.emit(RepositoryEvents.CACHE_UPDATED, { removed: recipeName });
     }
@@ -899,9 +2381,12 @@ class RecipeRepository {
    * Update cache with multiple recipes
    * @private
    * @param {Array} recipes - Array of recipe objects
+   * @param {Object} [options] - Update options
+   * @param {boolean} [options.replace=false] - `recipes` is the whole collection; drop cached recipes missing from it
    */
-  updateCache(recipes) {
-    let addedCount = 0;
+  updateCache(recipes, options = {}) {
+    const { replace = false } = options;
+    const freshKeys = new Set();
     
     for (const recipe of recipes) {
       if (recipe && recipe.name) {
@@ -909,11 +2394,26 @@ class RecipeRepository {
         const filename = generateFilenameFromRecipeName(recipe.name);
         const cacheKey = this.normalizeCacheKey(filename);
         this.setCachedRecipe(cacheKey, recipe);
-        addedCount++;
+        freshKeys.add(cacheKey);
       }
     }
     
-    this.log(`💾 Updated cache with ${addedCount} recipes`);
+    this.log(`💾 Updated cache with ${freshKeys.size} recipes`);
+    if (!replace) {
+      return;
+    }
+
+    // Recipes deleted at the source go, in memory and in the persistent store,
+    // unless they were created or changed here and are still waiting to be uploaded
+    const locallyChanged = this.getLocallyChangedKeys();
+    const removed = Array.from(this.cache.keys()).filter(key => !freshKeys.has(key) && !locallyChanged.has(key));
+    for (const cacheKey of removed) {
+      this.cache.delete(cacheKey);
+      this.unpersistCacheEntry(cacheKey);
+    }
+    if (removed.length > 0) {
+      this.log(`🗑️ Removed ${removed.length} recipes no longer at the source`);
+    }
   }
 
   /**
@@ -946,10 +2446,12 @@ class RecipeRepository {
     this.setState(RepositoryState.LOADING);
     
     try {
+      const offline = this.isOffline();
+
       // First, check if we can use cached data (unless forced refresh)
-      if (!forceRefresh) {
-        const cached = this.getCachedRecipes();
-        if (cached.length > 0) {
+      if (!forceRefresh || offline) {
+        const cached = this.getCachedRecipes({ includeStale: this.canServeStale() });
+        if (cached.length > 0 || offline) {
           this.log('💾 Using cached recipes for progressive loading', { count: cached.length });
           
           // Still emit progressive events for UI consistency
@@ -968,61 +2470,85 @@ class RecipeRepository {
           }
           
           this.setState(RepositoryState.IDLE);
+
+          // Stale entries were shown instantly - refresh them in the background
+          if (!offline && this.hasExpiredEntries()) {
+            this.revalidateInBackground();
+          }
           return cached;
         }
       }
 
       // Load fresh data progressively
-      if (!this.adapter) {
-        throw new Error('No adapter configured for loading recipes');
+      if (!this.githubAPI) {
+        throw new Error('GitHub API not configured');
       }
 
-      // Get list of available recipe files
-      const recipeFiles = await this.adapter.listRecipeFiles();
-      const totalCount = recipeFiles.length;
       const loadedRecipes = [];
+      const streamed = new Set();
+      const reportLoaded = async (stored, cacheKey, totalCount, progressCount = loadedRecipes.length + 1) => {
+        streamed.add(stored);
+        const recipe = this.upgradeRecipe(stored);
+        loadedRecipes.push(recipe);
+        
+        // Cache each recipe as it's loaded
+        this.setCachedRecipe(cacheKey, recipe);
+        
+        // Notify callback about loaded recipe
+        if (onRecipeLoaded) {
+          await onRecipeLoaded(recipe, loadedRecipes.length - 1);
+        }
+        
+        // Notify progress callback
+        if (onProgress) {
+          await onProgress(progressCount, totalCount);
+        }
+        
+        // Emit event for this recipe
+        this.emit(RepositoryEvents.RECIPE_LOADED, recipe);
+      };
       
-      this.log(`🔄 Loading ${totalCount} recipes progressively`);
-      
-      // Load each recipe individually
-      for (let i = 0; i < recipeFiles.length; i++) {
-        const filename = recipeFiles[i];
+      if (typeof this.githubAPI.getAllFiles === 'function') {
+        // Stream from the adapter's batch loader (GraphQL or REST, whichever it uses)
+        const cacheKeyOf = recipe => this.normalizeCacheKey(generateFilenameFromRecipeName(recipe.name));
+        const recipes = await this.githubAPI.getAllFiles({
+          onRecipe: (recipe, totalCount) => reportLoaded(recipe, cacheKeyOf(recipe), totalCount)
+        });
         
-        try {
-          const recipe = await this.loadRecipeFromSource(filename);
-          if (recipe) {
-            loadedRecipes.push(recipe);
-            
-            // Cache each recipe as it's loaded
-            const cacheKey = this.normalizeCacheKey(filename);
-            this.setCachedRecipe(cacheKey, recipe);
-            
-            // Notify callback about loaded recipe
-            if (onRecipeLoaded) {
-              await onRecipeLoaded(recipe, i);
+        // Adapters that cannot stream hand everything over at the end
+        for (const recipe of recipes.filter(recipe => !streamed.has(recipe))) {
+          await reportLoaded(recipe, cacheKeyOf(recipe), recipes.length);
+        }
+      } else {
+        // Get list of available recipe files
+        const recipeFiles = await this.githubAPI.getFileList();
+        const totalCount = recipeFiles.length;
+        
+        this.log(`🔄 Loading ${totalCount} recipes progressively`);
+        
+        // Load each recipe individually
+        for (let i = 0; i < recipeFiles.length; i++) {
+          const filename = recipeFiles[i];
+          
+          try {
+            const recipe = await this.githubAPI.getFile(filename);
+            if (recipe) {
+              await reportLoaded(recipe, this.normalizeCacheKey(filename), totalCount, i + 1);
             }
+          } catch (recipeError) {
+            this.log(`❌ Failed to load recipe ${filename}:`, recipeError);
+            // Continue with other recipes instead of failing completely
             
-            // Notify progress callback
+            // Still update progress even on failure
             if (onProgress) {
               await onProgress(i + 1, totalCount);
             }
-            
-            // Emit event for this recipe
-            this.emit(RepositoryEvents.RECIPE_LOADED, recipe);
-          }
-        } catch (recipeError) {
-          this.log(`❌ Failed to load recipe ${filename}:`, recipeError);
-          // Continue with other recipes instead of failing completely
-          
-          // Still update progress even on failure
-          if (onProgress) {
-            await onProgress(i + 1, totalCount);
           }
         }
       }
       
-      // Update full cache with all loaded recipes
-      this.updateCache(loadedRecipes);
+      // Replace the cache, so recipes deleted at the source disappear (unsent ones are kept)
+      this.updateCache(loadedRecipes, { replace: true });
       this.setState(RepositoryState.IDLE);
       
       this.emit(RepositoryEvents.RECIPES_UPDATED, loadedRecipes);
@@ -4,22 +4,47 @@
  */
 
 /**
- * Recipe data structure
+ * Recipe data structure, as stored in recipes/*.json
+ * RECIPE_SCHEMA in src/utils/recipeSchema.js is the authoritative definition;
+ * this typedef mirrors it for editors.
  * @typedef {Object} Recipe
+ * @property {number} [schemaVersion] - Format version the file was written in (see recipeMigrations.js)
  * @property {string} name - Recipe name
- * @property {string} [description] - Recipe description
- * @property {Array<{name: string, amount?: string, unit?: string}>} ingredients - Recipe ingredients
- * @property {string[]} instructions - Cooking instructions
+ * @property {Array<Ingredient|IngredientSection|string>} ingredients - Ingredient lines (plain strings in older files), optionally in named sections
+ * @property {string[]} instructions - Cooking steps
  * @property {number} [prepTime] - Preparation time in minutes
- * @property {number} [cookTime] - Cooking time in minutes
- * @property {number} [servings] - Number of servings
- * @property {string} [category] - Recipe category
- * @property {'easy'|'medium'|'hard'} [difficulty] - Difficulty level
+ * @property {number} [cookTime] - Cooking or baking time in minutes
+ * @property {number} [restTime] - Resting, rising or chilling time in minutes
+ * @property {string} [cookingTime] - Free text from files older than the times above
+ * @property {number|string} [servings] - Number of servings, or what the recipe makes (e.g. "1 jar")
+ * @property {string[]} [notes] - Additional notes
  * @property {string[]} [tags] - Recipe tags
- * @property {string} [image] - Image URL
- * @property {string} [notes] - Additional notes
- * @property {string} [createdAt] - Creation timestamp
- * @property {string} [updatedAt] - Last update timestamp
+ * @property {string} [image] - Photo path in the recipes folder (e.g. "images/gulas-m1x2k3.jpg") or URL
+ * @property {RecipeMetadata} [metadata] - Bookkeeping written by the app
+ */
+
+/**
+ * Ingredient line
+ * @typedef {Object} Ingredient
+ * @property {string} text - Ingredient as written, e.g. "500 g hovězí kližky"
+ * @property {boolean} [exportDefault] - Preselected when exporting a shopping list
+ */
+
+/**
+ * Named group of ingredients for one part of the dish
+ * @typedef {Object} IngredientSection
+ * @property {string} section - Section name, e.g. "Na těsto"
+ * @property {Array<Ingredient|string>} items - Ingredient lines of the section
+ */
+
+/**
+ * Recipe metadata
+ * @typedef {Object} RecipeMetadata
+ * @property {string} [author] - GitHub login of the author
+ * @property {string} [createdAt] - Creation timestamp (ISO)
+ * @property {string} [lastModified] - Last update timestamp (ISO)
+ * @property {string|null} [id] - Recipe ID (filename without .json), set when loaded
+ * @property {string|null} [sha] - Blob sha of the file, set when loaded
  */
 
 /**
@@ -42,8 +67,11 @@
  * @property {'immediate'|'delayed'|'batch'|'manual'} [syncStrategy] - Default sync strategy
  * @property {boolean} [optimisticUpdates] - Enable optimistic updates by default
  * @property {boolean} [enableLogging] - Enable console logging
- * @property {number} [batchSize] - Batch operation size
- * @property {boolean} [offlineMode] - Enable offline-only mode
+ * @property {number} [batchSize] - Queued operations that trigger an immediate batch commit
+ * @property {number} [batchDelay] - Quiet period in milliseconds before a batch is committed
+ * @property {boolean} [offlineMode] - Enable offline-only mode (serve the cache, never hit the network)
+ * @property {boolean} [persistentCache] - Persist the cache in IndexedDB when available (default true)
+ * @property {RecipeCacheStore} [cacheStore] - Custom persistent cache store
  */
 
 /**
@@ -55,6 +83,20 @@
  * @property {string} [version] - Data version/hash
  */
 
+/**
+ * Persistent cache store interface (implemented by RecipeCacheStore)
+ * @typedef {Object} RecipeCacheStore
+ * @property {function(): Promise<Array<{key: string, data: Recipe, timestamp: number}>>} loadAll - Load all persisted entries
+ * @property {function(string, CacheEntry): Promise<void>} put - Persist an entry
+ * @property {function(string): Promise<void>} delete - Remove an entry
+ * @property {function(): Promise<void>} clear - Remove all entries
+ * @property {function(): Promise<Array<PendingOperation & {id: string}>>} loadOperations - Load queued operations, oldest first
+ * @property {function(string, PendingOperation): Promise<void>} putOperation - Persist a queued operation
+ * @property {function(string): Promise<void>} deleteOperation - Remove a queued operation
+ * @property {function(string): Promise<*>} getMeta - Read a meta value (e.g. the synced tree sha)
+ * @property {function(string, *): Promise<void>} setMeta - Store a meta value
+ */
+
 /**
  * Pending operation structure
  * @typedef {Object} PendingOperation
@@ -72,7 +114,8 @@
  * @typedef {Object} SyncStatus
  * @property {'idle'|'loading'|'syncing'|'error'} state - Repository state
  * @property {number} pendingCount - Number of pending operations
- * @property {Array<{id: string, type: string, recipeName: string, timestamp: number, attempts: number, age: number}>} pendingOperations - Pending operations
+ * @property {Array<{id: string, type: string, recipeName: string, timestamp: number, attempts: number, age: number}>} pendingOperations - Pending operations, oldest first
+ * @property {boolean} offline - Whether queued operations are waiting for a connection
  * @property {CacheMetadata} cacheStatus - Cache metadata
  */
 
@@ -96,6 +139,45 @@
  * @property {function(string): Promise<void>} deleteFile - Delete recipe file
  * @property {function(string): Promise<boolean>} checkFileExists - Check if file exists
  * @property {function(string): Promise<{sha: string, size: number, lastModified: string}>} getFileMetadata - Get file metadata
+ * @property {function(Array<BatchChange>, string=): Promise<{commitSha: string}>} [commitBatch] - Write several changes as one commit
+ * @property {function(string, string): Promise<Recipe|null>} [getFileVersion] - Get a file by blob sha
+ * @property {function(string, number=): Promise<Array<FileCommit>>} [getFileHistory] - List commits that changed a file
+ * @property {function(string, string): Promise<Recipe|null>} [getFileAtCommit] - Get a file as it was at a commit
+ * @property {function(): Promise<{sha: string|null, files: Array<TreeFile>}>} [getRecipeTree] - List recipe files with blob shas
+ * @property {function(Array<TreeFile>): Promise<Recipe[]>} [getFiles] - Load recipes by blob sha
+ */
+
+/**
+ * Recipe file in the recipes/ tree
+ * @typedef {Object} TreeFile
+ * @property {string} filename - Recipe filename
+ * @property {string} sha - Blob sha
+ */
+
+/**
+ * Result of an incremental sync (payload of the recipesChanged event)
+ * @typedef {Object} RecipeChanges
+ * @property {Recipe[]} added - Recipes new in the repository
+ * @property {Recipe[]} changed - Recipes whose blob sha changed
+ * @property {Recipe[]} removed - Cached recipes that were deleted
+ */
+
+/**
+ * Commit that changed a recipe file
+ * @typedef {Object} FileCommit
+ * @property {string} sha - Commit sha
+ * @property {string} message - Commit message
+ * @property {string} author - Author name
+ * @property {string|null} login - GitHub login of the author
+ * @property {string|null} date - Authored date (ISO)
+ */
+
+/**
+ * Single file change in a batch commit
+ * @typedef {Object} BatchChange
+ * @property {'create'|'update'|'delete'} type - Change type
+ * @property {string} filename - Recipe filename
+ * @property {Recipe} [data] - New content (omitted for deletes)
  */
 
 /**
@@ -134,6 +216,10 @@
  * if (status.pendingCount > 0) {
  *   await repo.syncAll();
  * }
+ * 
+ * // Queued operations are persisted; upload the ones left from last session
+ * await repo.hydrate();
+ * await repo.replayPendingOperations();
  * ```
  * 
  * @example Cache management
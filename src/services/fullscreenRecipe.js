@@ -5,7 +5,11 @@
 import { t } from '../i18n/i18n.js';
 import { generateFilenameFromRecipeName } from '../utils/recipeUtils.js';
 import { templateLoader } from '../utils/templateLoader.js';
-import { githubAuth } from './githubAuth.js';
+import { getIngredientSections } from '../utils/smartIngredients.js';
+import { TIME_FIELDS, getRecipeTimes, formatRecipeTime, formatDuration } from '../utils/duration.js';
+import { recipeModeManager } from '../adapters/RecipeModeManager.js';
+import { getRecipeImageUrl } from '../utils/recipeImages.js';
+import { showRecipeHistory } from './recipeHistory.js';
 
 // Global variables for modal management
 let currentModal = null;
@@ -95,12 +99,17 @@ async function createFullscreenModalHTML(recipe) {
   const recipeSteps = recipe.instructions || [];
   const recipeNotes = recipe.notes || [];
   const servings = recipe.servings || '';
-  const cookingTime = recipe.cookingTime || '';
+  const cookingTime = formatRecipeTime(recipe);
 
-  // Format ingredients
-  const ingredients = recipeIngredients.map(ingredient => {
-    const text = typeof ingredient === 'string' ? ingredient : ingredient.text || '';
-    return `<li class="mb-2">${text}</li>`;
+  // Format ingredients, with the name of each section above its lines
+  const ingredients = getIngredientSections(recipeIngredients).map(({ section, items }) => {
+    const title = section
+      ? `<li class="fullscreen-ingredient-section fw-semibold border-bottom mt-3 mb-2">${section}</li>`
+      : '';
+    return title + items.map(ingredient => {
+      const text = typeof ingredient === 'string' ? ingredient : ingredient.text || '';
+      return `<li class="mb-2">${text}</li>`;
+    }).join('');
   }).join('');
 
   // Format instructions (no manual numbering since we use <ol>)
@@ -128,6 +137,12 @@ async function createFullscreenModalHTML(recipe) {
        </div>`
     : '';
 
+  // Photo of the dish; paths resolve against the own recipes (recipes of other sources carry URLs)
+  const imageUrl = getRecipeImageUrl(recipe, recipeModeManager.getAdapter());
+  const heroImage = imageUrl
+    ? `<img class="fullscreen-hero-image mb-4" src="${imageUrl.replace(/"/g, '&quot;')}" alt="" loading="lazy" decoding="async">`
+    : '';
+
   // Format servings and cooking time
   const servingsInfo = servings 
     ? `<div class="col-md-6 mb-2">
@@ -135,17 +150,93 @@ async function createFullscreenModalHTML(recipe) {
        </div>` 
     : '';
 
+  // Total time, with preparation, cooking and resting when more than one is known
+  const times = getRecipeTimes(recipe);
+  const timeParts = TIME_FIELDS
+    .filter(field => times[field] !== null)
+    .map(field => `${t(`recipes.${field}`)} ${formatDuration(times[field])}`);
+  const timeBreakdown = timeParts.length > 1
+    ? `<div class="small text-muted ms-4">${timeParts.join(' • ')}</div>`
+    : '';
+
   const cookingTimeInfo = cookingTime 
     ? `<div class="col-md-6 mb-2">
-        <strong><i class="fas fa-clock me-2"></i>${t('recipes.cookingTime')}:</strong> ${cookingTime}
+        <strong><i class="fas fa-clock me-2"></i>${t(timeParts.length > 0 ? 'recipes.totalTime' : 'recipes.cookingTime')}:</strong> ${cookingTime}
+        ${timeBreakdown}
        </div>` 
     : '';
 
+  // Recipes of additional sources are read-only here, but can be copied into the own ones
+  const sourceLabel = recipe.metadata?.source ? recipe.metadata.sourceLabel : null;
+  const sourceBadge = sourceLabel ? `
+      <span class="badge bg-light text-dark border d-flex align-items-center fullscreen-source-badge"
+            title="${t('sources.fromSource', { source: sourceLabel })}">
+        <i class="fas fa-book me-1"></i>${sourceLabel}
+      </span>` : '';
+  const copyButton = sourceLabel && recipeModeManager.canEdit() ? `
+      <button class="btn btn-outline-primary d-flex align-items-center fullscreen-copy-btn"
+              id="fullscreenCopyBtn"
+              title="${t('sources.copyHelp')}">
+        <i class="fas fa-copy me-2"></i>
+        <span>${t('sources.copy')}</span>
+      </button>` : '';
+
   // Template data
-  const isAuthenticated = githubAuth.isAuthenticated();
+  const canEdit = recipeModeManager.canEdit() && !sourceLabel;
+
+  // Without push access an edit is sent as a pull request (not for recipes still being suggested)
+  const canSuggest = recipeModeManager.canSuggest() && !sourceLabel && !recipe.metadata?.suggestion;
+  const suggestButton = canSuggest ? `
+      <button class="btn btn-outline-primary d-flex align-items-center fullscreen-suggest-btn"
+              id="fullscreenSuggestBtn"
+              title="${t('suggestions.suggestEditHelp')}">
+        <i class="fas fa-code-branch me-2"></i>
+        <span>${t('suggestions.suggestEdit')}</span>
+      </button>` : '';
   
-  const actionButtons = isAuthenticated ? `
+  // Signed in without push access - say why editing is unavailable
+  const readOnlyReason = recipeModeManager.getReadOnlyReason();
+  const readOnlyBadge = readOnlyReason ? `
+      <span class="badge bg-secondary d-flex align-items-center fullscreen-read-only-badge"
+            title="${t(`auth.readOnlyReasons.${readOnlyReason}`)}">
+        <i class="fas fa-lock me-1"></i>${t('auth.readOnly')}
+      </span>` : '';
+
+  // Only GitHub-backed sources keep a version history
+  const historyButton = sourceLabel || typeof recipeModeManager.getAdapter().getFileHistory !== 'function' ? '' : `
+      <button class="btn btn-outline-secondary d-flex align-items-center fullscreen-history-btn" 
+              id="fullscreenHistoryBtn"
+              title="${t('history.title')}">
+        <i class="fas fa-history"></i>
+      </button>`;
+
+  // Drafts are published or discarded; their history is that of the drafts branch
+  const draftButtons = `
     <div class="d-flex gap-3 align-items-center">
+      <span class="badge bg-info text-dark d-flex align-items-center fullscreen-draft-badge">
+        <i class="fas fa-pencil-ruler me-1"></i>${t('drafts.badge')}
+      </span>
+      <button class="btn btn-outline-primary d-flex align-items-center fullscreen-edit-btn" 
+              id="fullscreenEditBtn"
+              title="${t('recipes.editRecipe')}">
+        <i class="fas fa-edit me-2"></i>
+        <span>${t('common.edit')}</span>
+      </button>
+      <button class="btn btn-primary d-flex align-items-center fullscreen-publish-btn"
+              id="fullscreenPublishBtn"
+              title="${t('drafts.publishHelp')}">
+        <i class="fas fa-upload me-2"></i>
+        <span>${t('drafts.publish')}</span>
+      </button>
+      <button class="btn btn-outline-danger d-flex align-items-center fullscreen-discard-btn"
+              id="fullscreenDiscardBtn"
+              title="${t('drafts.discard')}">
+        <i class="fas fa-trash me-1"></i>
+      </button>
+    </div>`;
+
+  const actionButtons = recipe.metadata?.draft ? draftButtons : canEdit ? `
+    <div class="d-flex gap-3 align-items-center">${historyButton}
       <button class="btn btn-outline-primary d-flex align-items-center fullscreen-edit-btn" 
               id="fullscreenEditBtn"
               title="${t('recipes.editRecipe')}">
@@ -157,7 +248,9 @@ async function createFullscreenModalHTML(recipe) {
               title="${t('recipes.deleteRecipe')}">
         <i class="fas fa-trash me-1"></i>
       </button>
-    </div>` : '';
+    </div>` : `
+    <div class="d-flex gap-3 align-items-center">${historyButton}${sourceBadge}${copyButton}${suggestButton}${sourceLabel ? '' : readOnlyBadge}
+    </div>`;
 
   const templateData = {
     recipeName,
@@ -165,6 +258,7 @@ async function createFullscreenModalHTML(recipe) {
     ingredientsLabel: t('recipes.ingredients'),
     instructionsLabel: t('recipes.instructions'),
     actionButtons,
+    heroImage,
     tags,
     servingsInfo,
     cookingTimeInfo,
@@ -197,8 +291,8 @@ export async function showFullscreenRecipe(recipe, updateUrl = true) {
   const modal = new window.bootstrap.Modal(modalElement);
   currentModal = { modal, recipe };
 
-  // Update URL if requested
-  if (updateUrl) {
+  // Update URL if requested (drafts have no link of their own)
+  if (updateUrl && !recipe.metadata?.draft) {
     const recipeId = recipe.id || generateFilenameFromRecipeName(recipe.name).replace('.json', '');
     updateUrlForFullscreen(recipeId);
   }
@@ -208,8 +302,59 @@ export async function showFullscreenRecipe(recipe, updateUrl = true) {
     console.warn('Wake lock not available on this device:', err);
   });
 
-  // Set up edit and delete buttons (only if authenticated)
-  if (githubAuth.isAuthenticated()) {
+  // Copy a recipe of another source into the own recipes
+  const copyBtn = modalElement.querySelector('#fullscreenCopyBtn');
+  if (copyBtn) {
+    copyBtn.addEventListener('click', async () => {
+      copyBtn.disabled = true;
+      try {
+        const { recipeUI } = await import('../components/RecipeUI.js');
+        if (await recipeUI.copyRecipeFromSource(recipe)) {
+          modal.hide();
+        }
+      } catch (error) {
+        console.error('Failed to load RecipeUI:', error);
+      } finally {
+        copyBtn.disabled = false;
+      }
+    });
+  }
+
+  // Suggest an edit as a pull request
+  const suggestBtn = modalElement.querySelector('#fullscreenSuggestBtn');
+  if (suggestBtn) {
+    suggestBtn.addEventListener('click', async () => {
+      modal.hide();
+      try {
+        const { recipeUI } = await import('../components/RecipeUI.js');
+        recipeUI.showEditForm(recipe);
+      } catch (error) {
+        console.error('Failed to load RecipeUI:', error);
+      }
+    });
+  }
+
+  // Publish or discard a draft
+  const publishBtn = modalElement.querySelector('#fullscreenPublishBtn');
+  const discardBtn = modalElement.querySelector('#fullscreenDiscardBtn');
+  for (const [button, action] of [[publishBtn, 'publishDraft'], [discardBtn, 'discardDraft']]) {
+    button?.addEventListener('click', async () => {
+      button.disabled = true;
+      try {
+        const { recipeUI } = await import('../components/RecipeUI.js');
+        if (await recipeUI[action](recipe)) {
+          modal.hide();
+        }
+      } catch (error) {
+        console.error('Failed to load RecipeUI:', error);
+      } finally {
+        button.disabled = false;
+      }
+    });
+  }
+
+  // Set up edit and delete buttons (only if the current mode allows editing)
+  if (recipeModeManager.canEdit() && !recipe.metadata?.source) {
     const editBtn = modalElement.querySelector('#fullscreenEditBtn');
     const deleteBtn = modalElement.querySelector('#fullscreenDeleteBtn');
 
@@ -242,6 +387,35 @@ export async function showFullscreenRecipe(recipe, updateUrl = true) {
     }
   }
 
+  // Set up version history panel (read-only for signed-out users)
+  const historyBtn = modalElement.querySelector('#fullscreenHistoryBtn');
+  const historyPanel = modalElement.querySelector('#fullscreenHistoryPanel');
+  if (historyBtn && historyPanel) {
+    let historyLoaded = false;
+    historyBtn.addEventListener('click', async () => {
+      historyPanel.classList.toggle('d-none');
+      historyBtn.classList.toggle('active');
+      if (historyLoaded || historyPanel.classList.contains('d-none')) {
+        return;
+      }
+      historyLoaded = true;
+
+      try {
+        const { recipeUI } = await import('../components/RecipeUI.js');
+        await showRecipeHistory(historyPanel, recipe, recipeUI.repository, {
+          canRestore: recipeModeManager.canEdit(),
+          onRestored: () => modal.hide()
+        });
+      } catch (error) {
+        historyLoaded = false;
+        console.error('Failed to load recipe history:', error);
+      }
+    });
+  }
+
+  // A photo that cannot be downloaded leaves no broken image behind
+  modalElement.querySelector('.fullscreen-hero-image')?.addEventListener('error', (event) => event.target.remove());
+
   // Clean up when modal is closed
   modalElement.addEventListener('hidden.bs.modal', async () => {
     await releaseWakeLock();
@@ -235,6 +235,7 @@ class IngredientsExportService {
       }
       
       return `
+        ${this.renderSectionTitle(ingredient, this.ingredients[index - 1])}
         <div class="form-check mb-2">
           <input class="form-check-input ingredient-checkbox" 
                  type="checkbox" 
@@ -280,12 +281,11 @@ class IngredientsExportService {
     const recipeSectionsHTML = this.groupedRecipes.map((recipe, recipeIndex) => {
       const recipeScale = this.recipeScales.get(recipe.recipeId) || 1;
       const normalizedIngredients = normalizeIngredientsList(recipe.ingredients);
+      // Ingredients of a recipe are stored together and in order, so lines with the same text in two sections stay apart
+      const firstIndex = this.ingredients.findIndex(ing => ing._recipeId === recipe.recipeId);
       
       const ingredientsHTML = normalizedIngredients.map((ingredient, ingredientIndex) => {
-        const globalIndex = this.ingredients.findIndex(ing => 
-          ing._recipeId === recipe.recipeId && 
-          (ing.text === ingredient.text || ing === ingredient)
-        );
+        const globalIndex = firstIndex + ingredientIndex;
         const isSelected = this.selectedIngredients.has(this.ingredients[globalIndex]);
         
         // Apply scaling to display text
@@ -314,6 +314,7 @@ class IngredientsExportService {
         }
         
         return `
+          ${this.renderSectionTitle(ingredient, normalizedIngredients[ingredientIndex - 1])}
           <div class="form-check mb-2">
             <input class="form-check-input ingredient-checkbox" 
                    type="checkbox" 
@@ -368,6 +369,19 @@ class IngredientsExportService {
     this.setupGroupedEventListeners(container);
   }
 
+  /**
+   * Render the name of an ingredient section where it starts
+   * @param {Object} ingredient - Normalized ingredient
+   * @param {Object} [previous] - Ingredient listed before it
+   * @returns {string} HTML, empty within a section and for unnamed ones
+   */
+  renderSectionTitle(ingredient, previous) {
+    if (!ingredient.section || ingredient.section === previous?.section) {
+      return '';
+    }
+    return `<div class="ingredient-section-title small fw-semibold text-muted mt-2 mb-1">${this.escapeHtml(ingredient.section)}</div>`;
+  }
+
   /**
    * Setup event listeners for grouped recipe controls
    */
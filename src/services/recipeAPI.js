@@ -2,14 +2,28 @@
  * Service for loading recipe data from GitHub API
  */
 
-const GITHUB_API_BASE = 'https://api.github.com/repos/etancik/Kuchtik';
+import { isRecipeFile } from '../utils/recipeIndex.js';
+import { CONFIG } from '../config/github.js';
+import { repositorySettings } from '../config/repositorySettings.js';
+
+// Contents API URL of the recipes folder or a file in it
+function contentsUrl(filename = '') {
+  const ref = encodeURIComponent(repositorySettings.branch);
+  return `${CONFIG.GITHUB_API_BASE}/${repositorySettings.getRepoPath()}/contents/${repositorySettings.getRecipePath(filename)}?ref=${ref}`;
+}
+
+// Raw download URL of a recipe file on the configured branch
+function rawUrl(filename) {
+  const { owner, repo, branch } = repositorySettings.get();
+  return `https://raw.githubusercontent.com/${owner}/${repo}/${branch}/${repositorySettings.getRecipePath(filename)}`;
+}
 
 /**
  * Get list of recipe files from GitHub API
  * @returns {Promise<string[]>} Array of recipe filenames
  */
 export async function getRecipeFileList() {
-  const apiUrl = `${GITHUB_API_BASE}/contents/recipes`;
+  const apiUrl = contentsUrl();
   const response = await fetch(apiUrl);
   
   if (!response.ok) {
@@ -21,7 +35,7 @@ export async function getRecipeFileList() {
   // Filter only JSON files
   return files
     .filter(file => file.type === 'file')
-    .filter(file => file.name.endsWith('.json'))
+    .filter(file => isRecipeFile(file.name))
     .map(file => file.name);
 }
 
@@ -112,7 +126,7 @@ export async function loadRecipe(filename, forceRefresh = false) {
  */
 async function loadRecipeWithCacheBusting(filename) {
   const timestamp = Date.now();
-  const url = `https://raw.githubusercontent.com/etancik/Kuchtik/main/recipes/${filename}?t=${timestamp}`;
+  const url = `${rawUrl(filename)}?t=${timestamp}`;
   console.log(`🔄 Loading with cache busting: ${url}`);
   
   const response = await fetchWithTimeout(url, 8000); // 8 second timeout
@@ -130,7 +144,7 @@ async function loadRecipeWithCacheBusting(filename) {
  * @returns {Promise<Object>} Recipe data
  */
 async function loadRecipeViaAPI(filename) {
-  const url = `https://api.github.com/repos/etancik/Kuchtik/contents/recipes/${filename}`;
+  const url = contentsUrl(filename);
   console.log(`🔗 Loading via GitHub API: ${url}`);
   
   const response = await fetchWithTimeout(url, 10000); // 10 second timeout
@@ -150,7 +164,7 @@ async function loadRecipeViaAPI(filename) {
  * @returns {Promise<Object>} Recipe data
  */
 async function loadRecipeStandard(filename) {
-  const url = `https://raw.githubusercontent.com/etancik/Kuchtik/main/recipes/${filename}`;
+  const url = rawUrl(filename);
   console.log(`🌐 Loading standard: ${url}`);
   
   const response = await fetchWithTimeout(url, 15000); // 15 second timeout
@@ -5,7 +5,9 @@
 
 import { githubAuth } from './githubAuth.js';
 import { CONFIG } from '../config/github.js';
-import { t } from '../i18n/i18n.js';
+import { repositorySettings } from '../config/repositorySettings.js';
+import { validateRecipe, formatValidationErrors } from '../utils/recipeSchema.js';
+import { CURRENT_SCHEMA_VERSION } from '../utils/recipeMigrations.js';
 
 class RecipeCreationService {
   /**
@@ -50,7 +52,7 @@ class RecipeCreationService {
       // Generate filename from recipe name
       console.log('📁 Generating filename...');
       const filename = this.generateFilename(recipeData.name);
-      const filePath = `recipes/${filename}`;
+      const filePath = repositorySettings.getRecipePath(filename);
       console.log('✅ Generated filename:', filename);
       console.log('✅ Full file path:', filePath);
 
@@ -83,7 +85,7 @@ class RecipeCreationService {
       console.log('👤 Author info:', author);
 
       // Prepare API request
-      const apiUrl = `repos/${CONFIG.REPO_OWNER}/${CONFIG.REPO_NAME}/contents/${filePath}`;
+      const apiUrl = `${repositorySettings.getRepoPath()}/contents/${filePath}`;
       console.log('🔗 GitHub API URL:', `${CONFIG.GITHUB_API_BASE}/${apiUrl}`);
       
       const requestBody = {
@@ -197,7 +199,7 @@ class RecipeCreationService {
       // Generate filename from original name (recipes shouldn't change filenames)
       console.log('📁 Generating filename from original name...');
       const filename = this.generateFilename(originalName);
-      const filePath = `recipes/${filename}`;
+      const filePath = repositorySettings.getRecipePath(filename);
       console.log('✅ Generated filename:', filename);
       console.log('✅ Full file path:', filePath);
 
@@ -227,7 +229,7 @@ class RecipeCreationService {
       };
       console.log('👤 Commit author:', author);
 
-      const apiUrl = `${CONFIG.GITHUB_API_BASE}/repos/${CONFIG.REPO_OWNER}/${CONFIG.REPO_NAME}/contents/${filePath}`;
+      const apiUrl = `${CONFIG.GITHUB_API_BASE}/${repositorySettings.getRepoPath()}/contents/${filePath}`;
       console.log('🌐 GitHub API URL:', apiUrl);
 
       const requestBody = {
@@ -316,7 +318,7 @@ class RecipeCreationService {
 
       // Generate filename
       const filename = this.generateFilename(recipeName);
-      const filePath = `recipes/${filename}`;
+      const filePath = repositorySettings.getRecipePath(filename);
       console.log('✅ Generated filename:', filename);
       console.log('✅ Full file path:', filePath);
 
@@ -333,7 +335,7 @@ class RecipeCreationService {
       console.log('✅ Commit message:', commitMessage);
 
       // Prepare API request
-      const apiUrl = `https://api.github.com/repos/${CONFIG.REPO_OWNER}/${CONFIG.REPO_NAME}/contents/${filePath}`;
+      const apiUrl = `https://api.github.com/${repositorySettings.getRepoPath()}/contents/${filePath}`;
       console.log('✅ GitHub API URL:', apiUrl);
 
       const requestBody = {
@@ -421,7 +423,7 @@ class RecipeCreationService {
   async checkFileExists(filePath) {
     try {
       const response = await githubAuth.makeAuthenticatedRequest(
-        `repos/${CONFIG.REPO_OWNER}/${CONFIG.REPO_NAME}/contents/${filePath}`
+        `${repositorySettings.getRepoPath()}/contents/${filePath}`
       );
       return response.ok;
     } catch {
@@ -440,7 +442,7 @@ class RecipeCreationService {
     try {
       console.log('🔍 Getting file info for:', filePath);
       const response = await githubAuth.makeAuthenticatedRequest(
-        `repos/${CONFIG.REPO_OWNER}/${CONFIG.REPO_NAME}/contents/${filePath}`
+        `${repositorySettings.getRepoPath()}/contents/${filePath}`
       );
       
       if (response.ok) {
@@ -463,84 +465,40 @@ class RecipeCreationService {
   }
 
   /**
-   * Validate recipe data structure
+   * Validate recipe data structure against the recipe schema
    * @param {Object} recipeData - Recipe data to validate
-   * @returns {Object} Validation result
+   * @returns {{isValid: boolean, errors: string[]}} Validation result
    */
   validateRecipeData(recipeData) {
-    const errors = [];
-
-    // Required fields
-    if (!recipeData.name || typeof recipeData.name !== 'string') {
-      errors.push('Recipe name is required and must be a string');
-    }
-
-    if (!recipeData.ingredients || !Array.isArray(recipeData.ingredients) || recipeData.ingredients.length === 0) {
-      errors.push('At least one ingredient is required');
-    }
-
-    if (!recipeData.instructions || !Array.isArray(recipeData.instructions) || recipeData.instructions.length === 0) {
-      errors.push('At least one instruction is required');
-    }
-
-    // Validate ingredients structure
-    if (recipeData.ingredients) {
-      recipeData.ingredients.forEach((ingredient, index) => {
-        if (typeof ingredient !== 'string' || ingredient.trim() === '') {
-          errors.push(`Ingredient ${index + 1} must be a non-empty string`);
-        }
-      });
-    }
-
-    // Validate instructions structure
-    if (recipeData.instructions) {
-      recipeData.instructions.forEach((instruction, index) => {
-        if (typeof instruction !== 'string' || instruction.trim() === '') {
-          errors.push(`Instruction ${index + 1} must be a non-empty string`);
-        }
-      });
-    }
-
-    // Optional fields validation
-    if (recipeData.cookingTime && typeof recipeData.cookingTime !== 'string') {
-      errors.push('Cooking time must be a string');
-    }
-
-    if (recipeData.servings && (typeof recipeData.servings !== 'number' || recipeData.servings <= 0)) {
-      errors.push(t('validation.servingsPositiveNumber'));
-    }
-
-    if (recipeData.difficulty && !['easy', 'medium', 'hard'].includes(recipeData.difficulty.toLowerCase())) {
-      errors.push('Difficulty must be "easy", "medium", or "hard"');
-    }
-
-    if (recipeData.tags && (!Array.isArray(recipeData.tags) || !recipeData.tags.every(tag => typeof tag === 'string'))) {
-      errors.push('Tags must be an array of strings');
-    }
-
+    const { isValid, errors } = validateRecipe(recipeData);
     return {
-      isValid: errors.length === 0,
-      errors: errors,
+      isValid,
+      errors: formatValidationErrors(errors),
     };
   }
 
   /**
    * Create recipe template with default values
+   * Has the fields of a recipe file (see RECIPE_SCHEMA); it only becomes
+   * valid once the name, ingredients and instructions are filled in.
    * @param {string} name - Recipe name
    * @returns {Object} Recipe template
    */
   createRecipeTemplate(name = '') {
+    const now = new Date().toISOString();
     return {
+      schemaVersion: CURRENT_SCHEMA_VERSION,
       name: name,
-      ingredients: [''],
-      instructions: [''],
-      cookingTime: '',
-      servings: 1,
-      difficulty: 'medium',
+      ingredients: [],
+      instructions: [],
+      servings: 4,
+      notes: [],
       tags: [],
-      description: '',
-      author: githubAuth.getUserInfo()?.login || 'Anonymous',
-      created: new Date().toISOString(),
+      metadata: {
+        author: githubAuth.getUserInfo()?.login || 'Anonymous',
+        createdAt: now,
+        lastModified: now,
+      },
     };
   }
 }
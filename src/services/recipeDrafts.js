@@ -0,0 +1,189 @@
+/**
+ * Recipe Drafts
+ * Half-finished recipes are committed to a drafts branch of their author
+ * (drafts/{login}) instead of the recipes branch, so nobody else sees them.
+ * Publishing saves the draft through the recipe repository like any other
+ * edit and then removes it from the drafts branch.
+ */
+
+import { gitHubAPIAdapter } from '../adapters/GitHubAPIAdapter.js';
+import { AuthError, ValidationError } from '../utils/errors.js';
+
+// Metadata added when a draft is loaded, not part of the recipe file
+const LOADED_METADATA = ['id', 'sha', 'draft', 'draftStatus'];
+
+export class RecipeDrafts {
+  /**
+   * @param {Object} [options] - Service options
+   * @param {GitHubAPIAdapter} [options.adapter] - Adapter with branch support
+   */
+  constructor({ adapter = gitHubAPIAdapter } = {}) {
+    this.adapter = adapter;
+    this.drafts = [];
+    this.listeners = new Set();
+  }
+
+  /**
+   * Get the drafts found by the last load()
+   * @returns {Array<Object>} Draft recipes with `metadata.draft` set
+   */
+  getAll() {
+    return this.drafts;
+  }
+
+  /**
+   * Load the signed-in user's drafts
+   * Each draft's `metadata.draftStatus` is 'added' (a new recipe) or
+   * 'modified' (an edit of a published recipe).
+   * @returns {Promise<Array<Object>>} Draft recipes
+   */
+  async load() {
+    const branch = this.adapter.getDraftBranch();
+    const drafts = [];
+
+    if (branch) {
+      for (const file of await this.adapter.listBranchChanges(branch)) {
+        const recipe = await this.adapter.getRecipe(file.filename.replace('.json', ''), { branch });
+        if (recipe) {
+          recipe.metadata = { ...recipe.metadata, draft: true, draftStatus: file.status };
+          drafts.push(recipe);
+        }
+      }
+      console.log(`📝 Loaded ${drafts.length} drafts from ${branch}`);
+    }
+
+    this.drafts = drafts;
+    this.notify();
+    return drafts;
+  }
+
+  /**
+   * Save a recipe as a draft
+   * @param {Object} recipe - Recipe data from the form
+   * @param {Object|null} [original] - Draft or published recipe being edited (none for a new recipe)
+   * @param {Object} [options] - Save options (`commit` note and co-authors)
+   * @returns {Promise<Object>} The saved draft
+   * @throws {ValidationError} When a new recipe is named like a published one
+   */
+  async save(recipe, original = null, options = {}) {
+    const branch = this.getBranch();
+    const { commit } = options;
+    await this.adapter.ensureBranch(branch);
+
+    let saved;
+    if (original?.metadata?.draft) {
+      saved = await this.adapter.updateRecipe(original.metadata.id, recipe, { branch, commit });
+    } else if (original) {
+      // The drafts branch may predate the recipe or its latest version
+      await this.adapter.mergeIntoBranch(branch);
+      saved = await this.adapter.updateRecipe(original.metadata?.id || original.id, recipe, { branch, commit });
+    } else {
+      const id = this.adapter.generateFilename(recipe.name).replace('.json', '');
+      if (await this.adapter.exists(id)) {
+        const message = `Recipe "${recipe.name}" already exists`;
+        throw new ValidationError([message], message);
+      }
+      saved = await this.adapter.createRecipe(recipe, { branch, commit });
+    }
+
+    console.log(`📝 Saved draft: ${recipe.name}`);
+    await this.load();
+    return saved;
+  }
+
+  /**
+   * Publish a draft: save it to the recipes branch and drop it from the drafts
+   * @param {Object} draft - Draft recipe (from load(), possibly edited)
+   * @param {RecipeRepository} repository - Repository the recipe is saved with
+   * @param {Object} [options] - Options passed on to the repository (e.g. `commit`)
+   * @returns {Promise<Object>} The published recipe
+   */
+  async publish(draft, repository, options = {}) {
+    const data = toRecipeData(draft);
+    const published = draft.metadata.draftStatus === 'modified'
+      ? await repository.update(draft.metadata.id, data, options)
+      : await repository.create(data, options);
+
+    console.log(`🚀 Published draft: ${draft.name}`);
+    await this.remove(draft);
+    return published;
+  }
+
+  /**
+   * Throw a draft away; the published recipe (if any) stays as it is
+   * @param {Object} draft - Draft recipe
+   */
+  async discard(draft) {
+    console.log(`🗑️ Discarding draft: ${draft.name}`);
+    await this.remove(draft);
+  }
+
+  /**
+   * Subscribe to changes of the drafts list
+   * @param {function(Array<Object>): void} listener - Called with getAll()
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Drafts branch of the signed-in user
+   * @private
+   * @returns {string} Branch name
+   * @throws {AuthError} When signed out
+   */
+  getBranch() {
+    const branch = this.adapter.getDraftBranch();
+    if (!branch) {
+      throw new AuthError('Authentication required to keep drafts');
+    }
+    return branch;
+  }
+
+  /**
+   * Make the drafts branch match the recipes branch for a draft's file
+   * New recipes are deleted there; edits get the published version back.
+   * @private
+   * @param {Object} draft - Draft recipe
+   */
+  async remove(draft) {
+    const branch = this.getBranch();
+    const { id, draftStatus } = draft.metadata;
+
+    if (draftStatus === 'modified') {
+      await this.adapter.restoreFile(`${id}.json`, branch, `Discard draft: ${draft.name}`);
+    } else {
+      await this.adapter.deleteRecipe(id, { branch });
+    }
+    await this.load();
+  }
+
+  /**
+   * Notify subscribers about a change
+   * @private
+   */
+  notify() {
+    for (const listener of this.listeners) {
+      try {
+        listener(this.drafts);
+      } catch (error) {
+        console.error('Recipe drafts listener failed:', error);
+      }
+    }
+  }
+}
+
+// Recipe as stored in its file, without what loading a draft added
+function toRecipeData(recipe) {
+  const metadata = { ...recipe.metadata };
+  for (const key of LOADED_METADATA) {
+    delete metadata[key];
+  }
+  return { ...recipe, metadata };
+}
+
+// Export singleton instance
+export const recipeDrafts = new RecipeDrafts();
+export default recipeDrafts;
@@ -0,0 +1,232 @@
+/**
+ * Recipe version history panel for the fullscreen recipe view
+ * Lists the commits that touched a recipe file, shows field-level diffs
+ * between versions and restores an older version through RecipeRepository.
+ */
+
+import { t, i18n } from '../i18n/i18n.js';
+import { diffRecipes } from '../utils/recipeDiff.js';
+import { formatError } from '../utils/errors.js';
+
+/**
+ * Translation keys for recipe field labels
+ */
+const FIELD_LABELS = {
+  name: 'recipeForm.recipeName',
+  servings: 'recipeForm.servings',
+  prepTime: 'recipeForm.prepTime',
+  cookTime: 'recipeForm.cookTime',
+  restTime: 'recipeForm.restTime',
+  cookingTime: 'recipeForm.cookingTime',
+  ingredients: 'recipeForm.ingredients',
+  instructions: 'recipeForm.instructions',
+  notes: 'recipeForm.notes',
+  tags: 'recipeForm.tagsField'
+};
+
+/**
+ * Escape HTML to prevent XSS
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+/**
+ * Format a plain field value for the diff view
+ * @param {*} value - Field value
+ * @returns {string} Display text
+ */
+function formatValue(value) {
+  if (value === undefined || value === null || value === '') {
+    return '—';
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => (typeof item === 'object' ? item.text ?? JSON.stringify(item) : item)).join(', ');
+  }
+  return String(value);
+}
+
+/**
+ * Format a commit date in the current language
+ * @param {string} date - ISO date
+ * @returns {string} Localized date and time
+ */
+function formatDate(date) {
+  return date ? new Date(date).toLocaleString(i18n.getCurrentLanguage()) : '';
+}
+
+/**
+ * Render a field-level diff
+ * @param {Array<Object>} changes - Result of diffRecipes()
+ * @returns {string} HTML
+ */
+export function renderDiff(changes) {
+  if (changes.length === 0) {
+    return `<p class="text-muted mb-0">${t('history.noChanges')}</p>`;
+  }
+
+  return changes.map(change => {
+    const label = FIELD_LABELS[change.field] ? t(FIELD_LABELS[change.field]) : change.field;
+    let body;
+
+    if (change.type === 'list') {
+      body = [
+        ...change.added.map(item => `<li class="text-success"><i class="fas fa-plus me-2"></i>${escapeHtml(item)}</li>`),
+        ...change.removed.map(item => `<li class="text-danger text-decoration-line-through"><i class="fas fa-minus me-2"></i>${escapeHtml(item)}</li>`),
+        ...change.moved.map(item => `<li class="text-primary"><i class="fas fa-arrows-alt-v me-2"></i>${escapeHtml(item)}</li>`)
+      ].join('');
+      body = `<ul class="list-unstyled mb-0">${body}</ul>`;
+    } else {
+      body = `<div>
+        <span class="text-danger text-decoration-line-through">${escapeHtml(formatValue(change.from))}</span>
+        <i class="fas fa-arrow-right mx-2 text-muted"></i>
+        <span class="text-success">${escapeHtml(formatValue(change.to))}</span>
+      </div>`;
+    }
+
+    return `<div class="mb-3" data-diff-field="${change.field}">
+      <h6 class="mb-1">${escapeHtml(label)}</h6>
+      ${body}
+    </div>`;
+  }).join('');
+}
+
+/**
+ * Render the commit list and compare controls
+ * @param {Array<Object>} commits - File history, newest first
+ * @param {boolean} canRestore - Whether restore buttons are shown
+ * @returns {string} HTML
+ */
+function renderHistory(commits, canRestore) {
+  const options = commits.map((commit, index) =>
+    `<option value="${index}">${escapeHtml(formatDate(commit.date))} – ${escapeHtml(commit.message.split('\n')[0])}</option>`
+  ).join('');
+
+  const rows = commits.map((commit, index) => `
+    <li class="list-group-item d-flex justify-content-between align-items-start gap-2">
+      <div>
+        <div class="fw-semibold">${escapeHtml(commit.message.split('\n')[0])}</div>
+        <small class="text-muted">${escapeHtml(commit.author || '')} · ${escapeHtml(formatDate(commit.date))}</small>
+      </div>
+      <div class="d-flex gap-2 flex-shrink-0">
+        <button class="btn btn-sm btn-outline-secondary history-diff-btn" data-index="${index}">
+          <i class="fas fa-exchange-alt me-1"></i>${t('history.showChanges')}
+        </button>
+        ${canRestore && index > 0 ? `
+        <button class="btn btn-sm btn-outline-primary history-restore-btn" data-index="${index}">
+          <i class="fas fa-undo me-1"></i>${t('history.restore')}
+        </button>` : ''}
+      </div>
+    </li>`).join('');
+
+  return `
+    <h4 class="border-bottom pb-2 mb-3 fullscreen-section-header">
+      <i class="fas fa-history me-2"></i>${t('history.title')}
+    </h4>
+    <div class="d-flex flex-wrap gap-2 align-items-center mb-3">
+      <select class="form-select form-select-sm w-auto history-compare-from">${options}</select>
+      <i class="fas fa-arrow-right text-muted"></i>
+      <select class="form-select form-select-sm w-auto history-compare-to">${options}</select>
+      <button class="btn btn-sm btn-outline-secondary history-compare-btn">${t('history.compare')}</button>
+    </div>
+    <div class="history-diff border rounded p-3 mb-3 d-none"></div>
+    <ul class="list-group">${rows}</ul>`;
+}
+
+/**
+ * Load and show the history of a recipe in a container
+ * @param {HTMLElement} container - Panel element
+ * @param {Object} recipe - Recipe shown in the fullscreen view
+ * @param {Object} repository - RecipeRepository instance
+ * @param {Object} options - Panel options
+ * @param {boolean} [options.canRestore] - Offer restoring older versions
+ * @param {Function} [options.onRestored] - Called with the restored recipe
+ * @returns {Promise<void>}
+ */
+export async function showRecipeHistory(container, recipe, repository, options = {}) {
+  const { canRestore = false, onRestored = () => {} } = options;
+  const recipeId = recipe.metadata?.id || recipe.id || recipe.name;
+
+  container.innerHTML = `<p class="text-muted"><i class="fas fa-spinner fa-spin me-2"></i>${t('history.loading')}</p>`;
+
+  let commits;
+  try {
+    commits = await repository.getHistory(recipeId);
+  } catch (error) {
+    console.error('❌ Failed to load recipe history:', error);
+    container.innerHTML = `<div class="alert alert-warning mb-0">${escapeHtml(t('history.loadFailed', { error: formatError(error) }))}</div>`;
+    return;
+  }
+
+  if (commits.length === 0) {
+    container.innerHTML = `<p class="text-muted mb-0">${t('history.empty')}</p>`;
+    return;
+  }
+
+  container.innerHTML = renderHistory(commits, canRestore);
+
+  // Versions are immutable, so each commit is fetched at most once
+  const versions = new Map();
+  const getVersion = (index) => {
+    const commit = commits[index];
+    if (!commit) return Promise.resolve(null); // Before the first commit
+    if (!versions.has(commit.sha)) {
+      versions.set(commit.sha, repository.getVersion(recipeId, commit.sha));
+    }
+    return versions.get(commit.sha);
+  };
+
+  const diffElement = container.querySelector('.history-diff');
+  const showDiff = async (olderIndex, newerIndex) => {
+    diffElement.classList.remove('d-none');
+    diffElement.innerHTML = `<i class="fas fa-spinner fa-spin"></i>`;
+    try {
+      const [before, after] = await Promise.all([getVersion(olderIndex), getVersion(newerIndex)]);
+      diffElement.innerHTML = renderDiff(diffRecipes(before, after));
+    } catch (error) {
+      console.error('❌ Failed to load recipe versions:', error);
+      diffElement.innerHTML = escapeHtml(t('history.loadFailed', { error: formatError(error) }));
+    }
+  };
+
+  const fromSelect = container.querySelector('.history-compare-from');
+  const toSelect = container.querySelector('.history-compare-to');
+  if (commits.length > 1) {
+    fromSelect.value = '1';
+  }
+
+  container.querySelector('.history-compare-btn').addEventListener('click', () => {
+    showDiff(Number(fromSelect.value), Number(toSelect.value));
+  });
+
+  container.querySelectorAll('.history-diff-btn').forEach(button => {
+    button.addEventListener('click', () => {
+      // Changes made by this commit: its parent version → this version
+      const index = Number(button.dataset.index);
+      showDiff(index + 1, index);
+    });
+  });
+
+  container.querySelectorAll('.history-restore-btn').forEach(button => {
+    button.addEventListener('click', async () => {
+      const commit = commits[Number(button.dataset.index)];
+      if (!confirm(t('history.restoreConfirm', { date: formatDate(commit.date) }))) {
+        return;
+      }
+
+      button.disabled = true;
+      try {
+        const restored = await repository.restoreVersion(recipeId, commit.sha);
+        onRestored(restored);
+      } catch (error) {
+        console.error('❌ Failed to restore recipe version:', error);
+        alert(t('history.restoreFailed', { error: formatError(error) }));
+        button.disabled = false;
+      }
+    });
+  });
+}
@@ -0,0 +1,208 @@
+/**
+ * Recipe Suggestions
+ * Signed-in users without push access propose new recipes and edits as pull
+ * requests from their fork. Open pull requests are remembered in localStorage,
+ * so the recipe cards show them as pending until the maintainers merge or
+ * close them.
+ */
+
+import { gitHubAPIAdapter } from '../adapters/GitHubAPIAdapter.js';
+import { repositorySettings } from '../config/repositorySettings.js';
+import { ValidationError } from '../utils/errors.js';
+import { flattenIngredients } from '../utils/smartIngredients.js';
+
+// localStorage key holding the open suggestions of every repository
+const SUGGESTIONS_KEY = 'kuchtik-recipe-suggestions';
+
+// Recipe fields named in the description of a suggested edit
+const DESCRIBED_FIELDS = ['name', 'tags', 'servings', 'prepTime', 'cookTime', 'restTime', 'cookingTime', 'ingredients', 'instructions', 'notes'];
+
+export class RecipeSuggestions {
+  /**
+   * @param {Object} [options] - Service options
+   * @param {GitHubAPIAdapter} [options.adapter] - Adapter opening the pull requests
+   * @param {RepositorySettings} [options.settings] - Repository the suggestions are for
+   */
+  constructor({ adapter = gitHubAPIAdapter, settings = repositorySettings } = {}) {
+    this.adapter = adapter;
+    this.settings = settings;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Get the open suggestions for the current repository
+   * @returns {Array<Object>} Suggestions, oldest first
+   */
+  getAll() {
+    const repository = this.settings.getKey();
+    return this.load().filter(entry => entry.repository === repository);
+  }
+
+  /**
+   * Get the newest open suggestion for a recipe
+   * @param {string} recipeId - Recipe ID
+   * @returns {Object|null} Suggestion with `number` and `url`, or null
+   */
+  getPendingFor(recipeId) {
+    const entries = this.getAll().filter(entry => entry.recipeId === recipeId);
+    return entries[entries.length - 1] || null;
+  }
+
+  /**
+   * Suggested new recipes, to be listed until they are merged
+   * @returns {Array<Object>} Recipes with `metadata.suggestion` set
+   */
+  getPendingRecipes() {
+    return this.getAll()
+      .filter(entry => entry.type === 'create')
+      .map(entry => ({ ...entry.recipe, metadata: { id: entry.recipeId, suggestion: true } }));
+  }
+
+  /**
+   * Open a pull request with a new recipe or an edit
+   * @param {Object} recipe - Recipe data from the form
+   * @param {Object|null} [original] - Recipe being edited (none for a new recipe)
+   * @returns {Promise<Object>} The stored suggestion
+   * @throws {ValidationError} When a new recipe is named like an existing one
+   */
+  async submit(recipe, original = null) {
+    const type = original ? 'update' : 'create';
+    const recipeId = original
+      ? (original.metadata?.id || original.id)
+      : this.adapter.generateFilename(recipe.name).replace('.json', '');
+    const filename = `${recipeId}.json`;
+
+    if (type === 'create' && await this.adapter.exists(recipeId)) {
+      const message = `Recipe "${recipe.name}" already exists`;
+      throw new ValidationError([message], message);
+    }
+
+    const title = `${type === 'create' ? 'Add' : 'Update'} recipe: ${recipe.name}`;
+    const body = this.describe(recipe, original, filename);
+    const pull = await this.adapter.suggestChange({ type, filename, data: recipe }, { title, body });
+
+    const entry = {
+      repository: this.settings.getKey(),
+      recipeId,
+      type,
+      name: recipe.name,
+      number: pull.number,
+      url: pull.url,
+      recipe,
+      createdAt: new Date().toISOString()
+    };
+    this.store([...this.load(), entry]);
+    console.log(`📬 Suggestion #${entry.number} saved for ${recipeId}`);
+    this.notify();
+    return entry;
+  }
+
+  /**
+   * Write the pull request description
+   * @param {Object} recipe - Suggested recipe
+   * @param {Object|null} original - Recipe being edited (none for a new recipe)
+   * @param {string} filename - Recipe filename
+   * @returns {string} Markdown description
+   */
+  describe(recipe, original, filename) {
+    const login = this.adapter.getCurrentUser()?.login;
+    const lines = [
+      `Suggested with Kuchtik${login ? ` by @${login}` : ''}.`,
+      '',
+      `**Recipe:** ${recipe.name} (\`${this.settings.getRecipePath(filename)}\`)`
+    ];
+
+    if (original) {
+      const changed = DESCRIBED_FIELDS.filter(field =>
+        JSON.stringify(recipe[field] ?? null) !== JSON.stringify(original[field] ?? null)
+      );
+      lines.push(`**Changed:** ${changed.length > 0 ? changed.join(', ') : 'formatting only'}`);
+    } else {
+      const ingredients = flattenIngredients(recipe.ingredients).length;
+      const steps = recipe.instructions?.length || 0;
+      lines.push(`**New recipe** with ${ingredients} ingredients and ${steps} steps.`);
+    }
+
+    lines.push('', 'Maintainers can edit this pull request before merging it.');
+    return lines.join('\n');
+  }
+
+  /**
+   * Forget suggestions whose pull request was merged or closed
+   * Pull requests that can't be checked (e.g. offline) stay pending.
+   * @returns {Promise<Array<Object>>} Finished suggestions, with `merged` set
+   */
+  async refreshStatus() {
+    const finished = [];
+    for (const entry of this.getAll()) {
+      try {
+        const pull = await this.adapter.getPullRequest(entry.number);
+        if (!pull || pull.state === 'closed') {
+          finished.push({ ...entry, merged: pull?.merged === true });
+        }
+      } catch (error) {
+        console.warn(`⚠️ Could not check suggestion #${entry.number}:`, error.message);
+      }
+    }
+
+    if (finished.length > 0) {
+      const done = new Set(finished.map(entry => `${entry.repository}#${entry.number}`));
+      this.store(this.load().filter(entry => !done.has(`${entry.repository}#${entry.number}`)));
+      console.log(`📭 ${finished.length} suggestions were merged or closed`);
+      this.notify();
+    }
+    return finished;
+  }
+
+  /**
+   * Subscribe to changes of the open suggestions
+   * @param {function(Array<Object>): void} listener - Called with getAll()
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Read the suggestions of every repository
+   * @private
+   * @returns {Array<Object>} Stored suggestions
+   */
+  load() {
+    try {
+      const entries = JSON.parse(localStorage.getItem(SUGGESTIONS_KEY) || '[]');
+      return Array.isArray(entries) ? entries : [];
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Save the suggestions of every repository
+   * @private
+   * @param {Array<Object>} entries - Suggestions to keep
+   */
+  store(entries) {
+    localStorage.setItem(SUGGESTIONS_KEY, JSON.stringify(entries));
+  }
+
+  /**
+   * Notify subscribers about a change
+   * @private
+   */
+  notify() {
+    const entries = this.getAll();
+    for (const listener of this.listeners) {
+      try {
+        listener(entries);
+      } catch (error) {
+        console.error('Recipe suggestions listener failed:', error);
+      }
+    }
+  }
+}
+
+// Export singleton instance
+export const recipeSuggestions = new RecipeSuggestions();
+export default recipeSuggestions;
@@ -0,0 +1,451 @@
+/**
+ * Repository Settings Dialog
+ * Lets the user point the app at another repository, branch or recipes folder,
+ * on GitHub or on a Gitea/Forgejo or GitLab server, and list other
+ * repositories whose recipes are shown as well. Settings are
+ * checked against the API before they are saved, and the page is reloaded to
+ * start over with the new repositories. The commit message template and the
+ * usual co-authors are kept here too, as is the choice between committing
+ * each save and collecting changes into one commit; they apply without a
+ * reload, as does upgrading recipe files saved in an older format.
+ */
+
+import { repositorySettings } from '../config/repositorySettings.js';
+import { commitSettings } from '../config/commitSettings.js';
+import { parseCoAuthor, splitCoAuthors } from '../utils/commitMessage.js';
+import { recipeModeManager, RecipeMode } from '../adapters/RecipeModeManager.js';
+import { CONFIG } from '../config/github.js';
+import { templateLoader } from '../utils/templateLoader.js';
+import { formatError } from '../utils/errors.js';
+import { t } from '../i18n/i18n.js';
+
+// Form input of each setting
+const FIELD_INPUTS = {
+  owner: 'repository-settings-owner',
+  repo: 'repository-settings-repo',
+  branch: 'repository-settings-branch',
+  recipesPath: 'repository-settings-path'
+};
+
+// Where the recipes are stored, and the connection to a Gitea/GitLab server
+const FORGE_INPUTS = {
+  mode: 'repository-settings-forge',
+  apiBase: 'repository-settings-api-base',
+  token: 'repository-settings-token'
+};
+
+// Value of the forge select when the recipes are on GitHub
+const GITHUB_FORGE = 'github';
+
+// API address suggested for each forge
+const FORGE_API_BASES = {
+  [RecipeMode.GITEA]: CONFIG.GITEA_API_BASE,
+  [RecipeMode.GITLAB]: CONFIG.GITLAB_API_BASE
+};
+
+// Textarea listing the additional sources, one per line
+const SOURCES_INPUT = 'repository-settings-sources';
+
+// Select choosing between immediate and batch commits
+const SYNC_STRATEGY_INPUT = 'repository-settings-sync-strategy';
+
+// Commit settings inputs
+const COMMIT_INPUTS = {
+  commitTemplate: 'repository-settings-commit-template',
+  coAuthors: 'repository-settings-co-authors'
+};
+
+export class RepositorySettingsDialog {
+  constructor() {
+    this.modal = null;
+    this.modalElement = null;
+    this.saving = false;
+    this.repository = null;
+  }
+
+  /**
+   * Open the dialog filled with the settings in effect
+   * @param {Object} [options] - Dialog options
+   * @param {Object} [options.repository] - RecipeRepository whose files can be upgraded from here
+   */
+  async show({ repository = null } = {}) {
+    await this.ensureModal();
+    this.repository = repository;
+
+    this.fill(repositorySettings.get());
+    const forgeSettings = recipeModeManager.getForgeSettings();
+    this.fillForge(forgeSettings || { mode: GITHUB_FORGE });
+    this.modalElement.querySelector('#repository-settings-leave-forge-section')
+      .classList.toggle('d-none', !forgeSettings);
+    document.getElementById(SOURCES_INPUT).value = repositorySettings.getSources()
+      .map(source => repositorySettings.formatSourceKey(source))
+      .join('\n');
+    const { template, coAuthors } = commitSettings.get();
+    document.getElementById(COMMIT_INPUTS.commitTemplate).value = template;
+    document.getElementById(COMMIT_INPUTS.coAuthors).value = coAuthors.join('\n');
+    document.getElementById(SYNC_STRATEGY_INPUT).value = commitSettings.getSyncStrategy();
+    this.showErrors([]);
+    this.modalElement.querySelector('#repository-settings-url-notice')
+      .classList.toggle('d-none', !repositorySettings.hasUrlOverrides());
+    this.modalElement.querySelector('#repository-settings-migrate-section')
+      .classList.toggle('d-none', !repository?.canMigrateAll());
+    this.modalElement.querySelector('#repository-settings-migrate-status').textContent = '';
+
+    this.modal.show();
+  }
+
+  /**
+   * Load the modal template on first use
+   * @private
+   */
+  async ensureModal() {
+    if (this.modal) {
+      return;
+    }
+
+    const html = await templateLoader.loadTemplate('src/templates/repository-settings-modal.html');
+    document.body.insertAdjacentHTML('beforeend', html);
+
+    this.modalElement = document.getElementById('repository-settings-modal');
+    this.modalElement.querySelectorAll('[data-i18n]').forEach(element => {
+      element.textContent = t(element.getAttribute('data-i18n'));
+    });
+    this.modalElement.querySelector('#repository-settings-form')
+      .addEventListener('submit', event => {
+        event.preventDefault();
+        this.handleSave();
+      });
+    this.modalElement.querySelector('#repository-settings-reset')
+      .addEventListener('click', () => {
+        this.fill(repositorySettings.getDefaults());
+        this.showErrors([]);
+      });
+    this.modalElement.querySelector('#repository-settings-migrate')
+      .addEventListener('click', () => this.handleMigrate());
+    this.modalElement.querySelector(`#${FORGE_INPUTS.mode}`)
+      .addEventListener('change', () => this.updateForgeFields());
+    this.modalElement.querySelector('#repository-settings-leave-forge')
+      .addEventListener('click', () => this.handleLeaveForge());
+    this.modal = new window.bootstrap.Modal(this.modalElement);
+  }
+
+  /**
+   * Put settings into the form
+   * @private
+   * @param {Object} settings - Owner, repo, branch and recipesPath
+   */
+  fill(settings) {
+    for (const [field, id] of Object.entries(FIELD_INPUTS)) {
+      document.getElementById(id).value = settings[field] || '';
+    }
+  }
+
+  /**
+   * Put the forge connection into the form
+   * @private
+   * @param {{mode: string, apiBase?: string, token?: string}} forge - Saved forge settings, or GitHub
+   */
+  fillForge({ mode, apiBase, token }) {
+    document.getElementById(FORGE_INPUTS.mode).value = mode;
+    document.getElementById(FORGE_INPUTS.apiBase).value = apiBase || '';
+    document.getElementById(FORGE_INPUTS.token).value = token || '';
+    this.updateForgeFields();
+  }
+
+  /**
+   * Show the connection fields only for a Gitea/GitLab server
+   * @private
+   */
+  updateForgeFields() {
+    const mode = document.getElementById(FORGE_INPUTS.mode).value;
+    this.modalElement.querySelector('#repository-settings-forge-fields')
+      .classList.toggle('d-none', mode === GITHUB_FORGE);
+    document.getElementById(FORGE_INPUTS.apiBase).placeholder = FORGE_API_BASES[mode] || '';
+  }
+
+  /**
+   * Read the forge connection entered in the form
+   * @private
+   * @returns {{forge: {mode: string, apiBase: string, token: string}, errors: Array<{field: string, code: string}>}} Connection and problems with it
+   */
+  readForge() {
+    const forge = {
+      mode: document.getElementById(FORGE_INPUTS.mode).value,
+      apiBase: document.getElementById(FORGE_INPUTS.apiBase).value.trim(),
+      token: document.getElementById(FORGE_INPUTS.token).value.trim()
+    };
+    const errors = forge.mode !== GITHUB_FORGE && forge.apiBase && !/^https?:\/\/[^/\s]+\S*$/.test(forge.apiBase)
+      ? [{ field: 'apiBase', code: 'invalidApiBase' }]
+      : [];
+    return { forge, errors };
+  }
+
+  /**
+   * Read the settings entered in the form
+   * @private
+   * @returns {Object} Normalized settings
+   */
+  readForm() {
+    const settings = {};
+    for (const [field, id] of Object.entries(FIELD_INPUTS)) {
+      settings[field] = document.getElementById(id).value;
+    }
+    return repositorySettings.normalize(settings);
+  }
+
+  /**
+   * Read the additional sources entered in the form
+   * @private
+   * @returns {{sources: Object[], errors: Array<{field: string, code: string, source: string}>}} Parsed sources and malformed lines
+   */
+  readSources() {
+    const lines = document.getElementById(SOURCES_INPUT).value
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean);
+
+    const sources = [];
+    const errors = [];
+    for (const line of lines) {
+      const source = repositorySettings.parseKey(line);
+      if (source) {
+        sources.push(source);
+      } else {
+        errors.push({ field: 'sources', code: 'invalidSource', source: line });
+      }
+    }
+    return { sources, errors };
+  }
+
+  /**
+   * Read the commit settings entered in the form
+   * @private
+   * @returns {{settings: {template: string, coAuthors: string[]}, errors: Array<{field: string, code: string, source: string}>}} Settings and unrecognized co-authors
+   */
+  readCommitSettings() {
+    const coAuthors = splitCoAuthors(document.getElementById(COMMIT_INPUTS.coAuthors).value);
+    const errors = coAuthors
+      .filter(coAuthor => !parseCoAuthor(coAuthor))
+      .map(coAuthor => ({ field: 'coAuthors', code: 'invalidCoAuthor', source: coAuthor }));
+    return {
+      settings: { template: document.getElementById(COMMIT_INPUTS.commitTemplate).value, coAuthors },
+      errors
+    };
+  }
+
+  /**
+   * Mark invalid fields, or clear all marks when `errors` is empty
+   * @private
+   * @param {Array<{field: string, code: string, source?: string}>} errors - Problems to show
+   * @param {string|null} [message] - Error not tied to a field
+   */
+  showErrors(errors, message = null) {
+    for (const [field, id] of Object.entries({ ...FIELD_INPUTS, apiBase: FORGE_INPUTS.apiBase, sources: SOURCES_INPUT, ...COMMIT_INPUTS })) {
+      const error = errors.find(item => item.field === field);
+      document.getElementById(id).classList.toggle('is-invalid', !!error);
+      this.modalElement.querySelector(`[data-feedback-for="${field}"]`).textContent =
+        error ? t(`repositorySettings.errors.${error.code}`, { source: error.source }) : '';
+    }
+
+    const alertElement = this.modalElement.querySelector('#repository-settings-error');
+    alertElement.textContent = message || '';
+    alertElement.classList.toggle('d-none', !message);
+  }
+
+  /**
+   * Check the entered settings and switch to them
+   */
+  async handleSave() {
+    if (this.saving) {
+      return;
+    }
+
+    const settings = this.readForm();
+    const { forge, errors: forgeErrors } = this.readForge();
+    const { sources, errors: sourceErrors } = this.readSources();
+    const { settings: commit, errors: commitErrors } = this.readCommitSettings();
+    const errors = [...repositorySettings.validate(settings), ...forgeErrors, ...sourceErrors, ...commitErrors];
+    if (errors.length > 0) {
+      this.showErrors(errors);
+      return;
+    }
+
+    // Commit settings are only read when saving a recipe, so they need no reload
+    commitSettings.save(commit);
+    await this.applySyncStrategy(document.getElementById(SYNC_STRATEGY_INPUT).value);
+
+    const current = repositorySettings.get();
+    const sameRepository = Object.keys(FIELD_INPUTS).every(field => settings[field] === current[field]);
+    const savedSources = repositorySettings.getSources().map(source => repositorySettings.formatSourceKey(source));
+    const sameSources = sources.length === savedSources.length &&
+      sources.every((source, index) => repositorySettings.formatSourceKey(source) === savedSources[index]);
+    const savedForge = recipeModeManager.getForgeSettings() || { mode: GITHUB_FORGE };
+    const sameForge = forge.mode === savedForge.mode && (forge.mode === GITHUB_FORGE ||
+      (forge.apiBase === (savedForge.apiBase || '') && forge.token === (savedForge.token || '')));
+    if (sameRepository && sameSources && sameForge) {
+      this.modal.hide();
+      return;
+    }
+
+    this.saving = true;
+    const saveButton = this.modalElement.querySelector('#repository-settings-save');
+    saveButton.disabled = true;
+
+    try {
+      const invalid = (sameRepository && sameForge ? null : await this.verify(settings, forge)) ||
+        await this.verifySources(sources);
+      if (invalid) {
+        this.showErrors([invalid]);
+        return;
+      }
+
+      await this.apply(settings, sources, forge);
+      this.modal.hide();
+      console.log('🔄 Reloading with the new repository:', repositorySettings.getKey());
+      window.location.reload();
+    } catch (error) {
+      console.error('❌ Failed to check repository settings:', error);
+      this.showErrors([], formatError(error));
+    } finally {
+      this.saving = false;
+      saveButton.disabled = false;
+    }
+  }
+
+  /**
+   * Save the chosen sync strategy and switch the repository to it
+   * @private
+   * @param {string} strategy - 'immediate' or 'batch'
+   */
+  async applySyncStrategy(strategy) {
+    commitSettings.saveSyncStrategy(strategy);
+    if (this.repository && this.repository.config.syncStrategy !== strategy) {
+      await this.repository.setSyncStrategy(strategy);
+    }
+  }
+
+  /**
+   * Rewrite outdated recipe files after asking
+   */
+  async handleMigrate() {
+    if (!this.repository || !confirm(t('repositorySettings.migrateConfirm'))) {
+      return;
+    }
+
+    const button = this.modalElement.querySelector('#repository-settings-migrate');
+    const status = this.modalElement.querySelector('#repository-settings-migrate-status');
+    button.disabled = true;
+    status.textContent = t('repositorySettings.migrating');
+    this.showErrors([]);
+
+    try {
+      const { migrated } = await this.repository.migrateAll();
+      status.textContent = migrated.length > 0
+        ? t('repositorySettings.migrated', { count: migrated.length })
+        : t('repositorySettings.upToDate');
+    } catch (error) {
+      console.error('❌ Failed to upgrade recipe files:', error);
+      status.textContent = '';
+      this.showErrors([], formatError(error));
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  /**
+   * Go back to GitHub right away, keeping the repository settings
+   */
+  async handleLeaveForge() {
+    const button = this.modalElement.querySelector('#repository-settings-leave-forge');
+    button.disabled = true;
+
+    try {
+      await recipeModeManager.leaveForge();
+      this.modal.hide();
+      console.log('🔄 Reloading with GitHub');
+      window.location.reload();
+    } catch (error) {
+      console.error('❌ Failed to switch back to GitHub:', error);
+      this.showErrors([], formatError(error));
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  /**
+   * Check that the repository, branch and folder exist on the chosen forge
+   * Data sources without a remote repository (local mode) are not checked.
+   * @private
+   * @param {Object} settings - Settings to check
+   * @param {{mode: string, apiBase: string, token: string}} forge - Chosen forge connection
+   * @returns {Promise<{field: string, code: string}|null>} First invalid setting, or null
+   */
+  async verify(settings, forge) {
+    if (forge.mode !== GITHUB_FORGE) {
+      return recipeModeManager.verifyForgeRepository(forge.mode, { ...this.getForgeConnection(forge), ...settings });
+    }
+    if (recipeModeManager.getForgeSettings()) {
+      // Leaving the forge: the repository is read from GitHub from now on
+      return recipeModeManager.verifyAdditionalSource(settings);
+    }
+
+    const adapter = recipeModeManager.getAdapter();
+    if (typeof adapter?.verifyRepository !== 'function') {
+      return null;
+    }
+    return adapter.verifyRepository(settings);
+  }
+
+  /**
+   * Check that every additional source can be read
+   * @private
+   * @param {Object[]} sources - Parsed sources
+   * @returns {Promise<{field: string, code: string, source: string}|null>} First unreadable source, or null
+   */
+  async verifySources(sources) {
+    for (const source of sources) {
+      const invalid = await recipeModeManager.verifyAdditionalSource(source);
+      if (invalid) {
+        const code = invalid.code === 'forbidden' ? 'sourceForbidden' : 'sourceNotFound';
+        return { field: 'sources', code, source: repositorySettings.formatSourceKey(source) };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Connection settings of a forge as kept by the mode manager
+   * An empty API address falls back to the forge's default, an empty token to read-only access.
+   * @private
+   * @param {{apiBase: string, token: string}} forge - Forge connection from the form
+   * @returns {{apiBase?: string, token?: string}} Connection settings
+   */
+  getForgeConnection({ apiBase, token }) {
+    return {
+      ...(apiBase ? { apiBase } : {}),
+      ...(token ? { token } : {})
+    };
+  }
+
+  /**
+   * Save the settings and switch to the chosen forge; the forge follows the new repository
+   * @private
+   * @param {Object} settings - Checked settings
+   * @param {Object[]} sources - Checked additional sources
+   * @param {{mode: string, apiBase: string, token: string}} forge - Chosen forge connection
+   */
+  async apply(settings, sources, forge) {
+    if (forge.mode !== GITHUB_FORGE) {
+      const { owner, repo, branch, recipesPath } = settings;
+      await recipeModeManager.switchToForge(forge.mode, { ...this.getForgeConnection(forge), owner, repo, branch, recipesPath });
+    } else if (recipeModeManager.getForgeSettings()) {
+      await recipeModeManager.leaveForge();
+    }
+    repositorySettings.save(settings);
+    repositorySettings.saveSources(sources);
+  }
+}
+
+// Export singleton instance
+export const repositorySettingsDialog = new RepositorySettingsDialog();
+export default repositorySettingsDialog;
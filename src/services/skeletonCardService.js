@@ -38,6 +38,7 @@ export class SkeletonCardService {
                 <div class="checkbox-container">
                   <input type="checkbox" class="selectRecipe" disabled>
                 </div>
+                <div class="skeleton skeleton-thumbnail"></div>
                 <div class="flex-grow-1 recipe-title-area">
                   <div class="skeleton skeleton-title"></div>
                   <div class="skeleton skeleton-subtitle"></div>
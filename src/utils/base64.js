@@ -0,0 +1,31 @@
+/**
+ * Base64 helpers for file contents returned by Git hosting APIs
+ * The APIs encode raw UTF-8 bytes, so plain atob/btoa would mangle Czech diacritics.
+ */
+
+/**
+ * Decode base64 content into a UTF-8 string
+ * @param {string} content - Base64 content (may contain line breaks)
+ * @returns {string} Decoded text
+ */
+export function decodeBase64(content) {
+  try {
+    // Properly decode UTF-8 content from base64
+    return decodeURIComponent(escape(window.atob(content.replace(/\s/g, ''))));
+  } catch (error) {
+    throw new Error(`Failed to decode base64 content: ${error.message}`);
+  }
+}
+
+/**
+ * Encode a UTF-8 string as base64
+ * @param {string} content - Text to encode
+ * @returns {string} Base64 content
+ */
+export function encodeBase64(content) {
+  try {
+    return window.btoa(unescape(encodeURIComponent(content)));
+  } catch (error) {
+    throw new Error(`Failed to encode base64 content: ${error.message}`);
+  }
+}
@@ -0,0 +1,183 @@
+/**
+ * Commit messages for recipe changes
+ * The subject is the change note typed in the editor or, without one, a
+ * summary of what changed ("Guláš: +2 ingredients, tags: hlavní jídlo"),
+ * put through the configured template. People who cooked along are credited
+ * with Co-authored-by trailers, which GitHub shows next to the author.
+ */
+
+import { diffList } from './recipeDiff.js';
+import { TIME_FIELDS, formatDuration } from './duration.js';
+import { flattenIngredients } from './smartIngredients.js';
+
+// Verb for each change type, also the {{action}} placeholder
+const ACTIONS = { create: 'Add', update: 'Update', delete: 'Delete' };
+
+// Template used when none is configured
+export const DEFAULT_COMMIT_TEMPLATE = '{{message}}';
+
+// "Name <email>"
+const CO_AUTHOR_PATTERN = /^(.+?)\s*<([^<>\s]+@[^<>\s]+)>$/;
+
+// "@login" or a bare GitHub login
+const LOGIN_PATTERN = /^@?([A-Za-z0-9](?:[A-Za-z0-9-]{0,38}))$/;
+
+// Single value fields mentioned with their old and new value
+const VALUE_FIELDS = ['servings', ...TIME_FIELDS, 'cookingTime'];
+
+/**
+ * Summarize how a recipe changed
+ * Creates and deletes (or updates without the previous version) fall back to
+ * "Add recipe: …" and friends.
+ * @param {'create'|'update'|'delete'} type - Change type
+ * @param {Object} recipe - Recipe after the change (the deleted one for deletes)
+ * @param {Object|null} [previous] - Recipe before an update
+ * @returns {string} e.g. "Guláš: +2 ingredients, tags: hlavní jídlo"
+ */
+export function summarizeRecipeChange(type, recipe, previous = null) {
+  const name = recipe?.name || 'recipe';
+  const fallback = `${ACTIONS[type]} recipe: ${name}`;
+  if (type !== 'update' || !previous) {
+    return fallback;
+  }
+
+  const parts = [];
+  if (previous.name && previous.name !== recipe.name) {
+    parts.push(`renamed from ${previous.name}`);
+  }
+  parts.push(...countIngredientChange(previous.ingredients, recipe.ingredients));
+  parts.push(...countChange('step', previous.instructions, recipe.instructions));
+
+  const tags = diffList(previous.tags, recipe.tags);
+  if (tags.added.length) {
+    parts.push(`tags: ${tags.added.join(', ')}`);
+  }
+  if (tags.removed.length) {
+    parts.push(`removed tags: ${tags.removed.join(', ')}`);
+  }
+
+  for (const field of VALUE_FIELDS) {
+    if ((previous[field] ?? '') !== (recipe[field] ?? '')) {
+      parts.push(`${field} ${formatFieldValue(field, previous[field])} → ${formatFieldValue(field, recipe[field])}`);
+    }
+  }
+  if (!sameJson(previous.notes, recipe.notes)) {
+    parts.push('notes');
+  }
+
+  return parts.length ? `${name}: ${parts.join(', ')}` : fallback;
+}
+
+/**
+ * Normalize a co-author for a Co-authored-by trailer
+ * @param {string} text - "Name <email>", "@login" or a GitHub login
+ * @returns {string|null} "Name <email>" (logins get their GitHub noreply address), or null when unrecognized
+ */
+export function parseCoAuthor(text) {
+  const value = String(text ?? '').trim();
+
+  const match = CO_AUTHOR_PATTERN.exec(value);
+  if (match) {
+    return `${match[1]} <${match[2]}>`;
+  }
+
+  const login = LOGIN_PATTERN.exec(value);
+  if (login) {
+    return `${login[1]} <${login[1]}@users.noreply.github.com>`;
+  }
+  return null;
+}
+
+/**
+ * Split a comma or newline separated list of co-authors
+ * @param {string|string[]} value - Co-authors as typed
+ * @returns {string[]} Trimmed, non-empty entries
+ */
+export function splitCoAuthors(value) {
+  const entries = Array.isArray(value) ? value : String(value ?? '').split(/[,\n]/);
+  return entries.map(entry => String(entry).trim()).filter(Boolean);
+}
+
+/**
+ * Fill a commit template
+ * Placeholders: {{message}} (the note, or the summary without one),
+ * {{summary}}, {{note}}, {{name}} and {{action}} (Add, Update or Delete).
+ * @param {string} template - Commit template
+ * @param {Object<string, string>} values - Placeholder values
+ * @returns {string} Subject line
+ */
+export function fillCommitTemplate(template, values) {
+  return String(template).replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, key) =>
+    Object.prototype.hasOwnProperty.call(values, key) ? values[key] : placeholder
+  );
+}
+
+/**
+ * Build the full commit message for one recipe change
+ * @param {Object} change - Change to describe
+ * @param {'create'|'update'|'delete'} change.type - Change type
+ * @param {Object} change.recipe - Recipe after the change (the deleted one for deletes)
+ * @param {Object|null} [change.previous] - Recipe before an update
+ * @param {string} [change.note] - Change note from the editor
+ * @param {string[]} [change.coAuthors] - Co-authors (see parseCoAuthor())
+ * @param {string} [change.template] - Commit template (see fillCommitTemplate())
+ * @returns {string} Commit message
+ */
+export function buildCommitMessage({ type, recipe, previous = null, note = '', coAuthors = [], template = DEFAULT_COMMIT_TEMPLATE }) {
+  const summary = summarizeRecipeChange(type, recipe, previous);
+  const trimmedNote = String(note ?? '').trim();
+
+  const subject = fillCommitTemplate(template || DEFAULT_COMMIT_TEMPLATE, {
+    message: trimmedNote || summary,
+    summary,
+    note: trimmedNote,
+    name: recipe?.name || '',
+    action: ACTIONS[type]
+  }).trim();
+
+  return withCoAuthors(subject || summary, coAuthors);
+}
+
+/**
+ * Append Co-authored-by trailers to a commit message
+ * @param {string} message - Commit message
+ * @param {string[]} coAuthors - Co-authors; unrecognized and repeated ones are skipped
+ * @returns {string} Message with a trailer block (unchanged without co-authors)
+ */
+export function withCoAuthors(message, coAuthors = []) {
+  const trailers = [...new Set(coAuthors.map(parseCoAuthor).filter(Boolean))]
+    .map(coAuthor => `Co-authored-by: ${coAuthor}`);
+  return trailers.length ? `${message}\n\n${trailers.join('\n')}` : message;
+}
+
+// "+2 ingredients", "-1 step" or "ingredients changed" when only the text differs
+function countChange(noun, before = [], after = []) {
+  const difference = (after?.length || 0) - (before?.length || 0);
+  if (difference !== 0) {
+    const count = Math.abs(difference);
+    return [`${difference > 0 ? '+' : '-'}${count} ${noun}${count === 1 ? '' : 's'}`];
+  }
+  return sameJson(before, after) ? [] : [`${noun}s changed`];
+}
+
+// Ingredients are counted across sections; moving them between sections changes only the sections
+function countIngredientChange(before, after) {
+  const change = countChange('ingredient', flattenIngredients(before), flattenIngredients(after));
+  if (change.length === 0 && !sameJson(before, after)) {
+    return ['ingredient sections changed'];
+  }
+  return change;
+}
+
+// Compare values that may be missing
+function sameJson(a, b) {
+  return JSON.stringify(a ?? []) === JSON.stringify(b ?? []);
+}
+
+// Times in minutes read as "1 h 30 min"; missing values as "–"
+function formatFieldValue(field, value) {
+  if (TIME_FIELDS.includes(field) && Number.isFinite(value)) {
+    return formatDuration(value);
+  }
+  return value || '–';
+}
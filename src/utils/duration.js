@@ -0,0 +1,152 @@
+/**
+ * Durations
+ * Turns the cooking times people type, in Czech or English ("90 min",
+ * "3 hodiny", "1 h 30 min", "1,5 h", "2 dní", "půl hodiny", "30-40 min"),
+ * into minutes and back into short text ("1 h 30 min"), and reads the time
+ * fields of a recipe: `prepTime`, `cookTime` and `restTime` in minutes, or
+ * the free-text `cookingTime` of files that predate them.
+ */
+
+// Structured time fields, in the order they happen
+export const TIME_FIELDS = ['prepTime', 'cookTime', 'restTime'];
+
+// Unit spellings and their length in minutes; matched after lowercasing and dropping a trailing dot
+const UNITS = [
+  [/^(?:m|min|mins|minut[aouy]?|minutes?)$/u, 1],
+  [/^(?:h|hr|hrs|hod|hodin[auy]?|hours?)$/u, 60],
+  [/^(?:d|den|dn[eyíu]|dnů|days?)$/u, 24 * 60],
+  [/^(?:týd|týden|týdn[yůu]|weeks?|wk)$/u, 7 * 24 * 60]
+];
+
+// Phrases without digits, replaced before parsing ("1 hodina" keeps its number)
+const PHRASES = [
+  [/(?<!\p{L})(?:half an hour|půl hodiny)(?!\p{L})/gu, '30 min'],
+  [/(?<!\p{L})(?:quarter of an hour|čtvrt hodiny)(?!\p{L})/gu, '15 min'],
+  [/(?<![\d\p{L}]\s*)(?:an hour|hodinu|hodina)(?!\p{L})/gu, '1 h'],
+  [/(?<!\p{L})(?:overnight|přes noc)(?!\p{L})/gu, '8 h']
+];
+
+// "30-40 min", "30 – 40", "1 až 2 h", "1 to 2 h" - the upper bound is when it is ready
+const RANGE = /(\d+(?:\.\d+)?)\s*(?:-|–|až|to)\s*(\d+(?:\.\d+)?)/gu;
+
+// A number and the word after it
+const AMOUNT = /(\d+(?:\.\d+)?)\s*([\p{L}]+\.?)?/gu;
+
+/**
+ * Parse a duration into minutes
+ * A number without a unit is minutes, or the minutes of "1 h 30".
+ * @param {string|number} text - Duration as typed, or minutes
+ * @returns {number|null} Whole minutes, or null when it is not a duration
+ */
+export function parseDuration(text) {
+  if (typeof text === 'number') {
+    return Number.isFinite(text) && text >= 0 ? Math.round(text) : null;
+  }
+  if (typeof text !== 'string') {
+    return null;
+  }
+
+  let value = text.toLowerCase().replace(/(\d),(\d)/g, '$1.$2').trim();
+  for (const [pattern, replacement] of PHRASES) {
+    value = value.replace(pattern, replacement);
+  }
+  value = value.replace(RANGE, '$2');
+
+  // "1:30" is hours and minutes
+  const clock = /^(\d+):([0-5]\d)$/.exec(value);
+  if (clock) {
+    return Number(clock[1]) * 60 + Number(clock[2]);
+  }
+
+  let minutes = 0;
+  let found = false;
+  let previousUnit = null;
+  for (const [, amount, word] of value.matchAll(AMOUNT)) {
+    let unit = 1;
+    if (word) {
+      const match = UNITS.find(([pattern]) => pattern.test(word.replace(/\.$/, '')));
+      if (!match) {
+        return null;
+      }
+      unit = match[1];
+    } else if (previousUnit !== null && previousUnit !== 60) {
+      // Only "1 h 30" leaves the minutes out
+      return null;
+    }
+    minutes += Number(amount) * unit;
+    previousUnit = unit;
+    found = true;
+  }
+
+  return found ? Math.round(minutes) : null;
+}
+
+/**
+ * Format minutes as short text
+ * @param {number|null} minutes - Minutes
+ * @returns {string} e.g. "45 min", "1 h 30 min", "2 d 4 h"; '' without a duration
+ */
+export function formatDuration(minutes) {
+  if (!Number.isFinite(minutes) || minutes < 0) {
+    return '';
+  }
+  if (minutes < 60) {
+    return `${Math.round(minutes)} min`;
+  }
+
+  const total = Math.round(minutes);
+  const days = Math.floor(total / (24 * 60));
+  const hours = Math.floor((total % (24 * 60)) / 60);
+  const rest = total % 60;
+
+  // Minutes stop mattering once it takes days
+  const parts = [];
+  if (days) parts.push(`${days} d`);
+  if (hours) parts.push(`${hours} h`);
+  if (rest && !days) parts.push(`${rest} min`);
+  return parts.join(' ');
+}
+
+/**
+ * Get the times of a recipe in minutes
+ * The total is the sum of the structured times, or the parsed `cookingTime`
+ * of older recipes that have none.
+ * @param {Object} recipe - Recipe
+ * @returns {{prepTime: number|null, cookTime: number|null, restTime: number|null, total: number|null}} Minutes; null when unknown
+ */
+export function getRecipeTimes(recipe) {
+  const times = {};
+  for (const field of TIME_FIELDS) {
+    times[field] = parseDuration(recipe?.[field]);
+  }
+
+  const known = TIME_FIELDS.map(field => times[field]).filter(minutes => minutes !== null);
+  times.total = known.length > 0
+    ? known.reduce((sum, minutes) => sum + minutes, 0)
+    : parseDuration(recipe?.cookingTime);
+  return times;
+}
+
+/**
+ * Format the total time of a recipe
+ * @param {Object} recipe - Recipe
+ * @returns {string} e.g. "1 h 30 min"; the free-text `cookingTime` when it cannot be parsed, '' without any
+ */
+export function formatRecipeTime(recipe) {
+  const hasTimes = TIME_FIELDS.some(field => parseDuration(recipe?.[field]) !== null);
+  if (!hasTimes && typeof recipe?.cookingTime === 'string') {
+    return recipe.cookingTime;
+  }
+  return formatDuration(getRecipeTimes(recipe).total);
+}
+
+/**
+ * Check whether a recipe is ready within a time
+ * @param {Object} recipe - Recipe
+ * @param {number} minutes - Time limit
+ * @returns {boolean} True when its total time is known and fits
+ */
+export function isReadyWithin(recipe, minutes) {
+  const { total } = getRecipeTimes(recipe);
+  return total !== null && total <= minutes;
+}
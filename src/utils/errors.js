@@ -0,0 +1,238 @@
+/**
+ * Typed errors shared by the adapters and the repository
+ *
+ * Every error the user may see carries a `code`, which maps to the
+ * `errors.<code>.message` and `errors.<code>.recovery` translations, and a
+ * `recovery` action the UI can offer. Plain `Error`s are still used for
+ * programming errors and unexpected API failures.
+ */
+
+import { t } from '../i18n/i18n.js';
+
+export const ErrorCode = {
+  AUTH: 'auth',
+  NOT_FOUND: 'notFound',
+  CONFLICT: 'conflict',
+  RATE_LIMITED: 'rateLimited',
+  VALIDATION: 'validation',
+  OFFLINE: 'offline',
+  READ_ONLY: 'readOnly'
+};
+
+/**
+ * What the user can do about an error
+ */
+export const RecoveryAction = {
+  SIGN_IN: 'signIn',          // Sign in (again) with GitHub
+  REFRESH: 'refresh',         // Reload the recipe list
+  RESOLVE: 'resolve',         // Pick between the conflicting versions
+  WAIT: 'wait',               // Try again once the rate limit resets
+  FIX_INPUT: 'fixInput',      // Correct the form and save again
+  RETRY_ONLINE: 'retryOnline' // Nothing - queued changes upload once back online
+};
+
+/**
+ * Base class of all typed errors
+ */
+export class RecipeError extends Error {
+  /**
+   * @param {string} code - One of ErrorCode
+   * @param {string} message - English message for logs
+   * @param {Object} [options] - Error options
+   * @param {string} [options.recovery] - One of RecoveryAction
+   * @param {Object} [options.params] - Translation parameters
+   */
+  constructor(code, message, { recovery = null, params = {} } = {}) {
+    super(message);
+    this.name = 'RecipeError';
+    this.code = code;
+    this.recovery = recovery;
+    this.params = params;
+  }
+
+  /**
+   * Translation key of the user message
+   * @returns {string} i18n key
+   */
+  get i18nKey() {
+    return `errors.${this.code}.message`;
+  }
+
+  /**
+   * Translation key of the suggested recovery
+   * @returns {string} i18n key
+   */
+  get recoveryKey() {
+    return `errors.${this.code}.recovery`;
+  }
+}
+
+/**
+ * Not signed in, or the token was rejected
+ */
+export class AuthError extends RecipeError {
+  /**
+   * @param {string} [message] - Log message
+   * @param {Object} [options] - Error options
+   * @param {number|null} [options.status] - HTTP status (401/403) when the API rejected the token
+   */
+  constructor(message = 'Authentication required', { status = null } = {}) {
+    super(ErrorCode.AUTH, message, { recovery: RecoveryAction.SIGN_IN });
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+/**
+ * A recipe or file does not exist
+ */
+export class NotFoundError extends RecipeError {
+  /**
+   * @param {string} resource - Recipe ID or filename
+   * @param {string} [message] - Log message
+   */
+  constructor(resource, message = `Not found: ${resource}`) {
+    super(ErrorCode.NOT_FOUND, message, { recovery: RecoveryAction.REFRESH, params: { resource } });
+    this.name = 'NotFoundError';
+    this.resource = resource;
+  }
+}
+
+/**
+ * Raised when a recipe was changed on GitHub after the edit was started
+ */
+export class RecipeConflictError extends RecipeError {
+  /**
+   * @param {string} recipeName - Recipe ID or filename
+   * @param {Object} details - Conflict details
+   * @param {string|null} details.baseSha - Blob sha the edit was based on
+   * @param {string|null} details.remoteSha - Blob sha currently on GitHub
+   * @param {Object|null} details.remote - Recipe currently on GitHub
+   */
+  constructor(recipeName, { baseSha = null, remoteSha = null, remote = null } = {}) {
+    super(ErrorCode.CONFLICT, `Recipe "${recipeName}" was changed on GitHub since it was opened`, {
+      recovery: RecoveryAction.RESOLVE,
+      params: { recipeName }
+    });
+    this.name = 'RecipeConflictError';
+    this.recipeName = recipeName;
+    this.baseSha = baseSha;
+    this.remoteSha = remoteSha;
+    this.remote = remote;
+    this.conflicts = [];
+    this.merged = null;
+  }
+}
+
+/**
+ * The GitHub API quota is exhausted
+ */
+export class RateLimitError extends RecipeError {
+  /**
+   * @param {number} resetAt - Time (ms since epoch) when requests are allowed again
+   * @param {Object} [quota] - Last known quota (`limit`, `remaining`)
+   */
+  constructor(resetAt, quota = {}) {
+    const time = new Date(resetAt).toLocaleTimeString();
+    super(ErrorCode.RATE_LIMITED, `GitHub API rate limit exceeded until ${time}`, {
+      recovery: RecoveryAction.WAIT,
+      params: { time }
+    });
+    this.name = 'RateLimitError';
+    this.resetAt = resetAt;
+    this.limit = quota.limit ?? null;
+    this.remaining = quota.remaining ?? null;
+  }
+}
+
+/**
+ * Recipe data was rejected
+ */
+export class ValidationError extends RecipeError {
+  /**
+   * @param {string[]} errors - What is wrong with the data
+   * @param {string} [message] - Log message
+   * @param {Object} [options] - Error options
+   * @param {Array<{path: string, message: string}>} [options.issues] - Schema errors by JSON Pointer (see recipeSchema.js)
+   */
+  constructor(errors, message = `Invalid recipe data: ${errors.join(', ')}`, { issues = [] } = {}) {
+    super(ErrorCode.VALIDATION, message, { recovery: RecoveryAction.FIX_INPUT, params: { details: errors.join(', ') } });
+    this.name = 'ValidationError';
+    this.errors = errors;
+    this.issues = issues;
+  }
+}
+
+/**
+ * The network is unavailable
+ */
+export class OfflineError extends RecipeError {
+  /**
+   * @param {string} [message] - Log message
+   */
+  constructor(message = 'Network is unavailable') {
+    super(ErrorCode.OFFLINE, message, { recovery: RecoveryAction.RETRY_ONLINE });
+    this.name = 'OfflineError';
+  }
+}
+
+/**
+ * The current data source cannot be written to
+ */
+export class ReadOnlyError extends RecipeError {
+  /**
+   * @param {string} [message] - Log message
+   */
+  constructor(message = 'Recipes are read-only in this mode') {
+    super(ErrorCode.READ_ONLY, message, { recovery: RecoveryAction.SIGN_IN });
+    this.name = 'ReadOnlyError';
+  }
+}
+
+/**
+ * Build the error for a failed API response
+ * 401/403 become AuthError and 404 NotFoundError, anything else a plain Error.
+ * @param {Response} response - Failed response
+ * @param {string} message - What failed, e.g. 'Failed to fetch recipe'
+ * @param {Object} [options] - Error options
+ * @param {string} [options.resource] - Recipe ID or filename for NotFoundError
+ * @param {string} [options.details] - Response body to append
+ * @returns {Error} Error to throw
+ */
+export function errorFromResponse(response, message, { resource = null, details = '' } = {}) {
+  const text = `${message}: ${response.status}${details ? ` ${details}` : ''}`;
+
+  if (response.status === 401 || response.status === 403) {
+    return new AuthError(text, { status: response.status });
+  }
+  if (response.status === 404) {
+    return new NotFoundError(resource || message, text);
+  }
+  return new Error(text);
+}
+
+/**
+ * Get the localized message and recovery hint of an error
+ * @param {Error} error - Any error
+ * @returns {{message: string, recovery: string|null, action: string|null}} Localized texts and RecoveryAction
+ */
+export function describeError(error) {
+  if (error instanceof RecipeError) {
+    return {
+      message: t(error.i18nKey, error.params),
+      recovery: t(error.recoveryKey, error.params),
+      action: error.recovery
+    };
+  }
+  return { message: error?.message || String(error), recovery: null, action: null };
+}
+
+/**
+ * Format an error as one localized sentence for toasts
+ * @param {Error} error - Any error
+ * @returns {string} Message followed by the recovery hint
+ */
+export function formatError(error) {
+  const { message, recovery } = describeError(error);
+  return recovery ? `${message} ${recovery}` : message;
+}
@@ -0,0 +1,298 @@
+/**
+ * Conditional request cache for the GitHub adapters
+ *
+ * Remembers the ETag / Last-Modified validators and JSON body of GET responses
+ * so repeated loads send If-None-Match / If-Modified-Since. GitHub answers
+ * unchanged resources with 304 Not Modified, which does not count against the
+ * rate limit, and the stored body is served instead.
+ *
+ * Git blobs are immutable, so BlobCache keeps decoded recipes by blob sha and
+ * they never have to be downloaded twice. Every recipe source has its own.
+ *
+ * Each cache is one JSON value in localStorage. Changes are written shortly
+ * after the last one (or on flush()), so loading N recipes serializes the
+ * cache once instead of N times.
+ */
+
+const HTTP_CACHE_PREFIX = 'kuchtik-http-cache:';
+const BLOB_CACHE_KEY = 'kuchtik-blob-cache';
+const MAX_RESPONSES = 100;
+const MAX_BLOBS = 500;
+const WRITE_DELAY = 1000;
+
+/**
+ * Get localStorage if it can be used (private mode and tests may lack it)
+ * @returns {Storage|null} Storage or null
+ */
+function defaultStorage() {
+  try {
+    return typeof localStorage !== 'undefined' ? localStorage : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read a JSON object from storage
+ * @param {Storage|null} storage - Storage
+ * @param {string} key - Storage key
+ * @returns {Object} Stored object or an empty one
+ */
+function readJson(storage, key) {
+  try {
+    return JSON.parse(storage?.getItem(key) || '{}');
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Write a JSON object to storage, ignoring quota errors (the cache is optional)
+ * @param {Storage|null} storage - Storage
+ * @param {string} key - Storage key
+ * @param {Object} value - Object to store
+ */
+function writeJson(storage, key, value) {
+  try {
+    storage?.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.warn(`⚠️ Could not persist ${key}:`, error.message);
+  }
+}
+
+/**
+ * Build a response-like object around a JSON body
+ * @param {Object} body - Parsed body
+ * @param {Object} extra - Additional fields (`fromCache`, `headers`)
+ * @returns {Object} Object with the parts of Response the adapters use
+ */
+function jsonResponse(body, extra = {}) {
+  return {
+    ok: true,
+    status: 200,
+    json: async () => body,
+    text: async () => JSON.stringify(body),
+    ...extra
+  };
+}
+
+/**
+ * Object of cached values kept under one storage key
+ * Holds at most `maxValues`, dropping the oldest first.
+ */
+class StoredValues {
+  /**
+   * @param {string} storageKey - Storage key
+   * @param {Storage|null} storage - Persistent storage
+   * @param {number} maxValues - Most values kept
+   */
+  constructor(storageKey, storage, maxValues) {
+    this.storageKey = storageKey;
+    this.storage = storage;
+    this.maxValues = maxValues;
+    this.values = readJson(storage, storageKey);
+    this.writeTimer = null;
+  }
+
+  /**
+   * Store a value as the newest one
+   * @param {string} key - Key
+   * @param {*} value - Value
+   */
+  put(key, value) {
+    delete this.values[key];
+    this.values[key] = value;
+
+    const keys = Object.keys(this.values);
+    if (keys.length > this.maxValues) {
+      // Object keys keep insertion order, so the oldest values go first
+      for (const oldKey of keys.slice(0, keys.length - this.maxValues)) {
+        delete this.values[oldKey];
+      }
+    }
+    this.scheduleWrite();
+  }
+
+  /**
+   * Write the values once no more changes came for a moment
+   * @private
+   */
+  scheduleWrite() {
+    globalThis.clearTimeout(this.writeTimer);
+    this.writeTimer = globalThis.setTimeout(() => this.flush(), WRITE_DELAY);
+  }
+
+  /**
+   * Write pending changes to storage now
+   */
+  flush() {
+    if (this.writeTimer === null) {
+      return;
+    }
+    globalThis.clearTimeout(this.writeTimer);
+    this.writeTimer = null;
+    writeJson(this.storage, this.storageKey, this.values);
+  }
+
+  /**
+   * Forget every value, in memory and in storage
+   */
+  clear() {
+    globalThis.clearTimeout(this.writeTimer);
+    this.writeTimer = null;
+    this.values = {};
+    this.storage?.removeItem(this.storageKey);
+  }
+}
+
+const httpCaches = new Set();
+
+export class HttpCache extends StoredValues {
+  /**
+   * @param {Object} options - Cache options
+   * @param {string} options.namespace - Separates caches of different adapters
+   * @param {Storage|null} [options.storage] - Persistent storage (defaults to localStorage)
+   */
+  constructor(options = {}) {
+    super(
+      `${HTTP_CACHE_PREFIX}${options.namespace || 'default'}`,
+      options.storage === undefined ? defaultStorage() : options.storage,
+      MAX_RESPONSES
+    );
+    this.stats = { hits: 0, misses: 0 };
+    httpCaches.add(this);
+  }
+
+  /**
+   * Make a conditional GET request
+   * @param {string} key - Cache key (usually the request URL)
+   * @param {function(Object): Promise<Response>} request - Performs the request with the given extra headers
+   * @returns {Promise<Object>} Response; `fromCache` is true when the server answered 304
+   */
+  async fetch(key, request) {
+    const cached = this.values[key];
+    const headers = {};
+    if (cached?.etag) {
+      headers['If-None-Match'] = cached.etag;
+    } else if (cached?.lastModified) {
+      headers['If-Modified-Since'] = cached.lastModified;
+    }
+
+    const response = await request(headers);
+
+    if (response.status === 304 && cached) {
+      this.stats.hits++;
+      return jsonResponse(cached.body, { fromCache: true, headers: response.headers });
+    }
+
+    this.stats.misses++;
+    const etag = response.headers?.get?.('ETag') || null;
+    const lastModified = response.headers?.get?.('Last-Modified') || null;
+    if (!response.ok || (!etag && !lastModified)) {
+      return response;
+    }
+
+    const body = await response.json();
+    this.put(key, { etag, lastModified, body });
+    return jsonResponse(body, { fromCache: false, headers: response.headers });
+  }
+
+  /**
+   * Get hit/miss counters for this session
+   * @returns {{hits: number, misses: number}} Counters
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+}
+
+export class BlobCache extends StoredValues {
+  /**
+   * @param {Object} options - Cache options
+   * @param {string} [options.namespace] - Separates the blobs of different recipe sources
+   * @param {Storage|null} [options.storage] - Persistent storage (defaults to localStorage)
+   */
+  constructor(options = {}) {
+    super(
+      options.namespace ? `${BLOB_CACHE_KEY}:${options.namespace}` : BLOB_CACHE_KEY,
+      options.storage === undefined ? defaultStorage() : options.storage,
+      MAX_BLOBS
+    );
+  }
+
+  /**
+   * Get a decoded blob by sha
+   * @param {string} sha - Blob sha
+   * @returns {Object|undefined} Stored value (a copy)
+   */
+  get(sha) {
+    const value = this.values[sha];
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  }
+
+  /**
+   * Store a decoded blob
+   * @param {string} sha - Blob sha
+   * @param {Object} value - Decoded content
+   */
+  set(sha, value) {
+    this.put(sha, value);
+  }
+
+  /**
+   * Drop blobs that are no longer part of the recipe tree
+   * @param {Iterable<string>} shas - Blob shas still in use
+   */
+  retain(shas) {
+    const keep = new Set(shas);
+    let changed = false;
+    for (const sha of Object.keys(this.values)) {
+      if (!keep.has(sha)) {
+        delete this.values[sha];
+        changed = true;
+      }
+    }
+    if (changed) {
+      this.scheduleWrite();
+    }
+  }
+}
+
+const blobCaches = new Map();
+
+/**
+ * Get the blob cache of a recipe source
+ * Loading a source prunes its cache to the blobs still in its tree, so every
+ * source needs its own or they would evict each other's blobs. Adapters
+ * reading the same repository (signed in or not) share one.
+ * @param {string} namespace - Recipe source, e.g. "owner/repo@branch:path"
+ * @returns {BlobCache} Cache of that source
+ */
+export function getBlobCache(namespace) {
+  if (blobCaches.size === 0) {
+    // Older versions kept the blobs of every source under one key
+    defaultStorage()?.removeItem(BLOB_CACHE_KEY);
+  }
+  if (!blobCaches.has(namespace)) {
+    blobCaches.set(namespace, new BlobCache({ namespace }));
+  }
+  return blobCaches.get(namespace);
+}
+
+/**
+ * Forget every cached response and blob, in memory and in storage
+ * Called on sign-out, as private repositories are cached too.
+ */
+export function clearHttpCaches() {
+  httpCaches.forEach(cache => cache.clear());
+  blobCaches.forEach(cache => cache.clear());
+
+  // Also caches of sources not opened in this session
+  const storage = defaultStorage();
+  for (let i = (storage?.length || 0) - 1; i >= 0; i--) {
+    const key = storage.key(i);
+    if (key?.startsWith(HTTP_CACHE_PREFIX) || key?.startsWith(BLOB_CACHE_KEY)) {
+      storage.removeItem(key);
+    }
+  }
+}
@@ -0,0 +1,189 @@
+/**
+ * GitHub rate limit tracking
+ *
+ * Every GitHub response carries X-RateLimit-Limit / -Remaining / -Reset headers.
+ * RateLimiter keeps the latest values for both GitHub adapters, pauses requests
+ * while the quota is exhausted and retries rate-limited requests after the
+ * reset time (or the Retry-After delay for secondary limits). Waits longer
+ * than `maxWait` are not slept through - a RateLimitError carrying the reset
+ * time is thrown instead so callers can schedule a retry.
+ */
+
+import { RateLimitError } from './errors.js';
+
+export { RateLimitError };
+
+const DEFAULT_MAX_WAIT = 60 * 1000; // Longer pauses are reported instead of waited out
+const DEFAULT_MAX_RETRIES = 3;
+const BACKOFF_BASE = 1000; // Secondary limits without Retry-After: 1s, 2s, 4s...
+
+/**
+ * Read a numeric header
+ * @param {Response} response - Fetch response
+ * @param {string} name - Header name
+ * @returns {number|null} Header value or null if missing
+ */
+function numericHeader(response, name) {
+  const value = response.headers?.get?.(name);
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+export class RateLimiter {
+  /**
+   * @param {Object} options - Limiter options
+   * @param {number} [options.maxWait] - Longest pause (ms) to wait out before throwing RateLimitError
+   * @param {number} [options.maxRetries] - Retries of a rate-limited request
+   * @param {function(number): Promise<void>} [options.sleep] - Delay implementation (tests)
+   * @param {function(): number} [options.now] - Clock (tests)
+   */
+  constructor(options = {}) {
+    this.maxWait = options.maxWait ?? DEFAULT_MAX_WAIT;
+    this.maxRetries = options.maxRetries ?? DEFAULT_MAX_RETRIES;
+    this.sleep = options.sleep || (ms => new Promise(resolve => globalThis.setTimeout(resolve, ms)));
+    this.now = options.now || (() => Date.now());
+
+    this.limit = null;
+    this.remaining = null;
+    this.resetAt = null; // ms since epoch
+    this.pausedUntil = null; // ms since epoch
+    this.listeners = new Set();
+  }
+
+  /**
+   * Get the last known quota
+   * @returns {{limit: number|null, remaining: number|null, resetAt: number|null, pausedUntil: number|null}} Quota
+   */
+  getStatus() {
+    const pausedUntil = this.pausedUntil && this.pausedUntil > this.now() ? this.pausedUntil : null;
+    return { limit: this.limit, remaining: this.remaining, resetAt: this.resetAt, pausedUntil };
+  }
+
+  /**
+   * Check if requests are currently paused
+   * @returns {boolean} True while the quota is exhausted
+   */
+  isPaused() {
+    return this.getStatus().pausedUntil !== null;
+  }
+
+  /**
+   * Subscribe to quota changes
+   * @param {function(Object): void} listener - Called with getStatus()
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Record the rate limit headers of a response
+   * @param {Response} response - Fetch response
+   * @param {number} [attempt=0] - Retry attempt (for backoff without headers)
+   * @returns {number} Delay (ms) before the request may be retried, 0 if it was not rate limited
+   */
+  record(response, attempt = 0) {
+    const limit = numericHeader(response, 'X-RateLimit-Limit');
+    const remaining = numericHeader(response, 'X-RateLimit-Remaining');
+    const reset = numericHeader(response, 'X-RateLimit-Reset');
+    const retryAfter = numericHeader(response, 'Retry-After');
+
+    // GraphQL has its own points quota - only the REST (core) quota is tracked and pauses requests
+    const resource = response.headers?.get?.('X-RateLimit-Resource');
+    const tracked = !resource || resource === 'core';
+
+    if (tracked) {
+      if (limit !== null) this.limit = limit;
+      if (remaining !== null) this.remaining = remaining;
+      if (reset !== null) this.resetAt = reset * 1000;
+    }
+
+    let delay = 0;
+    const limited = response.status === 429 || (response.status === 403 && (remaining === 0 || retryAfter !== null));
+    if (limited) {
+      if (retryAfter !== null) {
+        delay = retryAfter * 1000;
+      } else if (remaining === 0 && reset !== null) {
+        delay = Math.max(reset * 1000 - this.now(), 0) + 1000; // Reset is rounded to seconds
+      } else {
+        delay = BACKOFF_BASE * Math.pow(2, attempt);
+      }
+      if (tracked) {
+        this.pausedUntil = this.now() + delay;
+      }
+      console.warn(`⏳ GitHub rate limit hit (${resource || 'core'}), retry possible in ${Math.ceil(delay / 1000)}s`);
+    }
+
+    if (tracked && (limit !== null || remaining !== null || limited)) {
+      this.notify();
+    }
+    return delay;
+  }
+
+  /**
+   * Run a request, waiting while the quota is exhausted and retrying rate-limited responses
+   * @param {function(): Promise<Response>} request - Performs the request
+   * @returns {Promise<Response>} Response that was not rate limited
+   * @throws {RateLimitError} When the wait would be longer than maxWait or retries ran out
+   */
+  async schedule(request) {
+    for (let attempt = 0; ; attempt++) {
+      await this.waitForQuota();
+
+      const response = await request();
+      const delay = this.record(response, attempt);
+      if (delay === 0) {
+        return response;
+      }
+      if (attempt >= this.maxRetries || delay > this.maxWait) {
+        throw new RateLimitError(this.now() + delay, this);
+      }
+      if (!this.isPaused()) {
+        // Limits of other resources don't pause everything, just this request
+        await this.sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Wait until requests are allowed again
+   * @private
+   * @throws {RateLimitError} When the pause is longer than maxWait
+   */
+  async waitForQuota() {
+    const { pausedUntil } = this.getStatus();
+    if (!pausedUntil) {
+      return;
+    }
+
+    const wait = pausedUntil - this.now();
+    if (wait > this.maxWait) {
+      throw new RateLimitError(pausedUntil, this);
+    }
+    console.log(`⏳ Waiting ${Math.ceil(wait / 1000)}s for the GitHub rate limit`);
+    await this.sleep(wait);
+  }
+
+  /**
+   * Notify subscribers about a quota change
+   * @private
+   */
+  notify() {
+    const status = this.getStatus();
+    for (const listener of this.listeners) {
+      try {
+        listener(status);
+      } catch (error) {
+        console.error('Rate limit listener failed:', error);
+      }
+    }
+  }
+}
+
+// GitHub counts the quota per token (or per IP when signed out), one tracker follows the active one
+export const rateLimiter = new RateLimiter();
+export default rateLimiter;
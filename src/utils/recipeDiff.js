@@ -0,0 +1,130 @@
+/**
+ * Field-level diff between two recipe versions
+ * Used by the history panel to show what a commit changed.
+ */
+
+import { getIngredientSections } from './smartIngredients.js';
+
+/**
+ * Recipe fields holding lists; diffed item by item
+ */
+const LIST_FIELDS = ['ingredients', 'instructions', 'notes', 'tags'];
+
+/**
+ * Get the items of a list field; sectioned ingredients become "Section: line"
+ * @param {string} field - Recipe field
+ * @param {Array} [list] - Field value
+ * @returns {Array} Items to diff
+ */
+function listItems(field, list = []) {
+  if (field !== 'ingredients') {
+    return list;
+  }
+  return getIngredientSections(list).flatMap(({ section, items }) =>
+    items.map(item => (section === null ? item : `${section}: ${itemText(item)}`))
+  );
+}
+
+/**
+ * Turn a list item into comparable text (ingredients are objects with `text`)
+ * @param {string|Object} item - List item
+ * @returns {string} Item text
+ */
+function itemText(item) {
+  if (item && typeof item === 'object') {
+    return item.text ?? JSON.stringify(item);
+  }
+  return String(item);
+}
+
+/**
+ * Longest common subsequence of two string arrays
+ * @param {string[]} a - First sequence
+ * @param {string[]} b - Second sequence
+ * @returns {string[]} Common subsequence
+ */
+function longestCommonSubsequence(a, b) {
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      result.push(a[i]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return result;
+}
+
+/**
+ * Diff two lists of recipe items
+ * @param {Array} before - Old list
+ * @param {Array} after - New list
+ * @returns {{added: string[], removed: string[], moved: string[]}} Item changes
+ */
+export function diffList(before = [], after = []) {
+  const oldItems = before.map(itemText);
+  const newItems = after.map(itemText);
+
+  const added = newItems.filter(item => !oldItems.includes(item));
+  const removed = oldItems.filter(item => !newItems.includes(item));
+
+  // Items kept on both sides but not in the longest stable run changed position
+  const keptOld = oldItems.filter(item => newItems.includes(item));
+  const keptNew = newItems.filter(item => oldItems.includes(item));
+  const stable = longestCommonSubsequence(keptOld, keptNew);
+  const moved = keptNew.filter(item => !stable.includes(item));
+
+  return { added, removed, moved };
+}
+
+/**
+ * Diff two recipe versions field by field (metadata is ignored)
+ * @param {Object|null} before - Older version (null when the recipe was created)
+ * @param {Object|null} after - Newer version (null when the recipe was deleted)
+ * @returns {Array<Object>} Changes: `{field, type: 'list', added, removed, moved}` or `{field, type: 'value', from, to}`
+ */
+export function diffRecipes(before, after) {
+  const oldRecipe = before || {};
+  const newRecipe = after || {};
+  const fields = new Set([...Object.keys(oldRecipe), ...Object.keys(newRecipe)]);
+  fields.delete('metadata');
+
+  const changes = [];
+  for (const field of fields) {
+    const from = oldRecipe[field];
+    const to = newRecipe[field];
+
+    if (JSON.stringify(from ?? null) === JSON.stringify(to ?? null)) {
+      continue;
+    }
+
+    if (LIST_FIELDS.includes(field) && (Array.isArray(from) || Array.isArray(to))) {
+      const { added, removed, moved } = diffList(listItems(field, from), listItems(field, to));
+      // Only item properties changed (e.g. exportDefault) - show as a plain value change
+      if (added.length || removed.length || moved.length) {
+        changes.push({ field, type: 'list', added, removed, moved });
+        continue;
+      }
+    }
+
+    changes.push({ field, type: 'value', from, to });
+  }
+
+  return changes;
+}
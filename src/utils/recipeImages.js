@@ -0,0 +1,121 @@
+/**
+ * Recipe photos
+ * A recipe's `image` is the path of its photo relative to the recipes folder
+ * ("images/gulas-m1x2k3.jpg"), committed next to the recipe files, or the
+ * absolute URL of a photo stored elsewhere. Photos are shrunk and compressed
+ * in the browser before they are committed, so a phone picture of a few
+ * megabytes ends up as a JPEG of a few hundred kilobytes.
+ */
+
+import { ValidationError } from './errors.js';
+import { generateFilenameFromRecipeName } from './recipeUtils.js';
+
+// Folder of the photos inside the recipes folder
+export const IMAGES_FOLDER = 'images';
+
+// Longer side of a resized photo in pixels, and its JPEG quality
+export const IMAGE_MAX_SIZE = 1280;
+export const IMAGE_QUALITY = 0.8;
+
+// Photos not committed to the recipes folder
+const ABSOLUTE_URL = /^(?:https?:|data:|blob:)/i;
+
+/**
+ * Check whether a recipe image is a URL rather than a path in the repository
+ * @param {string} image - Value of a recipe's `image`
+ * @returns {boolean} True for http(s), data and blob URLs
+ */
+export function isImageUrl(image) {
+  return typeof image === 'string' && ABSOLUTE_URL.test(image);
+}
+
+/**
+ * Get the URL a recipe photo is shown from
+ * @param {Object} recipe - Recipe
+ * @param {Object} [adapter] - Adapter the recipe was loaded with; resolves repository paths via getImageUrl()
+ * @returns {string|null} Photo URL, or null without a photo or an adapter that can serve it
+ */
+export function getRecipeImageUrl(recipe, adapter = null) {
+  const image = typeof recipe?.image === 'string' ? recipe.image.trim() : '';
+  if (!image) {
+    return null;
+  }
+  if (isImageUrl(image)) {
+    return image;
+  }
+  return typeof adapter?.getImageUrl === 'function' ? adapter.getImageUrl(image) : null;
+}
+
+/**
+ * Make up the path a new photo of a recipe is committed to
+ * The time keeps replaced photos apart, so cached copies of the old one never show up.
+ * @param {string} recipeName - Recipe name
+ * @returns {string} e.g. "images/svickova-m1x2k3.jpg"
+ */
+export function createImagePath(recipeName) {
+  const id = generateFilenameFromRecipeName(recipeName).replace(/\.json$/, '') || 'recipe';
+  return `${IMAGES_FOLDER}/${id}-${Date.now().toString(36)}.jpg`;
+}
+
+/**
+ * Shrink a photo so its longer side is at most `maxSize` and compress it as JPEG
+ * @param {Blob} file - Picture chosen by the user
+ * @param {Object} [options] - Resize options
+ * @param {number} [options.maxSize] - Longer side in pixels (defaults to IMAGE_MAX_SIZE)
+ * @param {number} [options.quality] - JPEG quality between 0 and 1 (defaults to IMAGE_QUALITY)
+ * @returns {Promise<Blob>} JPEG image
+ * @throws {ValidationError} When the file is not a picture
+ */
+export async function resizeImage(file, { maxSize = IMAGE_MAX_SIZE, quality = IMAGE_QUALITY } = {}) {
+  if (!file?.type?.startsWith('image/')) {
+    const message = `Not an image: ${file?.name || 'file'}`;
+    throw new ValidationError([message], message);
+  }
+
+  const bitmap = await window.createImageBitmap(file);
+  const scale = Math.min(1, maxSize / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close?.();
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => {
+      if (blob) {
+        resolve(blob);
+      } else {
+        reject(new Error('Failed to compress image'));
+      }
+    }, 'image/jpeg', quality);
+  });
+}
+
+/**
+ * Read a blob as base64, the way the Git hosting APIs take file contents
+ * @param {Blob} blob - Image
+ * @returns {Promise<string>} Base64 content without the data URL prefix
+ */
+export function readAsBase64(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new window.FileReader();
+    reader.onload = () => resolve(String(reader.result).replace(/^data:[^,]*,/, ''));
+    reader.onerror = () => reject(reader.error || new Error('Failed to read image'));
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * List the photo files to write when a recipe's photo changes
+ * @param {string|null} previousImage - `image` the recipe had before
+ * @param {{path: string, content: string}|null} upload - New photo to commit, if any
+ * @param {string|null} nextImage - `image` the recipe is saved with
+ * @returns {Array<{path: string, content: string|null}>} Photos to add, and replaced ones (content null) to delete
+ */
+export function getImageChanges(previousImage, upload, nextImage) {
+  const changes = upload ? [upload] : [];
+  if (previousImage && previousImage !== nextImage && !isImageUrl(previousImage)) {
+    changes.push({ path: previousImage, content: null });
+  }
+  return changes;
+}
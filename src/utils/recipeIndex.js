@@ -0,0 +1,116 @@
+/**
+ * Generated recipe index (recipes/index.json)
+ *
+ * The authenticated GitHub write path keeps a compact summary of every recipe
+ * next to the recipe files, so public visitors can load the whole collection
+ * with a single raw.githubusercontent.com download instead of one API request
+ * per recipe. Each entry carries the blob sha of its recipe file, which tells
+ * readers whether the entry is still current.
+ */
+
+import { getRecipeTimes } from './duration.js';
+
+export const RECIPE_INDEX_FILENAME = 'index.json';
+export const RECIPE_INDEX_VERSION = 1;
+
+/**
+ * Check if a file in the recipes folder is a recipe (and not the index)
+ * @param {string} filename - File name
+ * @returns {boolean} True for recipe JSON files
+ */
+export function isRecipeFile(filename) {
+  return filename.endsWith('.json') && filename !== RECIPE_INDEX_FILENAME;
+}
+
+/**
+ * Build the index entry of a recipe
+ * @param {string} filename - Recipe filename
+ * @param {Object} recipe - Recipe data
+ * @param {string} sha - Blob sha of the recipe file
+ * @param {Object} [options] - Entry options
+ * @param {boolean} [options.includeRecipes=true] - Embed the full recipe
+ * @returns {Object} Index entry
+ */
+export function createIndexEntry(filename, recipe, sha, options = {}) {
+  const { includeRecipes = true } = options;
+
+  const entry = {
+    id: filename.replace('.json', ''),
+    filename,
+    name: recipe.name || '',
+    tags: Array.isArray(recipe.tags) ? recipe.tags : [],
+    cookingTime: recipe.cookingTime || null,
+    totalTime: getRecipeTimes(recipe).total,
+    lastModified: recipe.metadata?.lastModified || null,
+    sha
+  };
+
+  if (includeRecipes) {
+    entry.recipe = recipe;
+  }
+  return entry;
+}
+
+/**
+ * Wrap index entries, sorted by filename so regenerated files diff cleanly
+ * @param {Object[]} entries - Index entries
+ * @returns {Object} Recipe index
+ */
+function toIndex(entries) {
+  return {
+    version: RECIPE_INDEX_VERSION,
+    generatedAt: new Date().toISOString(),
+    recipes: [...entries].sort((a, b) => a.filename.localeCompare(b.filename))
+  };
+}
+
+/**
+ * Build an index from loaded recipes
+ * @param {Object[]} recipes - Recipes with `metadata.id` and `metadata.sha`
+ * @param {Object} [options] - Entry options (see createIndexEntry)
+ * @returns {Object} Recipe index
+ */
+export function buildRecipeIndex(recipes, options = {}) {
+  return toIndex(recipes
+    .filter(recipe => recipe?.metadata?.id && recipe.metadata.sha)
+    .map(recipe => createIndexEntry(`${recipe.metadata.id}.json`, recipe, recipe.metadata.sha, options)));
+}
+
+/**
+ * Apply written recipe changes to an index
+ * @param {Object} index - Current recipe index
+ * @param {Array<{type: 'create'|'update'|'delete', filename: string, data?: Object, sha?: string}>} changes - Written changes with the new blob shas
+ * @param {Object} [options] - Entry options (see createIndexEntry)
+ * @returns {Object} Updated recipe index
+ */
+export function applyIndexChanges(index, changes, options = {}) {
+  const entries = new Map(index.recipes.map(entry => [entry.filename, entry]));
+  const now = new Date().toISOString();
+
+  for (const change of changes) {
+    if (change.type === 'delete') {
+      entries.delete(change.filename);
+      continue;
+    }
+    const entry = createIndexEntry(change.filename, change.data, change.sha, options);
+    entry.lastModified = now;
+    entries.set(change.filename, entry);
+  }
+
+  return toIndex(entries.values());
+}
+
+/**
+ * Validate parsed index data
+ * @param {*} data - Parsed index.json
+ * @returns {Object|null} Recipe index, or null if it is missing or from an unknown version
+ */
+export function parseRecipeIndex(data) {
+  if (!data || data.version !== RECIPE_INDEX_VERSION || !Array.isArray(data.recipes)) {
+    return null;
+  }
+  return {
+    ...data,
+    recipes: data.recipes.filter(entry => entry && typeof entry.filename === 'string' && entry.sha)
+  };
+}
@@ -0,0 +1,92 @@
+/**
+ * Three-way merge of recipe versions
+ * Used when an edit was based on an older version of the file than the one
+ * currently on GitHub.
+ */
+
+import { RecipeConflictError } from './errors.js';
+
+// Raised by the adapters, resolved with mergeRecipes()
+export { RecipeConflictError };
+
+/**
+ * Compare two JSON-like values structurally
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if equal
+ */
+function isEqual(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Merge tag lists where both sides added or removed tags
+ * @param {string[]} base - Tags in the common ancestor
+ * @param {string[]} local - Tags in the local edit
+ * @param {string[]} remote - Tags on GitHub
+ * @returns {string[]} Merged tags
+ */
+function mergeTags(base = [], local = [], remote = []) {
+  const removedLocally = base.filter(tag => !local.includes(tag));
+  const addedLocally = local.filter(tag => !base.includes(tag));
+
+  const merged = remote.filter(tag => !removedLocally.includes(tag));
+  for (const tag of addedLocally) {
+    if (!merged.includes(tag)) {
+      merged.push(tag);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Three-way merge a recipe field by field
+ * A field changed on one side only takes that side's value; a field changed
+ * identically on both sides is kept. Tags changed on both sides are merged as
+ * a set. Anything else changed on both sides is reported as a conflict and
+ * keeps the local value in `merged` until the user decides.
+ * @param {Object|null} base - Version the edit started from (null if unknown)
+ * @param {Object} local - Locally edited version
+ * @param {Object} remote - Version currently on GitHub
+ * @returns {{merged: Object, conflicts: Array<{field: string, base: *, local: *, remote: *}>}} Merge result
+ */
+export function mergeRecipes(base, local, remote) {
+  const ancestor = base || {};
+  const merged = {};
+  const conflicts = [];
+
+  const fields = new Set([...Object.keys(ancestor), ...Object.keys(local), ...Object.keys(remote)]);
+  fields.delete('metadata');
+
+  for (const field of fields) {
+    const localChanged = !isEqual(ancestor[field], local[field]);
+    const remoteChanged = !isEqual(ancestor[field], remote[field]);
+
+    let value;
+    if (!localChanged) {
+      value = remote[field];
+    } else if (!remoteChanged || isEqual(local[field], remote[field])) {
+      value = local[field];
+    } else if (field === 'tags' && base) {
+      value = mergeTags(ancestor.tags, local.tags, remote.tags);
+    } else {
+      conflicts.push({ field, base: ancestor[field], local: local[field], remote: remote[field] });
+      value = local[field];
+    }
+
+    if (value !== undefined) {
+      merged[field] = value;
+    }
+  }
+
+  // Keep local metadata (lastModified etc.) but point it at the GitHub version
+  if (local.metadata || remote.metadata) {
+    merged.metadata = {
+      ...remote.metadata,
+      ...local.metadata,
+      sha: remote.metadata?.sha ?? local.metadata?.sha ?? null
+    };
+  }
+
+  return { merged, conflicts };
+}
@@ -0,0 +1,191 @@
+/**
+ * Recipe file migrations
+ * Recipe files carry a `schemaVersion`; files written before it existed are
+ * version 1. Each migration upgrades a recipe by one version, and
+ * migrateRecipe() runs the chain from the file's version up to the current
+ * one. RecipeRepository upgrades every recipe it reads, so the app only ever
+ * sees the current shape; migrateAll() there writes the upgrades back.
+ *
+ * To change the recipe format, append a migration with the next version,
+ * bump CURRENT_SCHEMA_VERSION and update RECIPE_SCHEMA to match. Migrations
+ * must not mutate their input and must accept files edited by hand.
+ */
+
+import { TIME_FIELDS, parseDuration } from './duration.js';
+
+// Version of files without a schemaVersion
+const UNVERSIONED = 1;
+
+// Spellings of duration units in cooking times, and what they become
+const DURATION_UNITS = [
+  [/^(?:m|min|mins|minut[auy]?|minutes?)\.?$/i, 'min'],
+  [/^(?:h|hod|hodin[auy]?|hrs?|hours?)\.?$/i, 'h']
+];
+
+/**
+ * Upgrade steps, oldest first; `version` is the version a step upgrades to
+ * @type {Array<{version: number, description: string, migrate: function(Object): Object}>}
+ */
+export const MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Keep one creation date (createdAt) and drop empty id, sha and filename metadata',
+    migrate: tidyMetadata
+  },
+  {
+    version: 3,
+    description: 'Store servings given as digits as numbers and spell cooking time units as "min" and "h"',
+    migrate: normalizeQuantities
+  },
+  {
+    version: 4,
+    description: 'Store cooking times that can be read as minutes in cookTime instead of the free-text cookingTime',
+    migrate: structureCookingTime
+  }
+];
+
+// Version written by this app
+export const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Get the schema version of a recipe file
+ * @param {Object} recipe - Recipe data
+ * @returns {number} Its schemaVersion, or 1 for files written before versioning
+ */
+export function getSchemaVersion(recipe) {
+  return Number.isInteger(recipe?.schemaVersion) && recipe.schemaVersion >= UNVERSIONED
+    ? recipe.schemaVersion
+    : UNVERSIONED;
+}
+
+/**
+ * Check whether a recipe file is older than the current schema version
+ * @param {Object} recipe - Recipe data
+ * @returns {boolean} True when migrateRecipe() would change it
+ */
+export function needsMigration(recipe) {
+  return isPlainObject(recipe) && getSchemaVersion(recipe) < CURRENT_SCHEMA_VERSION;
+}
+
+/**
+ * Upgrade a recipe to the current schema version
+ * Recipes that are current - or newer than this app knows - are returned as they are.
+ * @param {Object} recipe - Recipe data (not modified)
+ * @returns {{recipe: Object, fromVersion: number|null, migrated: boolean}} Upgraded recipe and the version it had
+ */
+export function migrateRecipe(recipe) {
+  if (!isPlainObject(recipe)) {
+    return { recipe, fromVersion: null, migrated: false };
+  }
+
+  const fromVersion = getSchemaVersion(recipe);
+  if (fromVersion >= CURRENT_SCHEMA_VERSION) {
+    return { recipe, fromVersion, migrated: false };
+  }
+
+  let upgraded = recipe;
+  for (const { version, migrate } of MIGRATIONS) {
+    if (version > fromVersion) {
+      // Listed first so it leads the file
+      const next = { schemaVersion: version, ...migrate(upgraded) };
+      next.schemaVersion = version;
+      upgraded = next;
+    }
+  }
+  return { recipe: upgraded, fromVersion, migrated: true };
+}
+
+/**
+ * Describe the migration of some recipe files for a commit message
+ * @param {Object[]} recipes - Recipes as stored, before migrating
+ * @returns {string} Subject and one line per migration step applied
+ */
+export function formatMigrationMessage(recipes) {
+  const oldest = Math.min(...recipes.map(getSchemaVersion));
+  const steps = MIGRATIONS
+    .filter(({ version }) => version > oldest)
+    .map(({ version, description }) => `- v${version}: ${description}`);
+  const count = recipes.length;
+  return `Migrate ${count} recipe${count === 1 ? '' : 's'} to schema version ${CURRENT_SCHEMA_VERSION}\n\n${steps.join('\n')}`;
+}
+
+// v2: createdDate and createdAt were written side by side; id, sha and filename were often null
+function tidyMetadata(recipe) {
+  if (!isPlainObject(recipe.metadata)) {
+    return recipe;
+  }
+
+  const metadata = { ...recipe.metadata };
+  if (!metadata.createdAt && metadata.createdDate) {
+    metadata.createdAt = metadata.createdDate;
+  }
+  delete metadata.createdDate;
+  delete metadata.filename;
+  for (const key of ['id', 'sha']) {
+    if (metadata[key] === null || metadata[key] === '') {
+      delete metadata[key];
+    }
+  }
+  return { ...recipe, metadata };
+}
+
+// v3: "4" servings become 4, "90min" and "3 hodiny" become "90 min" and "3 h"
+function normalizeQuantities(recipe) {
+  const result = { ...recipe };
+
+  if (typeof result.servings === 'string') {
+    const servings = result.servings.trim();
+    if (/^\d+$/.test(servings) && Number(servings) > 0) {
+      result.servings = Number(servings);
+    } else if (servings) {
+      result.servings = servings;
+    } else {
+      delete result.servings;
+    }
+  }
+
+  if (typeof result.cookingTime === 'number' && result.cookingTime > 0) {
+    result.cookingTime = `${result.cookingTime} min`;
+  } else if (typeof result.cookingTime === 'string') {
+    const cookingTime = normalizeDuration(result.cookingTime);
+    if (cookingTime) {
+      result.cookingTime = cookingTime;
+    } else {
+      delete result.cookingTime;
+    }
+  }
+
+  return result;
+}
+
+// "90min" → "90 min", "3 hodiny" → "3 h", "45" → "45 min"; anything else is only trimmed
+function normalizeDuration(text) {
+  const value = text.trim().replace(/\s+/g, ' ');
+  if (/^\d+$/.test(value)) {
+    return `${value} min`;
+  }
+
+  const match = /^(\d+(?:[.,]\d+)?) ?(\S+)$/u.exec(value);
+  const unit = match && DURATION_UNITS.find(([pattern]) => pattern.test(match[2]));
+  return unit ? `${match[1]} ${unit[1]}` : value;
+}
+
+// v4: "1 h 30 min" becomes cookTime 90; text that is not a duration stays in cookingTime
+function structureCookingTime(recipe) {
+  if (recipe.cookingTime === undefined || TIME_FIELDS.some(field => recipe[field] !== undefined)) {
+    return recipe;
+  }
+
+  const minutes = parseDuration(recipe.cookingTime);
+  if (minutes === null) {
+    return recipe;
+  }
+
+  const result = { ...recipe, cookTime: minutes };
+  delete result.cookingTime;
+  return result;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
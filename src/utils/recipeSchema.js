@@ -0,0 +1,284 @@
+/**
+ * Recipe file schema
+ * The one definition of a stored recipe file (recipes/*.json) as JSON Schema,
+ * and the validator every writer uses: the editor before saving, the
+ * repository before queueing a change and the GitHub adapter before it
+ * commits. Errors point at the offending value with a JSON Pointer such as
+ * "/ingredients/2/text", so the editor can mark the field.
+ *
+ * The validator implements the keywords this schema uses (type, enum,
+ * minLength, pattern, minimum, minItems, items, required, properties,
+ * additionalProperties, anyOf and $ref into $defs) plus `errorMessage`, which
+ * replaces the messages of a failing subschema like ajv-errors does.
+ */
+
+import { ValidationError } from './errors.js';
+
+// Text that is more than whitespace
+const NON_BLANK_STRING = { type: 'string', pattern: '\\S', errorMessage: 'must be a non-empty string' };
+
+export const RECIPE_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id: 'https://github.com/etancik/Kuchtik/recipe.schema.json',
+  title: 'Recipe',
+  description: 'A recipe file in the recipes folder. Unknown properties are kept as they are.',
+  type: 'object',
+  required: ['name', 'ingredients', 'instructions'],
+  properties: {
+    schemaVersion: {
+      type: 'integer',
+      minimum: 1,
+      description: 'Version of this format the file was written in; missing in files older than versioning (see recipeMigrations.js)'
+    },
+    name: { ...NON_BLANK_STRING, description: 'Recipe name; the filename is derived from it' },
+    ingredients: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        anyOf: [
+          NON_BLANK_STRING,
+          { $ref: '#/$defs/ingredientLine' },
+          { $ref: '#/$defs/ingredientSection' }
+        ]
+      },
+      description: 'Ingredients in the order they are listed, optionally grouped into named sections'
+    },
+    instructions: {
+      type: 'array',
+      minItems: 1,
+      items: NON_BLANK_STRING,
+      description: 'Steps in the order they are done'
+    },
+    prepTime: { $ref: '#/$defs/minutes', description: 'Preparation time in minutes' },
+    cookTime: { $ref: '#/$defs/minutes', description: 'Cooking or baking time in minutes' },
+    restTime: { $ref: '#/$defs/minutes', description: 'Resting, rising or chilling time in minutes' },
+    cookingTime: { type: 'string', description: 'Free text from before the times above, e.g. "podle chuti"' },
+    servings: {
+      anyOf: [
+        { type: 'integer', minimum: 1 },
+        NON_BLANK_STRING
+      ],
+      errorMessage: 'must be a positive whole number or a description such as "1 jar"',
+      description: 'Number of servings, or what the recipe makes'
+    },
+    notes: { type: 'array', items: NON_BLANK_STRING },
+    tags: { type: 'array', items: NON_BLANK_STRING },
+    image: {
+      ...NON_BLANK_STRING,
+      description: 'Photo: a path in the recipes folder such as "images/gulas-m1x2k3.jpg", or a URL (see recipeImages.js)'
+    },
+    metadata: { $ref: '#/$defs/metadata' }
+  },
+  $defs: {
+    minutes: {
+      type: 'integer',
+      minimum: 0,
+      errorMessage: 'must be a duration such as "45 min" or "1 h 30 min"'
+    },
+    ingredient: {
+      anyOf: [NON_BLANK_STRING, { $ref: '#/$defs/ingredientLine' }],
+      description: 'Ingredient line; older files store plain strings'
+    },
+    ingredientLine: {
+      type: 'object',
+      required: ['text'],
+      properties: {
+        text: NON_BLANK_STRING,
+        exportDefault: { type: 'boolean', description: 'Preselected when exporting a shopping list' }
+      }
+    },
+    ingredientSection: {
+      type: 'object',
+      required: ['section', 'items'],
+      properties: {
+        section: { ...NON_BLANK_STRING, description: 'Section name, e.g. "Na těsto"' },
+        items: { type: 'array', minItems: 1, items: { $ref: '#/$defs/ingredient' } }
+      },
+      description: 'Ingredients for one part of the dish'
+    },
+    metadata: {
+      type: 'object',
+      description: 'Bookkeeping written by the app',
+      properties: {
+        author: { type: 'string' },
+        createdAt: { type: 'string' },
+        createdDate: { type: 'string' },
+        lastModified: { type: 'string' }
+      }
+    }
+  }
+};
+
+/**
+ * Validate a recipe against the schema
+ * @param {*} recipe - Recipe data
+ * @param {Object} [schema] - Schema to validate against (defaults to RECIPE_SCHEMA)
+ * @returns {{isValid: boolean, errors: Array<{path: string, message: string}>}} Result; `path` is a JSON Pointer ('' for the recipe itself)
+ */
+export function validateRecipe(recipe, schema = RECIPE_SCHEMA) {
+  const errors = validateValue(recipe, schema, '', schema);
+  return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Write validation errors as one line each, e.g. "ingredients/2/text: must be a non-empty string"
+ * @param {Array<{path: string, message: string}>} errors - Errors from validateRecipe()
+ * @returns {string[]} Error lines
+ */
+export function formatValidationErrors(errors) {
+  return errors.map(({ path, message }) => (path ? `${path.slice(1)}: ${message}` : message));
+}
+
+/**
+ * Throw unless a recipe matches the schema
+ * @param {*} recipe - Recipe data
+ * @param {string} [context] - What is being validated, for the log message (e.g. a filename)
+ * @throws {ValidationError} With the formatted errors and the path-level ones as `issues`
+ */
+export function assertValidRecipe(recipe, context = null) {
+  const { isValid, errors } = validateRecipe(recipe);
+  if (!isValid) {
+    const lines = formatValidationErrors(errors);
+    const message = `Invalid recipe data${context ? ` in ${context}` : ''}: ${lines.join(', ')}`;
+    throw new ValidationError(lines, message, { issues: errors });
+  }
+}
+
+// Validate one value; returns its errors
+function validateValue(value, schema, path, root) {
+  if (schema.$ref) {
+    return validateValue(value, resolveRef(schema.$ref, root), path, root);
+  }
+
+  const errors = schema.anyOf
+    ? validateAnyOf(value, schema.anyOf, path, root)
+    : validateKeywords(value, schema, path, root);
+
+  // errorMessage replaces what went wrong with the value itself, not inside it
+  if (schema.errorMessage && errors.some(error => error.path === path)) {
+    return [{ path, message: schema.errorMessage }, ...errors.filter(error => error.path !== path)];
+  }
+  return errors;
+}
+
+// Keywords other than anyOf and $ref
+function validateKeywords(value, schema, path, root) {
+  if (schema.type && !matchesType(value, schema.type)) {
+    return [{ path, message: `must be ${article(schema.type)}` }];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [{ path, message: `must be one of: ${schema.enum.join(', ')}` }];
+  }
+
+  const errors = [];
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: `must be at least ${schema.minLength} characters long` });
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push({ path, message: `must match ${schema.pattern}` });
+    }
+  }
+
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({ path, message: `must be at least ${schema.minimum}` });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateValue(item, schema.items, `${path}/${index}`, root));
+      });
+    }
+  }
+
+  if (isPlainObject(value)) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: `${path}/${escapePointer(key)}`, message: 'is required' });
+      }
+    }
+    for (const [key, item] of Object.entries(value)) {
+      const itemPath = `${path}/${escapePointer(key)}`;
+      if (schema.properties && Object.prototype.hasOwnProperty.call(schema.properties, key)) {
+        errors.push(...validateValue(item, schema.properties[key], itemPath, root));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: itemPath, message: 'is not allowed' });
+      } else if (isPlainObject(schema.additionalProperties)) {
+        errors.push(...validateValue(item, schema.additionalProperties, itemPath, root));
+      }
+    }
+  }
+
+  return errors;
+}
+
+// Valid when one alternative matches; otherwise report the one meant by the value's
+// type and, among objects, by the required properties it has
+function validateAnyOf(value, alternatives, path, root) {
+  const results = alternatives.map(alternative => validateValue(value, alternative, path, root));
+  if (results.some(errors => errors.length === 0)) {
+    return [];
+  }
+
+  const resolved = alternatives.map(alternative => (alternative.$ref ? resolveRef(alternative.$ref, root) : alternative));
+  const typed = resolved
+    .map((schema, index) => index)
+    .filter(index => resolved[index].type && matchesType(value, resolved[index].type));
+  if (typed.length > 0) {
+    const meant = typed.find(index => isPlainObject(value) && (resolved[index].required || []).every(key => key in value));
+    return results[meant ?? typed[0]];
+  }
+
+  const types = new Set(resolved.map(schema => schema.type).filter(Boolean));
+  return [{ path, message: `must be ${[...types].map(article).join(' or ')}` }];
+}
+
+// Only local references into $defs are supported
+function resolveRef(ref, root) {
+  const match = /^#\/\$defs\/(.+)$/.exec(ref);
+  const schema = match && root.$defs?.[match[1]];
+  if (!schema) {
+    throw new Error(`Unsupported schema reference: ${ref}`);
+  }
+  return schema;
+}
+
+function matchesType(value, type) {
+  const types = Array.isArray(type) ? type : [type];
+  return types.some(name => {
+    switch (name) {
+      case 'string': return typeof value === 'string';
+      case 'integer': return Number.isInteger(value);
+      case 'number': return typeof value === 'number' && Number.isFinite(value);
+      case 'boolean': return typeof value === 'boolean';
+      case 'array': return Array.isArray(value);
+      case 'object': return isPlainObject(value);
+      case 'null': return value === null;
+      default: return false;
+    }
+  });
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// "a string", "an integer", "an object or null"
+function article(type) {
+  if (Array.isArray(type)) {
+    return type.map(article).join(' or ');
+  }
+  if (type === 'null') {
+    return 'null';
+  }
+  return `${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type === 'boolean' ? 'true/false value' : type}`;
+}
+
+// JSON Pointer escaping of property names
+function escapePointer(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
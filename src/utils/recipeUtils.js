@@ -2,6 +2,10 @@
  * Utility functions for recipe data manipulation
  */
 
+import { RECIPE_INDEX_FILENAME } from './recipeIndex.js';
+import { formatRecipeTime } from './duration.js';
+import { flattenIngredients } from './smartIngredients.js';
+
 /**
  * Normalize text by removing diacritics and converting to lowercase
  * @param {string} text - Text to normalize
@@ -421,7 +425,7 @@ export function findRecipeByName(recipes, recipeName) {
  * Collect ingredients from selected recipes
  * @param {Object[]} recipes - Array of recipe objects
  * @param {string[]} selectedRecipeNames - Array of selected recipe names
- * @returns {string[]} Array of ingredients
+ * @returns {string[]} Array of ingredients (the lines of all sections)
  */
 export function collectIngredientsFromRecipes(recipes, selectedRecipeNames) {
   const ingredients = [];
@@ -429,7 +433,7 @@ export function collectIngredientsFromRecipes(recipes, selectedRecipeNames) {
   selectedRecipeNames.forEach(recipeName => {
     const recipe = findRecipeByName(recipes, recipeName);
     if (recipe && recipe.ingredients) {
-      ingredients.push(...recipe.ingredients);
+      ingredients.push(...flattenIngredients(recipe.ingredients));
     }
   });
   
@@ -460,20 +464,6 @@ export function collectIngredientsGroupedByRecipe(recipes, selectedRecipeNames)
   return groupedIngredients;
 }
 
-/**
- * Validate recipe object structure
- * @param {Object} recipe - Recipe object to validate
- * @returns {boolean} True if recipe is valid
- */
-export function validateRecipe(recipe) {
-  if (!recipe || typeof recipe !== 'object') {
-    return false;
-  }
-  
-  const requiredFields = ['name', 'ingredients', 'instructions', 'tags'];
-  return requiredFields.every(field => Object.prototype.hasOwnProperty.call(recipe, field));
-}
-
 /**
  * Format recipe display text for portions and time
  * @param {Object} recipe - Recipe object
@@ -481,7 +471,7 @@ export function validateRecipe(recipe) {
  */
 export function formatRecipeSubtitle(recipe) {
   const servings = recipe.servings || '';
-  const time = recipe.cookingTime || '';
+  const time = formatRecipeTime(recipe);
   
   if (servings && time) {
     return `${servings} servings, ${time}`;
@@ -509,5 +499,6 @@ export function generateFilenameFromRecipeName(recipeName) {
     .replace(/-+/g, '-') // Replace multiple consecutive hyphens with single hyphen
     .replace(/^-+|-+$/g, ''); // Remove leading/trailing hyphens
   
-  return `${filename}.json`;
+  // recipes/index.json is the generated recipe index
+  return `${filename}.json` === RECIPE_INDEX_FILENAME ? 'index-recipe.json' : `${filename}.json`;
 }
@@ -111,6 +111,49 @@ export function scaleIngredient(ingredient, multiplier = 1) {
   };
 }
 
+/**
+ * Check whether an ingredient list entry is a named section
+ * @param {*} entry - Entry of a recipe's ingredients
+ * @returns {boolean} True for `{section, items}` entries
+ */
+export function isIngredientSection(entry) {
+  return Boolean(entry) && typeof entry === 'object' && 'section' in entry && Array.isArray(entry.items);
+}
+
+/**
+ * Split an ingredient list into sections
+ * Ingredients are stored as lines, as named sections ({section: "Na těsto", items: [...]})
+ * or both; lines outside a section form unnamed sections where they stand.
+ * @param {Array} ingredients - Ingredients of a recipe
+ * @returns {Array<{section: string|null, items: Array}>} Sections in order; one unnamed section for flat lists
+ */
+export function getIngredientSections(ingredients) {
+  if (!Array.isArray(ingredients)) {
+    return [];
+  }
+
+  const sections = [];
+  for (const entry of ingredients) {
+    if (isIngredientSection(entry)) {
+      sections.push({ section: entry.section, items: entry.items });
+    } else if (sections.length > 0 && sections[sections.length - 1].section === null) {
+      sections[sections.length - 1].items.push(entry);
+    } else {
+      sections.push({ section: null, items: [entry] });
+    }
+  }
+  return sections;
+}
+
+/**
+ * Get the ingredient lines of all sections, in order
+ * @param {Array} ingredients - Ingredients of a recipe
+ * @returns {Array} Ingredient lines as stored (strings or {text, exportDefault})
+ */
+export function flattenIngredients(ingredients) {
+  return getIngredientSections(ingredients).flatMap(({ items }) => items);
+}
+
 /**
  * Normalize a list of ingredients to a consistent format
  * ONLY supports objects with text and exportDefault properties
@@ -122,31 +165,37 @@ export function normalizeIngredientsList(ingredients) {
     return [];
   }
 
-  return ingredients.map(ingredient => {
-    if (ingredient && typeof ingredient === 'object' && 'text' in ingredient) {
-      const parsed = parseIngredient(ingredient.text);
-      return {
-        text: ingredient.text,
-        exportDefault: 'exportDefault' in ingredient ? ingredient.exportDefault : true,
-        // Flatten parsed properties into the main object
-        amount: parsed.amount,
-        unit: parsed.unit,
-        ingredient: parsed.ingredient
-      };
-    } else {
-      // Log warning for unsupported format
-      console.warn('Unsupported ingredient format. Expected object with "text" property:', ingredient);
-      // Fallback: convert to string and create object
-      const text = String(ingredient);
-      const parsed = parseIngredient(text);
-      return {
-        text: text,
-        exportDefault: true,
-        // Flatten parsed properties into the main object
-        amount: parsed.amount,
-        unit: parsed.unit,
-        ingredient: parsed.ingredient
-      };
-    }
-  });
+  return getIngredientSections(ingredients).flatMap(({ section, items }) => items.map(ingredient => {
+    const normalized = normalizeIngredient(ingredient);
+    return section === null ? normalized : { ...normalized, section };
+  }));
+}
+
+// One ingredient line as {text, exportDefault, amount, unit, ingredient}
+function normalizeIngredient(ingredient) {
+  if (ingredient && typeof ingredient === 'object' && 'text' in ingredient) {
+    const parsed = parseIngredient(ingredient.text);
+    return {
+      text: ingredient.text,
+      exportDefault: 'exportDefault' in ingredient ? ingredient.exportDefault : true,
+      // Flatten parsed properties into the main object
+      amount: parsed.amount,
+      unit: parsed.unit,
+      ingredient: parsed.ingredient
+    };
+  } else {
+    // Log warning for unsupported format
+    console.warn('Unsupported ingredient format. Expected object with "text" property:', ingredient);
+    // Fallback: convert to string and create object
+    const text = String(ingredient);
+    const parsed = parseIngredient(text);
+    return {
+      text: text,
+      exportDefault: true,
+      // Flatten parsed properties into the main object
+      amount: parsed.amount,
+      unit: parsed.unit,
+      ingredient: parsed.ingredient
+    };
+  }
 }